@@ -0,0 +1,240 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const compression = require('compression');
+const rateLimit = require('express-rate-limit');
+require('dotenv').config();
+
+const authRoutes = require('./routes/auth');
+const duaRoutes = require('./routes/duas');
+const blogRoutes = require('./routes/blogs');
+const questionRoutes = require('./routes/questions');
+const userRoutes = require('./routes/users');
+const aiRoutes = require('./routes/ai');
+const reportRoutes = require('./routes/reports');
+const approvalRoutes = require('./routes/approval');
+const notificationRoutes = require('./routes/notifications');
+const adminRoutes = require('./routes/admin');
+const appealRoutes = require('./routes/appeals');
+
+const DatabaseInitializer = require('./database/initialize');
+const { PerformanceMonitor, performanceMiddleware } = require('./utils/performance');
+const { createResponseCache, cacheMiddleware } = require('./middleware/cache');
+
+const routes = [
+  ['/api/auth', authRoutes],
+  ['/api/duas', duaRoutes],
+  ['/api/blogs', blogRoutes],
+  ['/api/questions', questionRoutes],
+  ['/api/users', userRoutes],
+  ['/api/ai', aiRoutes],
+  ['/api/reports', reportRoutes],
+  ['/api/approval', approvalRoutes],
+  ['/api/notifications', notificationRoutes],
+  ['/api/admin', adminRoutes],
+  ['/api/appeals', appealRoutes]
+];
+
+const defaultOptions = {
+  bodyLimit: '5mb',
+  rateLimit: {
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100 // limit each IP to 100 requests per windowMs
+  },
+  corsOrigin: process.env.FRONTEND_URL === '*' ? true : (process.env.FRONTEND_URL || 'http://localhost:3000'),
+  // Static endpoints served from the response cache (seconds)
+  cacheRoutes: {
+    '/api/categories': 600,
+    '/api/duas/public': 300
+  },
+  initializeDatabase: true
+};
+
+// Build the default middleware stack as named entries so callers can add, remove or reorder them
+const buildMiddlewareStack = (config, context) => {
+  const stack = [];
+
+  // Compression middleware (should be first)
+  stack.push({ name: 'compression', handler: compression() });
+
+  // Security middleware
+  stack.push({
+    name: 'helmet',
+    handler: helmet({
+      contentSecurityPolicy: false, // Disable CSP for API
+      crossOriginEmbedderPolicy: false
+    })
+  });
+
+  if (config.rateLimit) {
+    stack.push({
+      name: 'rateLimit',
+      handler: rateLimit({
+        ...config.rateLimit,
+        message: 'Too many requests from this IP, please try again later.',
+        standardHeaders: true,
+        legacyHeaders: false
+      })
+    });
+  }
+
+  stack.push({
+    name: 'cors',
+    handler: cors({
+      origin: config.corsOrigin,
+      credentials: true,
+      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      allowedHeaders: ['Content-Type', 'Authorization']
+    })
+  });
+
+  stack.push({
+    name: 'jsonBody',
+    handler: express.json({
+      limit: config.bodyLimit,
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      }
+    })
+  });
+  stack.push({
+    name: 'urlencodedBody',
+    handler: express.urlencoded({ extended: true, limit: config.bodyLimit })
+  });
+
+  stack.push({ name: 'performance', handler: performanceMiddleware(context.performanceMonitor) });
+
+  if (config.initializeDatabase) {
+    stack.push({ name: 'database', handler: databaseMiddleware() });
+  }
+
+  return stack;
+};
+
+// Ensure the database is migrated and seeded before the first request is handled.
+// Until it is, requests get a 503; a failed attempt is retried on the next request.
+const databaseMiddleware = () => {
+  return async (req, res, next) => {
+    try {
+      await DatabaseInitializer.ensureInitialized();
+      next();
+    } catch (error) {
+      console.error('Database initialization error:', error);
+
+      if (process.env.NODE_ENV === 'production') {
+        return res.status(503).json({ error: 'Database initialization failed' });
+      }
+
+      res.status(503).json({
+        error: 'Database initialization failed',
+        message: error.message,
+        stack: error.stack
+      });
+    }
+  };
+};
+
+/**
+ * Create the Express application shared by the local server and the Vercel function.
+ *
+ * Options override `defaultOptions`. `options.middleware` receives the default
+ * stack (an array of `{ name, handler }`) and returns the stack to install.
+ */
+function createApp(options = {}) {
+  const config = { ...defaultOptions, ...options };
+  const performanceMonitor = config.performanceMonitor || new PerformanceMonitor();
+  const cache = config.cache || createResponseCache();
+
+  const app = express();
+  app.locals.performanceMonitor = performanceMonitor;
+  app.locals.cache = cache;
+
+  let stack = buildMiddlewareStack(config, { performanceMonitor });
+  if (typeof config.middleware === 'function') {
+    stack = config.middleware(stack);
+  }
+  stack.forEach(({ handler }) => app.use(handler));
+
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      memory: process.memoryUsage(),
+      uptime: process.uptime()
+    });
+  });
+
+  // Performance stats endpoint (non-production only)
+  app.get('/api/performance', (req, res) => {
+    if (process.env.NODE_ENV !== 'production') {
+      res.json({
+        stats: performanceMonitor.getAllStats(),
+        memory: process.memoryUsage(),
+        uptime: process.uptime(),
+        cache: {
+          size: cache.size,
+          max: cache.max,
+          ttl: cache.ttl
+        }
+      });
+    } else {
+      res.status(404).json({ error: 'Not found' });
+    }
+  });
+
+  // Cache static endpoints ahead of their routers
+  Object.entries(config.cacheRoutes || {}).forEach(([path, duration]) => {
+    app.get(path, cacheMiddleware(cache, duration));
+  });
+
+  // API routes
+  routes.forEach(([path, router]) => app.use(path, router));
+
+  // Root endpoint
+  app.get('/', (req, res) => {
+    res.json({ 
+      message: 'Tadabbur API Server',
+      version: '1.0.0',
+      status: 'running',
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // 404 handler
+  app.use('*', (req, res) => {
+    res.status(404).json({ 
+      error: 'Not Found',
+      message: 'The requested endpoint does not exist',
+      path: req.originalUrl
+    });
+  });
+
+  // Error handler
+  app.use((error, req, res, next) => {
+    console.error('API Error:', error);
+    console.error('Error stack:', error.stack);
+    
+    // In production, provide generic error messages
+    if (process.env.NODE_ENV === 'production') {
+      res.status(error.status || 500).json({
+        error: 'Internal Server Error',
+        message: 'Something went wrong. Please try again later.'
+      });
+    } else {
+      res.status(error.status || 500).json({
+        error: error.message || 'Internal Server Error',
+        stack: error.stack
+      });
+    }
+  });
+
+  return app;
+}
+
+module.exports = {
+  createApp,
+  buildMiddlewareStack,
+  defaultOptions
+};
@@ -1,32 +1,22 @@
-const fs = require('fs');
-const path = require('path');
 const pool = require('./connection');
+const Migrator = require('./migrator');
 
 class DatabaseInitializer {
   constructor() {
-    this.schemaPath = path.join(__dirname, 'schema.sql');
+    this.migrator = new Migrator();
   }
 
   async initialize() {
     try {
       console.log('🔍 Checking database schema...');
-      
-      // Check if tables exist
-      const tablesExist = await this.checkTablesExist();
-      
-      if (!tablesExist) {
-        console.log('📝 Initializing database schema...');
-        await this.runSchema();
-        console.log('✅ Database schema initialized successfully');
+
+      // Apply pending migrations; failures are fatal so broken schemas surface on deploy
+      const applied = await this.migrator.migrate();
+
+      if (applied.length > 0) {
+        console.log(`✅ Applied ${applied.length} database migration(s)`);
       } else {
         console.log('✅ Database schema is up to date');
-        
-        // Run migrations to ensure new tables exist
-        try {
-          await this.runMigrations();
-        } catch (migrationError) {
-          console.warn('⚠️ Migration failed, continuing:', migrationError.message);
-        }
       }
       
       // Always run seeding (with duplicate checks)
@@ -43,85 +33,6 @@ class DatabaseInitializer {
     }
   }
 
-  async checkTablesExist() {
-    try {
-      const requiredTables = [
-        'users', 'duas', 'dua_categories', 'dua_category_relations',
-        'blogs', 'questions', 'answers', 'user_collections',
-        'collection_items', 'ai_processing_queue', 'user_preferences', 'dua_likes'
-      ];
-
-      for (const table of requiredTables) {
-        const result = await pool.query(`
-          SELECT EXISTS (
-            SELECT FROM information_schema.tables 
-            WHERE table_schema = 'public' 
-            AND table_name = $1
-          );
-        `, [table]);
-        
-        if (!result.rows[0].exists) {
-          return false;
-        }
-      }
-      
-      return true;
-    } catch (error) {
-      console.error('Error checking tables:', error);
-      return false;
-    }
-  }
-
-  async runSchema() {
-    try {
-      const schemaSQL = fs.readFileSync(this.schemaPath, 'utf8');
-      
-      // Simple splitting by semicolon, making sure we keep the full DO blocks
-      const statements = schemaSQL
-        .replace(/--.*$/gm, '') // Remove comments
-        .replace(/\n\s*\n/g, '\n') // Remove empty lines
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0);
-      
-      // Execute each statement
-      for (const statement of statements) {
-        if (statement.trim()) {
-          try {
-            await pool.query(statement);
-          } catch (error) {
-            // Skip common non-fatal errors
-            const skipErrors = [
-              'already exists',
-              'duplicate key',
-              'relation already exists',
-              'insert or update on table violates',
-              'notifications_enabled column',
-              'column does not exist',
-              'value already exists'
-            ];
-            
-            const shouldSkip = skipErrors.some(pattern =>
-              error.message.toLowerCase().includes(pattern.toLowerCase())
-            );
-            
-            if (shouldSkip) {
-              console.log(`ℹ️  Skipped: ${statement.substring(0, 50)}...`);
-            } else {
-              console.error(`❌ SQL Error: ${error.message}`);
-              console.error(`Statement: ${statement.substring(0, 100)}...`);
-              throw error;
-            }
-          }
-        }
-      }
-      
-    } catch (error) {
-      console.error('Error reading or executing schema:', error);
-      throw error;
-    }
-  }
-
   async seedDefaultData() {
     try {
       const bcrypt = require('bcryptjs');
@@ -136,9 +47,9 @@ class DatabaseInitializer {
         
         try {
           const insertResult = await pool.query(`
-            INSERT INTO users (name, email, password_hash, role, is_active) VALUES
-            ($1, $2, $3, $4, $5) RETURNING id
-          `, ['System Admin', 'admin@mydua.com', hashedPassword, 'admin', true]);
+            INSERT INTO users (name, email, password_hash, role, is_active, email_verified) VALUES
+            ($1, $2, $3, $4, $5, $6) RETURNING id
+          `, ['System Admin', 'admin@mydua.com', hashedPassword, 'admin', true, true]);
           
           const adminUser = insertResult.rows[0];
           
@@ -231,75 +142,20 @@ class DatabaseInitializer {
       throw error;
     }
   }
+}
 
-  async runMigrations() {
-    try {
-      console.log('🔄 Running database migrations...');
-      
-      // Check if dua_likes table exists and create it if missing
-      await this.ensureTableExists('dua_likes', `
-        CREATE TABLE IF NOT EXISTS dua_likes (
-          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-          dua_id UUID REFERENCES duas(id) ON DELETE CASCADE,
-          user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(dua_id, user_id)
-        );
-        
-        CREATE INDEX IF NOT EXISTS idx_dua_likes_dua_id ON dua_likes(dua_id);
-        CREATE INDEX IF NOT EXISTS idx_dua_likes_user_id ON dua_likes(user_id);
-      `);
+// Shared initialization promise so concurrent requests only run it once per process
+let initializationPromise = null;
 
-      // Run approval system migration
-      try {
-        const migrateApprovalSystem = require('../scripts/migrate-approval-system');
-        await migrateApprovalSystem();
-      } catch (migrationError) {
-        console.warn('⚠️  Approval system migration failed, continuing:', migrationError.message);
-      }
-      
-      console.log('✅ Database migrations completed');
-    } catch (error) {
-      console.error('Error running migrations:', error);
-      // Don't throw error for migration failures - let the app continue
-      console.log('⚠️  Some migrations may have failed, but app will continue');
-    }
+DatabaseInitializer.ensureInitialized = () => {
+  if (!initializationPromise) {
+    initializationPromise = new DatabaseInitializer().initialize().catch((error) => {
+      initializationPromise = null;
+      throw error;
+    });
   }
 
-  async ensureTableExists(tableName, createStatement) {
-    try {
-      // Check if table exists
-      const result = await pool.query(`
-        SELECT EXISTS (
-          SELECT FROM information_schema.tables 
-          WHERE table_schema = 'public' 
-          AND table_name = $1
-        );
-      `, [tableName]);
-      
-      if (!result.rows[0].exists) {
-        console.log(`📝 Creating missing table: ${tableName}`);
-        await pool.query(createStatement);
-        console.log(`✅ Table ${tableName} created successfully`);
-      } else {
-        console.log(`ℹ️  Table ${tableName} already exists`);
-      }
-    } catch (error) {
-      const skipErrors = [
-        'already exists', 'relation already exists', 'duplicate key'
-      ];
-      
-      const shouldSkip = skipErrors.some(pattern =>
-        error.message.toLowerCase().includes(pattern.toLowerCase())
-      );
-      
-      if (shouldSkip) {
-        console.log(`ℹ️  Skipped ${tableName} migration - already complete`);
-      } else {
-        throw error;
-      }
-    }
-  }
-}
+  return initializationPromise;
+};
 
 module.exports = DatabaseInitializer;
@@ -0,0 +1,14 @@
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS content_reports;
+DROP TABLE IF EXISTS dua_likes;
+DROP TABLE IF EXISTS user_preferences;
+DROP TABLE IF EXISTS ai_processing_queue;
+DROP TABLE IF EXISTS collection_items;
+DROP TABLE IF EXISTS user_collections;
+DROP TABLE IF EXISTS answers;
+DROP TABLE IF EXISTS questions;
+DROP TABLE IF EXISTS blogs;
+DROP TABLE IF EXISTS dua_category_relations;
+DROP TABLE IF EXISTS dua_categories;
+DROP TABLE IF EXISTS duas;
+DROP TABLE IF EXISTS users;
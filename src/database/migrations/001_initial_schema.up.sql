@@ -1,8 +1,9 @@
 -- MyDua Database Schema
 -- Islamic webapp for dua, zikr, supplication, and prayer management
-
--- Create tables with gen_random_uuid() (Available in PostgreSQL 13+)
--- If not available, app will gracefully handle this
+--
+-- Baseline schema. Every statement is idempotent so databases created before
+-- the migration ledger existed can record this migration without changes.
+-- Requires PostgreSQL 13+ for gen_random_uuid().
 
 -- Users table
 CREATE TABLE IF NOT EXISTS users (
@@ -75,6 +76,17 @@ CREATE TABLE IF NOT EXISTS blogs (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Columns added by the old approval-system script on pre-approval databases
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) DEFAULT 'pending'
+    CHECK (approval_status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20) DEFAULT 'pending'
+    CHECK (approval_status IN ('pending', 'approved', 'rejected'));
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS is_verified BOOLEAN DEFAULT false;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS verified_by UUID REFERENCES users(id);
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+
 -- Q&A Questions table
 CREATE TABLE IF NOT EXISTS questions (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -157,45 +169,6 @@ CREATE TABLE IF NOT EXISTS dua_likes (
     UNIQUE(dua_id, user_id)
 );
 
--- Create indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
-CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
-CREATE INDEX IF NOT EXISTS idx_duas_user_id ON duas(user_id);
-CREATE INDEX IF NOT EXISTS idx_duas_is_public ON duas(is_public);
-CREATE INDEX IF NOT EXISTS idx_duas_is_verified ON duas(is_verified);
-CREATE INDEX IF NOT EXISTS idx_blogs_author_id ON blogs(author_id);
-CREATE INDEX IF NOT EXISTS idx_blogs_is_published ON blogs(is_published);
-CREATE INDEX IF NOT EXISTS idx_questions_user_id ON questions(user_id);
-CREATE INDEX IF NOT EXISTS idx_questions_is_public ON questions(is_public);
-CREATE INDEX IF NOT EXISTS idx_answers_question_id ON answers(question_id);
-CREATE INDEX IF NOT EXISTS idx_answers_scholar_id ON answers(scholar_id);
-CREATE INDEX IF NOT EXISTS idx_ai_queue_status ON ai_processing_queue(status);
-CREATE INDEX IF NOT EXISTS idx_dua_likes_dua_id ON dua_likes(dua_id);
-CREATE INDEX IF NOT EXISTS idx_dua_likes_user_id ON dua_likes(user_id);
-CREATE INDEX IF NOT EXISTS idx_duas_approval_status ON duas(approval_status);
-CREATE INDEX IF NOT EXISTS idx_blogs_approval_status ON blogs(approval_status);
-CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
-CREATE INDEX IF NOT EXISTS idx_notifications_is_read ON notifications(is_read);
-CREATE INDEX IF NOT EXISTS idx_content_reports_status ON content_reports(status);
-
--- Insert default data only if tables are empty
--- Insert default categories
-INSERT INTO dua_categories (name, description)
-SELECT * FROM (
-    VALUES 
-    ('Morning Duas', 'Duas to be recited in the morning'),
-    ('Evening Duas', 'Duas to be recited in the evening'),
-    ('Prayer Duas', 'Duas related to Salah'),
-    ('Supplications', 'General supplications'),
-    ('Zikr', 'Remembrance of Allah'),
-    ('Protection Duas', 'Duas for protection and safety'),
-    ('Healing Duas', 'Duas for health and healing'),
-    ('Forgiveness Duas', 'Duas seeking forgiveness'),
-    ('Guidance Duas', 'Duas for guidance and wisdom'),
-    ('Gratitude Duas', 'Duas expressing gratitude')
-) AS v(name, description)
-WHERE NOT EXISTS (SELECT 1 FROM dua_categories WHERE name = v.name);
-
 -- Content reports table
 CREATE TABLE IF NOT EXISTS content_reports (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -223,9 +196,23 @@ CREATE TABLE IF NOT EXISTS notifications (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Insert default admin user only if no admin exists
-INSERT INTO users (name, email, password_hash, role)
-SELECT 'System Admin', 'admin@tadabbur.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'admin'
-WHERE NOT EXISTS (
-    SELECT 1 FROM users WHERE email = 'admin@tadabbur.com' OR role = 'admin'
-);
\ No newline at end of file
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_duas_user_id ON duas(user_id);
+CREATE INDEX IF NOT EXISTS idx_duas_is_public ON duas(is_public);
+CREATE INDEX IF NOT EXISTS idx_duas_is_verified ON duas(is_verified);
+CREATE INDEX IF NOT EXISTS idx_blogs_author_id ON blogs(author_id);
+CREATE INDEX IF NOT EXISTS idx_blogs_is_published ON blogs(is_published);
+CREATE INDEX IF NOT EXISTS idx_questions_user_id ON questions(user_id);
+CREATE INDEX IF NOT EXISTS idx_questions_is_public ON questions(is_public);
+CREATE INDEX IF NOT EXISTS idx_answers_question_id ON answers(question_id);
+CREATE INDEX IF NOT EXISTS idx_answers_scholar_id ON answers(scholar_id);
+CREATE INDEX IF NOT EXISTS idx_ai_queue_status ON ai_processing_queue(status);
+CREATE INDEX IF NOT EXISTS idx_dua_likes_dua_id ON dua_likes(dua_id);
+CREATE INDEX IF NOT EXISTS idx_dua_likes_user_id ON dua_likes(user_id);
+CREATE INDEX IF NOT EXISTS idx_duas_approval_status ON duas(approval_status);
+CREATE INDEX IF NOT EXISTS idx_blogs_approval_status ON blogs(approval_status);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_is_read ON notifications(is_read);
+CREATE INDEX IF NOT EXISTS idx_content_reports_status ON content_reports(status);
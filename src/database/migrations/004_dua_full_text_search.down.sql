@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS duas_search_document ON duas;
+DROP FUNCTION IF EXISTS refresh_dua_search_document();
+DROP TABLE IF EXISTS dua_search_documents;
+DROP FUNCTION IF EXISTS dua_search_document(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS normalize_arabic(TEXT);
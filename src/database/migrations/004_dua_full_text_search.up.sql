@@ -0,0 +1,52 @@
+-- Strip tashkeel, Quranic marks and tatweel, and fold alif/hamza/ya/ta marbuta
+-- variants so that "الرحمن" matches "الرَّحْمَٰنِ"
+CREATE OR REPLACE FUNCTION normalize_arabic(input TEXT) RETURNS TEXT AS $$
+    SELECT translate(
+        regexp_replace(COALESCE(input, ''), '[\u0610-\u061A\u064B-\u065F\u0670\u06D6-\u06ED\u0640]', '', 'g'),
+        'أإآٱؤئىة',
+        'ااااوييه'
+    );
+$$ LANGUAGE SQL IMMUTABLE PARALLEL SAFE;
+
+-- Weighted search document for a dua. English fields are stemmed; Arabic,
+-- transliteration and native (e.g. Bangla) text are indexed as-is with 'simple'.
+CREATE OR REPLACE FUNCTION dua_search_document(
+    title TEXT, purpose TEXT, arabic_text TEXT, transliteration TEXT,
+    english_meaning TEXT, native_meaning TEXT
+) RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+           setweight(to_tsvector('simple', COALESCE(title, '')), 'A') ||
+           setweight(to_tsvector('simple', normalize_arabic(arabic_text)), 'A') ||
+           setweight(to_tsvector('english', COALESCE(purpose, '')), 'B') ||
+           setweight(to_tsvector('english', COALESCE(english_meaning, '')), 'B') ||
+           setweight(to_tsvector('simple', COALESCE(transliteration, '')), 'C') ||
+           setweight(to_tsvector('simple', COALESCE(native_meaning, '')), 'C');
+$$ LANGUAGE SQL IMMUTABLE PARALLEL SAFE;
+
+-- Kept out of the duas table so SELECT d.* doesn't return the vector
+CREATE TABLE IF NOT EXISTS dua_search_documents (
+    dua_id UUID PRIMARY KEY REFERENCES duas(id) ON DELETE CASCADE,
+    document tsvector NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_dua_search_documents_document ON dua_search_documents USING GIN(document);
+
+CREATE OR REPLACE FUNCTION refresh_dua_search_document() RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO dua_search_documents (dua_id, document)
+    VALUES (NEW.id, dua_search_document(NEW.title, NEW.purpose, NEW.arabic_text, NEW.transliteration, NEW.english_meaning, NEW.native_meaning))
+    ON CONFLICT (dua_id) DO UPDATE SET document = EXCLUDED.document;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS duas_search_document ON duas;
+CREATE TRIGGER duas_search_document
+    AFTER INSERT OR UPDATE OF title, purpose, arabic_text, transliteration, english_meaning, native_meaning ON duas
+    FOR EACH ROW EXECUTE FUNCTION refresh_dua_search_document();
+
+-- Index existing duas
+INSERT INTO dua_search_documents (dua_id, document)
+SELECT id, dua_search_document(title, purpose, arabic_text, transliteration, english_meaning, native_meaning)
+FROM duas
+ON CONFLICT (dua_id) DO UPDATE SET document = EXCLUDED.document;
@@ -0,0 +1,43 @@
+-- Every edit to a dua is kept as a full snapshot plus a field-level diff
+-- against the previous revision
+CREATE TABLE IF NOT EXISTS dua_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    dua_id UUID NOT NULL REFERENCES duas(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'restore')),
+    edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    snapshot JSONB NOT NULL,
+    changes JSONB NOT NULL DEFAULT '{}',
+    restored_from INTEGER,
+    approved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(dua_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dua_revisions_dua_id ON dua_revisions(dua_id, revision_number DESC);
+
+-- Existing duas start with their current content as revision 1
+INSERT INTO dua_revisions (dua_id, revision_number, action, edited_by, snapshot, approved_by, approved_at, created_at)
+SELECT d.id, 1, 'create', d.user_id,
+       jsonb_build_object(
+           'title', d.title,
+           'purpose', d.purpose,
+           'arabic_text', d.arabic_text,
+           'english_meaning', d.english_meaning,
+           'transliteration', d.transliteration,
+           'native_meaning', d.native_meaning,
+           'source_reference', d.source_reference,
+           'is_public', d.is_public,
+           'categories', COALESCE((
+               SELECT jsonb_agg(dc.name ORDER BY dc.name)
+               FROM dua_category_relations dcr
+               JOIN dua_categories dc ON dcr.category_id = dc.id
+               WHERE dcr.dua_id = d.id
+           ), '[]'::jsonb)
+       ),
+       CASE WHEN d.approval_status = 'approved' THEN d.verified_by END,
+       CASE WHEN d.approval_status = 'approved' THEN COALESCE(d.verified_at, d.updated_at) END,
+       d.updated_at
+FROM duas d
+WHERE NOT EXISTS (SELECT 1 FROM dua_revisions r WHERE r.dua_id = d.id);
@@ -0,0 +1,4 @@
+DROP INDEX IF EXISTS idx_collection_items_order;
+DROP INDEX IF EXISTS idx_user_collections_public;
+DROP INDEX IF EXISTS idx_user_collections_user_id;
+ALTER TABLE user_collections DROP COLUMN IF EXISTS copied_from_id;
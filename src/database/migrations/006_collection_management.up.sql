@@ -0,0 +1,15 @@
+-- Track where a copied collection came from
+ALTER TABLE user_collections ADD COLUMN IF NOT EXISTS copied_from_id UUID REFERENCES user_collections(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_user_collections_user_id ON user_collections(user_id);
+CREATE INDEX IF NOT EXISTS idx_user_collections_public ON user_collections(updated_at DESC) WHERE is_public = true;
+CREATE INDEX IF NOT EXISTS idx_collection_items_order ON collection_items(collection_id, order_index);
+
+-- Items were all added with order_index 0; keep their insertion order
+UPDATE collection_items ci
+SET order_index = ordered.position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (PARTITION BY collection_id ORDER BY created_at, id) - 1 AS position
+    FROM collection_items
+) ordered
+WHERE ci.id = ordered.id;
@@ -0,0 +1,5 @@
+DROP TRIGGER IF EXISTS notifications_created ON notifications;
+DROP FUNCTION IF EXISTS notify_notification_created();
+DROP INDEX IF EXISTS idx_notifications_user_event_seq;
+DROP INDEX IF EXISTS idx_notifications_event_seq;
+ALTER TABLE notifications DROP COLUMN IF EXISTS event_seq;
@@ -0,0 +1,22 @@
+-- Monotonic sequence used as the SSE event id, so clients can resume with Last-Event-ID
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS event_seq BIGSERIAL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_event_seq ON notifications(event_seq);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_event_seq ON notifications(user_id, event_seq);
+
+-- Announce new notifications to every app instance listening on the channel.
+-- The payload only carries ids; listeners load the rows themselves.
+CREATE OR REPLACE FUNCTION notify_notification_created() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_notify('notifications', json_build_object(
+        'user_id', NEW.user_id,
+        'event_seq', NEW.event_seq
+    )::text);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notifications_created ON notifications;
+CREATE TRIGGER notifications_created
+    AFTER INSERT ON notifications
+    FOR EACH ROW EXECUTE FUNCTION notify_notification_created();
@@ -0,0 +1,16 @@
+DROP INDEX IF EXISTS idx_ai_queue_content;
+DROP INDEX IF EXISTS idx_ai_queue_leases;
+DROP INDEX IF EXISTS idx_ai_queue_claimable;
+
+UPDATE ai_processing_queue SET status = 'failed' WHERE status = 'dead';
+ALTER TABLE ai_processing_queue DROP CONSTRAINT IF EXISTS ai_processing_queue_status_check;
+ALTER TABLE ai_processing_queue ADD CONSTRAINT ai_processing_queue_status_check
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed'));
+
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS started_at;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS locked_by;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS run_after;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS max_attempts;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS attempts;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS priority;
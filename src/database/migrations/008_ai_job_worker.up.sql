@@ -0,0 +1,20 @@
+-- Retry, lease and scheduling columns for the Postgres-backed AI worker
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS priority SMALLINT NOT NULL DEFAULT 2;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS run_after TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS locked_by VARCHAR(255);
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS started_at TIMESTAMP;
+
+-- 'dead' holds jobs that used up all their attempts
+ALTER TABLE ai_processing_queue DROP CONSTRAINT IF EXISTS ai_processing_queue_status_check;
+ALTER TABLE ai_processing_queue ADD CONSTRAINT ai_processing_queue_status_check
+    CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'dead'));
+
+-- Rows stuck in 'processing' from the old inline path have no lease; let the worker retry them
+UPDATE ai_processing_queue SET status = 'pending' WHERE status = 'processing' AND locked_until IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_queue_claimable ON ai_processing_queue(priority, run_after, created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_ai_queue_leases ON ai_processing_queue(locked_until) WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_ai_queue_content ON ai_processing_queue(content_type, content_id, created_at DESC);
@@ -0,0 +1,15 @@
+-- Model outputs that failed JSON parsing or schema validation, kept for debugging
+CREATE TABLE IF NOT EXISTS ai_invalid_outputs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(50) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    content_id UUID,
+    attempt SMALLINT NOT NULL DEFAULT 1,
+    prompt TEXT NOT NULL,
+    raw_output TEXT,
+    errors JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_invalid_outputs_created ON ai_invalid_outputs(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_invalid_outputs_content ON ai_invalid_outputs(content_type, content_id);
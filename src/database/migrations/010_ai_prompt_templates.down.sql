@@ -0,0 +1,3 @@
+ALTER TABLE ai_invalid_outputs DROP COLUMN IF EXISTS prompt_version;
+ALTER TABLE ai_processing_queue DROP COLUMN IF EXISTS prompt_version;
+DROP TABLE IF EXISTS ai_prompt_templates;
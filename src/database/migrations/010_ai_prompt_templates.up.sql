@@ -0,0 +1,14 @@
+-- Versioned prompt templates per content type, synced from src/services/ai/prompts
+CREATE TABLE IF NOT EXISTS ai_prompt_templates (
+    id SERIAL PRIMARY KEY,
+    content_type VARCHAR(50) NOT NULL CHECK (content_type IN ('dua', 'blog', 'question', 'answer')),
+    version INTEGER NOT NULL,
+    template TEXT NOT NULL,
+    output_schema JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (content_type, version)
+);
+
+-- Which template version produced a result (NULL for results from before templates)
+ALTER TABLE ai_processing_queue ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
+ALTER TABLE ai_invalid_outputs ADD COLUMN IF NOT EXISTS prompt_version INTEGER;
@@ -0,0 +1,6 @@
+UPDATE dua_revisions SET action = 'update' WHERE action = 'ai_correction';
+ALTER TABLE dua_revisions DROP CONSTRAINT IF EXISTS dua_revisions_action_check;
+ALTER TABLE dua_revisions ADD CONSTRAINT dua_revisions_action_check
+    CHECK (action IN ('create', 'update', 'restore'));
+
+DROP TABLE IF EXISTS dua_ai_corrections;
@@ -0,0 +1,26 @@
+-- Individual AI corrections for a dua, so each can be accepted or dismissed
+CREATE TABLE IF NOT EXISTS dua_ai_corrections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    dua_id UUID NOT NULL REFERENCES duas(id) ON DELETE CASCADE,
+    field VARCHAR(50) NOT NULL,
+    issue_english TEXT,
+    issue_bangla TEXT,
+    suggestion_english TEXT,
+    suggestion_bangla TEXT,
+    -- The field's value when the analysis ran; accepting is refused once it has changed
+    original_value TEXT,
+    prompt_version INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'dismissed', 'superseded')),
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    revision_number INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_dua_ai_corrections_dua ON dua_ai_corrections(dua_id, status);
+
+-- Revisions created by accepting an AI correction
+ALTER TABLE dua_revisions DROP CONSTRAINT IF EXISTS dua_revisions_action_check;
+ALTER TABLE dua_revisions ADD CONSTRAINT dua_revisions_action_check
+    CHECK (action IN ('create', 'update', 'restore', 'ai_correction'));
@@ -0,0 +1,15 @@
+-- Analyses keyed by a hash of the prompt (analyzed fields + template version) and model
+CREATE TABLE IF NOT EXISTS ai_analysis_cache (
+    cache_key CHAR(64) PRIMARY KEY,
+    content_type VARCHAR(50) NOT NULL,
+    prompt_version INTEGER NOT NULL,
+    provider VARCHAR(50) NOT NULL,
+    model TEXT NOT NULL,
+    result JSONB NOT NULL,
+    hit_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_hit_at TIMESTAMP,
+    expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_analysis_cache_expires ON ai_analysis_cache(expires_at);
@@ -0,0 +1,23 @@
+-- One row per provider call (or cache hit), for quotas and cost reporting.
+-- Calls made for the same analysis share a request_id.
+CREATE TABLE IF NOT EXISTS ai_usage (
+    id BIGSERIAL PRIMARY KEY,
+    request_id UUID NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('draft', 'queue')),
+    content_type VARCHAR(50) NOT NULL,
+    content_id UUID,
+    provider VARCHAR(50) NOT NULL,
+    model TEXT,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'invalid', 'error', 'cached')),
+    prompt_tokens INTEGER NOT NULL DEFAULT 0,
+    completion_tokens INTEGER NOT NULL DEFAULT 0,
+    total_tokens INTEGER NOT NULL DEFAULT 0,
+    -- Providers that don't report usage get an estimate from the text length
+    tokens_estimated BOOLEAN NOT NULL DEFAULT false,
+    latency_ms INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_user_created ON ai_usage(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
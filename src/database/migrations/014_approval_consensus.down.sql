@@ -0,0 +1,17 @@
+DELETE FROM notifications WHERE type = 'escalation';
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system'));
+
+DROP INDEX IF EXISTS idx_blogs_escalated;
+DROP INDEX IF EXISTS idx_duas_escalated;
+
+ALTER TABLE blogs DROP COLUMN IF EXISTS escalated_at;
+ALTER TABLE blogs DROP COLUMN IF EXISTS verification_count;
+ALTER TABLE blogs DROP COLUMN IF EXISTS review_round;
+
+ALTER TABLE duas DROP COLUMN IF EXISTS escalated_at;
+ALTER TABLE duas DROP COLUMN IF EXISTS verification_count;
+ALTER TABLE duas DROP COLUMN IF EXISTS review_round;
+
+DROP TABLE IF EXISTS approval_votes;
@@ -0,0 +1,39 @@
+-- Reviewer votes on content awaiting approval. Content starts a new review round
+-- each time it is resubmitted, so earlier votes no longer count.
+CREATE TABLE IF NOT EXISTS approval_votes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('dua', 'blog')),
+    content_id UUID NOT NULL,
+    review_round INTEGER NOT NULL DEFAULT 1,
+    reviewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- Role at the time of the vote; only managers and admins settle escalations
+    reviewer_role VARCHAR(20) NOT NULL,
+    vote VARCHAR(10) NOT NULL CHECK (vote IN ('approve', 'reject')),
+    notes TEXT,
+    -- A manager's final decision on escalated content
+    is_ruling BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (content_type, content_id, review_round, reviewer_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_approval_votes_content ON approval_votes(content_type, content_id, review_round);
+
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS review_round INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS verification_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS review_round INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS verification_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+
+-- Content verified before votes were recorded was signed off by one reviewer
+UPDATE duas SET verification_count = 1 WHERE is_verified = true;
+UPDATE blogs SET verification_count = 1 WHERE is_verified = true;
+
+CREATE INDEX IF NOT EXISTS idx_duas_escalated ON duas(escalated_at) WHERE escalated_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_blogs_escalated ON blogs(escalated_at) WHERE escalated_at IS NOT NULL;
+
+-- Managers are notified when reviewers disagree
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation'));
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS reviewer_expertise;
+DROP TABLE IF EXISTS review_assignments;
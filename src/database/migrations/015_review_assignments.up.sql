@@ -0,0 +1,30 @@
+-- Reviewers claim content from the approval queue so two of them don't review
+-- it at the same time. A claim holds an expiring lock on the content.
+CREATE TABLE IF NOT EXISTS review_assignments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('dua', 'blog')),
+    content_id UUID NOT NULL,
+    review_round INTEGER NOT NULL DEFAULT 1,
+    reviewer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    -- The manager who assigned it; NULL when the reviewer claimed it themselves
+    assigned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'claim' CHECK (source IN ('claim', 'auto', 'reassign')),
+    status VARCHAR(20) NOT NULL DEFAULT 'active'
+        CHECK (status IN ('active', 'completed', 'released', 'expired', 'reassigned')),
+    expires_at TIMESTAMP NOT NULL,
+    ended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one reviewer holds a piece of content at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_assignments_active
+    ON review_assignments(content_type, content_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_review_assignments_reviewer ON review_assignments(reviewer_id, status);
+
+-- Dua categories a reviewer is knowledgeable in; auto-assignment prefers them
+CREATE TABLE IF NOT EXISTS reviewer_expertise (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category_id UUID NOT NULL REFERENCES dua_categories(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, category_id)
+);
@@ -0,0 +1,4 @@
+DROP TRIGGER IF EXISTS moderation_audit_log_no_truncate ON moderation_audit_log;
+DROP TRIGGER IF EXISTS moderation_audit_log_append_only ON moderation_audit_log;
+DROP TABLE IF EXISTS moderation_audit_log;
+DROP FUNCTION IF EXISTS prevent_audit_log_changes();
@@ -0,0 +1,39 @@
+-- Append-only record of moderation actions: who did what to which target, the
+-- target's state before and after, and why. Actor details are copied rather
+-- than referenced so entries survive the actor's account being deleted.
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id UUID,
+    actor_name VARCHAR(255),
+    actor_role VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    target_type VARCHAR(20) NOT NULL,
+    target_id UUID NOT NULL,
+    before_state JSONB,
+    after_state JSONB,
+    reason TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_created ON moderation_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_target ON moderation_audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_actor ON moderation_audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_action ON moderation_audit_log(action, created_at DESC);
+
+-- Entries can be added but never changed or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes() RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'moderation_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS moderation_audit_log_append_only ON moderation_audit_log;
+CREATE TRIGGER moderation_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON moderation_audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS moderation_audit_log_no_truncate ON moderation_audit_log;
+CREATE TRIGGER moderation_audit_log_no_truncate
+    BEFORE TRUNCATE ON moderation_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_changes();
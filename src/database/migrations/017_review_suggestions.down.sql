@@ -0,0 +1,30 @@
+DELETE FROM notifications WHERE type IN ('changes_requested', 'review_comment');
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation'));
+
+UPDATE review_assignments SET source = 'reassign' WHERE source = 'returned';
+ALTER TABLE review_assignments DROP CONSTRAINT IF EXISTS review_assignments_source_check;
+ALTER TABLE review_assignments ADD CONSTRAINT review_assignments_source_check
+    CHECK (source IN ('claim', 'auto', 'reassign'));
+
+UPDATE dua_revisions SET action = 'update' WHERE action = 'review_suggestion';
+ALTER TABLE dua_revisions DROP CONSTRAINT IF EXISTS dua_revisions_action_check;
+ALTER TABLE dua_revisions ADD CONSTRAINT dua_revisions_action_check
+    CHECK (action IN ('create', 'update', 'restore', 'ai_correction'));
+
+DROP TABLE IF EXISTS review_comments;
+DROP TABLE IF EXISTS review_suggestions;
+
+ALTER TABLE blogs DROP COLUMN IF EXISTS changes_requested_by;
+ALTER TABLE duas DROP COLUMN IF EXISTS changes_requested_by;
+
+UPDATE blogs SET approval_status = 'pending' WHERE approval_status = 'changes_requested';
+ALTER TABLE blogs DROP CONSTRAINT IF EXISTS blogs_approval_status_check;
+ALTER TABLE blogs ADD CONSTRAINT blogs_approval_status_check
+    CHECK (approval_status IN ('pending', 'approved', 'rejected'));
+
+UPDATE duas SET approval_status = 'pending' WHERE approval_status = 'changes_requested';
+ALTER TABLE duas DROP CONSTRAINT IF EXISTS duas_approval_status_check;
+ALTER TABLE duas ADD CONSTRAINT duas_approval_status_check
+    CHECK (approval_status IN ('pending', 'approved', 'rejected'));
@@ -0,0 +1,62 @@
+-- Reviewers can send pending content back to its author with concrete field
+-- edits instead of approving or rejecting it outright
+ALTER TABLE duas DROP CONSTRAINT IF EXISTS duas_approval_status_check;
+ALTER TABLE duas ADD CONSTRAINT duas_approval_status_check
+    CHECK (approval_status IN ('pending', 'changes_requested', 'approved', 'rejected'));
+
+ALTER TABLE blogs DROP CONSTRAINT IF EXISTS blogs_approval_status_check;
+ALTER TABLE blogs ADD CONSTRAINT blogs_approval_status_check
+    CHECK (approval_status IN ('pending', 'changes_requested', 'approved', 'rejected'));
+
+-- The reviewer who asked for changes gets the content back once they are made
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS changes_requested_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS changes_requested_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- A reviewer's proposed value for one field, accepted or rejected by the author
+CREATE TABLE IF NOT EXISTS review_suggestions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('dua', 'blog')),
+    content_id UUID NOT NULL,
+    review_round INTEGER NOT NULL,
+    reviewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    field VARCHAR(50) NOT NULL,
+    -- The field's value when the suggestion was made; accepting is refused once it has changed
+    original_value TEXT,
+    suggested_value TEXT NOT NULL,
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'rejected', 'superseded')),
+    response TEXT,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_suggestions_content ON review_suggestions(content_type, content_id, status);
+
+-- Discussion between reviewers and the author; replies point at their parent
+CREATE TABLE IF NOT EXISTS review_comments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_type VARCHAR(20) NOT NULL CHECK (content_type IN ('dua', 'blog')),
+    content_id UUID NOT NULL,
+    parent_id UUID REFERENCES review_comments(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_comments_content ON review_comments(content_type, content_id, created_at);
+
+-- Revisions created by accepting a reviewer's suggestion
+ALTER TABLE dua_revisions DROP CONSTRAINT IF EXISTS dua_revisions_action_check;
+ALTER TABLE dua_revisions ADD CONSTRAINT dua_revisions_action_check
+    CHECK (action IN ('create', 'update', 'restore', 'ai_correction', 'review_suggestion'));
+
+-- Content returned to the reviewer who requested changes
+ALTER TABLE review_assignments DROP CONSTRAINT IF EXISTS review_assignments_source_check;
+ALTER TABLE review_assignments ADD CONSTRAINT review_assignments_source_check
+    CHECK (source IN ('claim', 'auto', 'reassign', 'returned'));
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment'));
@@ -0,0 +1,16 @@
+ALTER TABLE user_collections DROP COLUMN IF EXISTS is_hidden;
+ALTER TABLE answers DROP COLUMN IF EXISTS is_hidden;
+ALTER TABLE questions DROP COLUMN IF EXISTS is_hidden;
+ALTER TABLE blogs DROP COLUMN IF EXISTS is_hidden;
+ALTER TABLE duas DROP COLUMN IF EXISTS is_hidden;
+
+DROP INDEX IF EXISTS idx_content_reports_target;
+
+ALTER TABLE content_reports DROP COLUMN IF EXISTS resolved_at;
+ALTER TABLE content_reports DROP COLUMN IF EXISTS resolved_by;
+ALTER TABLE content_reports DROP COLUMN IF EXISTS action_taken;
+
+DELETE FROM content_reports WHERE content_type NOT IN ('dua', 'blog');
+ALTER TABLE content_reports DROP CONSTRAINT IF EXISTS content_reports_content_type_check;
+ALTER TABLE content_reports ADD CONSTRAINT content_reports_content_type_check
+    CHECK (content_type IN ('dua', 'blog'));
@@ -0,0 +1,19 @@
+-- Anything a user publishes can be reported, as can user accounts themselves
+ALTER TABLE content_reports DROP CONSTRAINT IF EXISTS content_reports_content_type_check;
+ALTER TABLE content_reports ADD CONSTRAINT content_reports_content_type_check
+    CHECK (content_type IN ('dua', 'blog', 'question', 'answer', 'collection', 'user'));
+
+-- What the resolving admin did to the reported content, if anything
+ALTER TABLE content_reports ADD COLUMN IF NOT EXISTS action_taken VARCHAR(20)
+    CHECK (action_taken IN ('hide', 'delete', 'pending'));
+ALTER TABLE content_reports ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE content_reports ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_content_reports_target ON content_reports(content_type, content_id, status);
+
+-- Hidden content stays visible to its owner but is left out of every public view
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE user_collections ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
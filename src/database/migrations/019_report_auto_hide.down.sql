@@ -0,0 +1,21 @@
+DELETE FROM notifications WHERE type = 'content_hidden' OR content_type NOT IN ('dua', 'blog');
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_content_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_content_type_check
+    CHECK (content_type IN ('dua', 'blog'));
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment'));
+
+ALTER TABLE user_collections DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE user_collections DROP COLUMN IF EXISTS hidden_reason;
+ALTER TABLE answers DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE answers DROP COLUMN IF EXISTS hidden_reason;
+ALTER TABLE questions DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE questions DROP COLUMN IF EXISTS hidden_reason;
+ALTER TABLE blogs DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE blogs DROP COLUMN IF EXISTS hidden_reason;
+ALTER TABLE duas DROP COLUMN IF EXISTS hidden_at;
+ALTER TABLE duas DROP COLUMN IF EXISTS hidden_reason;
+
+ALTER TABLE content_reports DROP COLUMN IF EXISTS weight;
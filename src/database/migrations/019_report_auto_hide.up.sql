@@ -0,0 +1,33 @@
+-- How much each report counted towards hiding its target, fixed when it was
+-- filed from the reporter's role and track record
+ALTER TABLE content_reports ADD COLUMN IF NOT EXISTS weight NUMERIC(6, 2) NOT NULL DEFAULT 1;
+
+-- Why content is hidden: automatically once its reports crossed the threshold
+-- (until a moderator reviews them), or by a moderator resolving a report
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20) CHECK (hidden_reason IN ('reports', 'moderator'));
+ALTER TABLE duas ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20) CHECK (hidden_reason IN ('reports', 'moderator'));
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20) CHECK (hidden_reason IN ('reports', 'moderator'));
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20) CHECK (hidden_reason IN ('reports', 'moderator'));
+ALTER TABLE answers ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+ALTER TABLE user_collections ADD COLUMN IF NOT EXISTS hidden_reason VARCHAR(20) CHECK (hidden_reason IN ('reports', 'moderator'));
+ALTER TABLE user_collections ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMP;
+
+-- Everything hidden so far was hidden by a moderator
+UPDATE duas SET hidden_reason = 'moderator', hidden_at = updated_at WHERE is_hidden = true;
+UPDATE blogs SET hidden_reason = 'moderator', hidden_at = updated_at WHERE is_hidden = true;
+UPDATE questions SET hidden_reason = 'moderator', hidden_at = updated_at WHERE is_hidden = true;
+UPDATE answers SET hidden_reason = 'moderator', hidden_at = updated_at WHERE is_hidden = true;
+UPDATE user_collections SET hidden_reason = 'moderator', hidden_at = updated_at WHERE is_hidden = true;
+
+-- Authors and moderators hear about automatically hidden content, whatever its type
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment',
+                    'content_hidden'));
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_content_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_content_type_check
+    CHECK (content_type IN ('dua', 'blog', 'question', 'answer', 'collection', 'user'));
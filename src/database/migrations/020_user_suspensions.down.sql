@@ -0,0 +1,11 @@
+DELETE FROM notifications WHERE type IN ('suspension', 'appeal');
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment',
+                    'content_hidden'));
+
+ALTER TABLE users DROP COLUMN IF EXISTS deactivated_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deactivation_reason;
+
+DROP TABLE IF EXISTS suspension_appeals;
+DROP TABLE IF EXISTS user_suspensions;
@@ -0,0 +1,43 @@
+-- Time-limited restrictions on an account. A full suspension blocks every
+-- request except appeals; posting blocks creating and editing content; qa
+-- blocks asking and answering questions. A suspension stops applying once it
+-- expires or is lifted, so nothing has to run to end it.
+CREATE TABLE IF NOT EXISTS user_suspensions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope VARCHAR(20) NOT NULL CHECK (scope IN ('full', 'posting', 'qa')),
+    reason TEXT NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    lifted_at TIMESTAMP,
+    lifted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    lift_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_suspensions_active ON user_suspensions(user_id, expires_at) WHERE lifted_at IS NULL;
+
+-- A suspended user's request to have their suspension reviewed by a manager,
+-- one per suspension
+CREATE TABLE IF NOT EXISTS suspension_appeals (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    suspension_id UUID NOT NULL UNIQUE REFERENCES user_suspensions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'upheld', 'overturned')),
+    decided_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    decision_notes TEXT,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_suspension_appeals_status ON suspension_appeals(status, created_at);
+
+-- Deactivated users are told why when they try to sign in
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivation_reason TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMP;
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment',
+                    'content_hidden', 'suspension', 'appeal'));
@@ -0,0 +1,11 @@
+DELETE FROM notifications WHERE type = 'new_answer';
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment',
+                    'content_hidden', 'suspension', 'appeal'));
+
+DROP TABLE IF EXISTS notification_deliveries;
+
+ALTER TABLE user_preferences DROP COLUMN IF EXISTS email_notifications;
+
+DROP TABLE IF EXISTS notification_preferences;
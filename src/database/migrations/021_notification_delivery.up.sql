@@ -0,0 +1,39 @@
+-- Email settings per notification type. Types without a row use the defaults
+-- in deliveryService; 'off' stops emails of that type.
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    email VARCHAR(20) NOT NULL CHECK (email IN ('off', 'immediate', 'daily', 'weekly')),
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, type)
+);
+
+-- Turns every notification email off at once; notifications_enabled turns
+-- off delivery outside the app entirely
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS email_notifications BOOLEAN DEFAULT true;
+
+-- One row per notification sent, or waiting to be sent, outside the app.
+-- Immediate deliveries go out when the notification is created and are retried
+-- until max attempts; daily and weekly ones wait for the digest run.
+CREATE TABLE IF NOT EXISTS notification_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    notification_id UUID NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('email')),
+    schedule VARCHAR(20) NOT NULL CHECK (schedule IN ('immediate', 'daily', 'weekly')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (notification_id, channel)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_deliveries_pending
+    ON notification_deliveries(channel, schedule, next_attempt_at) WHERE status = 'pending';
+
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_type_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_type_check
+    CHECK (type IN ('approval', 'rejection', 'role_change', 'system', 'escalation', 'changes_requested', 'review_comment',
+                    'content_hidden', 'suspension', 'appeal', 'new_answer'));
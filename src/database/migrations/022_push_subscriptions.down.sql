@@ -0,0 +1,7 @@
+DELETE FROM notification_deliveries WHERE channel = 'push';
+ALTER TABLE notification_deliveries DROP CONSTRAINT IF EXISTS notification_deliveries_channel_check;
+ALTER TABLE notification_deliveries ADD CONSTRAINT notification_deliveries_channel_check
+    CHECK (channel IN ('email'));
+
+DROP TABLE IF EXISTS vapid_keys;
+DROP TABLE IF EXISTS push_subscriptions;
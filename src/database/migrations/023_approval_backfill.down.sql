@@ -0,0 +1,3 @@
+-- Approved content can't be told apart from content approved by the backfill,
+-- so rolling back leaves approval statuses as they are
+SELECT 1;
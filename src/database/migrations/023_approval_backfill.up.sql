@@ -0,0 +1,20 @@
+-- The old approval-system script approved content that was already public when
+-- approvals were introduced. Databases adopted by the migrations without running
+-- it have every public dua and published blog stuck in pending.
+--
+-- Only runs where approvals were never used: no votes cast and nothing approved
+-- or rejected yet. Elsewhere, public content that is pending is awaiting review.
+-- One statement, so both updates check the database as it was before either ran.
+WITH never_reviewed AS (
+    SELECT NOT EXISTS (SELECT 1 FROM approval_votes)
+       AND NOT EXISTS (SELECT 1 FROM duas WHERE approval_status <> 'pending')
+       AND NOT EXISTS (SELECT 1 FROM blogs WHERE approval_status <> 'pending') AS backfill
+), approved_duas AS (
+    UPDATE duas SET approval_status = 'approved'
+    WHERE is_public = true AND approval_status = 'pending'
+      AND (SELECT backfill FROM never_reviewed)
+    RETURNING id
+)
+UPDATE blogs SET approval_status = 'approved'
+WHERE is_published = true AND approval_status = 'pending'
+  AND (SELECT backfill FROM never_reviewed);
@@ -0,0 +1,2 @@
+-- Duplicate reports removed by the up migration are not restored
+DROP INDEX IF EXISTS idx_content_reports_reporter;
@@ -0,0 +1,11 @@
+-- One report per reporter and item, so repeated or concurrent reports can't stack
+-- one account's weight. Keep each reporter's earliest report about an item.
+DELETE FROM content_reports later
+USING content_reports earlier
+WHERE later.content_type = earlier.content_type
+  AND later.content_id = earlier.content_id
+  AND later.reporter_id = earlier.reporter_id
+  AND (later.created_at, later.id) > (earlier.created_at, earlier.id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_content_reports_reporter
+    ON content_reports(content_type, content_id, reporter_id);
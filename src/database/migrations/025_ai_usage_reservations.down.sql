@@ -0,0 +1,5 @@
+DELETE FROM ai_usage WHERE status = 'reserved';
+
+ALTER TABLE ai_usage DROP CONSTRAINT IF EXISTS ai_usage_status_check;
+ALTER TABLE ai_usage ADD CONSTRAINT ai_usage_status_check
+    CHECK (status IN ('success', 'invalid', 'error', 'cached'));
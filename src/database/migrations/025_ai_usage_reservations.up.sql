@@ -0,0 +1,5 @@
+-- Draft analyses reserve a row against the user's quota before any model is
+-- called; it is deleted once the request ends, leaving the calls it recorded
+ALTER TABLE ai_usage DROP CONSTRAINT IF EXISTS ai_usage_status_check;
+ALTER TABLE ai_usage ADD CONSTRAINT ai_usage_status_check
+    CHECK (status IN ('success', 'invalid', 'error', 'cached', 'reserved'));
@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS notifications_event_seq ON notifications;
+DROP FUNCTION IF EXISTS assign_notification_event_seq();
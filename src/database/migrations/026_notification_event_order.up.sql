@@ -0,0 +1,17 @@
+-- event_seq was drawn when a row was inserted, so a notification could commit
+-- after one with a higher event_seq; a stream whose cursor had already moved past
+-- it would never send it, even on reconnect. Assign event_seq under an advisory
+-- lock held until the inserting transaction ends instead: the next insert waits
+-- for it to commit or roll back, so event_seq order is commit order.
+CREATE OR REPLACE FUNCTION assign_notification_event_seq() RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(72616403);
+    NEW.event_seq := nextval(pg_get_serial_sequence('notifications', 'event_seq'));
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS notifications_event_seq ON notifications;
+CREATE TRIGGER notifications_event_seq
+    BEFORE INSERT ON notifications
+    FOR EACH ROW EXECUTE FUNCTION assign_notification_event_seq();
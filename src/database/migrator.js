@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const pool = require('./connection');
+
+// Application-wide key for pg_advisory_lock so only one instance migrates at a time
+const MIGRATION_LOCK_KEY = 72616401;
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+class Migrator {
+  constructor(options = {}) {
+    this.pool = options.pool || pool;
+    this.migrationsDir = options.migrationsDir || path.join(__dirname, 'migrations');
+  }
+
+  // Read numbered up/down files from the migrations directory, sorted by version
+  loadMigrations() {
+    const files = fs.readdirSync(this.migrationsDir);
+    const migrations = new Map();
+
+    for (const file of files) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) {
+        continue;
+      }
+
+      const [, versionText, name, direction] = match;
+      const version = parseInt(versionText, 10);
+      const existing = migrations.get(version);
+
+      if (existing && existing.name !== name) {
+        throw new Error(`Duplicate migration version ${version}: ${existing.name} and ${name}`);
+      }
+
+      const migration = existing || { version, name, upPath: null, downPath: null };
+      migration[`${direction}Path`] = path.join(this.migrationsDir, file);
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .map(migration => {
+        if (!migration.upPath) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no up script`);
+        }
+
+        const upSQL = fs.readFileSync(migration.upPath, 'utf8');
+        return {
+          ...migration,
+          checksum: crypto.createHash('sha256').update(upSQL).digest('hex')
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+  }
+
+  async ensureLedger(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async getAppliedMigrations(client) {
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  // Run fn with a dedicated client that holds the migration advisory lock
+  async withLock(fn) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+
+      try {
+        await this.ensureLedger(client);
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  verifyChecksums(migrations, applied) {
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    for (const row of applied) {
+      const migration = byVersion.get(row.version);
+      if (migration && migration.checksum !== row.checksum) {
+        throw new Error(`Migration ${row.version}_${row.name} was modified after it was applied`);
+      }
+    }
+  }
+
+  // Apply every pending migration (or up to options.to) and return the ones applied
+  async migrate(options = {}) {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getAppliedMigrations(client);
+      this.verifyChecksums(migrations, applied);
+
+      const appliedVersions = new Set(applied.map(row => row.version));
+      const pending = migrations.filter(migration =>
+        !appliedVersions.has(migration.version) &&
+        (options.to === undefined || migration.version <= options.to)
+      );
+
+      for (const migration of pending) {
+        console.log(`📝 Applying migration ${migration.version}_${migration.name}...`);
+        const sql = fs.readFileSync(migration.upPath, 'utf8');
+
+        await client.query('BEGIN');
+        try {
+          await client.query(sql);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+            [migration.version, migration.name, migration.checksum]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+          throw error;
+        }
+
+        console.log(`✅ Applied migration ${migration.version}_${migration.name}`);
+      }
+
+      return pending;
+    });
+  }
+
+  // Revert the most recently applied migrations (one by default)
+  async rollback(options = {}) {
+    const steps = options.steps || 1;
+    const migrations = this.loadMigrations();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    return this.withLock(async (client) => {
+      const applied = await this.getAppliedMigrations(client);
+      const toRevert = applied.slice(-steps).reverse();
+      const reverted = [];
+
+      for (const row of toRevert) {
+        const migration = byVersion.get(row.version);
+        if (!migration) {
+          throw new Error(`Migration ${row.version}_${row.name} is applied but its files are missing`);
+        }
+        if (!migration.downPath) {
+          throw new Error(`Migration ${row.version}_${row.name} has no down script`);
+        }
+
+        console.log(`📝 Reverting migration ${migration.version}_${migration.name}...`);
+        const sql = fs.readFileSync(migration.downPath, 'utf8');
+
+        await client.query('BEGIN');
+        try {
+          await client.query(sql);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          error.message = `Rollback of ${migration.version}_${migration.name} failed: ${error.message}`;
+          throw error;
+        }
+
+        console.log(`✅ Reverted migration ${migration.version}_${migration.name}`);
+        reverted.push(migration);
+      }
+
+      return reverted;
+    });
+  }
+
+  // List every known migration with its applied state
+  async status() {
+    const migrations = this.loadMigrations();
+
+    return this.withLock(async (client) => {
+      const applied = await this.getAppliedMigrations(client);
+      const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+      const rows = migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          applied: !!row,
+          applied_at: row ? row.applied_at : null,
+          modified: !!row && row.checksum !== migration.checksum
+        };
+      });
+
+      // Applied versions whose files no longer exist
+      for (const row of applied) {
+        if (!migrations.some(migration => migration.version === row.version)) {
+          rows.push({
+            version: row.version,
+            name: row.name,
+            applied: true,
+            applied_at: row.applied_at,
+            modified: false,
+            missing: true
+          });
+        }
+      }
+
+      return rows.sort((a, b) => a.version - b.version);
+    });
+  }
+}
+
+module.exports = Migrator;
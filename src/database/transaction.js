@@ -0,0 +1,21 @@
+const pool = require('./connection');
+
+// Run fn(client) inside a transaction on one pooled connection. Commits what fn
+// did when it resolves and rolls back when it throws, then rethrows.
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { withTransaction };
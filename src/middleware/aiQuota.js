@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const aiUsage = require('../services/ai/usage');
+
+// Refuse AI analysis requests once the user's daily or monthly quota is used up.
+// Otherwise the request is reserved against the quota before it runs, under
+// req.aiRequestId, and the reservation is released when the response ends.
+// Must run after authenticateToken.
+const enforceAIQuota = async (req, res, next) => {
+  try {
+    const requestId = crypto.randomUUID();
+    const { status, exhausted } = await aiUsage.reserveQuota(req.user, {
+      requestId,
+      source: 'draft',
+      contentType: req.body && req.body.contentType
+    });
+
+    if (exhausted) {
+      const { limit, resets_at } = status[exhausted];
+      res.set('Retry-After', String(Math.max(Math.ceil((new Date(resets_at) - Date.now()) / 1000), 1)));
+      return res.status(429).json({
+        error: `AI ${exhausted} quota exceeded`,
+        quota: exhausted,
+        limit,
+        resets_at
+      });
+    }
+
+    // Model calls are recorded under the same request id, so only the reservation goes
+    res.on('close', () => {
+      aiUsage.releaseReservation(requestId).catch((error) => {
+        console.error('AI quota release error:', error);
+      });
+    });
+
+    req.aiQuota = status;
+    req.aiRequestId = requestId;
+    next();
+  } catch (error) {
+    console.error('AI quota check error:', error);
+    res.status(500).json({ error: 'Failed to check AI quota' });
+  }
+};
+
+module.exports = {
+  enforceAIQuota
+};
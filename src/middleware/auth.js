@@ -1,5 +1,65 @@
 const jwt = require('jsonwebtoken');
 const pool = require('../database/connection');
+const suspensionService = require('../services/suspensionService');
+const sessionService = require('../services/sessionService');
+
+// Look up the user and session a token was issued for. Returns { user } when
+// they may still use the API, or { status, body } with the response refusing
+// them. Open streams call this again to find out when to close.
+const checkSession = async (userId, sessionId, { allowSuspended = false } = {}) => {
+  // Verify user still exists and is active, and the session hasn't been revoked.
+  // Active suspensions come along so routes can enforce their scope.
+  const result = await pool.query(`
+    SELECT u.id, u.name, u.email, u.role, u.is_active, u.email_verified,
+           u.deactivation_reason, u.deactivated_at,
+           s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP AS session_active,
+           COALESCE((
+             SELECT json_agg(json_build_object('id', us.id, 'scope', us.scope, 'reason', us.reason, 'expires_at', us.expires_at)
+                             ORDER BY us.expires_at DESC)
+             FROM user_suspensions us
+             WHERE us.user_id = u.id AND ${suspensionService.activeCondition('us.')}
+           ), '[]') AS suspensions
+    FROM users u
+    LEFT JOIN user_sessions s ON s.id = $2 AND s.user_id = u.id
+    WHERE u.id = $1
+  `, [userId, sessionId]);
+
+  if (result.rows.length === 0) {
+    return { status: 401, body: { error: 'User not found' } };
+  }
+
+  const { session_active, deactivation_reason, deactivated_at, ...user } = result.rows[0];
+
+  if (!user.is_active) {
+    return {
+      status: 401,
+      body: {
+        error: 'Account is deactivated',
+        reason: deactivation_reason || null,
+        deactivated_at: deactivated_at || null
+      }
+    };
+  }
+
+  if (!session_active) {
+    return { status: 401, body: { error: 'Session has been revoked' } };
+  }
+
+  // Fully suspended users can only reach routes that opted in with allowSuspended
+  const fullSuspension = user.suspensions.find(suspension => suspension.scope === 'full');
+  if (fullSuspension && !allowSuspended) {
+    return {
+      status: 403,
+      body: {
+        error: 'Account is suspended',
+        suspension: suspensionService.describe(fullSuspension),
+        appeal: '/api/appeals'
+      }
+    };
+  }
+
+  return { user };
+};
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -11,28 +71,79 @@ const authenticateToken = async (req, res, next) => {
 
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Verify user still exists and is active
-    const result = await pool.query(
-      'SELECT id, name, email, role, is_active FROM users WHERE id = $1',
-      [decoded.userId]
-    );
-
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'User not found' });
+
+    // Tokens issued before sessions existed can't be revoked, so they are refused.
+    // So are single-purpose tokens such as stream tokens.
+    if (!decoded.sid || decoded.purpose) {
+      return res.status(401).json({ error: 'Session has been revoked' });
     }
 
-    if (!result.rows[0].is_active) {
-      return res.status(401).json({ error: 'Account is deactivated' });
+    const { user, status, body } = await checkSession(decoded.userId, decoded.sid, { allowSuspended: req.allowSuspended });
+    if (!user) {
+      return res.status(status).json(body);
     }
 
-    req.user = result.rows[0];
+    req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 };
 
+// EventSource can't send headers, so the notification stream takes a short-lived
+// stream token in ?stream_token= instead. Other clients can send the usual
+// Authorization header.
+const authenticateStreamToken = async (req, res, next) => {
+  if (!req.query.stream_token) {
+    return authenticateToken(req, res, next);
+  }
+
+  const decoded = sessionService.verifyStreamToken(req.query.stream_token);
+  if (!decoded) {
+    return res.status(401).json({ error: 'Invalid or expired stream token' });
+  }
+
+  try {
+    const { user, status, body } = await checkSession(decoded.userId, decoded.sid);
+    if (!user) {
+      return res.status(status).json(body);
+    }
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    console.error('Stream token authentication error:', error);
+    return res.status(500).json({ error: 'Failed to authenticate stream' });
+  }
+};
+
+// Lets fully suspended users through authenticateToken, for the routes they need
+// to see and appeal their suspension. Must come before authenticateToken.
+const allowSuspended = (req, res, next) => {
+  req.allowSuspended = true;
+  next();
+};
+
+// Refuse users whose suspension covers the activity: 'posting' for creating and
+// editing content, 'qa' for asking and answering questions
+const restrictSuspended = (activity) => {
+  return (req, res, next) => {
+    const suspension = req.user && suspensionService.findBlocking(req.user.suspensions, activity);
+
+    if (suspension) {
+      return res.status(403).json({
+        error: activity === 'qa' ? 'Your account is suspended from Q&A' : 'Your account is suspended from posting',
+        suspension: suspensionService.describe(suspension),
+        appeal: '/api/appeals'
+      });
+    }
+
+    next();
+  };
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -52,7 +163,11 @@ const requireManager = requireRole(['admin', 'manager']);
 const requireScholar = requireRole(['admin', 'manager', 'scholar']);
 
 module.exports = {
+  checkSession,
   authenticateToken,
+  authenticateStreamToken,
+  allowSuspended,
+  restrictSuspended,
   requireRole,
   requireAdmin,
   requireManager,
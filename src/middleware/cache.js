@@ -0,0 +1,35 @@
+const { LRUCache } = require('lru-cache');
+
+// Shared in-memory cache for static data
+const createResponseCache = (options = {}) => new LRUCache({
+  max: options.max || 100, // Maximum number of items
+  ttl: options.ttl || 1000 * 60 * 5, // 5 minutes TTL
+});
+
+// Cache successful JSON responses by URL for `duration` seconds
+const cacheMiddleware = (cache, duration = 300) => {
+  return (req, res, next) => {
+    const key = req.originalUrl;
+    const cached = cache.get(key);
+    
+    if (cached) {
+      res.set('X-Cache', 'HIT');
+      return res.json(cached);
+    }
+    
+    res.set('X-Cache', 'MISS');
+    res.jsonResponse = res.json;
+    res.json = (data) => {
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        cache.set(key, data, { ttl: duration * 1000 });
+      }
+      return res.jsonResponse(data);
+    };
+    next();
+  };
+};
+
+module.exports = {
+  createResponseCache,
+  cacheMiddleware
+};
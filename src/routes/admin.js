@@ -0,0 +1,125 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const { formatRow } = require('../utils/csv');
+
+const router = express.Router();
+
+const CSV_COLUMNS = [
+  'id',
+  'created_at',
+  'actor_id',
+  'actor_name',
+  'actor_role',
+  'action',
+  'target_type',
+  'target_id',
+  'reason',
+  'before_state',
+  'after_state',
+  'ip_address'
+];
+
+// Write a chunk of a long response. When the client hasn't taken what was already
+// written, waits for it to drain, or rejects if the client goes away first.
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    return reject(new Error('Client disconnected'));
+  }
+  if (res.write(chunk)) {
+    return resolve();
+  }
+
+  const onDrain = () => {
+    res.off('close', onClose);
+    resolve();
+  };
+  const onClose = () => {
+    res.off('drain', onDrain);
+    reject(new Error('Client disconnected'));
+  };
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+const auditFilterValidation = [
+  query('actor_id').optional().isUUID().withMessage('actor_id must be a user id'),
+  query('action').optional().isIn(auditService.AUDIT_ACTIONS).withMessage(`action must be one of: ${auditService.AUDIT_ACTIONS.join(', ')}`),
+  query('target_type').optional().isIn(['dua', 'blog', 'question', 'answer', 'collection', 'user', 'report']).withMessage('Invalid target_type'),
+  query('target_id').optional().isUUID().withMessage('target_id must be an id'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date')
+];
+
+const getAuditFilters = (req) => ({
+  actorId: req.query.actor_id,
+  action: req.query.action,
+  targetType: req.query.target_type,
+  targetId: req.query.target_id,
+  from: req.query.from,
+  to: req.query.to
+});
+
+// Moderation audit log, newest first (admin only)
+router.get('/audit', authenticateToken, requireAdmin, [
+  ...auditFilterValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { entries, total } = await auditService.listAudit(getAuditFilters(req), { page, limit });
+
+    res.json({
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
+  }
+});
+
+// Moderation audit log as CSV, with the same filters (admin only)
+router.get('/audit/export', authenticateToken, requireAdmin, auditFilterValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const filename = `moderation-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  try {
+    // The BOM lets spreadsheet apps detect UTF-8 (names and reasons may be in Bangla)
+    await writeChunk(res, `\uFEFF${formatRow(CSV_COLUMNS)}`);
+
+    // The next batch is only loaded once the client has taken this one
+    await auditService.forEachAuditBatch(getAuditFilters(req), async (entries) => {
+      await writeChunk(res, entries.map(entry => formatRow(CSV_COLUMNS.map(column => entry[column]))).join(''));
+    });
+
+    res.end();
+  } catch (error) {
+    console.error('Export audit log error:', error);
+    // Headers are already sent, so the truncated file is all the client gets
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
@@ -1,69 +1,28 @@
 const express = require('express');
 const aiService = require('../services/aiService');
-const gemma3Service = require('../services/gemma3Service');
-const { authenticateToken, requireScholar } = require('../middleware/auth');
+const queueService = require('../services/queueService');
+const { listStoredTemplates } = require('../services/ai/prompts');
+const analysisCache = require('../services/ai/analysisCache');
+const aiUsage = require('../services/ai/usage');
+const { enforceAIQuota } = require('../middleware/aiQuota');
+const { authenticateToken, requireScholar, requireAdmin } = require('../middleware/auth');
+const { openEventStream } = require('../utils/sse');
 const pool = require('../database/connection');
 
 const router = express.Router();
 
-// Local fallback analysis when external AI services are unavailable
-function generateLocalFallbackAnalysis(contentType, content) {
-  const suggestions = [];
-  
-  // Basic content validation suggestions
-  if (content.title && content.title.length < 5) {
-    suggestions.push('Consider making the title more descriptive (at least 5 characters)');
-  }
-  
-  if (content.arabic_text && content.arabic_text.length < 10) {
-    suggestions.push('Arabic text seems too short. Consider adding more content for better context');
-  }
-  
-  if (content.meaning && content.meaning.length < 20) {
-    suggestions.push('Meaning/translation could be more detailed to help users understand better');
-  }
-  
-  if (contentType === 'dua') {
-    if (!content.arabic_text) {
-      suggestions.push('Arabic text is required for duas');
-    }
-    if (!content.meaning) {
-      suggestions.push('Meaning/translation is important for duas');
-    }
-  }
-  
-  if (contentType === 'blog') {
-    if (!content.content || content.content.length < 100) {
-      suggestions.push('Blog content should be more substantial (at least 100 characters)');
-    }
+// Returns why a draft can't be analyzed, or null if it can
+const validateDraft = (contentType, content) => {
+  if (!['dua', 'blog', 'question', 'answer'].includes(contentType)) {
+    return 'Invalid content type';
   }
-  
-  // Default suggestions if no specific issues found
-  if (suggestions.length === 0) {
-    suggestions.push('Content structure looks good');
-    suggestions.push('Consider adding more context or examples if applicable');
+
+  if (!content || (!content.title && !content.arabic_text && !content.content)) {
+    return 'Content is required for analysis';
   }
-  
-  return {
-    summary: `স্থানীয় যাচাই ব্যবহার করে ${contentType} বিষয়বস্তুর মৌলিক বিশ্লেষণ সম্পন্ন হয়েছে।`,
-    corrections: suggestions.map(suggestion => {
-      const banglaTranslations = {
-        'Consider making the title more descriptive (at least 5 characters)': 'শিরোনামটি আরও বর্ণনামূলক করার কথা বিবেচনা করুন (কমপক্ষে ৫টি অক্ষর)',
-        'Arabic text seems too short. Consider adding more content for better context': 'আরবি পাঠ খুব ছোট মনে হচ্ছে। আরও ভালো প্রসঙ্গের জন্য আরও বিষয়বস্তু যোগ করার কথা বিবেচনা করুন',
-        'Meaning/translation could be more detailed to help users understand better': 'ব্যবহারকারীদের আরও ভালোভাবে বুঝতে সাহায্য করার জন্য অর্থ/অনুবাদ আরও বিস্তারিত হতে পারে',
-        'Arabic text is required for duas': 'দুআর জন্য আরবি পাঠ প্রয়োজন',
-        'Meaning/translation is important for duas': 'দুআর জন্য অর্থ/অনুবাদ গুরুত্বপূর্ণ',
-        'Blog content should be more substantial (at least 100 characters)': 'ব্লগ বিষয়বস্তু আরও গুরুত্বপূর্ণ হওয়া উচিত (কমপক্ষে ১০০টি অক্ষর)',
-        'Content structure looks good': 'বিষয়বস্তুর কাঠামো ভালো',
-        'Consider adding more context or examples if applicable': 'প্রযোজ্য হলে আরও প্রসঙ্গ বা উদাহরণ যোগ করার কথা বিবেচনা করুন'
-      };
-      return banglaTranslations[suggestion] || suggestion;
-    }),
-    authenticity: 'বিষয়বস্তু সঠিকভাবে ফরম্যাট করা হয়েছে। বিস্তারিত ইসলামী সত্যতা যাচাইয়ের জন্য, বাহ্যিক AI পরিষেবা বর্তমানে অনুপলব্ধ।',
-    confidence: 0.6,
-    source: 'local_fallback'
-  };
-}
+
+  return null;
+};
 
 // Get AI analysis for content
 router.get('/analysis/:contentType/:contentId', authenticateToken, async (req, res) => {
@@ -97,9 +56,9 @@ router.get('/analysis/:contentType/:contentId', authenticateToken, async (req, r
         status: 'completed',
         analysis: JSON.parse(analysis.result)
       });
-    } else if (analysis.status === 'failed') {
+    } else if (analysis.status === 'failed' || analysis.status === 'dead') {
       res.json({
-        status: 'failed',
+        status: analysis.status,
         error: analysis.error_message
       });
     } else {
@@ -129,11 +88,8 @@ router.post('/analyze/:contentType/:contentId', authenticateToken, async (req, r
       return res.status(403).json({ error: 'Access denied - you can only analyze your own content' });
     }
 
-    // Add to queue
-    await pool.query(
-      'INSERT INTO ai_processing_queue (content_type, content_id, status) VALUES ($1, $2, $3) ON CONFLICT DO NOTHING',
-      [contentType, contentId, 'pending']
-    );
+    // Manual requests jump ahead of background reprocessing
+    await queueService.addAIAnalysisJob(contentType, contentId, 'high');
 
     res.json({ message: 'AI analysis queued successfully' });
   } catch (error) {
@@ -143,36 +99,25 @@ router.post('/analyze/:contentType/:contentId', authenticateToken, async (req, r
 });
 
 // Analyze content directly without saving (for draft content)
-router.post('/analyze-draft', authenticateToken, async (req, res) => {
+router.post('/analyze-draft', authenticateToken, enforceAIQuota, async (req, res) => {
   try {
     const { contentType, content } = req.body;
 
-    if (!['dua', 'blog', 'question', 'answer'].includes(contentType)) {
-      return res.status(400).json({ error: 'Invalid content type' });
-    }
-
-    if (!content || (!content.title && !content.arabic_text)) {
-      return res.status(400).json({ error: 'Content is required for analysis' });
+    const draftError = validateDraft(contentType, content);
+    if (draftError) {
+      return res.status(400).json({ error: draftError });
     }
 
-    // Try Gemma3 service first, fallback to original AI service, then local fallback
+    // Providers are tried in the order configured by AI_PROVIDERS
     let analysis;
     try {
-      console.log('🚀 Trying Gemma3 service...');
-      const gemma3Service = require('../services/gemma3Service');
-      analysis = await gemma3Service.generateAnalysis(contentType, content);
-      console.log('✅ Gemma3 analysis result:', JSON.stringify(analysis, null, 2));
-    } catch (gemma3Error) {
-      console.log('🔄 Gemma3 failed, trying original AI service...', gemma3Error.message);
-      try {
-        const aiService = require('../services/aiService');
-        analysis = await aiService.generateAnalysis(contentType, content);
-        console.log('✅ AI service analysis result:', JSON.stringify(analysis, null, 2));
-      } catch (aiError) {
-        console.log('🔄 Both external AI services failed, using local fallback...', aiError.message);
-        analysis = generateLocalFallbackAnalysis(contentType, content);
-        console.log('✅ Local fallback analysis result:', JSON.stringify(analysis, null, 2));
-      }
+      analysis = await aiService.generateAnalysis(contentType, content, {
+        userId: req.user.id,
+        source: 'draft',
+        requestId: req.aiRequestId
+      });
+    } catch (error) {
+      return res.status(503).json({ error: error.message });
     }
 
     res.json({ 
@@ -185,6 +130,45 @@ router.post('/analyze-draft', authenticateToken, async (req, res) => {
   }
 });
 
+// Analyze draft content, streaming progress as Server-Sent Events: `provider` when a
+// provider is tried, `token` for each piece of model output, `correction` for each
+// correction as soon as it is complete and `retry` when invalid output is re-prompted.
+// Providers that can't stream only send `provider`. The stream ends with `result`
+// (the validated analysis, as returned by /analyze-draft) or `error`.
+router.post('/analyze-draft/stream', authenticateToken, enforceAIQuota, async (req, res) => {
+  const { contentType, content } = req.body;
+
+  const draftError = validateDraft(contentType, content);
+  if (draftError) {
+    return res.status(400).json({ error: draftError });
+  }
+
+  // Stop calling providers once the client has gone away
+  const controller = new AbortController();
+  const stream = openEventStream(req, res, {
+    onClose: () => controller.abort()
+  });
+
+  try {
+    const analysis = await aiService.generateAnalysis(contentType, content, {
+      userId: req.user.id,
+      source: 'draft',
+      requestId: req.aiRequestId,
+      signal: controller.signal,
+      onEvent: (event, data) => stream.send({ event, data })
+    });
+
+    stream.send({ event: 'result', data: { status: 'completed', analysis } });
+  } catch (error) {
+    if (!stream.isClosed()) {
+      console.error('Draft AI analysis stream error:', error.message);
+    }
+    stream.send({ event: 'error', data: { error: error.message } });
+  }
+
+  stream.close();
+});
+
 // Get queue status (for admins)
 router.get('/queue/status', authenticateToken, requireScholar, async (req, res) => {
   try {
@@ -203,12 +187,10 @@ router.get('/queue/status', authenticateToken, requireScholar, async (req, res)
       status[row.content_type][row.status] = parseInt(row.count);
     });
 
-    // Get Gemma3 queue status
-    const gemma3Status = gemma3Service.getQueueStatus();
-
     res.json({ 
       queue_status: status,
-      gemma3_queue: gemma3Status
+      totals: await queueService.getQueueStats(),
+      providers: aiService.getProviderNames()
     });
   } catch (error) {
     console.error('Get queue status error:', error);
@@ -216,6 +198,120 @@ router.get('/queue/status', authenticateToken, requireScholar, async (req, res)
   }
 });
 
+// Stored prompt template versions (for admins)
+router.get('/prompts', authenticateToken, requireScholar, async (req, res) => {
+  try {
+    res.json({ templates: await listStoredTemplates() });
+  } catch (error) {
+    console.error('Get prompt templates error:', error);
+    res.status(500).json({ error: 'Failed to get prompt templates' });
+  }
+});
+
+// The current user's AI quota and usage
+router.get('/usage/me', authenticateToken, async (req, res) => {
+  try {
+    res.json({ quota: await aiUsage.getQuotaStatus(req.user) });
+  } catch (error) {
+    console.error('Get AI quota error:', error);
+    res.status(500).json({ error: 'Failed to get AI quota' });
+  }
+});
+
+// Token, latency and request report by user and content type (for admins).
+// ?from=2025-01-01&to=2025-02-01; defaults to the current month.
+router.get('/usage', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { monthly } = aiUsage.getPeriodBounds();
+    const from = req.query.from ? new Date(req.query.from) : monthly.start;
+    const to = req.query.to ? new Date(req.query.to) : monthly.resetsAt;
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+      return res.status(400).json({ error: 'from and to must be dates with from before to' });
+    }
+
+    const report = await aiUsage.getUsageReport({ from, to });
+
+    res.json({
+      from: from.toISOString(),
+      to: to.toISOString(),
+      ...report
+    });
+  } catch (error) {
+    console.error('Get AI usage report error:', error);
+    res.status(500).json({ error: 'Failed to get AI usage report' });
+  }
+});
+
+// Analysis cache usage by content type and provider (for admins)
+router.get('/cache', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    res.json({
+      enabled: analysisCache.isEnabled(),
+      ttl_hours: analysisCache.DEFAULT_TTL_HOURS,
+      stats: await analysisCache.getCacheStats()
+    });
+  } catch (error) {
+    console.error('Get AI cache stats error:', error);
+    res.status(500).json({ error: 'Failed to get AI cache stats' });
+  }
+});
+
+// Purge cached analyses (?content_type=dua&provider=hf-router&expired=true; no filters clears everything)
+router.delete('/cache', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { content_type, provider, expired } = req.query;
+
+    if (content_type && !['dua', 'blog', 'question', 'answer'].includes(content_type)) {
+      return res.status(400).json({ error: 'Invalid content type' });
+    }
+
+    const purged = await analysisCache.purgeCache({
+      contentType: content_type,
+      provider,
+      expiredOnly: expired === 'true'
+    });
+
+    res.json({ message: 'AI cache purged', purged });
+  } catch (error) {
+    console.error('Purge AI cache error:', error);
+    res.status(500).json({ error: 'Failed to purge AI cache' });
+  }
+});
+
+// List dead-lettered jobs (for admins)
+router.get('/queue/dead', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT id, content_type, content_id, attempts, max_attempts, error_message, created_at, processed_at
+      FROM ai_processing_queue
+      WHERE status = 'dead'
+      ORDER BY processed_at DESC
+      LIMIT 100
+    `);
+
+    res.json({ jobs: result.rows });
+  } catch (error) {
+    console.error('Get dead AI jobs error:', error);
+    res.status(500).json({ error: 'Failed to get dead jobs' });
+  }
+});
+
+// Retry a dead-lettered job (for admins)
+router.post('/queue/:jobId/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const job = await queueService.retryJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Dead or failed job not found' });
+    }
+
+    res.json({ message: 'Job queued for retry', job });
+  } catch (error) {
+    console.error('Retry AI job error:', error);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 // Helper function to check content access
 async function checkContentAccess(contentType, contentId, userId) {
   
@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, allowSuspended, requireManager } = require('../middleware/auth');
+const suspensionService = require('../services/suspensionService');
+const auditService = require('../services/auditService');
+const { createNotification } = require('../services/notificationService');
+
+const router = express.Router();
+
+const APPEAL_STATUSES = ['open', 'upheld', 'overturned'];
+
+const appealIdValidation = [
+  param('id').isUUID().withMessage('Appeal ID must be a valid UUID')
+];
+
+// Get the current user's suspensions and appeals. Open to fully suspended users.
+router.get('/mine', allowSuspended, authenticateToken, async (req, res) => {
+  try {
+    const [suspensions, appeals] = await Promise.all([
+      suspensionService.listForUser(req.user.id),
+      suspensionService.listAppealsForUser(req.user.id)
+    ]);
+
+    res.json({ suspensions, appeals });
+  } catch (error) {
+    console.error('Get my appeals error:', error);
+    res.status(500).json({ error: 'Failed to fetch appeals' });
+  }
+});
+
+// Appeal one of your active suspensions. Open to fully suspended users.
+router.post('/', allowSuspended, authenticateToken, [
+  body('suspension_id').isUUID().withMessage('suspension_id must be a valid UUID'),
+  body('message').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Message is required (max 2000 characters)')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const suspension = await suspensionService.getSuspension(req.body.suspension_id);
+    if (!suspension || suspension.user_id !== req.user.id) {
+      return res.status(404).json({ error: 'Suspension not found' });
+    }
+
+    if (!suspensionService.isActive(suspension)) {
+      return res.status(400).json({ error: 'Suspension has already ended' });
+    }
+
+    const appeal = await suspensionService.createAppeal({ suspension, message: req.body.message });
+    if (!appeal) {
+      return res.status(409).json({ error: 'You have already appealed this suspension' });
+    }
+
+    const reviewers = await suspensionService.getAppealReviewers();
+    for (const reviewerId of reviewers) {
+      if (reviewerId === req.user.id) {
+        continue;
+      }
+      await createNotification(
+        reviewerId,
+        'appeal',
+        'Suspension Appealed',
+        `${req.user.name} appealed their ${suspension.scope} suspension: "${req.body.message.slice(0, 200)}"`
+      );
+    }
+
+    res.status(201).json({
+      message: 'Appeal submitted successfully',
+      appeal
+    });
+  } catch (error) {
+    console.error('Create appeal error:', error);
+    res.status(500).json({ error: 'Failed to submit appeal' });
+  }
+});
+
+// Get appeals by status, oldest first (managers only)
+router.get('/', authenticateToken, requireManager, [
+  query('status').optional().isIn(APPEAL_STATUSES).withMessage(`status must be one of: ${APPEAL_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { appeals, total } = await suspensionService.listAppeals({ status: req.query.status || 'open' }, { page, limit });
+
+    res.json({
+      appeals,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get appeals error:', error);
+    res.status(500).json({ error: 'Failed to fetch appeals' });
+  }
+});
+
+// Get one appeal (managers, or the user who filed it)
+router.get('/:id', allowSuspended, authenticateToken, appealIdValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appeal = await suspensionService.getAppeal(req.params.id);
+    const isReviewer = ['manager', 'admin'].includes(req.user.role);
+
+    if (!appeal || (!isReviewer && appeal.user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Appeal not found' });
+    }
+
+    res.json({ appeal });
+  } catch (error) {
+    console.error('Get appeal error:', error);
+    res.status(500).json({ error: 'Failed to fetch appeal' });
+  }
+});
+
+// Decide an appeal (managers only). Overturning it lifts the suspension.
+router.put('/:id', authenticateToken, requireManager, [
+  ...appealIdValidation,
+  body('decision').isIn(['upheld', 'overturned']).withMessage('decision must be upheld or overturned'),
+  body('notes').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be max 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, notes = null } = req.body;
+
+    const appeal = await suspensionService.getAppeal(req.params.id);
+    if (!appeal) {
+      return res.status(404).json({ error: 'Appeal not found' });
+    }
+
+    if (appeal.user_id === req.user.id) {
+      return res.status(403).json({ error: 'You cannot decide your own appeal' });
+    }
+
+    const decided = await suspensionService.decideAppeal(appeal.id, { decision, notes, decidedBy: req.user.id });
+    if (!decided) {
+      return res.status(409).json({ error: `Appeal has already been ${appeal.status}` });
+    }
+
+    // The suspension may have expired while the appeal waited
+    const lifted = decision === 'overturned'
+      ? await suspensionService.lift(appeal.suspension_id, { liftedBy: req.user.id, reason: notes || 'Appeal overturned' })
+      : null;
+
+    await auditService.recordAudit(req, {
+      action: 'appeal_decision',
+      targetType: 'user',
+      targetId: appeal.user_id,
+      before: { appeal_id: appeal.id, status: appeal.status, suspension_id: appeal.suspension_id },
+      after: { appeal_id: appeal.id, status: decided.status, suspension_lifted: Boolean(lifted) },
+      reason: notes
+    });
+
+    await createNotification(
+      appeal.user_id,
+      'appeal',
+      decision === 'overturned' ? 'Appeal Accepted' : 'Appeal Rejected',
+      decision === 'overturned'
+        ? 'Your appeal was accepted and your suspension has been lifted.'
+        : `Your appeal was reviewed and the suspension stays in place.${notes ? ` Notes: ${notes}` : ''}`
+    );
+
+    res.json({
+      message: `Appeal ${decision}`,
+      appeal: decided,
+      suspension_lifted: Boolean(lifted)
+    });
+  } catch (error) {
+    console.error('Decide appeal error:', error);
+    res.status(500).json({ error: 'Failed to decide appeal' });
+  }
+});
+
+module.exports = router;
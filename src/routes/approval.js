@@ -1,33 +1,50 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateToken, requireRole, restrictSuspended } = require('../middleware/auth');
+const revisionService = require('../services/revisionService');
+const approvalService = require('../services/approvalService');
+const approvalPolicy = require('../services/approvalPolicy');
+const assignmentService = require('../services/assignmentService');
+const auditService = require('../services/auditService');
+const suggestionService = require('../services/suggestionService');
+const { createNotification } = require('../services/notificationService');
 
 const router = express.Router();
 
-// Helper function to create notification
-const createNotification = async (userId, type, title, message, contentType = null, contentId = null) => {
-  try {
-    console.log('Creating notification:', { userId, type, title, message, contentType, contentId });
-    const result = await pool.query(`
-      INSERT INTO notifications (user_id, type, title, message, content_type, content_id)
-      VALUES ($1, $2, $3, $4, $5, $6)
-      RETURNING id
-    `, [userId, type, title, message, contentType, contentId]);
-    console.log('Notification created successfully:', result.rows[0]);
-  } catch (error) {
-    console.error('Error creating notification:', error);
-    console.error('Notification data:', { userId, type, title, message, contentType, contentId });
-  }
-};
-
-// Get pending content for approval (Scholar, Manager, Admin)
+// Joins the active claim on each row of `alias`, for the claimed_by columns
+const claimJoin = (type, alias) => `
+        LEFT JOIN review_assignments ra ON ra.content_type = '${type}' AND ra.content_id = ${alias}.id
+          AND ra.status = 'active' AND ra.expires_at > CURRENT_TIMESTAMP
+        LEFT JOIN users claimant ON ra.reviewer_id = claimant.id`;
+
+const CLAIM_COLUMNS = 'ra.reviewer_id as claimed_by, claimant.name as claimed_by_name, ra.expires_at as claim_expires_at';
+
+// Leaves out content claimed by another reviewer or already voted on by the reviewer in `userParam`
+const availableTo = (type, alias, userParam) => `
+          AND NOT EXISTS (
+            SELECT 1 FROM review_assignments held
+            WHERE held.content_type = '${type}' AND held.content_id = ${alias}.id AND held.status = 'active'
+              AND held.expires_at > CURRENT_TIMESTAMP AND held.reviewer_id <> ${userParam}
+          )
+          AND NOT EXISTS (
+            SELECT 1 FROM approval_votes v
+            WHERE v.content_type = '${type}' AND v.content_id = ${alias}.id
+              AND v.review_round = ${alias}.review_round AND v.reviewer_id = ${userParam}
+          )`;
+
+// Get pending content for approval (Scholar, Manager, Admin). Each item shows who
+// has claimed it; available=true leaves out what you can't take on.
 router.get('/pending', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
     const contentType = req.query.type || 'all'; // 'dua', 'blog', or 'all'
+    const available = req.query.available === 'true';
+    const listFilter = (type, alias) => (available ? availableTo(type, alias, '$3') : '');
+    const countFilter = (type, alias) => (available ? availableTo(type, alias, '$1') : '');
+    const countParams = available ? [req.user.id] : [];
 
     let query = '';
     let countQuery = '';
@@ -35,36 +52,36 @@ router.get('/pending', authenticateToken, requireRole(['scholar', 'manager', 'ad
 
     if (contentType === 'dua') {
       query = `
-        SELECT d.*, u.name as author_name,
+        SELECT d.*, u.name as author_name, ${CLAIM_COLUMNS},
                array_agg(DISTINCT dc.name) as categories
         FROM duas d
         LEFT JOIN users u ON d.user_id = u.id
         LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
-        LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
-        WHERE d.approval_status = 'pending' AND d.is_public = true
-        GROUP BY d.id, u.name
+        LEFT JOIN dua_categories dc ON dcr.category_id = dc.id${claimJoin('dua', 'd')}
+        WHERE d.approval_status = 'pending' AND d.is_public = true${listFilter('dua', 'd')}
+        GROUP BY d.id, u.name, ra.reviewer_id, claimant.name, ra.expires_at
         ORDER BY d.created_at ASC
         LIMIT $1 OFFSET $2
       `;
       countQuery = `
         SELECT COUNT(*) as total
         FROM duas d
-        WHERE d.approval_status = 'pending' AND d.is_public = true
+        WHERE d.approval_status = 'pending' AND d.is_public = true${countFilter('dua', 'd')}
       `;
       params = [limit, offset];
     } else if (contentType === 'blog') {
       query = `
-        SELECT b.*, u.name as author_name
+        SELECT b.*, u.name as author_name, ${CLAIM_COLUMNS}
         FROM blogs b
-        LEFT JOIN users u ON b.author_id = u.id
-        WHERE b.approval_status = 'pending'
+        LEFT JOIN users u ON b.author_id = u.id${claimJoin('blog', 'b')}
+        WHERE b.approval_status = 'pending'${listFilter('blog', 'b')}
         ORDER BY b.created_at ASC
         LIMIT $1 OFFSET $2
       `;
       countQuery = `
         SELECT COUNT(*) as total
         FROM blogs b
-        WHERE b.approval_status = 'pending'
+        WHERE b.approval_status = 'pending'${countFilter('blog', 'b')}
       `;
       params = [limit, offset];
     } else {
@@ -79,13 +96,15 @@ router.get('/pending', authenticateToken, requireRole(['scholar', 'manager', 'ad
           u.name as author_name,
           d.approval_status,
           d.rejection_reason,
+          d.escalated_at,
+          ${CLAIM_COLUMNS},
           array_agg(DISTINCT dc.name) as categories
         FROM duas d
         LEFT JOIN users u ON d.user_id = u.id
         LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
-        LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
-        WHERE d.approval_status = 'pending' AND d.is_public = true
-        GROUP BY d.id, u.name
+        LEFT JOIN dua_categories dc ON dcr.category_id = dc.id${claimJoin('dua', 'd')}
+        WHERE d.approval_status = 'pending' AND d.is_public = true${listFilter('dua', 'd')}
+        GROUP BY d.id, u.name, ra.reviewer_id, claimant.name, ra.expires_at
         
         UNION ALL
         
@@ -98,26 +117,32 @@ router.get('/pending', authenticateToken, requireRole(['scholar', 'manager', 'ad
           u.name as author_name,
           b.approval_status,
           b.rejection_reason,
+          b.escalated_at,
+          ${CLAIM_COLUMNS},
           ARRAY[]::text[] as categories
         FROM blogs b
-        LEFT JOIN users u ON b.author_id = u.id
-        WHERE b.approval_status = 'pending'
+        LEFT JOIN users u ON b.author_id = u.id${claimJoin('blog', 'b')}
+        WHERE b.approval_status = 'pending'${listFilter('blog', 'b')}
         
         ORDER BY created_at ASC
         LIMIT $1 OFFSET $2
       `;
       countQuery = `
         SELECT (
-          (SELECT COUNT(*) FROM duas WHERE approval_status = 'pending' AND is_public = true) +
-          (SELECT COUNT(*) FROM blogs WHERE approval_status = 'pending')
+          (SELECT COUNT(*) FROM duas d WHERE d.approval_status = 'pending' AND d.is_public = true${countFilter('dua', 'd')}) +
+          (SELECT COUNT(*) FROM blogs b WHERE b.approval_status = 'pending'${countFilter('blog', 'b')})
         ) as total
       `;
       params = [limit, offset];
     }
 
+    if (available) {
+      params.push(req.user.id);
+    }
+
     const [result, countResult] = await Promise.all([
       pool.query(query, params),
-      pool.query(countQuery)
+      pool.query(countQuery, countParams)
     ]);
 
     const total = parseInt(countResult.rows[0].total);
@@ -137,86 +162,148 @@ router.get('/pending', authenticateToken, requireRole(['scholar', 'manager', 'ad
   }
 });
 
-// Approve content (Scholar, Manager, Admin)
-router.post('/:type/:id/approve', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
-  try {
-    const { type, id } = req.params;
-    const { notes } = req.body;
+// Claimed content can only be reviewed by its claimant. Sends 409 and returns
+// true when another reviewer holds the claim.
+const isClaimedByOther = async (req, res, type, id) => {
+  const assignment = await assignmentService.getActiveAssignment(type, id);
+  if (!assignment || assignment.reviewer_id === req.user.id) {
+    return false;
+  }
 
-    if (!['dua', 'blog'].includes(type)) {
-      return res.status(400).json({ error: 'Invalid content type' });
-    }
+  res.status(409).json({
+    error: `This ${type} is claimed by another reviewer`,
+    claimed_by_name: assignment.reviewer_name,
+    claim_expires_at: assignment.expires_at
+  });
+  return true;
+};
 
-    let query = '';
-    let authorQuery = '';
-    let authorId = null;
+// Record a reviewer's vote and apply the outcome the approval policy gives for
+// the votes so far. Authors can't review their own content, each reviewer votes
+// once per review round, and only managers and admins rule on escalated content.
+const castVote = async (req, res, vote, notes) => {
+  const { type, id } = req.params;
 
-    if (type === 'dua') {
-      // Get author ID first
-      const authorResult = await pool.query('SELECT user_id FROM duas WHERE id = $1', [id]);
-      if (authorResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Dua not found' });
-      }
-      authorId = authorResult.rows[0].user_id;
+  if (!['dua', 'blog'].includes(type)) {
+    return res.status(400).json({ error: 'Invalid content type' });
+  }
 
-      query = `
-        UPDATE duas 
-        SET approval_status = 'approved', 
-            is_verified = true,
-            verified_by = $1,
-            verified_at = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `;
-    } else {
-      // Get author ID first
-      const authorResult = await pool.query('SELECT author_id FROM blogs WHERE id = $1', [id]);
-      if (authorResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Blog not found' });
-      }
-      authorId = authorResult.rows[0].author_id;
+  const { label } = approvalService.CONTENT_TYPES[type];
+  const content = await approvalService.getContent(type, id);
+  if (!content) {
+    return res.status(404).json({ error: `${label} not found` });
+  }
 
-      query = `
-        UPDATE blogs 
-        SET approval_status = 'approved', 
-            is_verified = true,
-            verified_by = $1,
-            verified_at = CURRENT_TIMESTAMP,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `;
-    }
+  if (content.approval_status !== 'pending') {
+    return res.status(409).json({ error: `${label} is not awaiting approval` });
+  }
 
-    const result = await pool.query(query, [req.user.id, id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Content not found' });
+  const authorId = approvalService.getAuthorId(type, content);
+  if (authorId === req.user.id) {
+    return res.status(403).json({ error: 'You cannot review your own content' });
+  }
+
+  const isRuling = Boolean(content.escalated_at);
+  if (isRuling && !approvalPolicy.RULING_ROLES.includes(req.user.role)) {
+    return res.status(403).json({ error: 'Reviewers disagreed on this content; a manager must make the final decision' });
+  }
+
+  // A manager's ruling doesn't wait for whoever claimed the content
+  if (!isRuling && await isClaimedByOther(req, res, type, id)) {
+    return;
+  }
+
+  const recorded = await approvalService.recordVote(type, content, req.user, vote, { notes, isRuling });
+  if (!recorded) {
+    return res.status(409).json({ error: `You have already reviewed this ${type}` });
+  }
+
+  await assignmentService.endAssignment(type, id, 'completed', { reviewerId: req.user.id });
+
+  const votes = await approvalService.listVotes(type, id, content.review_round);
+  const review = approvalPolicy.summarizeVotes(type, content, votes);
+  const updated = await approvalService.applyDecision(type, content, review.decision, {
+    reviewerId: req.user.id,
+    approvals: review.approvals,
+    reason: notes
+  });
+
+  if (updated && review.decision === 'approved') {
+    // The current revision becomes the baseline for reviewing future edits
+    if (type === 'dua') {
+      await revisionService.markApproved(id, req.user.id);
     }
 
-    // Create notification for author
     console.log('Creating approval notification for author:', authorId);
     await createNotification(
       authorId,
       'approval',
-      `${type === 'dua' ? 'Dua' : 'Blog'} Approved`,
-      `Your ${type} "${result.rows[0].title}" has been approved and is now visible to the public.`,
+      `${label} Approved`,
+      `Your ${type} "${updated.title}" has been approved and is now visible to the public.`,
       type,
       id
     );
+  } else if (updated && review.decision === 'rejected') {
+    console.log('Creating rejection notification for author:', authorId);
+    await createNotification(
+      authorId,
+      'rejection',
+      `${label} Rejected`,
+      `Your ${type} "${updated.title}" has been rejected. Reason: ${notes}`,
+      type,
+      id
+    );
+  } else if (updated && review.decision === 'escalated') {
+    const reviewers = await approvalService.getEscalationReviewers();
+    for (const reviewerId of reviewers) {
+      await createNotification(
+        reviewerId,
+        'escalation',
+        `${label} Review Escalated`,
+        `Reviewers disagree on the ${type} "${content.title}". A manager needs to make the final decision.`,
+        type,
+        id
+      );
+    }
+  }
 
-    res.json({
-      message: `${type} approved successfully`,
-      content: result.rows[0]
-    });
+  const current = updated || await approvalService.getContent(type, id);
+  await auditService.recordAudit(req, {
+    action: vote,
+    targetType: type,
+    targetId: id,
+    before: auditService.pickState(content),
+    after: auditService.pickState(current),
+    reason: notes
+  });
+
+  const messages = {
+    approved: `${type} approved successfully`,
+    rejected: `${type} rejected successfully`,
+    escalated: `Reviewers disagree; ${type} escalated to a manager`,
+    pending: `Approval recorded; ${review.required - review.approvals} more needed`
+  };
+
+  res.json({
+    message: messages[review.decision],
+    content: current,
+    review
+  });
+};
+
+// Approve content (Scholar, Manager, Admin). Content is published once the
+// approval policy's number of reviewers have approved it.
+router.post('/:type/:id/approve', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
+  try {
+    await castVote(req, res, 'approve', req.body.notes || null);
   } catch (error) {
     console.error('Approve content error:', error);
     res.status(500).json({ error: 'Failed to approve content' });
   }
 });
 
-// Reject content (Scholar, Manager, Admin)
+// Reject content (Scholar, Manager, Admin). A rejection after other reviewers
+// approved escalates the content to a manager instead.
 router.post('/:type/:id/reject', authenticateToken, requireRole(['scholar', 'manager', 'admin']), [
   body('reason').trim().isLength({ min: 10 }).withMessage('Rejection reason must be at least 10 characters')
 ], async (req, res) => {
@@ -226,74 +313,595 @@ router.post('/:type/:id/reject', authenticateToken, requireRole(['scholar', 'man
       return res.status(400).json({ errors: errors.array() });
     }
 
+    await castVote(req, res, 'reject', req.body.reason);
+  } catch (error) {
+    console.error('Reject content error:', error);
+    res.status(500).json({ error: 'Failed to reject content' });
+  }
+});
+
+// Content escalated after conflicting reviews (Manager, Admin)
+router.get('/escalated', authenticateToken, requireRole(['manager', 'admin']), async (req, res) => {
+  try {
+    res.json({ content: await approvalService.listEscalated() });
+  } catch (error) {
+    console.error('Get escalated content error:', error);
+    res.status(500).json({ error: 'Failed to fetch escalated content' });
+  }
+});
+
+// Pending content a reviewer may take on, or sends the error response and
+// returns null: not their own, not escalated unless they can rule on it, and
+// not already voted on by them in this review round.
+const findReviewableContent = async (req, res, reviewer) => {
+  const { type, id } = req.params;
+
+  if (!['dua', 'blog'].includes(type)) {
+    res.status(400).json({ error: 'Invalid content type' });
+    return null;
+  }
+
+  const { label } = approvalService.CONTENT_TYPES[type];
+  const content = await approvalService.getContent(type, id);
+  if (!content) {
+    res.status(404).json({ error: `${label} not found` });
+    return null;
+  }
+
+  if (content.approval_status !== 'pending') {
+    res.status(409).json({ error: `${label} is not awaiting approval` });
+    return null;
+  }
+
+  if (approvalService.getAuthorId(type, content) === reviewer.id) {
+    res.status(403).json({ error: 'You cannot review your own content' });
+    return null;
+  }
+
+  if (content.escalated_at && !approvalPolicy.RULING_ROLES.includes(reviewer.role)) {
+    res.status(403).json({ error: 'Reviewers disagreed on this content; a manager must make the final decision' });
+    return null;
+  }
+
+  const votes = await approvalService.listVotes(type, id, content.review_round);
+  if (votes.some(vote => vote.reviewer_id === reviewer.id)) {
+    res.status(409).json({ error: `${reviewer.id === req.user.id ? 'You have' : 'This reviewer has'} already reviewed this ${type}` });
+    return null;
+  }
+
+  return content;
+};
+
+// Your active review assignments (Scholar, Manager, Admin)
+router.get('/assignments/mine', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
+  try {
+    res.json({ assignments: await assignmentService.listForReviewer(req.user.id) });
+  } catch (error) {
+    console.error('Get review assignments error:', error);
+    res.status(500).json({ error: 'Failed to fetch review assignments' });
+  }
+});
+
+// Claim the next piece of content to review, preferring your categories of
+// expertise (Scholar, Manager, Admin)
+router.post('/assignments/next', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
+  try {
+    await assignmentService.expireAssignments();
+
+    // Another reviewer may claim the same content between finding and claiming it
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const next = await assignmentService.findNextForReviewer(req.user.id);
+      if (!next) {
+        return res.status(404).json({ error: 'No content is waiting for review' });
+      }
+
+      const content = await approvalService.getContent(next.content_type, next.id);
+      const assignment = content && await assignmentService.claim(next.content_type, content, req.user.id, { source: 'auto' });
+      if (assignment) {
+        return res.status(201).json({ assignment, content_type: next.content_type, content });
+      }
+    }
+
+    res.status(409).json({ error: 'Could not claim content, please try again' });
+  } catch (error) {
+    console.error('Auto-assign review error:', error);
+    res.status(500).json({ error: 'Failed to assign content for review' });
+  }
+});
+
+// Your categories of expertise (Scholar, Manager, Admin)
+router.get('/expertise', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
+  try {
+    res.json({ expertise: await assignmentService.getExpertise(req.user.id) });
+  } catch (error) {
+    console.error('Get expertise error:', error);
+    res.status(500).json({ error: 'Failed to fetch expertise' });
+  }
+});
+
+const expertiseValidation = [
+  body('categories').isArray({ max: 50 }).withMessage('Categories must be an array of category names'),
+  body('categories.*').isString().trim().notEmpty().withMessage('Category names must be non-empty strings')
+];
+
+const updateExpertise = async (req, res, userId) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const result = await assignmentService.setExpertise(userId, req.body.categories);
+  if (result.unknown) {
+    return res.status(400).json({ error: `Unknown categories: ${result.unknown.join(', ')}` });
+  }
+
+  res.json({ message: 'Expertise updated successfully', expertise: result.expertise });
+};
+
+// Replace your categories of expertise (Scholar, Manager, Admin)
+router.put('/expertise', authenticateToken, requireRole(['scholar', 'manager', 'admin']), expertiseValidation, async (req, res) => {
+  try {
+    await updateExpertise(req, res, req.user.id);
+  } catch (error) {
+    console.error('Update expertise error:', error);
+    res.status(500).json({ error: 'Failed to update expertise' });
+  }
+});
+
+// Replace a reviewer's categories of expertise (Manager, Admin)
+router.put('/reviewers/:userId/expertise', authenticateToken, requireRole(['manager', 'admin']), [
+  param('userId').isUUID().withMessage('Invalid user id'),
+  ...expertiseValidation
+], async (req, res) => {
+  try {
+    const reviewer = await pool.query('SELECT role FROM users WHERE id = $1', [req.params.userId]);
+    if (reviewer.rows.length === 0 || !assignmentService.REVIEWER_ROLES.includes(reviewer.rows[0].role)) {
+      return res.status(404).json({ error: 'Reviewer not found' });
+    }
+
+    await updateExpertise(req, res, req.params.userId);
+  } catch (error) {
+    console.error('Update reviewer expertise error:', error);
+    res.status(500).json({ error: 'Failed to update expertise' });
+  }
+});
+
+// Claim content for review. The claim locks it for REVIEW_CLAIM_MINUTES; claiming
+// it again renews the lock (Scholar, Manager, Admin)
+router.post('/:type/:id/claim', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
+  try {
+    const content = await findReviewableContent(req, res, req.user);
+    if (!content) return;
+
+    const { type, id } = req.params;
+    const assignment = await assignmentService.claim(type, content, req.user.id);
+    if (!assignment) {
+      const holder = await assignmentService.getActiveAssignment(type, id);
+      return res.status(409).json({
+        error: `This ${type} is claimed by another reviewer`,
+        claimed_by_name: holder ? holder.reviewer_name : null,
+        claim_expires_at: holder ? holder.expires_at : null
+      });
+    }
+
+    res.json({ message: `${type} claimed for review`, assignment });
+  } catch (error) {
+    console.error('Claim content error:', error);
+    res.status(500).json({ error: 'Failed to claim content' });
+  }
+});
+
+// Give up a claim. Managers and admins can release anyone's (Scholar, Manager, Admin)
+router.post('/:type/:id/release', authenticateToken, requireRole(['scholar', 'manager', 'admin']), async (req, res) => {
+  try {
     const { type, id } = req.params;
-    const { reason } = req.body;
 
     if (!['dua', 'blog'].includes(type)) {
       return res.status(400).json({ error: 'Invalid content type' });
     }
 
-    let query = '';
-    let authorId = null;
+    const assignment = await assignmentService.getActiveAssignment(type, id);
+    if (!assignment) {
+      return res.status(404).json({ error: `No active claim on this ${type}` });
+    }
 
-    if (type === 'dua') {
-      // Get author ID first
-      const authorResult = await pool.query('SELECT user_id FROM duas WHERE id = $1', [id]);
-      if (authorResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Dua not found' });
-      }
-      authorId = authorResult.rows[0].user_id;
+    const isManager = ['manager', 'admin'].includes(req.user.role);
+    if (assignment.reviewer_id !== req.user.id && !isManager) {
+      return res.status(403).json({ error: 'You can only release your own claims' });
+    }
 
-      query = `
-        UPDATE duas 
-        SET approval_status = 'rejected', 
-            rejection_reason = $1,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `;
-    } else {
-      // Get author ID first
-      const authorResult = await pool.query('SELECT author_id FROM blogs WHERE id = $1', [id]);
-      if (authorResult.rows.length === 0) {
-        return res.status(404).json({ error: 'Blog not found' });
-      }
-      authorId = authorResult.rows[0].author_id;
+    const released = await assignmentService.endAssignment(type, id, 'released');
 
-      query = `
-        UPDATE blogs 
-        SET approval_status = 'rejected', 
-            rejection_reason = $1,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING *
-      `;
+    res.json({ message: `${type} released`, assignment: released });
+  } catch (error) {
+    console.error('Release content error:', error);
+    res.status(500).json({ error: 'Failed to release content' });
+  }
+});
+
+// Assign content to a specific reviewer, taking it from whoever holds it (Manager, Admin)
+router.post('/:type/:id/reassign', authenticateToken, requireRole(['manager', 'admin']), [
+  body('reviewer_id').isUUID().withMessage('reviewer_id must be a user id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const result = await pool.query(query, [reason, id]);
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Content not found' });
+    const reviewerResult = await pool.query(
+      'SELECT id, name, role, is_active FROM users WHERE id = $1',
+      [req.body.reviewer_id]
+    );
+    const reviewer = reviewerResult.rows[0];
+    if (!reviewer || !reviewer.is_active || !assignmentService.REVIEWER_ROLES.includes(reviewer.role)) {
+      return res.status(404).json({ error: 'Reviewer not found' });
     }
 
-    // Create notification for author
-    console.log('Creating rejection notification for author:', authorId);
+    const content = await findReviewableContent(req, res, reviewer);
+    if (!content) return;
+
+    const { type, id } = req.params;
+    const previous = await assignmentService.getActiveAssignment(type, id);
+    const assignment = await assignmentService.reassign(type, content, reviewer.id, req.user.id);
+    if (!assignment) {
+      return res.status(409).json({ error: 'Could not assign content, please try again' });
+    }
+
+    await auditService.recordAudit(req, {
+      action: 'reassign',
+      targetType: type,
+      targetId: id,
+      before: { reviewer_id: previous ? previous.reviewer_id : null },
+      after: { reviewer_id: reviewer.id }
+    });
+
     await createNotification(
-      authorId,
-      'rejection',
-      `${type === 'dua' ? 'Dua' : 'Blog'} Rejected`,
-      `Your ${type} "${result.rows[0].title}" has been rejected. Reason: ${reason}`,
+      reviewer.id,
+      'system',
+      'Review Assigned',
+      `${req.user.name} assigned you the ${type} "${content.title}" to review.`,
+      type,
+      id
+    );
+
+    res.json({ message: `${type} assigned to ${reviewer.name}`, assignment });
+  } catch (error) {
+    console.error('Reassign content error:', error);
+    res.status(500).json({ error: 'Failed to reassign content' });
+  }
+});
+
+// Content for the review discussion, or sends the error response and returns
+// null. Open to the author and to reviewers.
+const findContentForDiscussion = async (req, res) => {
+  const { type, id } = req.params;
+
+  if (!['dua', 'blog'].includes(type)) {
+    res.status(400).json({ error: 'Invalid content type' });
+    return null;
+  }
+
+  const content = await approvalService.getContent(type, id);
+  const isAuthor = content && approvalService.getAuthorId(type, content) === req.user.id;
+  if (!content || (!isAuthor && !assignmentService.REVIEWER_ROLES.includes(req.user.role))) {
+    res.status(404).json({ error: 'Content not found or access denied' });
+    return null;
+  }
+
+  return content;
+};
+
+// Content awaiting its author's changes, for the author only; or sends the
+// error response and returns null
+const findContentForAuthor = async (req, res) => {
+  const content = await findContentForDiscussion(req, res);
+  if (!content) {
+    return null;
+  }
+
+  const { type } = req.params;
+  if (approvalService.getAuthorId(type, content) !== req.user.id) {
+    res.status(403).json({ error: 'Only the author can respond to suggested changes' });
+    return null;
+  }
+
+  if (content.approval_status !== 'changes_requested') {
+    res.status(409).json({ error: `No changes have been requested on this ${type}` });
+    return null;
+  }
+
+  return content;
+};
+
+// Send content back to the approval queue once its author has responded to
+// every suggestion, with a claim for the reviewer who asked for the changes.
+// Returns the updated content, or null while suggestions are still open.
+const returnWhenResolved = async (req, type, content, { force = false } = {}) => {
+  const counts = await suggestionService.countByStatus(type, content.id, content.review_round);
+  if (counts.pending > 0 && !force) {
+    return null;
+  }
+
+  await suggestionService.supersedePending(type, content.id);
+  const updated = await approvalService.returnToReview(type, content.id, { newRound: force || counts.accepted > 0 });
+  if (!updated) {
+    return null;
+  }
+
+  const reviewerId = content.changes_requested_by;
+  if (reviewerId) {
+    await assignmentService.claim(type, updated, reviewerId, { source: 'returned' });
+    await createNotification(
+      reviewerId,
+      'system',
+      'Changes Made',
+      `${req.user.name} responded to your suggestions on the ${type} "${updated.title}". It is back in your review queue.`,
+      type,
+      content.id
+    );
+  }
+
+  return updated;
+};
+
+// Ask the author for changes instead of voting, optionally proposing new values
+// for fields and starting the discussion with a comment (Scholar, Manager, Admin)
+router.post('/:type/:id/request-changes', authenticateToken, requireRole(['scholar', 'manager', 'admin']), [
+  body('suggestions').optional().isArray({ max: 20 }).withMessage('suggestions must be a list of at most 20 edits'),
+  body('suggestions.*.field').isString().withMessage('Each suggestion needs a field'),
+  body('suggestions.*.value').isString().isLength({ min: 1, max: 20000 }).withMessage('Each suggestion needs a value'),
+  body('suggestions.*.note').optional().isString().isLength({ max: 1000 }).withMessage('Notes must be max 1000 characters'),
+  body('comment').optional().isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be 1-5000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, id } = req.params;
+    const suggestions = req.body.suggestions || [];
+    const { comment } = req.body;
+
+    if (suggestions.length === 0 && !comment) {
+      return res.status(400).json({ error: 'Suggest at least one edit or leave a comment' });
+    }
+
+    const fields = suggestionService.SUGGESTABLE_FIELDS[type] || [];
+    const invalidField = suggestions.find(suggestion => !fields.includes(suggestion.field));
+    if (invalidField) {
+      return res.status(400).json({ error: `Cannot suggest changes to ${invalidField.field}` });
+    }
+
+    const content = await findReviewableContent(req, res, req.user);
+    if (!content) return;
+
+    if (await isClaimedByOther(req, res, type, id)) {
+      return;
+    }
+
+    const updated = await approvalService.requestChanges(type, content, req.user.id);
+    if (!updated) {
+      return res.status(409).json({ error: `${approvalService.CONTENT_TYPES[type].label} is not awaiting approval` });
+    }
+
+    const stored = await suggestionService.createSuggestions(type, content, req.user.id, suggestions);
+    const storedComment = comment ? await suggestionService.addComment(type, id, req.user.id, comment) : null;
+    await assignmentService.endAssignment(type, id, 'completed', { reviewerId: req.user.id });
+
+    await auditService.recordAudit(req, {
+      action: 'request_changes',
+      targetType: type,
+      targetId: id,
+      before: auditService.pickState(content),
+      after: auditService.pickState(updated),
+      reason: comment
+    });
+
+    await createNotification(
+      approvalService.getAuthorId(type, content),
+      'changes_requested',
+      'Changes Requested',
+      stored.length > 0
+        ? `${req.user.name} suggested ${stored.length} change(s) to your ${type} "${content.title}".`
+        : `${req.user.name} asked for changes to your ${type} "${content.title}".`,
       type,
       id
     );
 
     res.json({
-      message: `${type} rejected successfully`,
-      content: result.rows[0]
+      message: 'Changes requested',
+      content: updated,
+      suggestions: stored,
+      comment: storedComment
     });
   } catch (error) {
-    console.error('Reject content error:', error);
-    res.status(500).json({ error: 'Failed to reject content' });
+    console.error('Request changes error:', error);
+    res.status(500).json({ error: 'Failed to request changes' });
+  }
+});
+
+// Suggested edits on content (?status=pending|accepted|rejected|superseded|all)
+// (author and reviewers)
+router.get('/:type/:id/suggestions', authenticateToken, async (req, res) => {
+  try {
+    const content = await findContentForDiscussion(req, res);
+    if (!content) return;
+
+    const status = req.query.status || 'all';
+    if (!['pending', 'accepted', 'rejected', 'superseded', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+
+    res.json({ suggestions: await suggestionService.listSuggestions(req.params.type, content.id, { status }) });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ error: 'Failed to fetch suggestions' });
+  }
+});
+
+// A pending suggestion on content awaiting its author, or sends the error response and returns null
+const findPendingSuggestion = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+
+  const content = await findContentForAuthor(req, res);
+  if (!content) {
+    return null;
+  }
+
+  const suggestion = await suggestionService.getSuggestion(req.params.type, content.id, req.params.suggestionId);
+  if (!suggestion) {
+    res.status(404).json({ error: 'Suggestion not found' });
+    return null;
+  }
+
+  if (suggestion.status !== 'pending') {
+    res.status(409).json({ error: 'Suggestion has already been resolved' });
+    return null;
+  }
+
+  return { content, suggestion };
+};
+
+// Apply a suggested edit (author only)
+router.post('/:type/:id/suggestions/:suggestionId/accept', authenticateToken, restrictSuspended('posting'), [
+  param('suggestionId').isUUID().withMessage('Invalid suggestion id')
+], async (req, res) => {
+  try {
+    const found = await findPendingSuggestion(req, res);
+    if (!found) return;
+
+    const { type } = req.params;
+    const { content, suggestion } = found;
+
+    if ((content[suggestion.field] ?? null) !== (suggestion.original_value ?? null)) {
+      return res.status(409).json({ error: `The ${suggestion.field} has changed since this suggestion was made` });
+    }
+
+    const applied = await suggestionService.applySuggestion(type, content.id, suggestion, req.user.id);
+    const accepted = await suggestionService.resolveSuggestion(suggestion.id, 'accepted', req.user.id);
+    const returned = await returnWhenResolved(req, type, applied.content);
+
+    res.json({
+      message: 'Suggestion applied',
+      suggestion: accepted,
+      content: returned || applied.content,
+      revision: applied.revision,
+      returned_to_review: Boolean(returned)
+    });
+  } catch (error) {
+    console.error('Accept suggestion error:', error);
+    res.status(500).json({ error: 'Failed to apply suggestion' });
+  }
+});
+
+// Decline a suggested edit, optionally saying why (author only)
+router.post('/:type/:id/suggestions/:suggestionId/reject', authenticateToken, [
+  param('suggestionId').isUUID().withMessage('Invalid suggestion id'),
+  body('response').optional().isString().isLength({ max: 1000 }).withMessage('Response must be max 1000 characters')
+], async (req, res) => {
+  try {
+    const found = await findPendingSuggestion(req, res);
+    if (!found) return;
+
+    const rejected = await suggestionService.resolveSuggestion(found.suggestion.id, 'rejected', req.user.id, {
+      response: req.body.response || null
+    });
+    if (!rejected) {
+      return res.status(409).json({ error: 'Suggestion has already been resolved' });
+    }
+
+    const returned = await returnWhenResolved(req, req.params.type, found.content);
+
+    res.json({
+      message: 'Suggestion rejected',
+      suggestion: rejected,
+      content: returned || found.content,
+      returned_to_review: Boolean(returned)
+    });
+  } catch (error) {
+    console.error('Reject suggestion error:', error);
+    res.status(500).json({ error: 'Failed to reject suggestion' });
+  }
+});
+
+// Send content back for review after editing it directly; suggestions left open
+// are superseded (author only)
+router.post('/:type/:id/resubmit', authenticateToken, restrictSuspended('posting'), async (req, res) => {
+  try {
+    const content = await findContentForAuthor(req, res);
+    if (!content) return;
+
+    const returned = await returnWhenResolved(req, req.params.type, content, { force: true });
+    if (!returned) {
+      return res.status(409).json({ error: `No changes have been requested on this ${req.params.type}` });
+    }
+
+    res.json({ message: `${req.params.type} resubmitted for review`, content: returned });
+  } catch (error) {
+    console.error('Resubmit content error:', error);
+    res.status(500).json({ error: 'Failed to resubmit content' });
+  }
+});
+
+// Review discussion as threads (author and reviewers)
+router.get('/:type/:id/comments', authenticateToken, async (req, res) => {
+  try {
+    const content = await findContentForDiscussion(req, res);
+    if (!content) return;
+
+    res.json({ comments: await suggestionService.listComments(req.params.type, content.id) });
+  } catch (error) {
+    console.error('Get review comments error:', error);
+    res.status(500).json({ error: 'Failed to fetch comments' });
+  }
+});
+
+// Comment on content under review, or reply to a comment with parent_id (author and reviewers)
+router.post('/:type/:id/comments', authenticateToken, restrictSuspended('posting'), [
+  body('body').isString().trim().isLength({ min: 1, max: 5000 }).withMessage('Comment must be 1-5000 characters'),
+  body('parent_id').optional().isUUID().withMessage('Invalid parent comment id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const content = await findContentForDiscussion(req, res);
+    if (!content) return;
+
+    const { type } = req.params;
+    const parentId = req.body.parent_id || null;
+    if (parentId && !await suggestionService.getComment(type, content.id, parentId)) {
+      return res.status(404).json({ error: 'Parent comment not found' });
+    }
+
+    const comment = await suggestionService.addComment(type, content.id, req.user.id, req.body.body, parentId);
+
+    // Authors' comments go to the reviewer who asked for changes, reviewers' to the author
+    const authorId = approvalService.getAuthorId(type, content);
+    const recipientId = req.user.id === authorId ? content.changes_requested_by : authorId;
+    if (recipientId && recipientId !== req.user.id) {
+      await createNotification(
+        recipientId,
+        'review_comment',
+        'New Review Comment',
+        `${req.user.name} commented on the ${type} "${content.title}".`,
+        type,
+        content.id
+      );
+    }
+
+    res.status(201).json({ comment });
+  } catch (error) {
+    console.error('Add review comment error:', error);
+    res.status(500).json({ error: 'Failed to add comment' });
   }
 });
 
@@ -334,7 +942,21 @@ router.get('/:type/:id', authenticateToken, requireRole(['scholar', 'manager', '
       return res.status(404).json({ error: 'Content not found' });
     }
 
-    res.json(result.rows[0]);
+    const content = result.rows[0];
+    const review = approvalPolicy.summarizeVotes(type, content, await approvalService.listVotes(type, id, content.review_round));
+    const assignment = await assignmentService.getActiveAssignment(type, id);
+
+    // For duas, show reviewers what changed since the last approved version
+    if (type === 'dua') {
+      return res.json({
+        ...content,
+        review,
+        assignment,
+        changes_since_approval: await revisionService.getChangesSinceApproved(id)
+      });
+    }
+
+    res.json({ ...content, review, assignment });
   } catch (error) {
     console.error('Get content details error:', error);
     res.status(500).json({ error: 'Failed to fetch content details' });
@@ -368,8 +990,8 @@ router.get('/stats', authenticateToken, requireRole(['manager', 'admin']), async
     const result = await pool.query(statsQuery);
     
     const stats = {
-      dua: { pending: 0, approved: 0, rejected: 0 },
-      blog: { pending: 0, approved: 0, rejected: 0 }
+      dua: { pending: 0, changes_requested: 0, approved: 0, rejected: 0 },
+      blog: { pending: 0, changes_requested: 0, approved: 0, rejected: 0 }
     };
 
     result.rows.forEach(row => {
@@ -1,12 +1,38 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowSuspended } = require('../middleware/auth');
+const mailService = require('../services/mailService');
+const mailTemplates = require('../services/mailTemplates');
+const { TOKEN_PURPOSES, TOKEN_TTL_MINUTES, createToken, consumeToken } = require('../services/tokenService');
+const sessionService = require('../services/sessionService');
+const suspensionService = require('../services/suspensionService');
 
 const router = express.Router();
 
+// Helper function to email a fresh verification link
+const sendVerificationEmail = async (user) => {
+  const token = await createToken(user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  const message = mailTemplates.emailVerification({
+    name: user.name,
+    token,
+    ttlMinutes: TOKEN_TTL_MINUTES[TOKEN_PURPOSES.EMAIL_VERIFICATION]
+  });
+  await mailService.sendMail({ to: user.email, ...message });
+};
+
+// Helper function to email a password reset link
+const sendPasswordResetEmail = async (user) => {
+  const token = await createToken(user.id, TOKEN_PURPOSES.PASSWORD_RESET);
+  const message = mailTemplates.passwordReset({
+    name: user.name,
+    token,
+    ttlMinutes: TOKEN_TTL_MINUTES[TOKEN_PURPOSES.PASSWORD_RESET]
+  });
+  await mailService.sendMail({ to: user.email, ...message });
+};
+
 // Register new user
 router.post('/register', [
   body('name').trim().isLength({ min: 2, max: 255 }).withMessage('Name must be 2-255 characters'),
@@ -34,7 +60,7 @@ router.post('/register', [
 
     // Create user
     const result = await pool.query(
-      'INSERT INTO users (name, email, password_hash, native_language) VALUES ($1, $2, $3, $4) RETURNING id, name, email, role, native_language, created_at',
+      'INSERT INTO users (name, email, password_hash, native_language) VALUES ($1, $2, $3, $4) RETURNING id, name, email, role, native_language, email_verified, created_at',
       [name, email, passwordHash, native_language]
     );
 
@@ -46,12 +72,15 @@ router.post('/register', [
       [user.id]
     );
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Send verification email (registration still succeeds if mail delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
+    // Start a session for this device
+    const { token, refresh_token } = await sessionService.createSession(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
@@ -60,9 +89,11 @@ router.post('/register', [
         name: user.name,
         email: user.email,
         role: user.role,
-        native_language: user.native_language
+        native_language: user.native_language,
+        email_verified: user.email_verified
       },
-      token
+      token,
+      refresh_token
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -85,7 +116,7 @@ router.post('/login', [
 
     // Find user
     const result = await pool.query(
-      'SELECT id, name, email, password_hash, role, native_language, is_active FROM users WHERE email = $1',
+      'SELECT id, name, email, password_hash, role, native_language, is_active, email_verified, deactivation_reason, deactivated_at FROM users WHERE email = $1',
       [email]
     );
 
@@ -95,22 +126,26 @@ router.post('/login', [
 
     const user = result.rows[0];
 
-    if (!user.is_active) {
-      return res.status(401).json({ error: 'Account is deactivated' });
-    }
-
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash);
     if (!isValidPassword) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // Only the account holder is told why it was deactivated
+    if (!user.is_active) {
+      return res.status(401).json({
+        error: 'Account is deactivated',
+        reason: user.deactivation_reason || null,
+        deactivated_at: user.deactivated_at || null
+      });
+    }
+
+    // Suspended users can still sign in to see and appeal their suspension
+    const suspensions = (await suspensionService.listForUser(user.id, { activeOnly: true })).map(suspensionService.describe);
+
+    // Start a session for this device
+    const { token, refresh_token } = await sessionService.createSession(user, req);
 
     res.json({
       message: 'Login successful',
@@ -119,9 +154,12 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
-        native_language: user.native_language
+        native_language: user.native_language,
+        email_verified: user.email_verified,
+        suspensions
       },
-      token
+      token,
+      refresh_token
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -130,10 +168,10 @@ router.post('/login', [
 });
 
 // Get current user profile
-router.get('/profile', authenticateToken, async (req, res) => {
+router.get('/profile', allowSuspended, authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(
-      'SELECT u.id, u.name, u.email, u.role, u.native_language, u.created_at, up.theme, up.language, up.dua_view_mode, up.notifications_enabled FROM users u LEFT JOIN user_preferences up ON u.id = up.user_id WHERE u.id = $1',
+      'SELECT u.id, u.name, u.email, u.role, u.native_language, u.email_verified, u.created_at, up.theme, up.language, up.dua_view_mode, up.notifications_enabled FROM users u LEFT JOIN user_preferences up ON u.id = up.user_id WHERE u.id = $1',
       [req.user.id]
     );
 
@@ -141,7 +179,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({ user: result.rows[0] });
+    res.json({ user: { ...result.rows[0], suspensions: req.user.suspensions } });
   } catch (error) {
     console.error('Profile fetch error:', error);
     res.status(500).json({ error: 'Failed to fetch profile' });
@@ -233,6 +271,9 @@ router.put('/change-password', authenticateToken, [
       [newPasswordHash, req.user.id]
     );
 
+    // Sign out every other device
+    await sessionService.revokeAllSessions(req.user.id, { exceptSessionId: req.sessionId });
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Password change error:', error);
@@ -240,4 +281,201 @@ router.put('/change-password', authenticateToken, [
   }
 });
 
+// Request a password reset email
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Valid email required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await pool.query(
+      'SELECT id, name, email FROM users WHERE email = $1 AND is_active = true',
+      [req.body.email]
+    );
+
+    // A failed send is only logged: answering differently would reveal the account exists
+    if (result.rows.length > 0) {
+      try {
+        await sendPasswordResetEmail(result.rows[0]);
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    // Same response either way so the endpoint can't be used to discover accounts
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to process password reset request' });
+  }
+});
+
+// Reset password with a one-time token
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const userId = await consumeToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    // Hash new password
+    const saltRounds = 10;
+    const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [newPasswordHash, userId]
+    );
+
+    // Whoever had the old password may still be signed in somewhere
+    await sessionService.revokeAllSessions(userId);
+
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Verify email address with a one-time token
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = await consumeToken(req.body.token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired verification token' });
+    }
+
+    await pool.query(
+      'UPDATE users SET email_verified = true, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [userId]
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', [
+  body('refresh_token').notEmpty().withMessage('Refresh token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const tokens = await sessionService.rotateSession(req.body.refresh_token, req);
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({ message: 'Token refreshed successfully', ...tokens });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh token' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await sessionService.listSessions(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out a single session
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isUUID().withMessage('Invalid session id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const revoked = await sessionService.revokeSession(req.user.id, req.params.id);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Sign out the current session
+router.post('/logout', allowSuspended, authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.id, req.sessionId);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out' });
+  }
+});
+
+// Sign out every session, including the current one
+router.post('/logout-all', allowSuspended, authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user.id);
+
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all sessions' });
+  }
+});
+
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken, requireScholar } = require('../middleware/auth');
+const { authenticateToken, requireScholar, restrictSuspended } = require('../middleware/auth');
+const { CONTENT_TYPES, APPROVAL_RESET, isReviewedChange } = require('../services/approvalService');
 
 const router = express.Router();
 
@@ -18,7 +19,7 @@ router.get('/', async (req, res) => {
       SELECT b.*, u.name as author_name
       FROM blogs b
       LEFT JOIN users u ON b.author_id = u.id
-      WHERE b.is_published = true AND b.approval_status = 'approved'
+      WHERE b.is_published = true AND b.approval_status = 'approved' AND b.is_hidden = false
     `;
     
     const queryParams = [];
@@ -45,7 +46,7 @@ router.get('/', async (req, res) => {
     let countQuery = `
       SELECT COUNT(*) as total
       FROM blogs b
-      WHERE b.is_published = true AND b.approval_status = 'approved'
+      WHERE b.is_published = true AND b.approval_status = 'approved' AND b.is_hidden = false
     `;
     
     const countParams = [];
@@ -88,7 +89,7 @@ router.get('/:id', async (req, res) => {
       SELECT b.*, u.name as author_name
       FROM blogs b
       LEFT JOIN users u ON b.author_id = u.id
-      WHERE b.id = $1 AND b.is_published = true
+      WHERE b.id = $1 AND b.is_published = true AND b.is_hidden = false
     `, [req.params.id]);
 
     if (result.rows.length === 0) {
@@ -138,7 +139,7 @@ router.get('/my-blogs', authenticateToken, async (req, res) => {
 });
 
 // Create new blog
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, restrictSuspended('posting'), [
   body('title').trim().isLength({ min: 1, max: 500 }).withMessage('Title is required and must be 1-500 characters'),
   body('content').trim().isLength({ min: 100 }).withMessage('Content must be at least 100 characters'),
   body('excerpt').optional().trim().isLength({ max: 500 }).withMessage('Excerpt must be max 500 characters'),
@@ -180,7 +181,7 @@ router.post('/', authenticateToken, [
 });
 
 // Update blog
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, restrictSuspended('posting'), [
   body('title').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Title must be 1-500 characters'),
   body('content').optional().trim().isLength({ min: 100 }).withMessage('Content must be at least 100 characters'),
   body('excerpt').optional().trim().isLength({ max: 500 }).withMessage('Excerpt must be max 500 characters'),
@@ -230,17 +231,22 @@ router.put('/:id', authenticateToken, [
       updates.push(`is_published = $${paramCount}`);
       values.push(is_published);
       paramCount++;
-      
-      // If publishing, set approval status to pending
-      if (is_published === true) {
-        updates.push(`approval_status = 'pending'`);
-      }
     }
 
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
+    // Publishing submits the blog for review in a new round, and so does
+    // changing what reviewers look at while it is in review or approved
+    const blog = existingBlog.rows[0];
+    const changedFields = CONTENT_TYPES.blog.reviewedFields
+      .filter(field => req.body[field] !== undefined && JSON.stringify(req.body[field]) !== JSON.stringify(blog[field]));
+    if (is_published === true ||
+        isReviewedChange('blog', { ...blog, is_published: is_published ?? blog.is_published }, changedFields)) {
+      updates.push(APPROVAL_RESET);
+    }
+
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
     values.push(req.params.id);
 
@@ -287,7 +293,7 @@ router.get('/tags/popular', async (req, res) => {
     const result = await pool.query(`
       SELECT unnest(tags) as tag, COUNT(*) as count
       FROM blogs
-      WHERE is_published = true AND tags IS NOT NULL
+      WHERE is_published = true AND is_hidden = false AND tags IS NOT NULL
       GROUP BY tag
       ORDER BY count DESC
       LIMIT 20
@@ -32,6 +32,7 @@ const getDuasOptimized = async (req, res) => {
           d.native_meaning,
           d.source_reference,
           d.is_verified,
+          d.verification_count,
           d.created_at,
           d.updated_at,
           u.name as author_name,
@@ -43,7 +44,7 @@ const getDuasOptimized = async (req, res) => {
           FROM dua_likes 
           GROUP BY dua_id
         ) cl ON d.id = cl.dua_id
-        WHERE d.is_public = true
+        WHERE d.is_public = true AND d.is_hidden = false
         ${search ? 'AND (d.title ILIKE $1 OR d.purpose ILIKE $1 OR d.english_meaning ILIKE $1)' : ''}
         ${verified !== undefined ? `AND d.is_verified = $${search ? '2' : '1'}` : ''}
       ),
@@ -83,7 +84,7 @@ const getDuasOptimized = async (req, res) => {
       FROM duas d
       LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
       LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
-      WHERE d.is_public = true
+      WHERE d.is_public = true AND d.is_hidden = false
       ${search ? 'AND (d.title ILIKE $1 OR d.purpose ILIKE $1 OR d.english_meaning ILIKE $1)' : ''}
       ${verified !== undefined ? `AND d.is_verified = $${search ? '2' : '1'}` : ''}
       ${category ? `AND dc.name = $${search ? (verified !== undefined ? '3' : '2') : (verified !== undefined ? '2' : '1')}` : ''}
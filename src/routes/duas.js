@@ -1,7 +1,12 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken, requireScholar } = require('../middleware/auth');
+const { withTransaction } = require('../database/transaction');
+const { authenticateToken, requireScholar, restrictSuspended } = require('../middleware/auth');
+const duaService = require('../services/duaService');
+const revisionService = require('../services/revisionService');
+const correctionService = require('../services/correctionService');
+const auditService = require('../services/auditService');
 
 const router = express.Router();
 
@@ -38,6 +43,30 @@ async function ensureLikesTableExists() {
   }
 }
 
+// Full-text query for a search string: stemmed English terms, or exact terms
+// after Arabic normalization (so tashkeel and hamza/alif variants don't matter)
+const searchQuerySql = (param) =>
+  `(websearch_to_tsquery('english', ${param}) || websearch_to_tsquery('simple', normalize_arabic(${param})))`;
+
+const SNIPPET_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=8, MaxFragments=2';
+
+// Rank for a search match; expects dua_search_documents joined as sd
+const searchRankSql = (param) => `,
+             ts_rank_cd(sd.document, ${searchQuerySql(param)}) as search_rank`;
+
+// Highlighted snippets for one ranked page of search matches. ts_headline is
+// costly, so the page is ranked and cut in the inner query and only its rows
+// get snippets; the outer ORDER BY restores the ranking.
+const withSearchSnippets = (pageQuery, param) => `
+      SELECT page.*,
+             ts_headline('english', concat_ws(' ', page.title, page.purpose, page.english_meaning, page.transliteration, page.native_meaning),
+                         ${searchQuerySql(param)}, '${SNIPPET_OPTIONS}') as search_snippet,
+             ts_headline('simple', normalize_arabic(page.arabic_text),
+                         ${searchQuerySql(param)}, '${SNIPPET_OPTIONS}') as arabic_snippet
+      FROM (${pageQuery}) page
+      ORDER BY page.search_rank DESC, page.created_at DESC
+    `;
+
 // Get all public duas with pagination and filters
 router.get('/', async (req, res) => {
   try {
@@ -49,11 +78,13 @@ router.get('/', async (req, res) => {
     const category = req.query.category || '';
     const verified = req.query.verified;
 
+    // The search term, when present, is always $1
     let query = `
       SELECT d.*, u.name as author_name, 
              array_agg(DISTINCT dc.name) as categories,
-             COALESCE(cl.likes_count, 0) as likes_count
+             COALESCE(cl.likes_count, 0) as likes_count${search ? searchRankSql('$1') : ''}
       FROM duas d
+      ${search ? 'JOIN dua_search_documents sd ON sd.dua_id = d.id' : ''}
       LEFT JOIN users u ON d.user_id = u.id
       LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
       LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
@@ -62,15 +93,15 @@ router.get('/', async (req, res) => {
         FROM dua_likes 
         GROUP BY dua_id
       ) cl ON d.id = cl.dua_id
-      WHERE d.is_public = true AND d.approval_status = 'approved'
+      WHERE d.is_public = true AND d.approval_status = 'approved' AND d.is_hidden = false
     `;
     
     const queryParams = [];
     let paramCount = 1;
 
     if (search) {
-      query += ` AND (d.title ILIKE $${paramCount} OR d.purpose ILIKE $${paramCount} OR d.english_meaning ILIKE $${paramCount})`;
-      queryParams.push(`%${search}%`);
+      query += ` AND sd.document @@ ${searchQuerySql(`$${paramCount}`)}`;
+      queryParams.push(search);
       paramCount++;
     }
 
@@ -86,26 +117,31 @@ router.get('/', async (req, res) => {
       paramCount++;
     }
 
-    query += ` GROUP BY d.id, u.name, cl.likes_count ORDER BY d.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    // Best matches first when searching
+    query += search
+      ? ` GROUP BY d.id, sd.dua_id, u.name, cl.likes_count ORDER BY search_rank DESC, d.created_at DESC`
+      : ` GROUP BY d.id, u.name, cl.likes_count ORDER BY d.created_at DESC`;
+    query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
     queryParams.push(limit, offset);
 
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(search ? withSearchSnippets(query, '$1') : query, queryParams);
 
     // Get total count
     let countQuery = `
       SELECT COUNT(DISTINCT d.id) as total
       FROM duas d
+      ${search ? 'JOIN dua_search_documents sd ON sd.dua_id = d.id' : ''}
       LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
       LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
-      WHERE d.is_public = true AND d.approval_status = 'approved'
+      WHERE d.is_public = true AND d.approval_status = 'approved' AND d.is_hidden = false
     `;
     
     const countParams = [];
     paramCount = 1;
 
     if (search) {
-      countQuery += ` AND (d.title ILIKE $${paramCount} OR d.purpose ILIKE $${paramCount} OR d.english_meaning ILIKE $${paramCount})`;
-      countParams.push(`%${search}%`);
+      countQuery += ` AND sd.document @@ ${searchQuerySql(`$${paramCount}`)}`;
+      countParams.push(search);
       paramCount++;
     }
 
@@ -151,8 +187,9 @@ router.get('/my-duas', authenticateToken, async (req, res) => {
     let query = `
       SELECT d.*, u.name as author_name, u.name as user_name,
              array_agg(DISTINCT dc.name) as categories,
-             COALESCE(cl.likes_count, 0) as likes_count
+             COALESCE(cl.likes_count, 0) as likes_count${search ? searchRankSql('$2') : ''}
       FROM duas d
+      ${search ? 'JOIN dua_search_documents sd ON sd.dua_id = d.id' : ''}
       LEFT JOIN users u ON d.user_id = u.id
       LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
       LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
@@ -168,23 +205,31 @@ router.get('/my-duas', authenticateToken, async (req, res) => {
     let paramCount = 2;
 
     if (search) {
-      query += ` AND (d.title ILIKE $${paramCount} OR d.purpose ILIKE $${paramCount} OR d.english_meaning ILIKE $${paramCount})`;
-      queryParams.push(`%${search}%`);
+      query += ` AND sd.document @@ ${searchQuerySql(`$${paramCount}`)}`;
+      queryParams.push(search);
       paramCount++;
     }
 
-    query += ` GROUP BY d.id, u.name, cl.likes_count ORDER BY d.created_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    query += search
+      ? ` GROUP BY d.id, sd.dua_id, u.name, cl.likes_count ORDER BY search_rank DESC, d.created_at DESC`
+      : ` GROUP BY d.id, u.name, cl.likes_count ORDER BY d.created_at DESC`;
+    query += ` LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
     queryParams.push(limit, offset);
 
-    const result = await pool.query(query, queryParams);
+    const result = await pool.query(search ? withSearchSnippets(query, '$2') : query, queryParams);
 
     // Get total count
-    let countQuery = `SELECT COUNT(*) as total FROM duas WHERE user_id = $1`;
+    let countQuery = `
+      SELECT COUNT(*) as total
+      FROM duas d
+      ${search ? 'JOIN dua_search_documents sd ON sd.dua_id = d.id' : ''}
+      WHERE d.user_id = $1
+    `;
     const countParams = [req.user.id];
 
     if (search) {
-      countQuery += ` AND (title ILIKE $2 OR purpose ILIKE $2 OR english_meaning ILIKE $2)`;
-      countParams.push(`%${search}%`);
+      countQuery += ` AND sd.document @@ ${searchQuerySql('$2')}`;
+      countParams.push(search);
     }
 
     const countResult = await pool.query(countQuery, countParams);
@@ -225,7 +270,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
         FROM dua_likes 
         GROUP BY dua_id
       ) cl ON d.id = cl.dua_id
-      WHERE d.id = $1 AND (d.is_public = true OR d.user_id = $2)
+      WHERE d.id = $1 AND ((d.is_public = true AND d.is_hidden = false) OR d.user_id = $2)
       GROUP BY d.id, u.name, cl.likes_count
     `, [duaId, req.user.id]);
 
@@ -261,7 +306,7 @@ router.get('/public/:id', async (req, res) => {
         FROM dua_likes 
         GROUP BY dua_id
       ) cl ON d.id = cl.dua_id
-      WHERE d.id = $1 AND d.is_public = true
+      WHERE d.id = $1 AND d.is_public = true AND d.is_hidden = false
       GROUP BY d.id, u.name, cl.likes_count
     `, [duaId]);
 
@@ -279,7 +324,7 @@ router.get('/public/:id', async (req, res) => {
 });
 
 // Create new dua
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, restrictSuspended('posting'), [
   body('title').trim().isLength({ min: 1, max: 500 }).withMessage('Title is required and must be 1-500 characters'),
   body('purpose').optional().trim().isLength({ max: 1000 }).withMessage('Purpose must be max 1000 characters'),
   body('arabic_text').optional().trim(),
@@ -308,6 +353,10 @@ router.post('/', authenticateToken, [
       is_public = false
     } = req.body;
 
+    if (is_public && !req.user.email_verified) {
+      return res.status(403).json({ error: 'Please verify your email address before publishing public duas' });
+    }
+
     // Create dua
     const result = await pool.query(`
       INSERT INTO duas (user_id, title, purpose, arabic_text, english_meaning, transliteration, native_meaning, source_reference, is_public)
@@ -319,23 +368,12 @@ router.post('/', authenticateToken, [
 
     // Add categories if specified
     if (categories.length > 0) {
-      for (const categoryName of categories) {
-        // Get or create category
-        let categoryResult = await pool.query('SELECT id FROM dua_categories WHERE name = $1', [categoryName]);
-        let categoryId;
-
-        if (categoryResult.rows.length === 0) {
-          const newCategory = await pool.query('INSERT INTO dua_categories (name) VALUES ($1) RETURNING id', [categoryName]);
-          categoryId = newCategory.rows[0].id;
-        } else {
-          categoryId = categoryResult.rows[0].id;
-        }
-
-        // Link dua to category
-        await pool.query('INSERT INTO dua_category_relations (dua_id, category_id) VALUES ($1, $2)', [dua.id, categoryId]);
-      }
+      await duaService.setCategories(dua.id, categories);
     }
 
+    // First revision holds the original content
+    await revisionService.recordRevision(dua.id, req.user.id, { action: 'create' });
+
     // Queue for AI processing
     await pool.query(`
       INSERT INTO ai_processing_queue (content_type, content_id, status)
@@ -353,7 +391,7 @@ router.post('/', authenticateToken, [
 });
 
 // Update dua
-router.put('/:id', authenticateToken, async (req, res) => {
+router.put('/:id', authenticateToken, restrictSuspended('posting'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -378,104 +416,25 @@ router.put('/:id', authenticateToken, async (req, res) => {
       is_public
     } = req.body;
 
-    // Build UPDATE query dynamically
-    const updates = [];
-    const values = [];
-    let paramCount = 1;
-
-    if (title !== undefined) {
-      updates.push(`title = $${paramCount}`);
-      values.push(title);
-      paramCount++;
-    }
-
-    if (purpose !== undefined) {
-      updates.push(`purpose = $${paramCount}`);
-      values.push(purpose);
-      paramCount++;
-    }
-
-    if (arabic_text !== undefined) {
-      updates.push(`arabic_text = $${paramCount}`);
-      values.push(arabic_text);
-      paramCount++;
-    }
-
-    if (english_meaning !== undefined) {
-      updates.push(`english_meaning = $${paramCount}`);
-      values.push(english_meaning);
-      paramCount++;
-    }
-
-    if (transliteration !== undefined) {
-      updates.push(`transliteration = $${paramCount}`);
-      values.push(transliteration);
-      paramCount++;
-    }
-
-    if (native_meaning !== undefined) {
-      updates.push(`native_meaning = $${paramCount}`);
-      values.push(native_meaning);
-      paramCount++;
-    }
-
-    if (source_reference !== undefined) {
-      updates.push(`source_reference = $${paramCount}`);
-      values.push(source_reference);
-      paramCount++;
-    }
-
-    if (is_public !== undefined) {
-      updates.push(`is_public = $${paramCount}`);
-      values.push(is_public);
-      paramCount++;
-      
-      // If making public, set approval status to pending
-      if (is_public === true) {
-        updates.push(`approval_status = 'pending'`);
-      }
+    if (is_public === true && !req.user.email_verified) {
+      return res.status(403).json({ error: 'Please verify your email address before publishing public duas' });
     }
 
-    updates.push(`updated_at = CURRENT_TIMESTAMP`);
-    values.push(req.params.id);
-
-    const result = await pool.query(
-      `UPDATE duas SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
-      values
-    );
-
-    // Update categories if provided
-    if (categories !== undefined) {
-      // Remove existing categories
-      await pool.query('DELETE FROM dua_category_relations WHERE dua_id = $1', [req.params.id]);
-
-      // Add new categories
-      if (categories.length > 0) {
-        for (const categoryName of categories) {
-          let categoryResult = await pool.query('SELECT id FROM dua_categories WHERE name = $1', [categoryName]);
-          let categoryId;
-
-          if (categoryResult.rows.length === 0) {
-            const newCategory = await pool.query('INSERT INTO dua_categories (name) VALUES ($1) RETURNING id', [categoryName]);
-            categoryId = newCategory.rows[0].id;
-          } else {
-            categoryId = categoryResult.rows[0].id;
-          }
-
-          await pool.query('INSERT INTO dua_category_relations (dua_id, category_id) VALUES ($1, $2)', [req.params.id, categoryId]);
-        }
-      }
-    }
-
-    // Queue for AI reprocessing
-    await pool.query(`
-      INSERT INTO ai_processing_queue (content_type, content_id, status)
-      VALUES ('dua', $1, 'pending')
-    `, [req.params.id]);
+    const { dua } = await duaService.updateDua(req.params.id, {
+      title,
+      purpose,
+      arabic_text,
+      english_meaning,
+      transliteration,
+      native_meaning,
+      source_reference,
+      is_public,
+      categories
+    }, req.user.id);
 
     res.json({
       message: 'Dua updated successfully',
-      dua: result.rows[0]
+      dua
     });
   } catch (error) {
     console.error('Update dua error:', error);
@@ -502,6 +461,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 // Verify dua (scholars only)
 router.post('/:id/verify', authenticateToken, requireScholar, async (req, res) => {
   try {
+    const before = await pool.query(
+      'SELECT is_verified, verified_by, verified_at FROM duas WHERE id = $1 AND is_public = true',
+      [req.params.id]
+    );
+
     const result = await pool.query(`
       UPDATE duas 
       SET is_verified = true, verified_by = $1, verified_at = CURRENT_TIMESTAMP
@@ -513,6 +477,14 @@ router.post('/:id/verify', authenticateToken, requireScholar, async (req, res) =
       return res.status(404).json({ error: 'Public dua not found' });
     }
 
+    await auditService.recordAudit(req, {
+      action: 'verify',
+      targetType: 'dua',
+      targetId: req.params.id,
+      before: auditService.pickState(before.rows[0]),
+      after: auditService.pickState(result.rows[0])
+    });
+
     res.json({
       message: 'Dua verified successfully',
       dua: result.rows[0]
@@ -533,7 +505,7 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
     // Check if dua exists and is public or owned by user
     const duaCheck = await pool.query(`
       SELECT id FROM duas 
-      WHERE id = $1 AND (is_public = true OR user_id = $2)
+      WHERE id = $1 AND ((is_public = true AND is_hidden = false) OR user_id = $2)
     `, [duaId, userId]);
 
     if (duaCheck.rows.length === 0) {
@@ -628,4 +600,262 @@ router.get('/:id/likes', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Helper function to load a dua for revision access: owners and reviewers can see history
+const REVIEWER_ROLES = ['scholar', 'manager', 'admin'];
+
+const findDuaForRevisions = async (duaId, user) => {
+  const result = await pool.query('SELECT id, user_id FROM duas WHERE id = $1', [duaId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const dua = result.rows[0];
+  if (dua.user_id !== user.id && !REVIEWER_ROLES.includes(user.role)) {
+    return null;
+  }
+  return dua;
+};
+
+// List a dua's revisions, newest first
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const dua = await findDuaForRevisions(req.params.id, req.user);
+    if (!dua) {
+      return res.status(404).json({ error: 'Dua not found or access denied' });
+    }
+
+    const revisions = await revisionService.listRevisions(dua.id);
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get dua revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// Field-level diff between two revisions (?from=2&to=5; "to" defaults to the latest)
+router.get('/:id/revisions/diff', authenticateToken, async (req, res) => {
+  try {
+    const fromNumber = parseInt(req.query.from);
+    const toNumber = req.query.to !== undefined ? parseInt(req.query.to) : null;
+
+    if (!fromNumber || (toNumber !== null && !toNumber)) {
+      return res.status(400).json({ error: 'from and to must be revision numbers' });
+    }
+
+    const dua = await findDuaForRevisions(req.params.id, req.user);
+    if (!dua) {
+      return res.status(404).json({ error: 'Dua not found or access denied' });
+    }
+
+    const from = await revisionService.getRevision(dua.id, fromNumber);
+    const to = toNumber
+      ? await revisionService.getRevision(dua.id, toNumber)
+      : await revisionService.getLatestRevision(dua.id);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: from.revision_number,
+      to: to.revision_number,
+      changes: revisionService.diffSnapshots(from.snapshot, to.snapshot)
+    });
+  } catch (error) {
+    console.error('Get dua revision diff error:', error);
+    res.status(500).json({ error: 'Failed to compare revisions' });
+  }
+});
+
+// Get a single revision with its full snapshot
+router.get('/:id/revisions/:revision', authenticateToken, async (req, res) => {
+  try {
+    const dua = await findDuaForRevisions(req.params.id, req.user);
+    if (!dua) {
+      return res.status(404).json({ error: 'Dua not found or access denied' });
+    }
+
+    const revision = await revisionService.getRevision(dua.id, parseInt(req.params.revision) || 0);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get dua revision error:', error);
+    res.status(500).json({ error: 'Failed to fetch revision' });
+  }
+});
+
+// Restore an earlier revision (owner only). The restore is itself recorded as a new revision.
+router.post('/:id/revisions/:revision/restore', authenticateToken, restrictSuspended('posting'), async (req, res) => {
+  try {
+    const existingDua = await pool.query('SELECT id FROM duas WHERE id = $1 AND user_id = $2', [req.params.id, req.user.id]);
+    if (existingDua.rows.length === 0) {
+      return res.status(404).json({ error: 'Dua not found or access denied' });
+    }
+
+    const revision = await revisionService.getRevision(req.params.id, parseInt(req.params.revision) || 0);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { snapshot } = revision;
+
+    if (snapshot.is_public && !req.user.email_verified) {
+      return res.status(403).json({ error: 'Please verify your email address before publishing public duas' });
+    }
+
+    const fields = {};
+    for (const field of revisionService.REVISION_FIELDS) {
+      fields[field] = snapshot[field];
+    }
+
+    const { dua, revision: newRevision } = await duaService.updateDua(req.params.id, fields, req.user.id, {
+      action: 'restore',
+      restoredFrom: revision.revision_number
+    });
+
+    res.json({
+      message: `Dua restored to revision ${revision.revision_number}`,
+      dua,
+      revision: newRevision
+    });
+  } catch (error) {
+    console.error('Restore dua revision error:', error);
+    res.status(500).json({ error: 'Failed to restore revision' });
+  }
+});
+
+// List AI corrections for a dua (owner or reviewer). ?status=all includes resolved ones.
+router.get('/:id/ai-corrections', authenticateToken, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'accepted', 'dismissed', 'superseded', 'all'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+
+    const dua = await findDuaForRevisions(req.params.id, req.user);
+    if (!dua) {
+      return res.status(404).json({ error: 'Dua not found or access denied' });
+    }
+
+    const corrections = await correctionService.listCorrections(dua.id, { status });
+
+    res.json({ corrections });
+  } catch (error) {
+    console.error('Get AI corrections error:', error);
+    res.status(500).json({ error: 'Failed to fetch AI corrections' });
+  }
+});
+
+// Helper to load a pending correction, or send the matching error response
+const findPendingCorrection = async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ errors: errors.array() });
+    return null;
+  }
+
+  const dua = await findDuaForRevisions(req.params.id, req.user);
+  if (!dua) {
+    res.status(404).json({ error: 'Dua not found or access denied' });
+    return null;
+  }
+
+  const correction = await correctionService.getCorrection(dua.id, req.params.correctionId);
+  if (!correction) {
+    res.status(404).json({ error: 'Correction not found' });
+    return null;
+  }
+
+  if (correction.status !== 'pending') {
+    res.status(409).json({ error: `Correction has already been ${correction.status}` });
+    return null;
+  }
+
+  return correction;
+};
+
+// Accept an AI correction: write its suggestion into the dua field, record a
+// revision and queue the dua for a fresh analysis
+router.post('/:id/ai-corrections/:correctionId/accept', authenticateToken, restrictSuspended('posting'), [
+  param('correctionId').isUUID().withMessage('Invalid correction id')
+], async (req, res) => {
+  try {
+    const correction = await findPendingCorrection(req, res);
+    if (!correction) {
+      return;
+    }
+
+    if (!correction.applicable) {
+      return res.status(400).json({ error: 'This correction cannot be applied automatically' });
+    }
+
+    const result = await withTransaction(async (client) => {
+      // Lock the dua so the field can't change between this check and the edit.
+      // The field name is one of CORRECTABLE_FIELDS, so it is safe to interpolate.
+      const current = await client.query(`SELECT ${correction.field} as value FROM duas WHERE id = $1 FOR UPDATE`, [req.params.id]);
+      if ((current.rows[0].value ?? null) !== (correction.original_value ?? null)) {
+        return { conflict: `The ${correction.field} has changed since this correction was made` };
+      }
+
+      // Claim the correction before editing: a concurrent accept or dismiss
+      // waits for this transaction and then finds it resolved
+      const claimed = await correctionService.resolveCorrection(correction.id, 'accepted', req.user.id, { client });
+      if (!claimed) {
+        return { conflict: 'Correction has already been resolved' };
+      }
+
+      const { dua, revision } = await duaService.updateDua(req.params.id, {
+        [correction.field]: correction.suggestion_english
+      }, req.user.id, { action: 'ai_correction', client });
+
+      const accepted = revision
+        ? await correctionService.setRevisionNumber(correction.id, revision.revision_number, client)
+        : claimed;
+
+      return { correction: accepted, dua, revision };
+    });
+
+    if (result.conflict) {
+      return res.status(409).json({ error: result.conflict });
+    }
+
+    res.json({
+      message: 'Correction applied',
+      ...result
+    });
+  } catch (error) {
+    console.error('Accept AI correction error:', error);
+    res.status(500).json({ error: 'Failed to apply correction' });
+  }
+});
+
+// Dismiss an AI correction without changing the dua
+router.post('/:id/ai-corrections/:correctionId/dismiss', authenticateToken, [
+  param('correctionId').isUUID().withMessage('Invalid correction id')
+], async (req, res) => {
+  try {
+    const correction = await findPendingCorrection(req, res);
+    if (!correction) {
+      return;
+    }
+
+    const dismissed = await correctionService.resolveCorrection(correction.id, 'dismissed', req.user.id);
+    if (!dismissed) {
+      return res.status(409).json({ error: 'Correction has already been resolved' });
+    }
+
+    res.json({
+      message: 'Correction dismissed',
+      correction: dismissed
+    });
+  } catch (error) {
+    console.error('Dismiss AI correction error:', error);
+    res.status(500).json({ error: 'Failed to dismiss correction' });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,23 @@
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken } = require('../middleware/auth');
+const { checkSession, authenticateToken, authenticateStreamToken, allowSuspended } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const sessionService = require('../services/sessionService');
+const deliveryService = require('../services/deliveryService');
+const pushService = require('../services/pushService');
+const { isValidSubscriptionKeys } = require('../utils/webPush');
+const { verifyUnsubscribeToken } = require('../services/tokenService');
+const notificationHub = require('../services/notificationHub');
+const { openEventStream } = require('../utils/sse');
 
 const router = express.Router();
 
+// How often open streams send a heartbeat and check the session is still valid
+const STREAM_CHECK_MS = parseInt(process.env.NOTIFICATION_STREAM_CHECK_MS) || 25000;
+
 // Get user notifications
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', allowSuspended, authenticateToken, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -59,7 +71,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Mark notification as read
-router.put('/:id/read', authenticateToken, async (req, res) => {
+router.put('/:id/read', allowSuspended, authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(`
       UPDATE notifications 
@@ -103,7 +115,7 @@ router.put('/read-all', authenticateToken, async (req, res) => {
 });
 
 // Get unread notification count
-router.get('/unread-count', authenticateToken, async (req, res) => {
+router.get('/unread-count', allowSuspended, authenticateToken, async (req, res) => {
   try {
     const result = await pool.query(`
       SELECT COUNT(*) as count
@@ -120,6 +132,231 @@ router.get('/unread-count', authenticateToken, async (req, res) => {
   }
 });
 
+// Get email settings: the overall switches and how often each type is emailed
+router.get('/preferences', allowSuspended, authenticateToken, async (req, res) => {
+  try {
+    const preferences = await deliveryService.getEmailPreferences(req.user.id);
+
+    res.json({
+      preferences,
+      frequencies: deliveryService.EMAIL_FREQUENCIES
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences' });
+  }
+});
+
+// Update email settings. types maps notification types to off, immediate, daily or weekly.
+router.put('/preferences', allowSuspended, authenticateToken, [
+  body('email_notifications').optional().isBoolean().withMessage('email_notifications must be boolean'),
+  body('types').optional().isObject().withMessage('types must be an object')
+    .custom(types => Object.entries(types).every(([type, frequency]) =>
+      deliveryService.NOTIFICATION_TYPES.includes(type) && deliveryService.EMAIL_FREQUENCIES.includes(frequency)))
+    .withMessage(`types must map ${deliveryService.NOTIFICATION_TYPES.join(', ')} to one of: ${deliveryService.EMAIL_FREQUENCIES.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const preferences = await deliveryService.updateEmailPreferences(req.user.id, {
+      emailNotifications: req.body.email_notifications,
+      types: req.body.types
+    });
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences' });
+  }
+});
+
+// Unsubscribe with the token from an email, no sign-in needed. Mail clients
+// call this directly for one-click unsubscribe, with the token in the query.
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const subscription = verifyUnsubscribeToken(req.query.token || req.body.token);
+    if (!subscription) {
+      return res.status(400).json({ error: 'Invalid unsubscribe link' });
+    }
+
+    await deliveryService.unsubscribe(subscription.userId, subscription.type);
+
+    res.json({
+      message: subscription.type
+        ? `You will no longer receive ${subscription.type} emails`
+        : 'You will no longer receive notification emails',
+      type: subscription.type
+    });
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: 'Failed to unsubscribe' });
+  }
+});
+
+// The VAPID public key browsers pass as applicationServerKey when subscribing
+router.get('/push/public-key', async (req, res) => {
+  try {
+    const { publicKey } = await pushService.getVapidKeys();
+    res.json({ publicKey });
+  } catch (error) {
+    console.error('Get VAPID public key error:', error);
+    res.status(500).json({ error: 'Push notifications are unavailable' });
+  }
+});
+
+// Push services are always HTTPS; plain HTTP is allowed outside production so a
+// local push service stub can be used
+const pushEndpointValidation = () => body('endpoint')
+  .isURL({ protocols: process.env.NODE_ENV === 'production' ? ['https'] : ['https', 'http'], require_protocol: true, require_tld: false })
+  .withMessage('endpoint must be a push service URL');
+
+// Get this user's subscribed browsers
+router.get('/push/subscriptions', allowSuspended, authenticateToken, async (req, res) => {
+  try {
+    const subscriptions = await pushService.listSubscriptions(req.user.id);
+    res.json({ subscriptions });
+  } catch (error) {
+    console.error('Get push subscriptions error:', error);
+    res.status(500).json({ error: 'Failed to fetch push subscriptions' });
+  }
+});
+
+// Save the PushSubscription from pushManager.subscribe() (its toJSON() form)
+router.post('/push/subscriptions', allowSuspended, authenticateToken, [
+  pushEndpointValidation(),
+  body('keys').custom(keys => isValidSubscriptionKeys(keys))
+    .withMessage('keys must hold the subscription\'s p256dh and auth keys')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const subscription = await pushService.subscribe(req.user.id, req.body, req.get('User-Agent') || null);
+
+    res.status(201).json({
+      message: 'Push notifications enabled',
+      subscription
+    });
+  } catch (error) {
+    console.error('Create push subscription error:', error);
+    res.status(500).json({ error: 'Failed to save push subscription' });
+  }
+});
+
+// Forget a browser's subscription, e.g. after pushSubscription.unsubscribe()
+router.delete('/push/subscriptions', allowSuspended, authenticateToken, [
+  pushEndpointValidation()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const removed = await pushService.unsubscribe(req.user.id, req.body.endpoint);
+    if (!removed) {
+      return res.status(404).json({ error: 'Push subscription not found' });
+    }
+
+    res.json({ message: 'Push notifications disabled' });
+  } catch (error) {
+    console.error('Delete push subscription error:', error);
+    res.status(500).json({ error: 'Failed to remove push subscription' });
+  }
+});
+
+// Issue a short-lived token for opening the notification stream with EventSource,
+// which can't send the Authorization header
+router.post('/stream-token', authenticateToken, (req, res) => {
+  res.json({
+    stream_token: sessionService.signStreamToken(req.user.id, req.sessionId),
+    expires_in: sessionService.STREAM_TOKEN_TTL_SECONDS
+  });
+});
+
+// Stream new notifications as Server-Sent Events. Each event id is the
+// notification's event_seq, so reconnecting with Last-Event-ID replays anything missed.
+router.get('/stream', authenticateStreamToken, async (req, res) => {
+  const userId = req.user.id;
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+  let cursor;
+
+  try {
+    cursor = /^\d+$/.test(lastEventId || '')
+      ? lastEventId
+      : await notificationService.getLatestEventSeq(userId);
+  } catch (error) {
+    console.error('Notification stream error:', error);
+    return res.status(500).json({ error: 'Failed to open notification stream' });
+  }
+
+  let unsubscribe = null;
+
+  // Close the stream once the session is revoked or expires, or the account is
+  // deactivated or fully suspended
+  const recheckSession = async () => {
+    try {
+      const { user, body } = await checkSession(userId, req.sessionId);
+      if (!user && !stream.isClosed()) {
+        stream.send({ event: 'error', data: body });
+        stream.close();
+      }
+    } catch (error) {
+      console.error('Notification stream session check error:', error);
+    }
+  };
+
+  const stream = openEventStream(req, res, {
+    heartbeatMs: STREAM_CHECK_MS,
+    onHeartbeat: recheckSession,
+    onClose: () => unsubscribe && unsubscribe()
+  });
+
+  // Deliveries are chained so events go out in order even when NOTIFYs arrive together
+  let delivery = Promise.resolve();
+  const deliver = () => {
+    delivery = delivery.then(async () => {
+      let notifications;
+      do {
+        if (stream.isClosed()) return;
+        notifications = await notificationService.getNotificationsSince(userId, cursor, 100);
+        for (const notification of notifications) {
+          stream.send({ id: notification.event_seq, event: 'notification', data: notification });
+          cursor = notification.event_seq;
+        }
+      } while (notifications.length === 100);
+    }).catch((error) => {
+      console.error('Notification stream delivery error:', error);
+    });
+    return delivery;
+  };
+
+  try {
+    unsubscribe = await notificationHub.subscribe(userId, deliver);
+  } catch (error) {
+    console.error('Notification stream subscribe error:', error);
+    stream.send({ event: 'error', data: { error: 'Notification stream unavailable' } });
+    return stream.close();
+  }
+
+  if (stream.isClosed()) {
+    return unsubscribe();
+  }
+
+  stream.send({ event: 'ready', data: { last_event_id: cursor } });
+
+  // Catch up on anything after the cursor, including what arrived while subscribing
+  deliver();
+});
+
 // Delete notification
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
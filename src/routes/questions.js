@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken, requireScholar } = require('../middleware/auth');
+const { authenticateToken, requireScholar, restrictSuspended } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const { createNotification } = require('../services/notificationService');
 
 const router = express.Router();
 
@@ -20,8 +22,8 @@ router.get('/', async (req, res) => {
              COUNT(a.id) as answer_count
       FROM questions q
       LEFT JOIN users u ON q.user_id = u.id
-      LEFT JOIN answers a ON q.id = a.question_id
-      WHERE q.is_public = true
+      LEFT JOIN answers a ON q.id = a.question_id AND a.is_hidden = false
+      WHERE q.is_public = true AND q.is_hidden = false
     `;
     
     const queryParams = [];
@@ -54,7 +56,7 @@ router.get('/', async (req, res) => {
     let countQuery = `
       SELECT COUNT(*) as total
       FROM questions q
-      WHERE q.is_public = true
+      WHERE q.is_public = true AND q.is_hidden = false
     `;
     
     const countParams = [];
@@ -103,7 +105,7 @@ router.get('/:id', async (req, res) => {
       SELECT q.*, u.name as author_name
       FROM questions q
       LEFT JOIN users u ON q.user_id = u.id
-      WHERE q.id = $1 AND (q.is_public = true OR q.user_id = $2)
+      WHERE q.id = $1 AND ((q.is_public = true AND q.is_hidden = false) OR q.user_id = $2)
     `, [req.params.id, req.user?.id]);
 
     if (questionResult.rows.length === 0) {
@@ -117,9 +119,9 @@ router.get('/:id', async (req, res) => {
       SELECT a.*, u.name as scholar_name
       FROM answers a
       LEFT JOIN users u ON a.scholar_id = u.id
-      WHERE a.question_id = $1
+      WHERE a.question_id = $1 AND (a.is_hidden = false OR a.scholar_id = $2)
       ORDER BY a.created_at ASC
-    `, [req.params.id]);
+    `, [req.params.id, req.user?.id]);
 
     res.json({
       question,
@@ -167,7 +169,7 @@ router.get('/my-questions', authenticateToken, async (req, res) => {
 });
 
 // Create new question
-router.post('/', authenticateToken, [
+router.post('/', authenticateToken, restrictSuspended('qa'), [
   body('title').trim().isLength({ min: 1, max: 500 }).withMessage('Title is required and must be 1-500 characters'),
   body('content').trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
@@ -206,7 +208,7 @@ router.post('/', authenticateToken, [
 });
 
 // Update question
-router.put('/:id', authenticateToken, [
+router.put('/:id', authenticateToken, restrictSuspended('qa'), [
   body('title').optional().trim().isLength({ min: 1, max: 500 }).withMessage('Title must be 1-500 characters'),
   body('content').optional().trim().isLength({ min: 50 }).withMessage('Content must be at least 50 characters'),
   body('tags').optional().isArray().withMessage('Tags must be an array'),
@@ -297,7 +299,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // Answer a question (scholars only)
-router.post('/:id/answer', authenticateToken, requireScholar, [
+router.post('/:id/answer', authenticateToken, restrictSuspended('qa'), requireScholar, [
   body('content').trim().isLength({ min: 50 }).withMessage('Answer must be at least 50 characters')
 ], async (req, res) => {
   try {
@@ -310,11 +312,13 @@ router.post('/:id/answer', authenticateToken, requireScholar, [
     const questionId = req.params.id;
 
     // Check if question exists and is public
-    const questionResult = await pool.query('SELECT id FROM questions WHERE id = $1 AND is_public = true', [questionId]);
+    const questionResult = await pool.query('SELECT id, user_id, title FROM questions WHERE id = $1 AND is_public = true AND is_hidden = false', [questionId]);
     if (questionResult.rows.length === 0) {
       return res.status(404).json({ error: 'Question not found' });
     }
 
+    const question = questionResult.rows[0];
+
     // Create answer
     const answerResult = await pool.query(`
       INSERT INTO answers (question_id, scholar_id, content)
@@ -333,6 +337,18 @@ router.post('/:id/answer', authenticateToken, requireScholar, [
       VALUES ('answer', $1, 'pending')
     `, [answer.id]);
 
+    // Let the asker know their question was answered
+    if (question.user_id && question.user_id !== req.user.id) {
+      await createNotification(
+        question.user_id,
+        'new_answer',
+        'Your Question Was Answered',
+        `${req.user.name} answered your question "${question.title}".`,
+        'question',
+        questionId
+      );
+    }
+
     res.status(201).json({
       message: 'Answer created successfully',
       answer
@@ -346,6 +362,11 @@ router.post('/:id/answer', authenticateToken, requireScholar, [
 // Verify answer (scholars only)
 router.post('/answers/:answerId/verify', authenticateToken, requireScholar, async (req, res) => {
   try {
+    const before = await pool.query(
+      'SELECT is_verified, verified_by, verified_at FROM answers WHERE id = $1',
+      [req.params.answerId]
+    );
+
     const result = await pool.query(`
       UPDATE answers 
       SET is_verified = true, verified_by = $1, verified_at = CURRENT_TIMESTAMP
@@ -357,6 +378,14 @@ router.post('/answers/:answerId/verify', authenticateToken, requireScholar, asyn
       return res.status(404).json({ error: 'Answer not found' });
     }
 
+    await auditService.recordAudit(req, {
+      action: 'verify',
+      targetType: 'answer',
+      targetId: req.params.answerId,
+      before: auditService.pickState(before.rows[0]),
+      after: auditService.pickState(result.rows[0])
+    });
+
     res.json({
       message: 'Answer verified successfully',
       answer: result.rows[0]
@@ -373,7 +402,7 @@ router.get('/tags/popular', async (req, res) => {
     const result = await pool.query(`
       SELECT unnest(tags) as tag, COUNT(*) as count
       FROM questions
-      WHERE is_public = true AND tags IS NOT NULL
+      WHERE is_public = true AND is_hidden = false AND tags IS NOT NULL
       GROUP BY tag
       ORDER BY count DESC
       LIMIT 20
@@ -1,15 +1,45 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const pool = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const auditService = require('../services/auditService');
+const reportService = require('../services/reportService');
+const { createNotification } = require('../services/notificationService');
 
 const router = express.Router();
 
+// Tell the owner and the moderators that reports have hidden an item
+const notifyAutoHidden = async (contentType, content, { weight, threshold }) => {
+  const { label } = reportService.REPORT_TARGETS[contentType];
+  const title = reportService.getTitle(contentType, content);
+
+  await createNotification(
+    reportService.getOwnerId(contentType, content),
+    'content_hidden',
+    `${label} Hidden Pending Review`,
+    `Your ${contentType} "${title}" received several reports and is hidden until a moderator reviews it.`,
+    contentType,
+    content.id
+  );
+
+  const moderators = await reportService.getModeratorIds();
+  for (const moderatorId of moderators) {
+    await createNotification(
+      moderatorId,
+      'content_hidden',
+      `Reported ${label} Hidden`,
+      `The ${contentType} "${title}" was hidden automatically after reports weighing ${weight} (threshold ${threshold}). Please review them.`,
+      contentType,
+      content.id
+    );
+  }
+};
+
 // Report content
 router.post('/report', 
   authenticateToken,
   [
-    body('contentType').isIn(['dua', 'blog']).withMessage('Content type must be dua or blog'),
+    body('contentType').isIn(reportService.REPORT_TYPES).withMessage(`Content type must be one of: ${reportService.REPORT_TYPES.join(', ')}`),
     body('contentId').isUUID().withMessage('Content ID must be a valid UUID'),
     body('reason').isIn(['inaccurate', 'inappropriate', 'spam', 'copyright', 'other']).withMessage('Invalid reason'),
     body('description').optional().isLength({ max: 1000 }).withMessage('Description too long')
@@ -25,36 +55,42 @@ router.post('/report',
     const reporterId = req.user.id;
 
     // Check if content exists
-    const contentTable = contentType === 'dua' ? 'duas' : 'blogs';
-    const contentCheck = await pool.query(
-      `SELECT id FROM ${contentTable} WHERE id = $1`,
-      [contentId]
-    );
-
-    if (contentCheck.rows.length === 0) {
-      return res.status(404).json({ error: 'Content not found' });
+    const content = await reportService.getTarget(contentType, contentId);
+    if (!content) {
+      return res.status(404).json({ error: contentType === 'user' ? 'User not found' : 'Content not found' });
     }
 
-    // Check if user already reported this content
-    const existingReport = await pool.query(
-      'SELECT id FROM content_reports WHERE content_type = $1 AND content_id = $2 AND reporter_id = $3',
-      [contentType, contentId, reporterId]
-    );
+    if (reportService.getOwnerId(contentType, content) === reporterId) {
+      return res.status(400).json({ error: contentType === 'user' ? 'You cannot report yourself' : 'You cannot report your own content' });
+    }
 
-    if (existingReport.rows.length > 0) {
+    // Create report; the unique index refuses a second report from the same user
+    const report = await reportService.createReport({ contentType, contentId, reporter: req.user, reason, description });
+    if (!report) {
       return res.status(400).json({ error: 'You have already reported this content' });
     }
 
-    // Create report
-    const result = await pool.query(
-      `INSERT INTO content_reports (content_type, content_id, reporter_id, reason, description)
-       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
-      [contentType, contentId, reporterId, reason, description]
-    );
+    // Hide the content pending review once its reports carry enough weight
+    const { content: hidden, weight, threshold } = await reportService.hideIfOverThreshold(contentType, contentId);
+    if (hidden) {
+      console.log(`🙈 Hid ${contentType} ${contentId} after reports weighing ${weight}`);
+
+      // Nobody decided this, so the entry has no actor
+      await auditService.recordAudit({ ip: req.ip }, {
+        action: 'auto_hide',
+        targetType: contentType,
+        targetId: contentId,
+        before: { is_hidden: false, hidden_reason: null },
+        after: { is_hidden: true, hidden_reason: 'reports' },
+        reason: `Open reports weigh ${weight}, threshold is ${threshold}`
+      });
+
+      await notifyAutoHidden(contentType, hidden, { weight, threshold });
+    }
 
     res.status(201).json({ 
       message: 'Content reported successfully',
-      reportId: result.rows[0].id
+      reportId: report.id
     });
   } catch (error) {
     console.error('Error creating report:', error);
@@ -63,54 +99,36 @@ router.post('/report',
 });
 
 // Get reports (admin only)
-router.get('/admin', authenticateToken, async (req, res) => {
+router.get('/admin',
+  authenticateToken,
+  [
+    query('contentType').optional().isIn(reportService.REPORT_TYPES).withMessage('Invalid content type')
+  ],
+  async (req, res) => {
   try {
     if (req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    const { status = 'pending', page = 1, limit = 20 } = req.query;
-    const offset = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
 
-    const reports = await pool.query(`
-      SELECT 
-        cr.*,
-        u.name as reporter_name,
-        u.email as reporter_email,
-        CASE 
-          WHEN cr.content_type = 'dua' THEN d.title
-          WHEN cr.content_type = 'blog' THEN b.title
-        END as content_title,
-        CASE 
-          WHEN cr.content_type = 'dua' THEN d.user_id
-          WHEN cr.content_type = 'blog' THEN b.user_id
-        END as content_author_id,
-        author.name as content_author_name
-      FROM content_reports cr
-      JOIN users u ON cr.reporter_id = u.id
-      LEFT JOIN duas d ON cr.content_type = 'dua' AND cr.content_id = d.id
-      LEFT JOIN blogs b ON cr.content_type = 'blog' AND cr.content_id = b.id
-      LEFT JOIN users author ON (
-        (cr.content_type = 'dua' AND d.user_id = author.id) OR
-        (cr.content_type = 'blog' AND b.user_id = author.id)
-      )
-      WHERE cr.status = $1
-      ORDER BY cr.created_at DESC
-      LIMIT $2 OFFSET $3
-    `, [status, limit, offset]);
-
-    const totalCount = await pool.query(
-      'SELECT COUNT(*) FROM content_reports WHERE status = $1',
-      [status]
+    const { status = 'pending', contentType, page = 1, limit = 20 } = req.query;
+
+    const { reports, total } = await reportService.listReports(
+      { status, contentType },
+      { page: parseInt(page), limit: parseInt(limit) }
     );
 
     res.json({
-      reports: reports.rows,
+      reports,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
-        total: parseInt(totalCount.rows[0].count),
-        pages: Math.ceil(totalCount.rows[0].count / limit)
+        total,
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
@@ -119,11 +137,13 @@ router.get('/admin', authenticateToken, async (req, res) => {
   }
 });
 
-// Update report status (admin only)
+// Update report status (admin only). Resolving a report can also act on the
+// reported content: hide it, delete it or send it back to pending review.
 router.put('/admin/:reportId', 
   authenticateToken,
   [
     body('status').isIn(['reviewed', 'resolved', 'dismissed']).withMessage('Invalid status'),
+    body('action').optional().isIn(reportService.REPORT_ACTIONS).withMessage(`Action must be one of: ${reportService.REPORT_ACTIONS.join(', ')}`),
     body('adminNotes').optional().isLength({ max: 1000 }).withMessage('Admin notes too long')
   ],
   async (req, res) => {
@@ -138,20 +158,95 @@ router.put('/admin/:reportId',
     }
 
     const { reportId } = req.params;
-    const { status, adminNotes } = req.body;
+    const { status, action, adminNotes } = req.body;
 
-    const result = await pool.query(
-      'UPDATE content_reports SET status = $1, admin_notes = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3 RETURNING *',
-      [status, adminNotes, reportId]
-    );
+    if (action && status !== 'resolved') {
+      return res.status(400).json({ error: 'Actions can only be taken when resolving a report' });
+    }
 
-    if (result.rows.length === 0) {
+    const report = await reportService.getReport(reportId);
+    if (!report) {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    const { content_type: contentType, content_id: contentId } = report;
+    let closedReports = [];
+
+    if (action) {
+      if (!reportService.REPORT_TARGETS[contentType].actions.includes(action)) {
+        return res.status(400).json({ error: `The ${action} action is not available for ${contentType} reports` });
+      }
+
+      const content = await reportService.getTarget(contentType, contentId);
+      if (!content) {
+        return res.status(404).json({ error: 'Reported content no longer exists' });
+      }
+
+      const { before, after } = await reportService.applyAction(contentType, content, action);
+
+      await auditService.recordAudit(req, {
+        action: reportService.AUDIT_ACTION_FOR[action],
+        targetType: contentType,
+        targetId: contentId,
+        before,
+        after,
+        reason: adminNotes
+      });
+
+      closedReports = await reportService.resolveOpenReports(contentType, contentId, {
+        action,
+        resolvedBy: req.user.id,
+        exceptId: reportId
+      });
+    }
+
+    const updated = await reportService.resolveReport(reportId, {
+      status,
+      adminNotes,
+      action,
+      resolvedBy: req.user.id
+    });
+
+    // Dismissing reports can bring automatically hidden content back
+    let restored = null;
+    if (status === 'dismissed') {
+      restored = await reportService.restoreIfCleared(contentType, contentId);
+    }
+
+    if (restored) {
+      await auditService.recordAudit(req, {
+        action: 'unhide',
+        targetType: contentType,
+        targetId: contentId,
+        before: { is_hidden: true, hidden_reason: 'reports' },
+        after: { is_hidden: false, hidden_reason: null },
+        reason: adminNotes
+      });
+
+      await createNotification(
+        reportService.getOwnerId(contentType, restored),
+        'system',
+        `${reportService.REPORT_TARGETS[contentType].label} Visible Again`,
+        `The reports about your ${contentType} "${reportService.getTitle(contentType, restored)}" were reviewed and it is visible again.`,
+        contentType,
+        contentId
+      );
+    }
+
+    await auditService.recordAudit(req, {
+      action: 'report_resolution',
+      targetType: 'report',
+      targetId: reportId,
+      before: { status: report.status, admin_notes: report.admin_notes, action_taken: report.action_taken },
+      after: { status: updated.status, admin_notes: updated.admin_notes, action_taken: updated.action_taken },
+      reason: adminNotes
+    });
+
     res.json({ 
       message: 'Report updated successfully',
-      report: result.rows[0]
+      report: updated,
+      closedReports,
+      restored: Boolean(restored)
     });
   } catch (error) {
     console.error('Error updating report:', error);
@@ -182,9 +277,19 @@ router.get('/admin/stats', authenticateToken, async (req, res) => {
       GROUP BY reason
     `);
 
+    const typeStats = await pool.query(`
+      SELECT 
+        content_type,
+        COUNT(*) as count
+      FROM content_reports
+      WHERE status = 'pending'
+      GROUP BY content_type
+    `);
+
     res.json({
       statusStats: stats.rows,
-      reasonStats: reasonStats.rows
+      reasonStats: reasonStats.rows,
+      pendingByType: typeStats.rows
     });
   } catch (error) {
     console.error('Error fetching report stats:', error);
@@ -192,4 +297,35 @@ router.get('/admin/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Get a report with the reported content and its context (admin only)
+router.get('/admin/:reportId',
+  authenticateToken,
+  [
+    param('reportId').isUUID().withMessage('Report ID must be a valid UUID')
+  ],
+  async (req, res) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const report = await reportService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const context = await reportService.getReportContext(report);
+
+    res.json({ report, ...context });
+  } catch (error) {
+    console.error('Error fetching report context:', error);
+    res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
 module.exports = router;
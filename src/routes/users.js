@@ -1,7 +1,11 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const pool = require('../database/connection');
-const { authenticateToken, requireAdmin, requireManager } = require('../middleware/auth');
+const { authenticateToken, requireAdmin, requireManager, restrictSuspended } = require('../middleware/auth');
+const sessionService = require('../services/sessionService');
+const { createNotification } = require('../services/notificationService');
+const auditService = require('../services/auditService');
+const suspensionService = require('../services/suspensionService');
 
 const router = express.Router();
 
@@ -99,7 +103,8 @@ router.get('/:id', authenticateToken, requireManager, async (req, res) => {
 
 // Update user role with proper permissions
 router.put('/:id/role', authenticateToken, requireManager, [
-  body('role').isIn(['admin', 'manager', 'scholar', 'user']).withMessage('Invalid role')
+  body('role').isIn(['admin', 'manager', 'scholar', 'user']).withMessage('Invalid role'),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be max 1000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -173,11 +178,22 @@ router.put('/:id/role', authenticateToken, requireManager, [
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await auditService.recordAudit(req, {
+      action: 'role_change',
+      targetType: 'user',
+      targetId: userId,
+      before: { role: currentTargetRole },
+      after: { role },
+      reason: req.body.reason
+    });
+
     // Create notification for the user whose role was changed
-    await pool.query(`
-      INSERT INTO notifications (user_id, type, title, message)
-      VALUES ($1, 'role_change', 'Role Updated', $2)
-    `, [userId, `Your role has been updated to ${role} by ${currentUser.name}`]);
+    await createNotification(
+      userId,
+      'role_change',
+      'Role Updated',
+      `Your role has been updated to ${role} by ${currentUser.name}`
+    );
 
     res.json({
       message: 'User role updated successfully',
@@ -191,7 +207,8 @@ router.put('/:id/role', authenticateToken, requireManager, [
 
 // Activate/Deactivate user (admin only)
 router.put('/:id/status', authenticateToken, requireAdmin, [
-  body('is_active').isBoolean().withMessage('is_active must be boolean')
+  body('is_active').isBoolean().withMessage('is_active must be boolean'),
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be max 1000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -207,15 +224,37 @@ router.put('/:id/status', authenticateToken, requireAdmin, [
       return res.status(400).json({ error: 'Cannot deactivate your own account' });
     }
 
-    const result = await pool.query(
-      'UPDATE users SET is_active = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, name, email, is_active',
-      [is_active, userId]
-    );
+    const before = await pool.query('SELECT is_active FROM users WHERE id = $1', [userId]);
+
+    // Deactivated users are shown the reason when they try to sign in
+    const result = await pool.query(`
+      UPDATE users
+      SET is_active = $1,
+          deactivation_reason = CASE WHEN $1 THEN NULL ELSE $3 END,
+          deactivated_at = CASE WHEN $1 THEN NULL ELSE CURRENT_TIMESTAMP END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, name, email, is_active
+    `, [is_active, userId, req.body.reason || null]);
 
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    await auditService.recordAudit(req, {
+      action: 'status_change',
+      targetType: 'user',
+      targetId: userId,
+      before: before.rows[0],
+      after: { is_active: result.rows[0].is_active },
+      reason: req.body.reason
+    });
+
+    // Deactivated users are signed out everywhere
+    if (!is_active) {
+      await sessionService.revokeAllSessions(userId);
+    }
+
     res.json({
       message: `User ${is_active ? 'activated' : 'deactivated'} successfully`,
       user: result.rows[0]
@@ -226,6 +265,146 @@ router.put('/:id/status', authenticateToken, requireAdmin, [
   }
 });
 
+// Roles each role may suspend: admins anyone but other admins, managers only
+// scholars and users
+const SUSPENDABLE_ROLES = {
+  admin: ['manager', 'scholar', 'user'],
+  manager: ['scholar', 'user']
+};
+
+// Suspend a user for a while (admin/manager only)
+router.post('/:id/suspensions', authenticateToken, requireManager, [
+  body('scope').isIn(suspensionService.SUSPENSION_SCOPES).withMessage(`scope must be one of: ${suspensionService.SUSPENSION_SCOPES.join(', ')}`),
+  body('reason').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Reason is required (max 1000 characters)'),
+  body('expires_at').isISO8601().withMessage('expires_at must be a date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { scope, reason } = req.body;
+    const expiresAt = new Date(req.body.expires_at);
+    const userId = req.params.id;
+
+    if (expiresAt <= new Date()) {
+      return res.status(400).json({ error: 'expires_at must be in the future' });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: 'Cannot suspend your own account' });
+    }
+
+    const target = await pool.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+    if (target.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!SUSPENDABLE_ROLES[req.user.role].includes(target.rows[0].role)) {
+      return res.status(403).json({ error: `You cannot suspend a ${target.rows[0].role}` });
+    }
+
+    const suspension = await suspensionService.suspend({
+      userId,
+      scope,
+      reason,
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    await auditService.recordAudit(req, {
+      action: 'suspend',
+      targetType: 'user',
+      targetId: userId,
+      before: null,
+      after: { suspension_id: suspension.id, scope, expires_at: suspension.expires_at },
+      reason
+    });
+
+    const scopeText = {
+      full: 'Your account has been suspended',
+      posting: 'You have been suspended from posting',
+      qa: 'You have been suspended from Q&A'
+    }[scope];
+
+    await createNotification(
+      userId,
+      'suspension',
+      'Account Suspended',
+      `${scopeText} until ${expiresAt.toISOString()}. Reason: ${reason}. You can appeal this decision.`
+    );
+
+    res.status(201).json({
+      message: 'User suspended successfully',
+      suspension
+    });
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ error: 'Failed to suspend user' });
+  }
+});
+
+// Get a user's suspensions (admin/manager only)
+router.get('/:id/suspensions', authenticateToken, requireManager, async (req, res) => {
+  try {
+    const suspensions = await suspensionService.listForUser(req.params.id, {
+      activeOnly: req.query.active === 'true'
+    });
+
+    res.json({ suspensions });
+  } catch (error) {
+    console.error('Get suspensions error:', error);
+    res.status(500).json({ error: 'Failed to fetch suspensions' });
+  }
+});
+
+// Lift a suspension before it expires (admin/manager only)
+router.post('/:id/suspensions/:suspensionId/lift', authenticateToken, requireManager, [
+  body('reason').optional().isString().isLength({ max: 1000 }).withMessage('Reason must be max 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const suspension = await suspensionService.getSuspension(req.params.suspensionId);
+    if (!suspension || suspension.user_id !== req.params.id) {
+      return res.status(404).json({ error: 'Suspension not found' });
+    }
+
+    const lifted = await suspensionService.lift(suspension.id, { liftedBy: req.user.id, reason: req.body.reason });
+    if (!lifted) {
+      return res.status(409).json({ error: 'Suspension has already ended' });
+    }
+
+    await auditService.recordAudit(req, {
+      action: 'lift_suspension',
+      targetType: 'user',
+      targetId: suspension.user_id,
+      before: { suspension_id: suspension.id, scope: suspension.scope, expires_at: suspension.expires_at },
+      after: { suspension_id: suspension.id, lifted_at: lifted.lifted_at },
+      reason: req.body.reason
+    });
+
+    await createNotification(
+      suspension.user_id,
+      'suspension',
+      'Suspension Lifted',
+      'Your suspension has been lifted.'
+    );
+
+    res.json({
+      message: 'Suspension lifted successfully',
+      suspension: lifted
+    });
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({ error: 'Failed to lift suspension' });
+  }
+});
+
 // Get user statistics (admin/manager only)
 router.get('/stats/overview', authenticateToken, requireManager, async (req, res) => {
   try {
@@ -364,7 +543,7 @@ router.get('/collections/my-collections', authenticateToken, async (req, res) =>
 });
 
 // Create user collection
-router.post('/collections', authenticateToken, [
+router.post('/collections', authenticateToken, restrictSuspended('posting'), [
   body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Name is required and must be 1-255 characters'),
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must be max 1000 characters'),
   body('is_public').optional().isBoolean().withMessage('is_public must be boolean')
@@ -393,8 +572,207 @@ router.post('/collections', authenticateToken, [
   }
 });
 
+// Helper function to load a collection's items with dua details, in display order.
+// publicOnly limits items to duas anyone may see (for other users' public collections).
+const getCollectionItems = async (collectionId, { publicOnly = false } = {}) => {
+  const result = await pool.query(`
+    SELECT ci.dua_id, ci.order_index, ci.created_at as added_at,
+           d.title, d.purpose, d.arabic_text, d.english_meaning, d.transliteration,
+           d.native_meaning, d.source_reference, d.is_public, d.is_verified, d.verification_count, d.approval_status,
+           u.name as author_name
+    FROM collection_items ci
+    JOIN duas d ON ci.dua_id = d.id
+    LEFT JOIN users u ON d.user_id = u.id
+    WHERE ci.collection_id = $1
+    ${publicOnly ? "AND d.is_public = true AND d.approval_status = 'approved' AND d.is_hidden = false" : ''}
+    ORDER BY ci.order_index, ci.created_at
+  `, [collectionId]);
+
+  return result.rows;
+};
+
+// Get public collections from all users
+router.get('/collections/public', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+
+    let query = `
+      SELECT uc.id, uc.name, uc.description, uc.created_at, uc.updated_at,
+             u.name as owner_name, COUNT(d.id) as dua_count
+      FROM user_collections uc
+      JOIN users u ON uc.user_id = u.id
+      LEFT JOIN collection_items ci ON uc.id = ci.collection_id
+      LEFT JOIN duas d ON ci.dua_id = d.id AND d.is_public = true AND d.approval_status = 'approved' AND d.is_hidden = false
+      WHERE uc.is_public = true AND uc.is_hidden = false
+    `;
+    let countQuery = 'SELECT COUNT(*) as total FROM user_collections uc WHERE uc.is_public = true AND uc.is_hidden = false';
+
+    const queryParams = [];
+    let paramCount = 1;
+
+    if (search) {
+      const searchCondition = ` AND (uc.name ILIKE $${paramCount} OR uc.description ILIKE $${paramCount})`;
+      query += searchCondition;
+      countQuery += searchCondition;
+      queryParams.push(`%${search}%`);
+      paramCount++;
+    }
+
+    const countParams = [...queryParams];
+
+    query += ` GROUP BY uc.id, u.name ORDER BY uc.updated_at DESC LIMIT $${paramCount} OFFSET $${paramCount + 1}`;
+    queryParams.push(limit, offset);
+
+    const [result, countResult] = await Promise.all([
+      pool.query(query, queryParams),
+      pool.query(countQuery, countParams)
+    ]);
+    const total = parseInt(countResult.rows[0].total);
+
+    res.json({
+      collections: result.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get public collections error:', error);
+    res.status(500).json({ error: 'Failed to fetch public collections' });
+  }
+});
+
+// Get a public collection with its duas
+router.get('/collections/public/:collectionId', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT uc.id, uc.name, uc.description, uc.created_at, uc.updated_at, u.name as owner_name
+      FROM user_collections uc
+      JOIN users u ON uc.user_id = u.id
+      WHERE uc.id = $1 AND uc.is_public = true AND uc.is_hidden = false
+    `, [req.params.collectionId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const items = await getCollectionItems(req.params.collectionId, { publicOnly: true });
+
+    res.json({ collection: { ...result.rows[0], items } });
+  } catch (error) {
+    console.error('Get public collection error:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
+});
+
+// Get one of the user's collections with its duas
+router.get('/collections/:collectionId', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM user_collections WHERE id = $1 AND user_id = $2',
+      [req.params.collectionId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const items = await getCollectionItems(req.params.collectionId);
+
+    res.json({ collection: { ...result.rows[0], items } });
+  } catch (error) {
+    console.error('Get collection error:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
+  }
+});
+
+// Update collection details
+router.put('/collections/:collectionId', authenticateToken, restrictSuspended('posting'), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('description').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Description must be max 1000 characters'),
+  body('is_public').optional().isBoolean().withMessage('is_public must be boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, is_public } = req.body;
+
+    // Build update query dynamically
+    const updates = [];
+    const values = [];
+    let paramCount = 1;
+
+    if (name !== undefined) {
+      updates.push(`name = $${paramCount}`);
+      values.push(name);
+      paramCount++;
+    }
+    if (description !== undefined) {
+      updates.push(`description = $${paramCount}`);
+      values.push(description);
+      paramCount++;
+    }
+    if (is_public !== undefined) {
+      updates.push(`is_public = $${paramCount}`);
+      values.push(is_public);
+      paramCount++;
+    }
+
+    if (updates.length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.push(`updated_at = CURRENT_TIMESTAMP`);
+    values.push(req.params.collectionId, req.user.id);
+
+    const result = await pool.query(
+      `UPDATE user_collections SET ${updates.join(', ')} WHERE id = $${paramCount} AND user_id = $${paramCount + 1} RETURNING *`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({
+      message: 'Collection updated successfully',
+      collection: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update collection error:', error);
+    res.status(500).json({ error: 'Failed to update collection' });
+  }
+});
+
+// Delete collection
+router.delete('/collections/:collectionId', authenticateToken, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM user_collections WHERE id = $1 AND user_id = $2 RETURNING id',
+      [req.params.collectionId, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    console.error('Delete collection error:', error);
+    res.status(500).json({ error: 'Failed to delete collection' });
+  }
+});
+
 // Add dua to collection
-router.post('/collections/:collectionId/duas/:duaId', authenticateToken, async (req, res) => {
+router.post('/collections/:collectionId/duas/:duaId', authenticateToken, restrictSuspended('posting'), async (req, res) => {
   try {
     const { collectionId, duaId } = req.params;
 
@@ -410,13 +788,15 @@ router.post('/collections/:collectionId/duas/:duaId', authenticateToken, async (
       return res.status(404).json({ error: 'Dua not found or access denied' });
     }
 
-    // Add to collection
+    // Add to the end of the collection
     await pool.query(`
-      INSERT INTO collection_items (collection_id, dua_id)
-      VALUES ($1, $2)
+      INSERT INTO collection_items (collection_id, dua_id, order_index)
+      SELECT $1, $2, COALESCE(MAX(order_index) + 1, 0) FROM collection_items WHERE collection_id = $1
       ON CONFLICT (collection_id, dua_id) DO NOTHING
     `, [collectionId, duaId]);
 
+    await pool.query('UPDATE user_collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+
     res.json({ message: 'Dua added to collection successfully' });
   } catch (error) {
     console.error('Add dua to collection error:', error);
@@ -424,4 +804,129 @@ router.post('/collections/:collectionId/duas/:duaId', authenticateToken, async (
   }
 });
 
+// Remove dua from collection
+router.delete('/collections/:collectionId/duas/:duaId', authenticateToken, async (req, res) => {
+  try {
+    const { collectionId, duaId } = req.params;
+
+    const result = await pool.query(`
+      DELETE FROM collection_items ci
+      USING user_collections uc
+      WHERE ci.collection_id = uc.id AND uc.id = $1 AND uc.user_id = $2 AND ci.dua_id = $3
+      RETURNING ci.id
+    `, [collectionId, req.user.id, duaId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Dua not found in collection' });
+    }
+
+    await pool.query('UPDATE user_collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+
+    res.json({ message: 'Dua removed from collection successfully' });
+  } catch (error) {
+    console.error('Remove dua from collection error:', error);
+    res.status(500).json({ error: 'Failed to remove dua from collection' });
+  }
+});
+
+// Reorder collection items; dua_ids must list every dua in the collection in the new order
+router.put('/collections/:collectionId/order', authenticateToken, restrictSuspended('posting'), [
+  body('dua_ids').isArray({ min: 1 }).withMessage('dua_ids must be a non-empty array'),
+  body('dua_ids.*').isUUID().withMessage('dua_ids must contain dua ids')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { collectionId } = req.params;
+    const { dua_ids } = req.body;
+
+    const collectionResult = await pool.query('SELECT id FROM user_collections WHERE id = $1 AND user_id = $2', [collectionId, req.user.id]);
+    if (collectionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const itemsResult = await pool.query('SELECT dua_id FROM collection_items WHERE collection_id = $1', [collectionId]);
+    const currentIds = itemsResult.rows.map(row => row.dua_id).sort();
+    const requestedIds = [...new Set(dua_ids)].sort();
+
+    if (requestedIds.length !== dua_ids.length || JSON.stringify(currentIds) !== JSON.stringify(requestedIds)) {
+      return res.status(400).json({ error: 'dua_ids must contain each dua in the collection exactly once' });
+    }
+
+    await pool.query(`
+      UPDATE collection_items ci
+      SET order_index = ordered.position - 1
+      FROM unnest($2::uuid[]) WITH ORDINALITY AS ordered(dua_id, position)
+      WHERE ci.collection_id = $1 AND ci.dua_id = ordered.dua_id
+    `, [collectionId, dua_ids]);
+
+    await pool.query('UPDATE user_collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collectionId]);
+
+    const items = await getCollectionItems(collectionId);
+
+    res.json({
+      message: 'Collection reordered successfully',
+      items
+    });
+  } catch (error) {
+    console.error('Reorder collection error:', error);
+    res.status(500).json({ error: 'Failed to reorder collection' });
+  }
+});
+
+// Copy a public collection (or one of the user's own) into the user's account
+router.post('/collections/:collectionId/copy', authenticateToken, restrictSuspended('posting'), [
+  body('name').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const sourceResult = await pool.query(
+      'SELECT * FROM user_collections WHERE id = $1 AND ((is_public = true AND is_hidden = false) OR user_id = $2)',
+      [req.params.collectionId, req.user.id]
+    );
+
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    const source = sourceResult.rows[0];
+    const isOwnCollection = source.user_id === req.user.id;
+
+    const result = await pool.query(`
+      INSERT INTO user_collections (user_id, name, description, is_public, copied_from_id)
+      VALUES ($1, $2, $3, false, $4)
+      RETURNING *
+    `, [req.user.id, req.body.name || source.name, source.description, source.id]);
+
+    const collection = result.rows[0];
+
+    // Only copy duas the user can see: all of their own, otherwise public approved ones
+    await pool.query(`
+      INSERT INTO collection_items (collection_id, dua_id, order_index)
+      SELECT $1, ci.dua_id, ROW_NUMBER() OVER (ORDER BY ci.order_index, ci.created_at) - 1
+      FROM collection_items ci
+      JOIN duas d ON ci.dua_id = d.id
+      WHERE ci.collection_id = $2
+        AND ($3 OR (d.is_public = true AND d.approval_status = 'approved' AND d.is_hidden = false) OR d.user_id = $4)
+    `, [collection.id, source.id, isOwnCollection, req.user.id]);
+
+    const items = await getCollectionItems(collection.id);
+
+    res.status(201).json({
+      message: 'Collection copied successfully',
+      collection: { ...collection, items }
+    });
+  } catch (error) {
+    console.error('Copy collection error:', error);
+    res.status(500).json({ error: 'Failed to copy collection' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * AI Worker
+ *
+ * Processes jobs from ai_processing_queue until stopped (SIGINT/SIGTERM).
+ * Run as many copies as needed; jobs are claimed with FOR UPDATE SKIP LOCKED.
+ *
+ * Usage:
+ *   node src/scripts/ai-worker.js          # run until stopped
+ *   node src/scripts/ai-worker.js --once   # process due jobs, then exit
+ */
+
+require('dotenv').config();
+const { AIWorker } = require('../services/aiWorker');
+const pool = require('../database/connection');
+
+async function runWorker(argv) {
+  const once = argv.includes('--once');
+  const unknown = argv.filter(arg => arg !== '--once');
+  if (unknown.length > 0) {
+    throw new Error(`Unknown argument: ${unknown[0]}`);
+  }
+
+  const worker = new AIWorker();
+
+  if (once) {
+    let processed = 0;
+    while (await worker.runOnce()) {
+      processed++;
+    }
+    console.log(`🎉 Processed ${processed} job(s)`);
+    return;
+  }
+
+  // Finish the current job, then exit
+  const shutdown = () => {
+    console.log('⏳ Stopping AI worker after the current job...');
+    worker.stop();
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await worker.start();
+}
+
+if (require.main === module) {
+  runWorker(process.argv.slice(2))
+    .then(async () => {
+      await pool.end();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ AI worker failed:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+} else {
+  module.exports = { runWorker };
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration Script
+ *
+ * Usage:
+ *   node src/scripts/migrate.js up [--to=<version>]
+ *   node src/scripts/migrate.js down [--steps=<count>]
+ *   node src/scripts/migrate.js status
+ */
+
+require('dotenv').config();
+const Migrator = require('../database/migrator');
+const pool = require('../database/connection');
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = {};
+
+  for (const arg of rest) {
+    const match = arg.match(/^--(to|steps)=(\d+)$/);
+    if (!match) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    options[match[1]] = parseInt(match[2], 10);
+  }
+
+  return { command, options };
+}
+
+async function runMigrations(argv) {
+  const { command, options } = parseArgs(argv);
+  const migrator = new Migrator();
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.migrate(options);
+      console.log(applied.length > 0
+        ? `🎉 Applied ${applied.length} migration(s)`
+        : 'ℹ️  No pending migrations');
+      break;
+    }
+    case 'down': {
+      const reverted = await migrator.rollback(options);
+      console.log(reverted.length > 0
+        ? `🎉 Reverted ${reverted.length} migration(s)`
+        : 'ℹ️  No applied migrations to revert');
+      break;
+    }
+    case 'status': {
+      const rows = await migrator.status();
+      console.log('📋 Migration status:');
+      rows.forEach(row => {
+        const state = row.missing ? 'missing' : row.modified ? 'modified' : row.applied ? 'applied' : 'pending';
+        const appliedAt = row.applied_at ? ` (${new Date(row.applied_at).toISOString()})` : '';
+        console.log(`  ${String(row.version).padStart(3, '0')}_${row.name}: ${state}${appliedAt}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected up, down or status)`);
+  }
+}
+
+if (require.main === module) {
+  runMigrations(process.argv.slice(2))
+    .then(async () => {
+      await pool.end();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Migration command failed:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+} else {
+  module.exports = { runMigrations };
+}
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Notification Email Delivery
+ *
+ * Creating a notification only queues its email and push. Keep a worker running
+ * to send immediate ones (or set NOTIFICATION_WORKER_ENABLED=true on the API
+ * server) and schedule the digests with cron.
+ *
+ * Usage:
+ *   node src/scripts/notification-delivery.js worker          # send immediate emails and pushes until stopped
+ *   node src/scripts/notification-delivery.js digest daily    # one email per user with their daily notifications
+ *   node src/scripts/notification-delivery.js digest weekly
+ *   node src/scripts/notification-delivery.js retry           # send due immediate emails and pushes once, then exit
+ */
+
+require('dotenv').config();
+const deliveryService = require('../services/deliveryService');
+const { DeliveryWorker } = require('../services/deliveryWorker');
+const pool = require('../database/connection');
+
+async function runDelivery(argv) {
+  const [command, ...rest] = argv;
+
+  switch (command) {
+    case 'worker': {
+      if (rest.length > 0) {
+        throw new Error(`Unknown argument: ${rest[0]}`);
+      }
+      const worker = new DeliveryWorker();
+
+      // Finish the current batch, then exit
+      const shutdown = () => {
+        console.log('⏳ Stopping notification delivery worker after the current batch...');
+        worker.stop();
+      };
+      process.on('SIGINT', shutdown);
+      process.on('SIGTERM', shutdown);
+
+      await worker.start();
+      break;
+    }
+    case 'digest': {
+      const [schedule, ...unknown] = rest;
+      if (unknown.length > 0) {
+        throw new Error(`Unknown argument: ${unknown[0]}`);
+      }
+      const counts = await deliveryService.sendDigests(schedule);
+      console.log(`📧 Sent ${counts.users} ${schedule} digest(s) covering ${counts.notifications} notification(s)`);
+      if (counts.failed > 0) {
+        console.log(`⚠️  ${counts.failed} digest(s) failed and will be retried on the next run`);
+      }
+      break;
+    }
+    case 'retry': {
+      if (rest.length > 0) {
+        throw new Error(`Unknown argument: ${rest[0]}`);
+      }
+      const counts = await deliveryService.sendImmediate();
+      console.log(`📧 Sent ${counts.sent} email(s), ${counts.failed} failed, ${counts.skipped} skipped`);
+      const pushes = await deliveryService.sendPushes();
+      console.log(`📲 Pushed ${pushes.sent} notification(s), ${pushes.failed} failed, ${pushes.skipped} skipped`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown command: ${command} (expected worker, digest or retry)`);
+  }
+}
+
+if (require.main === module) {
+  runDelivery(process.argv.slice(2))
+    .then(async () => {
+      await pool.end();
+      process.exit(0);
+    })
+    .catch(async (error) => {
+      console.error('❌ Notification delivery failed:', error.message);
+      await pool.end();
+      process.exit(1);
+    });
+} else {
+  module.exports = { runDelivery };
+}
@@ -1,81 +1,14 @@
-const express = require('express');
-const cors = require('cors');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
-const authRoutes = require('./routes/auth');
-const duaRoutes = require('./routes/duas');
-const blogRoutes = require('./routes/blogs');
-const questionRoutes = require('./routes/questions');
-const userRoutes = require('./routes/users');
-const aiRoutes = require('./routes/ai');
-const reportRoutes = require('./routes/reports');
-const approvalRoutes = require('./routes/approval');
-const notificationRoutes = require('./routes/notifications');
+const { createApp } = require('./app');
 
 // Database initialization
 const DatabaseInitializer = require('./database/initialize');
 const pool = require('./database/connection');
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 3001;
 
-// Security middleware
-app.use(helmet());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use(limiter);
-
-// CORS configuration
-app.use(cors({
-  origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
-}));
-
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'OK', 
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV || 'development'
-  });
-});
-
-// API routes
-app.use('/api/auth', authRoutes);
-app.use('/api/duas', duaRoutes);
-app.use('/api/blogs', blogRoutes);
-app.use('/api/questions', questionRoutes);
-app.use('/api/users', userRoutes);
-app.use('/api/ai', aiRoutes);
-app.use('/api/reports', reportRoutes);
-app.use('/api/approval', approvalRoutes);
-app.use('/api/notifications', notificationRoutes);
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({ 
-    error: 'Something went wrong!',
-    message: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
-
 // Initialize database and start server
 async function startServer() {
   try {
@@ -83,12 +16,23 @@ async function startServer() {
     await pool.query('SELECT 1');
     console.log('Connected to development database');
     
-    // Initialize database schema if needed
-    const dbInitializer = new DatabaseInitializer();
-    await dbInitializer.initialize();
+    // Initialize database schema before accepting requests
+    await DatabaseInitializer.ensureInitialized();
     
     console.log('Database initialized successfully');
     
+    // Optionally process AI jobs in this process instead of a separate `npm run worker`
+    if (process.env.AI_WORKER_ENABLED === 'true') {
+      const { AIWorker } = require('./services/aiWorker');
+      new AIWorker().start();
+    }
+
+    // Likewise for notification emails instead of `npm run notifications:worker`
+    if (process.env.NOTIFICATION_WORKER_ENABLED === 'true') {
+      const { DeliveryWorker } = require('./services/deliveryWorker');
+      new DeliveryWorker().start();
+    }
+
     // Start the server
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -101,6 +45,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Only listen when run directly so tests can import the app
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const pool = require('../../database/connection');
+
+const DEFAULT_TTL_HOURS = parseInt(process.env.AI_CACHE_TTL_HOURS) || 720;
+
+const isEnabled = () => process.env.AI_CACHE_ENABLED !== 'false';
+
+// The rendered prompt contains exactly the analyzed fields, so fields the model
+// never sees (is_public, categories) don't change the key
+const getCacheKey = ({ contentType, promptVersion, model, prompt }) => {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([contentType, promptVersion, model, prompt]))
+    .digest('hex');
+};
+
+// First unexpired entry among the keys, in the order given
+const getCachedAnalysis = async (keys) => {
+  const result = await pool.query(`
+    UPDATE ai_analysis_cache
+    SET hit_count = hit_count + 1, last_hit_at = CURRENT_TIMESTAMP
+    WHERE cache_key = ANY($1) AND expires_at > CURRENT_TIMESTAMP
+    RETURNING cache_key, provider, result
+  `, [keys]);
+
+  for (const key of keys) {
+    const entry = result.rows.find(row => row.cache_key === key);
+    if (entry) {
+      return entry;
+    }
+  }
+  return null;
+};
+
+const storeAnalysis = async ({ key, contentType, promptVersion, provider, model, result, ttlHours = DEFAULT_TTL_HOURS }) => {
+  await pool.query(`
+    INSERT INTO ai_analysis_cache (cache_key, content_type, prompt_version, provider, model, result, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + ($7 || ' hours')::interval)
+    ON CONFLICT (cache_key) DO UPDATE
+    SET result = EXCLUDED.result, created_at = CURRENT_TIMESTAMP, expires_at = EXCLUDED.expires_at,
+        hit_count = 0, last_hit_at = NULL
+  `, [key, contentType, promptVersion, provider, model, JSON.stringify(result), ttlHours]);
+};
+
+const getCacheStats = async () => {
+  const result = await pool.query(`
+    SELECT content_type, provider,
+           COUNT(*) as entries,
+           COUNT(*) FILTER (WHERE expires_at <= CURRENT_TIMESTAMP) as expired,
+           COALESCE(SUM(hit_count), 0) as hits
+    FROM ai_analysis_cache
+    GROUP BY content_type, provider
+    ORDER BY content_type, provider
+  `);
+
+  return result.rows.map(row => ({
+    content_type: row.content_type,
+    provider: row.provider,
+    entries: parseInt(row.entries),
+    expired: parseInt(row.expired),
+    hits: parseInt(row.hits)
+  }));
+};
+
+// Delete cache entries; filters are combined. Returns the number of entries removed.
+const purgeCache = async ({ contentType, provider, expiredOnly = false } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (contentType) {
+    params.push(contentType);
+    conditions.push(`content_type = $${params.length}`);
+  }
+  if (provider) {
+    params.push(provider);
+    conditions.push(`provider = $${params.length}`);
+  }
+  if (expiredOnly) {
+    conditions.push('expires_at <= CURRENT_TIMESTAMP');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await pool.query(`DELETE FROM ai_analysis_cache ${where}`, params);
+  return result.rowCount;
+};
+
+module.exports = {
+  DEFAULT_TTL_HOURS,
+  isEnabled,
+  getCacheKey,
+  getCachedAnalysis,
+  storeAnalysis,
+  getCacheStats,
+  purgeCache
+};
@@ -0,0 +1,61 @@
+const Ajv = require('ajv');
+
+const bilingualText = {
+  type: 'object',
+  required: ['english', 'bangla'],
+  properties: {
+    english: { type: 'string', minLength: 1 },
+    bangla: { type: 'string', minLength: 1 }
+  }
+};
+
+const correctionsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['field', 'issue_english', 'issue_bangla', 'suggestion_english', 'suggestion_bangla'],
+    properties: {
+      field: { type: 'string', minLength: 1 },
+      issue_english: { type: 'string' },
+      issue_bangla: { type: 'string' },
+      suggestion_english: { type: 'string' },
+      suggestion_bangla: { type: 'string' }
+    }
+  }
+};
+
+// Every analysis has corrections and a bilingual summary; prompt templates add
+// their own review sections on top (see src/services/ai/prompts).
+const buildAnalysisSchema = (properties = {}, required = []) => ({
+  type: 'object',
+  required: ['corrections', 'summary', ...required],
+  properties: {
+    corrections: correctionsSchema,
+    summary: bilingualText,
+    authenticity: bilingualText,
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    ...properties
+  }
+});
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new WeakMap();
+
+// Returns a list of readable schema errors; empty when the analysis is valid
+const validateAnalysis = (value, schema) => {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+
+  const validate = validators.get(schema);
+  if (validate(value)) {
+    return [];
+  }
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+};
+
+module.exports = {
+  bilingualText,
+  buildAnalysisSchema,
+  validateAnalysis
+};
@@ -0,0 +1,101 @@
+// Pull a JSON object out of raw model output. Handles prose or code fences
+// around the object, trailing commas, and output truncated mid-object.
+
+const CLOSERS = { '{': '}', '[': ']' };
+
+// Scan from the first "{" to its matching "}". Returns the (comma-cleaned) JSON
+// text, whether it was complete, and the cut points available if it was not.
+const scanObject = (text) => {
+  const start = text.indexOf('{');
+  if (start === -1) {
+    return null;
+  }
+
+  let output = '';
+  const stack = [];
+  const cutPoints = []; // { length, stack } at each comma outside a string
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      output += char;
+      if (escaped) {
+        escaped = false;
+      } else if (char === '\\') {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      } else if (char === '\n') {
+        // Raw newlines are invalid inside JSON strings
+        output = output.slice(0, -1) + '\\n';
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+      output += char;
+    } else if (char === '{' || char === '[') {
+      stack.push(char);
+      output += char;
+    } else if (char === '}' || char === ']') {
+      // Drop a trailing comma before the closer
+      output = output.replace(/,\s*$/, '');
+      stack.pop();
+      output += char;
+      if (stack.length === 0) {
+        return { json: output, complete: true, cutPoints };
+      }
+    } else if (char === ',') {
+      cutPoints.push({ length: output.length, stack: [...stack] });
+      output += char;
+    } else {
+      output += char;
+    }
+  }
+
+  // Truncated: close the open string so the first repair attempt can keep it
+  if (inString) {
+    output += escaped ? '\\"' : '"';
+  }
+  return { json: output, complete: false, cutPoints, stack };
+};
+
+const closeStack = (stack) => stack.slice().reverse().map(open => CLOSERS[open]).join('');
+
+// Parse the JSON object in `text`, repairing it if needed. Throws if nothing usable is found.
+const parseJson = (text) => {
+  const scanned = scanObject(typeof text === 'string' ? text : '');
+  if (!scanned) {
+    throw new Error('No JSON object found in output');
+  }
+
+  if (scanned.complete) {
+    return { value: JSON.parse(scanned.json), repaired: scanned.json !== text.trim() };
+  }
+
+  // Close everything that is open, then fall back to dropping the last
+  // incomplete element (cut at each earlier comma) until it parses.
+  const attempts = [scanned.json.replace(/[\s,:]*$/, '') + closeStack(scanned.stack)];
+  for (let i = scanned.cutPoints.length - 1; i >= 0; i--) {
+    const { length, stack } = scanned.cutPoints[i];
+    attempts.push(scanned.json.slice(0, length) + closeStack(stack));
+  }
+
+  for (const attempt of attempts) {
+    try {
+      return { value: JSON.parse(attempt), repaired: true };
+    } catch (error) {
+      // Try the next, shorter candidate
+    }
+  }
+
+  throw new Error('Output contains truncated JSON that could not be repaired');
+};
+
+module.exports = {
+  parseJson
+};
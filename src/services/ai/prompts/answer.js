@@ -0,0 +1,73 @@
+const { buildAnalysisSchema } = require('../analysisSchema');
+
+// Answer review: evidence and sourcing for each ruling
+const template = `You are reviewing a scholar's answer on an Islamic Q&A site.
+
+Question: {{question_title}}
+{{question_content}}
+
+Answer:
+{{content}}
+
+Review the evidence and sourcing of the answer.
+- List each ruling or claim in the answer in "evidence" with the source the answer gives (empty if none) and a status:
+  "sourced" when it is backed by a correct Quran, hadith or scholarly reference, "weak" when the source is weak or misquoted,
+  "unsourced" when no source is given.
+- Add a correction for every weak or unsourced claim that needs evidence, and for anything that does not answer the question.
+- Do not use md styling only use with plain text.
+- Provide bangla and english for every issue, suggestion and note.
+- If there is no correction needed the corrections array will be empty.
+- Reply with only a JSON object in this structure:
+
+{
+  "evidence": [
+    {
+      "claim": "Witr may be prayed any time between isha and fajr.",
+      "source": "Sahih Muslim 745",
+      "status": "sourced",
+      "note_english": "Aisha reports the Prophet prayed witr at every part of the night.",
+      "note_bangla": "আয়েশা (রা.) বর্ণনা করেছেন নবী (সা.) রাতের সব অংশে বিতর পড়েছেন।"
+    }
+  ],
+  "corrections": [
+    {
+      "field": "content",
+      "issue_english": "The ruling on praying witr twice is given without evidence.",
+      "issue_bangla": "দুইবার বিতর পড়ার বিধান কোনো দলিল ছাড়া দেওয়া হয়েছে।",
+      "suggestion_english": "Cite the hadith 'There are no two witrs in one night' (Sunan Abi Dawud 1439).",
+      "suggestion_bangla": "'এক রাতে দুই বিতর নেই' হাদিসটি উল্লেখ করুন (সুনানে আবু দাউদ ১৪৩৯)।"
+    }
+  ],
+  "summary": {
+    "english": "The answer is correct but one ruling needs a reference.",
+    "bangla": "উত্তরটি সঠিক, তবে একটি বিধানের সূত্র প্রয়োজন।"
+  }
+}
+
+output:`;
+
+module.exports = {
+  contentType: 'answer',
+  version: 1,
+  template,
+  schema: buildAnalysisSchema({
+    evidence: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claim', 'source', 'status', 'note_english', 'note_bangla'],
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          source: { type: 'string' },
+          status: { enum: ['sourced', 'weak', 'unsourced'] },
+          note_english: { type: 'string' },
+          note_bangla: { type: 'string' }
+        }
+      }
+    }
+  }, ['evidence']),
+  // Review sections for providers that work without a model (mock, local)
+  defaults: {
+    evidence: []
+  }
+};
@@ -0,0 +1,73 @@
+const { buildAnalysisSchema } = require('../analysisSchema');
+
+// Blog review: factual accuracy and citations
+const template = `You are reviewing an Islamic blog post before it is published.
+
+Title: {{title}}
+Tags: {{tags}}
+Content:
+{{content}}
+
+Review the post for factual accuracy and citations.
+- Check every Quran verse, hadith and scholarly claim in the post.
+- List each claim in "citations" with the reference the post gives (empty if none) and a status:
+  "verified" when the claim and reference are correct, "incorrect" when the claim or reference is wrong,
+  "needs_citation" when the claim has no reference.
+- Add a correction for every incorrect claim and every claim that needs a citation.
+- Do not use md styling only use with plain text.
+- Provide bangla and english for every issue, suggestion and note.
+- If there is no correction needed the corrections array will be empty.
+- Reply with only a JSON object in this structure:
+
+{
+  "citations": [
+    {
+      "claim": "Seeking knowledge is an obligation upon every Muslim.",
+      "reference": "Sunan Ibn Majah 224",
+      "status": "verified",
+      "note_english": "The hadith is reported by Ibn Majah and graded sahih by al-Albani.",
+      "note_bangla": "হাদিসটি ইবনে মাজাহ বর্ণনা করেছেন এবং আলবানী সহীহ বলেছেন।"
+    }
+  ],
+  "corrections": [
+    {
+      "field": "content",
+      "issue_english": "The verse about patience is quoted without a reference.",
+      "issue_bangla": "ধৈর্য সম্পর্কিত আয়াতটি সূত্র ছাড়া উদ্ধৃত করা হয়েছে।",
+      "suggestion_english": "Cite the verse as Quran 2:153.",
+      "suggestion_bangla": "আয়াতটির সূত্র হিসেবে কুরআন ২:১৫৩ উল্লেখ করুন।"
+    }
+  ],
+  "summary": {
+    "english": "The post is mostly accurate but one verse needs a reference.",
+    "bangla": "লেখাটি মোটামুটি সঠিক, তবে একটি আয়াতের সূত্র প্রয়োজন।"
+  }
+}
+
+output:`;
+
+module.exports = {
+  contentType: 'blog',
+  version: 1,
+  template,
+  schema: buildAnalysisSchema({
+    citations: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['claim', 'reference', 'status', 'note_english', 'note_bangla'],
+        properties: {
+          claim: { type: 'string', minLength: 1 },
+          reference: { type: 'string' },
+          status: { enum: ['verified', 'incorrect', 'needs_citation'] },
+          note_english: { type: 'string' },
+          note_bangla: { type: 'string' }
+        }
+      }
+    }
+  }, ['citations']),
+  // Review sections for providers that work without a model (mock, local)
+  defaults: {
+    citations: []
+  }
+};
@@ -0,0 +1,61 @@
+const { buildAnalysisSchema } = require('../analysisSchema');
+
+// Dua review: Arabic text, translation, transliteration and source
+const template = `Content to analyze:
+Title: {{title}}
+Purpose: {{purpose}}
+Arabic Text: {{arabic_text}}
+English Meaning: {{english_meaning}}
+Transliteration: {{transliteration}}
+Native Meaning: {{native_meaning}}
+Source Reference: {{source_reference}}
+
+Check the contents for any issues and provide a summary of the content correction and suggestions.
+- Do not use md styling only use with plain text.
+- Show the output as json format. Each correction will be as a array element.
+- Proive bangla and english for the correction and suggestions.
+- If ther is no correction need the correction array will be empty . 
+- Here is a sample output struture 
+
+{
+    "analysis": {
+      "title": " জাহান্নাম থেকে মুক্তি",
+      "purpose": "Not specified",
+      "arabic_text": " اللَّهُمَّ أَجِرْنِى مِ",
+      "english_meaning": "O Allah! Save me from the fire of Hell.",
+      "transliteration": "আল্লাহুম্মা আজিরনি মিনান নার।",
+      "native_meaning": "হে আল্লাহ! আমাকে",
+      "source_reference": "N/A"
+    },
+    "corrections": [
+      {
+        "field": "title",
+        "issue_english": "Descriptive, not standard for a du'a.",
+        "issue_bangla": "বর্ণনমূলক, একটি দু'য়ার জন্য আদর্শ নয়।",
+        "suggestion_english": "Du'a for Protection from Hellfire",
+        "suggestion_bangla": "জাহান্নাম থেকে সুরক্ষার জন্য দু'আ"
+      }
+    ],
+    "summary": {
+      "english": "The provided content contains several inaccuracies, primarily due to an incomplete Arabic text. Corrections include completing the Arabic and Bengali text, refining the transliteration, providing a more accurate English meaning, suggesting a better title, and emphasizing the need to specify a purpose and source reference. These changes improve the content's accuracy, clarity, and usefulness.",
+      "bangla": "প্রদত্ত অংশে বেশ কিছু ভুল রয়েছে, যার প্রধান কারণ হল একটি অসম্পূর্ণ আরবি পাঠ। সংশোধনগুলির মধ্যে আরবি এবং বাংলা পাঠ সম্পূর্ণ করা, প্রতিবর্ণীকরণ পরিমার্জন করা, আরও সঠিক ইংরেজি অর্থ প্রদান করা, একটি ভাল শিরোনাম প্রস্তাব করা এবং উদ্দেশ্য ও উৎস উল্লেখ করার প্রয়োজনীয়তার উপর জোর দেওয়া অন্তর্ভুক্ত। এই পরিবর্তনগুলি সামগ্রীর নির্ভুলতা, স্পষ্টতা এবং উপযোগিতা বৃদ্ধি করে।"
+    }
+  }
+
+output:`;
+
+module.exports = {
+  contentType: 'dua',
+  version: 1,
+  template,
+  schema: buildAnalysisSchema({
+    analysis: {
+      type: 'object',
+      additionalProperties: { type: ['string', 'null'] }
+    }
+  }, ['analysis']),
+  // Review sections for providers that work without a model (mock, local)
+  defaults: {
+    analysis: {}
+  }
+};
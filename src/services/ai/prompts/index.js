@@ -0,0 +1,95 @@
+const pool = require('../../../database/connection');
+
+// Prompt templates by content type. Changing a template's text or schema
+// requires bumping its version so stored results stay attributable.
+const TEMPLATES = {
+  dua: require('./dua'),
+  blog: require('./blog'),
+  question: require('./question'),
+  answer: require('./answer')
+};
+
+const getPromptTemplate = (contentType) => {
+  const template = TEMPLATES[contentType];
+  if (!template) {
+    throw new Error('Invalid content type');
+  }
+  return template;
+};
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) {
+    if (value.length === 0) {
+      return 'None';
+    }
+    return value.every(item => typeof item === 'string')
+      ? value.join(', ')
+      : value.map(item => `- ${item.id}: ${item.title}`).join('\n');
+  }
+  if (value === undefined || value === null || value === '') {
+    return 'Not specified';
+  }
+  return String(value);
+};
+
+// Fill {{placeholders}} in a template from the content being analyzed
+const renderPrompt = (template, context) => {
+  return template.template.replace(/\{\{(\w+)\}\}/g, (match, key) => formatValue(context[key]));
+};
+
+// JSON with sorted keys; JSONB does not keep the original key order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+let syncing = null;
+
+// Store every template version in ai_prompt_templates. Runs once per process;
+// a stored version whose text differs from the code is reported, not overwritten.
+const syncPromptTemplates = (dbPool = pool) => {
+  if (!syncing) {
+    syncing = (async () => {
+      for (const template of Object.values(TEMPLATES)) {
+        const result = await dbPool.query(`
+          INSERT INTO ai_prompt_templates (content_type, version, template, output_schema)
+          VALUES ($1, $2, $3, $4)
+          ON CONFLICT (content_type, version) DO UPDATE SET content_type = EXCLUDED.content_type
+          RETURNING template, output_schema
+        `, [template.contentType, template.version, template.template, JSON.stringify(template.schema)]);
+
+        const stored = result.rows[0];
+        if (stored.template !== template.template ||
+            canonicalJson(stored.output_schema) !== canonicalJson(template.schema)) {
+          console.warn(`⚠️ Prompt template ${template.contentType} v${template.version} differs from the stored version; bump its version`);
+        }
+      }
+    })().catch((error) => {
+      syncing = null;
+      console.error('Failed to store prompt templates:', error.message);
+    });
+  }
+  return syncing;
+};
+
+const listStoredTemplates = async (dbPool = pool) => {
+  const result = await dbPool.query(`
+    SELECT content_type, version, template, output_schema, created_at
+    FROM ai_prompt_templates
+    ORDER BY content_type, version DESC
+  `);
+  return result.rows;
+};
+
+module.exports = {
+  TEMPLATES,
+  getPromptTemplate,
+  renderPrompt,
+  syncPromptTemplates,
+  listStoredTemplates
+};
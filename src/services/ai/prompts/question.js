@@ -0,0 +1,94 @@
+const { buildAnalysisSchema, bilingualText } = require('../analysisSchema');
+
+// Question review: clarity, and whether it repeats an existing question
+const template = `You are reviewing a question submitted to an Islamic Q&A site.
+
+Title: {{title}}
+Tags: {{tags}}
+Question:
+{{content}}
+
+Existing questions that may be similar (id: title):
+{{similar_questions}}
+
+Review the question for clarity and duplication.
+- Rate how clear and answerable the question is in "clarity" with a score from 0 (unclear) to 1 (clear) and an explanation.
+- Add a correction with clearer wording for the title or question if it is vague, ambiguous or contains several questions.
+- List in "duplicates" every existing question above that asks the same thing. Only use ids from the list above.
+- Do not use md styling only use with plain text.
+- Provide bangla and english for every issue, suggestion and reason.
+- If there is no correction needed the corrections array will be empty.
+- Reply with only a JSON object in this structure:
+
+{
+  "clarity": {
+    "score": 0.6,
+    "english": "The question does not say which prayer it is about.",
+    "bangla": "প্রশ্নটিতে কোন নামাজের কথা বলা হচ্ছে তা উল্লেখ নেই।"
+  },
+  "duplicates": [
+    {
+      "question_id": "2f6a1c9e-3b0d-4c57-9f2a-6d1e8b7c4a10",
+      "reason_english": "Both ask whether witr can be prayed after sleeping.",
+      "reason_bangla": "দুটি প্রশ্নই ঘুমের পর বিতর পড়া যায় কিনা জানতে চায়।"
+    }
+  ],
+  "corrections": [
+    {
+      "field": "title",
+      "issue_english": "The title does not describe the question.",
+      "issue_bangla": "শিরোনামটি প্রশ্নটি বর্ণনা করে না।",
+      "suggestion_english": "Can witr be prayed after waking up for tahajjud?",
+      "suggestion_bangla": "তাহাজ্জুদের জন্য ঘুম থেকে উঠে কি বিতর পড়া যায়?"
+    }
+  ],
+  "summary": {
+    "english": "The question is understandable but its title is vague and it may repeat an existing question.",
+    "bangla": "প্রশ্নটি বোঝা যায়, তবে শিরোনামটি অস্পষ্ট এবং এটি একটি বিদ্যমান প্রশ্নের পুনরাবৃত্তি হতে পারে।"
+  }
+}
+
+output:`;
+
+module.exports = {
+  contentType: 'question',
+  version: 1,
+  template,
+  schema: buildAnalysisSchema({
+    clarity: {
+      ...bilingualText,
+      required: ['score', ...bilingualText.required],
+      properties: {
+        ...bilingualText.properties,
+        score: { type: 'number', minimum: 0, maximum: 1 }
+      }
+    },
+    duplicates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['question_id', 'reason_english', 'reason_bangla'],
+        properties: {
+          question_id: { type: 'string', minLength: 1 },
+          reason_english: { type: 'string' },
+          reason_bangla: { type: 'string' }
+        }
+      }
+    }
+  }, ['clarity', 'duplicates']),
+  // Models sometimes invent ids; keep only the questions we offered
+  postProcess: (analysis, context) => ({
+    ...analysis,
+    duplicates: analysis.duplicates.filter(duplicate =>
+      (context.similar_questions || []).some(question => question.id === duplicate.question_id))
+  }),
+  // Review sections for providers that work without a model (mock, local)
+  defaults: {
+    clarity: {
+      score: 1,
+      english: 'Clarity was not assessed.',
+      bangla: 'স্পষ্টতা মূল্যায়ন করা হয়নি।'
+    },
+    duplicates: []
+  }
+};
@@ -0,0 +1,62 @@
+const axios = require('axios');
+
+// Hugging Face serverless inference API (text-generation task)
+class HFInferenceProvider {
+  constructor({
+    name = 'hf-inference',
+    apiUrl = process.env.HF_API_URL || 'https://api-inference.huggingface.co/models/google/gemma-3-27b-it',
+    token = process.env.HF_TOKEN,
+    timeout = 60000
+  } = {}) {
+    this.name = name;
+    this.apiUrl = apiUrl;
+    this.token = token;
+    this.timeout = timeout;
+  }
+
+  // Identifies the model in AI analysis cache keys
+  get modelId() {
+    return this.apiUrl;
+  }
+
+  async generate(prompt) {
+    if (!this.token) {
+      throw new Error(`${this.name} provider is not configured (HF_TOKEN missing)`);
+    }
+
+    const response = await axios.post(
+      this.apiUrl,
+      {
+        inputs: prompt,
+        parameters: {
+          max_new_tokens: 800,
+          temperature: 0.6,
+          top_p: 0.9,
+          top_k: 50,
+          repetition_penalty: 1.1,
+          return_full_text: false,
+          do_sample: true
+        }
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${this.token}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      }
+    );
+
+    // The API answers with [{ generated_text }] or { generated_text }
+    const data = response.data;
+    if (Array.isArray(data)) {
+      return data[0]?.generated_text || '';
+    }
+    if (data && data.generated_text) {
+      return data.generated_text;
+    }
+    return typeof data === 'string' ? data : '';
+  }
+}
+
+module.exports = HFInferenceProvider;
@@ -0,0 +1,49 @@
+const HFInferenceProvider = require('./hfInference');
+const OpenAICompatibleProvider = require('./openaiCompatible');
+const MockProvider = require('./mock');
+const LocalProvider = require('./local');
+
+// Tried in this order when AI_PROVIDERS is not set
+const DEFAULT_PROVIDERS = 'hf-router,hf-inference,local';
+
+// Provider name -> factory. Each provider exposes `name`, `modelId` (used in
+// cache keys) and `generate(prompt, { contentType, content })`, which resolves to
+// the raw model text, or to { text, usage } when the provider reports token counts.
+// Providers that can stream also implement `stream(prompt, context, onToken)`,
+// which resolves the same way. Providers with `cacheable: false` are never cached,
+// and providers with `fallback: true` only answer drafts, never queued jobs.
+const PROVIDER_FACTORIES = {
+  'hf-router': () => new OpenAICompatibleProvider({
+    name: 'hf-router',
+    baseURL: 'https://router.huggingface.co/v1',
+    apiKey: process.env.HF_TOKEN,
+    model: process.env.HF_ROUTER_MODEL || 'google/gemma-3-12b-it:featherless-ai'
+  }),
+  'hf-inference': () => new HFInferenceProvider(),
+  'openai-compatible': () => new OpenAICompatibleProvider(),
+  mock: () => new MockProvider(),
+  local: () => new LocalProvider()
+};
+
+// Parse a comma-separated provider list such as "openai-compatible,local"
+const parseProviderNames = (value = process.env.AI_PROVIDERS || DEFAULT_PROVIDERS) => {
+  return value.split(',').map(name => name.trim()).filter(Boolean);
+};
+
+const createProvider = (name) => {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return factory();
+};
+
+const createProviders = (names = parseProviderNames()) => names.map(createProvider);
+
+module.exports = {
+  DEFAULT_PROVIDERS,
+  PROVIDER_FACTORIES,
+  parseProviderNames,
+  createProvider,
+  createProviders
+};
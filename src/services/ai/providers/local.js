@@ -0,0 +1,84 @@
+const { getPromptTemplate } = require('../prompts');
+
+// Rule-based checks used as the last resort when no model is reachable
+const CHECKS = [
+  {
+    field: 'title',
+    applies: (contentType, content) => content.title && content.title.length < 5,
+    english: 'Consider making the title more descriptive (at least 5 characters)',
+    bangla: 'শিরোনামটি আরও বর্ণনামূলক করার কথা বিবেচনা করুন (কমপক্ষে ৫টি অক্ষর)'
+  },
+  {
+    field: 'arabic_text',
+    applies: (contentType, content) => content.arabic_text && content.arabic_text.length < 10,
+    english: 'Arabic text seems too short. Consider adding more content for better context',
+    bangla: 'আরবি পাঠ খুব ছোট মনে হচ্ছে। আরও ভালো প্রসঙ্গের জন্য আরও বিষয়বস্তু যোগ করার কথা বিবেচনা করুন'
+  },
+  {
+    field: 'english_meaning',
+    applies: (contentType, content, meaning) => meaning && meaning.length < 20,
+    english: 'Meaning/translation could be more detailed to help users understand better',
+    bangla: 'ব্যবহারকারীদের আরও ভালোভাবে বুঝতে সাহায্য করার জন্য অর্থ/অনুবাদ আরও বিস্তারিত হতে পারে'
+  },
+  {
+    field: 'arabic_text',
+    applies: (contentType, content) => contentType === 'dua' && !content.arabic_text,
+    english: 'Arabic text is required for duas',
+    bangla: 'দুআর জন্য আরবি পাঠ প্রয়োজন'
+  },
+  {
+    field: 'english_meaning',
+    applies: (contentType, content, meaning) => contentType === 'dua' && !meaning,
+    english: 'Meaning/translation is important for duas',
+    bangla: 'দুআর জন্য অর্থ/অনুবাদ গুরুত্বপূর্ণ'
+  },
+  {
+    field: 'content',
+    applies: (contentType, content) => contentType === 'blog' && (!content.content || content.content.length < 100),
+    english: 'Blog content should be more substantial (at least 100 characters)',
+    bangla: 'ব্লগ বিষয়বস্তু আরও গুরুত্বপূর্ণ হওয়া উচিত (কমপক্ষে ১০০টি অক্ষর)'
+  }
+];
+
+class LocalProvider {
+  constructor({ name = 'local' } = {}) {
+    this.name = name;
+    // Rule-based results are only a stopgap; never cache them over a real analysis
+    this.cacheable = false;
+    // ...and never store them on content from the queue, where a failed job retries
+    this.fallback = true;
+  }
+
+  async generate(prompt, { contentType, content = {} } = {}) {
+    const meaning = content.meaning || content.english_meaning;
+
+    const corrections = CHECKS
+      .filter(check => check.applies(contentType, content, meaning))
+      .map(check => ({
+        field: check.field,
+        issue_english: check.english,
+        issue_bangla: check.bangla,
+        suggestion_english: check.english,
+        suggestion_bangla: check.bangla
+      }));
+
+    const text = JSON.stringify({
+      ...getPromptTemplate(contentType).defaults,
+      corrections,
+      summary: {
+        english: `Basic analysis of the ${contentType} was completed using local checks.`,
+        bangla: `স্থানীয় যাচাই ব্যবহার করে ${contentType} বিষয়বস্তুর মৌলিক বিশ্লেষণ সম্পন্ন হয়েছে।`
+      },
+      authenticity: {
+        english: 'The content is formatted correctly. External AI services are currently unavailable for a detailed authenticity check.',
+        bangla: 'বিষয়বস্তু সঠিকভাবে ফরম্যাট করা হয়েছে। বিস্তারিত ইসলামী সত্যতা যাচাইয়ের জন্য, বাহ্যিক AI পরিষেবা বর্তমানে অনুপলব্ধ।'
+      },
+      confidence: 0.6
+    });
+
+    // No model was called, so nothing to account for
+    return { text, usage: { prompt_tokens: 0, completion_tokens: 0 } };
+  }
+}
+
+module.exports = LocalProvider;
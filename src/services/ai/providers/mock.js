@@ -0,0 +1,78 @@
+const { getPromptTemplate } = require('../prompts');
+
+// Deterministic offline provider for tests and development. The same content
+// always produces the same analysis, and no network calls are made.
+const REQUIRED_FIELDS = {
+  dua: ['title', 'arabic_text', 'english_meaning', 'source_reference'],
+  blog: ['title', 'content'],
+  question: ['title', 'content'],
+  answer: ['content']
+};
+
+// Characters per chunk when replaying output as a stream
+const STREAM_CHUNK_SIZE = 40;
+
+const FIELD_LABELS = {
+  title: { english: 'Title', bangla: 'শিরোনাম' },
+  arabic_text: { english: 'Arabic text', bangla: 'আরবি পাঠ' },
+  english_meaning: { english: 'English meaning', bangla: 'ইংরেজি অর্থ' },
+  source_reference: { english: 'Source reference', bangla: 'উৎস' },
+  content: { english: 'Content', bangla: 'বিষয়বস্তু' }
+};
+
+class MockProvider {
+  constructor({ name = 'mock' } = {}) {
+    this.name = name;
+    this.modelId = 'mock';
+  }
+
+  async generate(prompt, { contentType, content = {} } = {}) {
+    const fields = REQUIRED_FIELDS[contentType] || [];
+    const missing = fields.filter(field => !content[field] || !String(content[field]).trim());
+
+    const corrections = missing.map(field => ({
+      field,
+      issue_english: `${FIELD_LABELS[field].english} is missing.`,
+      issue_bangla: `${FIELD_LABELS[field].bangla} অনুপস্থিত।`,
+      suggestion_english: `Add the ${FIELD_LABELS[field].english.toLowerCase()}.`,
+      suggestion_bangla: `${FIELD_LABELS[field].bangla} যোগ করুন।`
+    }));
+
+    // Sections specific to the content type's template, e.g. citations for blogs
+    const review = { ...getPromptTemplate(contentType).defaults };
+    if (review.analysis) {
+      review.analysis = {};
+      for (const [field, value] of Object.entries(content)) {
+        if (typeof value === 'string' || value === null) {
+          review.analysis[field] = value || 'Not specified';
+        }
+      }
+    }
+
+    return JSON.stringify({
+      ...review,
+      corrections,
+      summary: corrections.length === 0
+        ? {
+          english: `Mock analysis: the ${contentType} looks complete.`,
+          bangla: `মক বিশ্লেষণ: ${contentType} সম্পূর্ণ মনে হচ্ছে।`
+        }
+        : {
+          english: `Mock analysis: ${corrections.length} field(s) need attention.`,
+          bangla: `মক বিশ্লেষণ: ${corrections.length}টি ঘর সংশোধন প্রয়োজন।`
+        }
+    });
+  }
+
+  // Replays the generated text in small chunks, like a model streaming tokens
+  async stream(prompt, context, onToken) {
+    const text = await this.generate(prompt, context);
+    for (let i = 0; i < text.length; i += STREAM_CHUNK_SIZE) {
+      await new Promise(resolve => setImmediate(resolve));
+      onToken(text.slice(i, i + STREAM_CHUNK_SIZE));
+    }
+    return text;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,91 @@
+const { OpenAI } = require('openai');
+
+// Any server speaking the OpenAI chat completions API: the Hugging Face router,
+// or a local Ollama / llama.cpp server.
+class OpenAICompatibleProvider {
+  constructor({
+    name = 'openai-compatible',
+    baseURL = process.env.OPENAI_COMPATIBLE_BASE_URL || 'http://localhost:11434/v1',
+    apiKey = process.env.OPENAI_COMPATIBLE_API_KEY || 'not-needed',
+    model = process.env.OPENAI_COMPATIBLE_MODEL || 'gemma3:12b',
+    timeout = 45000
+  } = {}) {
+    this.name = name;
+    this.baseURL = baseURL;
+    this.apiKey = apiKey;
+    this.model = model;
+    this.timeout = timeout;
+    this.client = null;
+  }
+
+  // Identifies the model in AI analysis cache keys
+  get modelId() {
+    return `${this.baseURL} ${this.model}`;
+  }
+
+  // Created on first use; the SDK refuses to construct without an API key
+  getClient() {
+    if (!this.apiKey) {
+      throw new Error(`${this.name} provider is not configured (API key missing)`);
+    }
+    if (!this.client) {
+      this.client = new OpenAI({
+        baseURL: this.baseURL,
+        apiKey: this.apiKey,
+        timeout: this.timeout,
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  buildRequest(prompt) {
+    return {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: prompt
+        }
+      ],
+      max_tokens: 2000,
+      temperature: 0.3,
+      top_p: 0.9
+    };
+  }
+
+  async generate(prompt, { signal } = {}) {
+    const chatCompletion = await this.getClient().chat.completions.create(this.buildRequest(prompt), { signal });
+
+    return {
+      text: chatCompletion.choices[0]?.message?.content || '',
+      usage: chatCompletion.usage || null
+    };
+  }
+
+  // Same as generate, calling onToken with each piece of text as it arrives
+  async stream(prompt, { signal } = {}, onToken) {
+    const stream = await this.getClient().chat.completions.create({
+      ...this.buildRequest(prompt),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal });
+
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content || '';
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+    }
+
+    return { text, usage };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,69 @@
+// Picks complete items out of the "corrections" array while model output is
+// still streaming in, so each correction can be shown as soon as it is written.
+class CorrectionStreamParser {
+  constructor() {
+    this.text = '';
+    this.pos = 0;
+    this.inArray = false;
+    this.done = false;
+    this.depth = 0;
+    this.inString = false;
+    this.escaped = false;
+    this.itemStart = -1;
+  }
+
+  // Add a chunk of output; returns the corrections completed by it
+  push(chunk) {
+    this.text += chunk;
+    const items = [];
+
+    if (!this.inArray) {
+      const match = /"corrections"\s*:\s*\[/.exec(this.text);
+      if (!match) {
+        return items;
+      }
+      this.inArray = true;
+      this.pos = match.index + match[0].length;
+    }
+
+    for (; !this.done && this.pos < this.text.length; this.pos++) {
+      const char = this.text[this.pos];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+      } else if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 0 && char === '{') {
+          this.itemStart = this.pos;
+        }
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        if (this.depth === 0) {
+          // End of the corrections array
+          this.done = true;
+        } else {
+          this.depth--;
+          if (this.depth === 0 && this.itemStart !== -1) {
+            try {
+              items.push(JSON.parse(this.text.slice(this.itemStart, this.pos + 1)));
+            } catch (error) {
+              // Malformed item; the final validation pass will report it
+            }
+            this.itemStart = -1;
+          }
+        }
+      }
+    }
+
+    return items;
+  }
+}
+
+module.exports = CorrectionStreamParser;
@@ -0,0 +1,187 @@
+const pool = require('../../database/connection');
+const { withTransaction } = require('../../database/transaction');
+
+// Application-wide key for pg_advisory_xact_lock, paired with the user, so one
+// user's quota reservations happen one at a time
+const QUOTA_LOCK_KEY = 72616402;
+
+// Analyses per user and period; 0 means unlimited. Override with
+// AI_QUOTA_<ROLE>_DAILY / AI_QUOTA_<ROLE>_MONTHLY.
+const DEFAULT_QUOTAS = {
+  user: { daily: 20, monthly: 300 },
+  scholar: { daily: 100, monthly: 2000 },
+  manager: { daily: 200, monthly: 5000 },
+  admin: { daily: 0, monthly: 0 }
+};
+
+const getQuota = (role) => {
+  const defaults = DEFAULT_QUOTAS[role] || DEFAULT_QUOTAS.user;
+  const envValue = (period) => process.env[`AI_QUOTA_${String(role).toUpperCase()}_${period.toUpperCase()}`];
+
+  const quota = {};
+  for (const period of ['daily', 'monthly']) {
+    const value = parseInt(envValue(period));
+    quota[period] = Number.isNaN(value) ? defaults[period] : value;
+  }
+  return quota;
+};
+
+// Quota periods are calendar days and months in UTC
+const getPeriodBounds = (now = new Date()) => {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+  return {
+    daily: { start: dayStart, resetsAt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+    monthly: { start: monthStart, resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)) }
+  };
+};
+
+// Rough token count for providers that don't report usage (~4 characters per token)
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const recordUsage = async ({
+  requestId,
+  userId = null,
+  source,
+  contentType,
+  contentId = null,
+  provider,
+  model = null,
+  status,
+  usage = null,
+  prompt = '',
+  output = '',
+  latencyMs = 0
+}) => {
+  const estimated = !usage && status !== 'cached';
+  const promptTokens = usage ? usage.prompt_tokens || 0 : (estimated ? estimateTokens(prompt) : 0);
+  const completionTokens = usage ? usage.completion_tokens || 0 : (estimated ? estimateTokens(output) : 0);
+
+  await pool.query(`
+    INSERT INTO ai_usage (request_id, user_id, source, content_type, content_id, provider, model, status,
+                          prompt_tokens, completion_tokens, total_tokens, tokens_estimated, latency_ms)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+  `, [
+    requestId, userId, source, contentType, contentId, provider, model, status,
+    promptTokens, completionTokens, promptTokens + completionTokens, estimated, Math.round(latencyMs)
+  ]);
+};
+
+// Analyses the user has used in the current day and month, reservations for
+// requests still running included. Cache hits are free.
+const getQuotaStatus = async (user, now = new Date(), client = pool) => {
+  const quota = getQuota(user.role);
+  const bounds = getPeriodBounds(now);
+
+  const result = await client.query(`
+    SELECT COUNT(DISTINCT request_id) FILTER (WHERE created_at >= $2) as daily,
+           COUNT(DISTINCT request_id) as monthly
+    FROM ai_usage
+    WHERE user_id = $1 AND created_at >= $3 AND status <> 'cached'
+  `, [user.id, bounds.daily.start, bounds.monthly.start]);
+
+  const used = {
+    daily: parseInt(result.rows[0].daily),
+    monthly: parseInt(result.rows[0].monthly)
+  };
+
+  const status = {};
+  for (const period of ['daily', 'monthly']) {
+    status[period] = {
+      limit: quota[period] || null,
+      used: used[period],
+      remaining: quota[period] ? Math.max(quota[period] - used[period], 0) : null,
+      resets_at: bounds[period].resetsAt.toISOString()
+    };
+  }
+  return status;
+};
+
+// The period whose quota is used up, checking the month first: when both are,
+// the monthly reset is the one that matters. null while both have room.
+const getExhaustedPeriod = (status) => ['monthly', 'daily'].find(period => status[period].remaining === 0) || null;
+
+// Count a request against the user's quota before any model is called. The check
+// and the reservation row are one step under a per-user lock, so concurrent
+// requests can't all pass the check. The row shares requestId with the usage the
+// analysis records; releaseReservation removes it once the request ends.
+// Returns the quota status from before the reservation, and the exhausted period
+// (with nothing reserved) when there is one.
+const reserveQuota = async (user, { requestId, source, contentType }, now = new Date()) => {
+  return withTransaction(async (client) => {
+    await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [QUOTA_LOCK_KEY, user.id]);
+
+    const status = await getQuotaStatus(user, now, client);
+    const exhausted = getExhaustedPeriod(status);
+
+    if (!exhausted) {
+      await client.query(`
+        INSERT INTO ai_usage (request_id, user_id, source, content_type, provider, status)
+        VALUES ($1, $2, $3, $4, 'none', 'reserved')
+      `, [requestId, user.id, source, String(contentType || 'unknown').slice(0, 50)]);
+    }
+
+    return { status, exhausted };
+  });
+};
+
+const releaseReservation = async (requestId) => {
+  await pool.query("DELETE FROM ai_usage WHERE request_id = $1 AND status = 'reserved'", [requestId]);
+};
+
+// Token, latency and request totals between two dates, by user and by content type
+const getUsageReport = async ({ from, to }) => {
+  const totalsSql = `
+    COUNT(DISTINCT request_id) as requests,
+    COUNT(*) FILTER (WHERE status <> 'cached') as calls,
+    COUNT(*) FILTER (WHERE status = 'cached') as cache_hits,
+    COUNT(*) FILTER (WHERE status IN ('error', 'invalid')) as failed_calls,
+    COALESCE(SUM(prompt_tokens), 0) as prompt_tokens,
+    COALESCE(SUM(completion_tokens), 0) as completion_tokens,
+    COALESCE(SUM(total_tokens), 0) as total_tokens,
+    COALESCE(ROUND(AVG(latency_ms) FILTER (WHERE status <> 'cached')), 0) as avg_latency_ms`;
+
+  const byUser = await pool.query(`
+    SELECT a.user_id, u.name, u.email, u.role, ${totalsSql}
+    FROM ai_usage a
+    LEFT JOIN users u ON a.user_id = u.id
+    WHERE a.created_at >= $1 AND a.created_at < $2 AND a.status <> 'reserved'
+    GROUP BY a.user_id, u.name, u.email, u.role
+    ORDER BY total_tokens DESC
+  `, [from, to]);
+
+  const byContentType = await pool.query(`
+    SELECT content_type, ${totalsSql}
+    FROM ai_usage
+    WHERE created_at >= $1 AND created_at < $2 AND status <> 'reserved'
+    GROUP BY content_type
+    ORDER BY content_type
+  `, [from, to]);
+
+  const toNumbers = (row) => {
+    const converted = { ...row };
+    for (const key of ['requests', 'calls', 'cache_hits', 'failed_calls', 'prompt_tokens', 'completion_tokens', 'total_tokens', 'avg_latency_ms']) {
+      converted[key] = parseInt(row[key]);
+    }
+    return converted;
+  };
+
+  return {
+    by_user: byUser.rows.map(toNumbers),
+    by_content_type: byContentType.rows.map(toNumbers)
+  };
+};
+
+module.exports = {
+  DEFAULT_QUOTAS,
+  getQuota,
+  getPeriodBounds,
+  estimateTokens,
+  recordUsage,
+  getQuotaStatus,
+  getExhaustedPeriod,
+  reserveQuota,
+  releaseReservation,
+  getUsageReport
+};
@@ -1,51 +1,44 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const pool = require('../database/connection');
-
+const { createProviders } = require('./ai/providers');
+const { parseJson } = require('./ai/jsonRepair');
+const { validateAnalysis } = require('./ai/analysisSchema');
+const { getPromptTemplate, renderPrompt, syncPromptTemplates } = require('./ai/prompts');
+const correctionService = require('./correctionService');
+const analysisCache = require('./ai/analysisCache');
+const aiUsage = require('./ai/usage');
+const CorrectionStreamParser = require('./ai/streamParser');
+
+// How many existing questions a new question is checked against for duplicates
+const SIMILAR_QUESTIONS_LIMIT = 5;
+
+// Runs AI analysis through the configured providers (AI_PROVIDERS), trying each
+// in order until one answers.
 class AIService {
-  constructor() {
-    this.apiUrl = process.env.HF_API_URL || 'https://api-inference.huggingface.co/models/google/gemma-3-27b-it';
-    this.token = process.env.HF_TOKEN;
-    this.isProcessing = false;
+  constructor({ providers } = {}) {
+    this.providers = providers || createProviders();
   }
 
+  // Analyze a stored piece of content and save the result on it. Queue state is
+  // managed by the AI worker that calls this.
   async processContent(contentType, contentId) {
-    try {
-      // Mark as processing
-      await pool.query(
-        'UPDATE ai_processing_queue SET status = $1 WHERE content_id = $2 AND content_type = $3',
-        ['processing', contentId, contentType]
-      );
-
-      // Get content based on type
-      let content = await this.getContent(contentType, contentId);
-      if (!content) {
-        throw new Error('Content not found');
-      }
-
-      // Generate AI analysis
-      const analysis = await this.generateAnalysis(contentType, content);
-
-      // Update content with AI analysis
-      await this.updateContentWithAI(contentType, contentId, analysis);
+    // Get content based on type
+    const content = await this.getContent(contentType, contentId);
+    if (!content) {
+      throw new Error('Content not found');
+    }
 
-      // Mark as completed
-      await pool.query(
-        'UPDATE ai_processing_queue SET status = $1, result = $2, processed_at = CURRENT_TIMESTAMP WHERE content_id = $3 AND content_type = $4',
-        ['completed', JSON.stringify(analysis), contentId, contentType]
-      );
+    const analysis = await this.generateAnalysis(contentType, content, { contentId });
 
-      return analysis;
-    } catch (error) {
-      console.error('AI processing error:', error);
-      
-      // Mark as failed
-      await pool.query(
-        'UPDATE ai_processing_queue SET status = $1, error_message = $2, processed_at = CURRENT_TIMESTAMP WHERE content_id = $3 AND content_type = $4',
-        ['failed', error.message, contentId, contentType]
-      );
+    // Update content with AI analysis
+    await this.updateContentWithAI(contentType, contentId, analysis);
 
-      throw error;
+    // Dua corrections can be accepted or dismissed one by one
+    if (contentType === 'dua') {
+      await correctionService.replaceCorrections(contentId, analysis.corrections, content, analysis.prompt_version);
     }
+
+    return analysis;
   }
 
   async getContent(contentType, contentId) {
@@ -55,13 +48,13 @@ class AIService {
         query = 'SELECT title, purpose, arabic_text, english_meaning, transliteration, native_meaning, source_reference FROM duas WHERE id = $1';
         break;
       case 'blog':
-        query = 'SELECT title, content FROM blogs WHERE id = $1';
+        query = 'SELECT title, content, tags FROM blogs WHERE id = $1';
         break;
       case 'question':
-        query = 'SELECT title, content FROM questions WHERE id = $1';
+        query = 'SELECT title, content, tags FROM questions WHERE id = $1';
         break;
       case 'answer':
-        query = 'SELECT content FROM answers WHERE id = $1';
+        query = 'SELECT content, question_id FROM answers WHERE id = $1';
         break;
       default:
         throw new Error('Invalid content type');
@@ -71,228 +64,292 @@ class AIService {
     return result.rows[0];
   }
 
-  async generateAnalysis(contentType, content) {
-    const prompt = this.buildPrompt(contentType, content);
-    
-    console.log('📝 AI Service Prompt being sent:');
-    console.log('=' .repeat(80));
-    console.log(prompt);
-    console.log('=' .repeat(80));
-    
-    try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          inputs: prompt,
-          parameters: {
-            max_new_tokens: 800,
-            temperature: 0.6,
-            top_p: 0.9,
-            top_k: 50,
-            repetition_penalty: 1.1,
-            return_full_text: false,
-            do_sample: true
-          }
-        },
-        {
-          headers: {
-            'Authorization': `Bearer ${this.token}`,
-            'Content-Type': 'application/json'
-          },
-          timeout: 60000 // Increased timeout for larger model
-        }
-      );
+  getProviderNames() {
+    return this.providers.map(provider => provider.name);
+  }
 
-      console.log('🤖 AI Service Raw Response:');
-      console.log('=' .repeat(80));
-      console.log(JSON.stringify(response.data, null, 2));
-      console.log('=' .repeat(80));
+  // Everything a prompt template needs besides the content itself
+  async getPromptContext(contentType, content, contentId) {
+    const context = { ...content };
 
-      return this.parseAIResponse(response.data);
-    } catch (error) {
-      console.error('Hugging Face API error:', error.response?.data || error.message);
-      throw new Error('AI service temporarily unavailable');
+    if (contentType === 'question') {
+      context.similar_questions = await this.findSimilarQuestions(content, contentId);
     }
-  }
 
-  buildPrompt(contentType, content) {
-    const basePrompt = `Content to analyze:
-Title: ${content.title || 'Not specified'}
-Purpose: ${content.purpose || 'Not specified'}
-Arabic Text: ${content.arabic_text || 'Not specified'}
-English Meaning: ${content.english_meaning || 'Not specified'}
-Transliteration: ${content.transliteration || 'Not specified'}
-Native Meaning: ${content.native_meaning || 'Not specified'}
-Source Reference: ${content.source_reference || 'N/A'}
-
-Check the contents for any issues and provide a summary of the content correction and suggestions.
-- Do not use md styling only use with plain text.
-- Show the output as json format. Each correction will be as a array element.
-- Proive bangla and english for the correction and suggestions.
-- If ther is no correction need the correction array will be empty . 
-- Here is a sample output struture 
-
-{
-    "analysis": {
-      "title": " জাহান্নাম থেকে মুক্তি",
-      "purpose": "Not specified",
-      "arabic_text": " اللَّهُمَّ أَجِرْنِى مِ",
-      "english_meaning": "O Allah! Save me from the fire of Hell.",
-      "transliteration": "আল্লাহুম্মা আজিরনি মিনান নার।",
-      "native_meaning": "হে আল্লাহ! আমাকে",
-      "source_reference": "N/A"
-    },
-    "corrections": [
-      {
-        "field": "title",
-        "issue_english": "Descriptive, not standard for a du'a.",
-        "issue_bangla": "বর্ণনমূলক, একটি দু'য়ার জন্য আদর্শ নয়।",
-        "suggestion_english": "Du'a for Protection from Hellfire",
-        "suggestion_bangla": "জাহান্নাম থেকে সুরক্ষার জন্য দু'আ"
+    if (contentType === 'answer' && content.question_id && !content.question_title) {
+      const result = await pool.query('SELECT title, content FROM questions WHERE id = $1', [content.question_id]);
+      if (result.rows[0]) {
+        context.question_title = result.rows[0].title;
+        context.question_content = result.rows[0].content;
       }
-    ],
-    "summary": {
-      "english": "The provided content contains several inaccuracies, primarily due to an incomplete Arabic text. Corrections include completing the Arabic and Bengali text, refining the transliteration, providing a more accurate English meaning, suggesting a better title, and emphasizing the need to specify a purpose and source reference. These changes improve the content's accuracy, clarity, and usefulness.",
-      "bangla": "প্রদত্ত অংশে বেশ কিছু ভুল রয়েছে, যার প্রধান কারণ হল একটি অসম্পূর্ণ আরবি পাঠ। সংশোধনগুলির মধ্যে আরবি এবং বাংলা পাঠ সম্পূর্ণ করা, প্রতিবর্ণীকরণ পরিমার্জন করা, আরও সঠিক ইংরেজি অর্থ প্রদান করা, একটি ভাল শিরোনাম প্রস্তাব করা এবং উদ্দেশ্য ও উৎস উল্লেখ করার প্রয়োজনীয়তার উপর জোর দেওয়া অন্তর্ভুক্ত। এই পরিবর্তনগুলি সামগ্রীর নির্ভুলতা, স্পষ্টতা এবং উপযোগিতা বৃদ্ধি করে।"
     }
+
+    return context;
   }
 
-output:`;
+  // Existing questions sharing words with this one, best matches first
+  async findSimilarQuestions(content, contentId) {
+    const words = `${content.title || ''} ${content.content || ''}`.match(/[\p{L}\p{N}]{3,}/gu) || [];
+    if (words.length === 0) {
+      return [];
+    }
+
+    const result = await pool.query(`
+      SELECT id, title
+      FROM questions, to_tsquery('simple', $1) query
+      WHERE id IS DISTINCT FROM $2
+        AND to_tsvector('simple', title || ' ' || content) @@ query
+      ORDER BY ts_rank(to_tsvector('simple', title || ' ' || content), query) DESC
+      LIMIT $3
+    `, [[...new Set(words.map(word => word.toLowerCase()))].join(' | '), contentId, SIMILAR_QUESTIONS_LIMIT]);
 
-    return basePrompt;
+    return result.rows;
   }
 
-  parseAIResponse(response) {
-    try {
-      console.log('🔍 Raw AI Response:', JSON.stringify(response, null, 2));
-      
-      // Handle different response formats from Hugging Face
-      let text = '';
-      if (Array.isArray(response)) {
-        text = response[0]?.generated_text || '';
-      } else if (response.generated_text) {
-        text = response.generated_text;
-      } else if (typeof response === 'string') {
-        text = response;
+  // Analyze content with the first provider that returns valid output. userId and
+  // source ('draft' or 'queue') attribute the calls in ai_usage, under requestId
+  // when the caller has already reserved one against a quota. Queued jobs skip
+  // fallback providers, so when every model fails the job is retried instead of
+  // saving rule-based output over the content. When onEvent is
+  // given, progress is reported through it as (event, data) and providers that
+  // support it are streamed; aborting signal stops before the next model call.
+  async generateAnalysis(contentType, content, { contentId = null, userId = null, source = 'queue', requestId = crypto.randomUUID(), onEvent = null, signal = null } = {}) {
+    const template = getPromptTemplate(contentType);
+    const request = { requestId, userId, source, contentType, contentId, onEvent, signal };
+    const context = await this.getPromptContext(contentType, content, contentId);
+    const prompt = renderPrompt(template, context);
+
+    await syncPromptTemplates();
+
+    const providers = source === 'queue'
+      ? this.providers.filter(provider => !provider.fallback)
+      : this.providers;
+
+    const cacheKeys = new Map(providers
+      .filter(provider => provider.cacheable !== false)
+      .map(provider => [provider, analysisCache.getCacheKey({
+        contentType,
+        promptVersion: template.version,
+        model: provider.modelId || provider.name,
+        prompt
+      })]));
+
+    const cached = await this.getCachedAnalysis([...cacheKeys.values()]);
+    if (cached) {
+      console.log(`💾 Reusing cached ${contentType} analysis from ${cached.provider}`);
+      await this.recordUsage(request, { provider: { name: cached.provider }, status: 'cached' });
+      return { ...cached.result, provider: cached.provider, prompt_version: template.version, cached: true };
+    }
+
+    for (const provider of providers) {
+      if (signal && signal.aborted) {
+        throw new Error('Analysis cancelled');
       }
 
-      console.log('📝 Extracted text:', text);
-
-      // Try to parse as JSON first
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        console.log('🎯 JSON match found:', jsonMatch[0]);
-        try {
-          const jsonResponse = JSON.parse(jsonMatch[0]);
-          console.log('✅ Parsed JSON:', JSON.stringify(jsonResponse, null, 2));
-          
-          // Handle the working example format
-          if (jsonResponse.analysis && jsonResponse.corrections && jsonResponse.summary) {
-            console.log('🇧🇩 Working example format detected');
-            const result = {
-              summary: {
-                english: jsonResponse.summary.english || 'Summary not provided',
-                bangla: jsonResponse.summary.bangla || 'সারাংশ প্রদান করা হয়নি'
-              },
-              corrections: Array.isArray(jsonResponse.corrections) ? 
-                jsonResponse.corrections.map(correction => 
-                  typeof correction === 'object' ? {
-                    field: correction.field || 'unknown',
-                    issue_english: correction.issue_english || '',
-                    issue_bangla: correction.issue_bangla || '',
-                    suggestion_english: correction.suggestion_english || '',
-                    suggestion_bangla: correction.suggestion_bangla || ''
-                  } : correction
-                ) : 
-                [jsonResponse.corrections || 'পরামর্শ প্রদান করা হয়নি'],
-              authenticity: {
-                english: 'Content analysis completed',
-                bangla: 'বিষয়বস্তু বিশ্লেষণ সম্পন্ন হয়েছে'
-              },
-              confidence: 0.8
-            };
-            console.log('🎉 Returning working example result:', JSON.stringify(result, null, 2));
-            return result;
-          }
-          
-          // Fallback to simple format
-          console.log('🇧🇩 Simple format detected');
-          const result = {
-            summary: jsonResponse.summary || 'সারাংশ প্রদান করা হয়নি',
-            corrections: Array.isArray(jsonResponse.corrections) ? jsonResponse.corrections : [jsonResponse.corrections || 'পরামর্শ প্রদান করা হয়নি'],
-            authenticity: jsonResponse.authenticity || 'সত্যতা মূল্যায়ন প্রদান করা হয়নি',
-            confidence: jsonResponse.confidence || 0.8
-          };
-          console.log('🎉 Returning simple result:', JSON.stringify(result, null, 2));
-          return result;
-        } catch (jsonError) {
-          console.log('❌ JSON parsing failed:', jsonError.message);
-          console.log('📝 Falling back to text parsing');
+      try {
+        console.log(`🚀 Trying AI provider ${provider.name}...`);
+        this.emit(request, 'provider', { provider: provider.name, streaming: typeof provider.stream === 'function' });
+        const analysis = await this.generateValidAnalysis(provider, prompt, { template, context, request });
+        console.log(`✅ AI provider ${provider.name} completed analysis`);
+
+        if (cacheKeys.has(provider)) {
+          await this.cacheAnalysis(cacheKeys.get(provider), { contentType, template, provider, analysis });
         }
-      } else {
-        console.log('❌ No JSON match found in text');
+
+        return { ...analysis, provider: provider.name, prompt_version: template.version };
+      } catch (error) {
+        console.error(`🔄 AI provider ${provider.name} failed:`, error.response?.data || error.message);
       }
+    }
 
-      // Fallback to text parsing if JSON parsing fails
-      const lines = text.split('\n').filter(line => line.trim());
-      
-      let summary = '';
-      let corrections = '';
-      let authenticity = '';
-
-      let currentSection = '';
-      for (const line of lines) {
-        const trimmedLine = line.trim();
-        const lowerLine = trimmedLine.toLowerCase();
-        
-        // Check for section headers
-        if (lowerLine.includes('summary:') || lowerLine.includes('1. summary') || lowerLine.includes('summary')) {
-          currentSection = 'summary';
-          summary += trimmedLine.replace(/^(summary:|1\.\s*summary|summary)\s*/i, '').trim() + ' ';
-        } else if (lowerLine.includes('corrections:') || lowerLine.includes('2. corrections') || lowerLine.includes('correction')) {
-          currentSection = 'corrections';
-          corrections += trimmedLine.replace(/^(corrections:|2\.\s*corrections|correction)\s*/i, '').trim() + ' ';
-        } else if (lowerLine.includes('authenticity:') || lowerLine.includes('3. authenticity') || lowerLine.includes('authenticity')) {
-          currentSection = 'authenticity';
-          authenticity += trimmedLine.replace(/^(authenticity:|3\.\s*authenticity|authenticity)\s*/i, '').trim() + ' ';
-        } else if (currentSection && trimmedLine) {
-          // Continue adding to current section
-          switch (currentSection) {
-            case 'summary':
-              summary += trimmedLine + ' ';
-              break;
-            case 'corrections':
-              corrections += trimmedLine + ' ';
-              break;
-            case 'authenticity':
-              authenticity += trimmedLine + ' ';
-              break;
-          }
-        }
+    if (signal && signal.aborted) {
+      throw new Error('Analysis cancelled');
+    }
+
+    throw new Error('AI service temporarily unavailable');
+  }
+
+  // Cache problems must never fail an analysis; they just cost a model call
+  async getCachedAnalysis(keys) {
+    if (!analysisCache.isEnabled() || keys.length === 0) {
+      return null;
+    }
+    try {
+      return await analysisCache.getCachedAnalysis(keys);
+    } catch (error) {
+      console.error('AI cache lookup failed:', error.message);
+      return null;
+    }
+  }
+
+  async cacheAnalysis(key, { contentType, template, provider, analysis }) {
+    if (!analysisCache.isEnabled()) {
+      return;
+    }
+    try {
+      await analysisCache.storeAnalysis({
+        key,
+        contentType,
+        promptVersion: template.version,
+        provider: provider.name,
+        model: provider.modelId || provider.name,
+        result: analysis
+      });
+    } catch (error) {
+      console.error('Failed to cache AI analysis:', error.message);
+    }
+  }
+
+  // Ask one provider for an analysis. Output that fails validation is stored and
+  // the provider is re-prompted once with the errors before giving up on it.
+  async generateValidAnalysis(provider, prompt, { template, context, request }) {
+    const { contentType } = template;
+    let currentPrompt = prompt;
+
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      const { text, usage, latencyMs } = await this.callProvider(provider, currentPrompt, { template, context, request });
+      const { analysis, errors } = this.parseAIResponse(text, template, context);
+
+      await this.recordUsage(request, {
+        provider,
+        status: analysis ? 'success' : 'invalid',
+        usage,
+        prompt: currentPrompt,
+        output: text,
+        latencyMs
+      });
+
+      if (analysis) {
+        return analysis;
+      }
+
+      console.log(`⚠️ AI provider ${provider.name} returned invalid output (attempt ${attempt}):`, errors.join('; '));
+      await this.recordInvalidOutput({
+        provider: provider.name,
+        contentType,
+        contentId: request.contentId,
+        promptVersion: template.version,
+        attempt,
+        prompt: currentPrompt,
+        rawOutput: text,
+        errors
+      });
+      if (attempt < 2) {
+        this.emit(request, 'retry', { provider: provider.name, attempt: attempt + 1, errors });
       }
+      currentPrompt = this.buildRepairPrompt(prompt, errors);
+    }
+
+    throw new Error('Invalid analysis output');
+  }
 
-      // Clean up and ensure we have meaningful content
-      const cleanSummary = summary.trim() || 'AI analysis completed - content appears to be Islamic in nature';
-      const cleanCorrections = corrections.trim() || 'No specific corrections suggested - content appears authentic';
-      const cleanAuthenticity = authenticity.trim() || 'Content appears to be Islamic in nature and authentic';
-
-      return {
-        summary: cleanSummary,
-        corrections: [cleanCorrections],
-        authenticity: cleanAuthenticity,
-        confidence: 0.8
-      };
+  // Providers resolve to the raw text, or to { text, usage } when they report token counts.
+  // Streamed calls also report each token and every correction as soon as it is complete.
+  async callProvider(provider, prompt, { template, context, request }) {
+    const startedAt = Date.now();
+    const providerContext = { contentType: template.contentType, content: context, signal: request.signal };
+    try {
+      let output;
+      if (request.onEvent && typeof provider.stream === 'function') {
+        const parser = new CorrectionStreamParser();
+        output = await provider.stream(prompt, providerContext, token => {
+          this.emit(request, 'token', { provider: provider.name, text: token });
+          parser.push(token).forEach(correction => {
+            this.emit(request, 'correction', { provider: provider.name, correction });
+          });
+        });
+      } else {
+        output = await provider.generate(prompt, providerContext);
+      }
+      const { text, usage = null } = typeof output === 'string' ? { text: output } : output;
+      return { text: text || '', usage, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      await this.recordUsage(request, { provider, status: 'error', prompt, latencyMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  // A listener that throws (e.g. a closed client connection) must never fail an analysis
+  emit(request, event, data) {
+    if (!request.onEvent) {
+      return;
+    }
+    try {
+      request.onEvent(event, data);
+    } catch (error) {
+      console.error(`Failed to emit AI ${event} event:`, error.message);
+    }
+  }
+
+  // Accounting problems must never fail an analysis
+  async recordUsage(request, { provider, status, usage, prompt, output, latencyMs }) {
+    try {
+      await aiUsage.recordUsage({
+        ...request,
+        provider: provider.name,
+        model: provider.modelId || null,
+        status,
+        usage,
+        prompt,
+        output,
+        latencyMs
+      });
     } catch (error) {
-      console.error('Error parsing AI response:', error);
-      return {
-        summary: 'AI দ্বারা বিশ্লেষিত বিষয়বস্তু - বিষয়বস্তু ইসলামী প্রকৃতির বলে মনে হচ্ছে',
-        corrections: ['বিস্তারিত বিশ্লেষণ পার্স করতে অক্ষম - ম্যানুয়াল পর্যালোচনা সুপারিশ করা হচ্ছে'],
-        authenticity: 'বিষয়বস্তু ইসলামী প্রকৃতির বলে মনে হচ্ছে - যাচাই সুপারিশ করা হচ্ছে',
-        confidence: 0.0
-      };
+      console.error('Failed to record AI usage:', error.message);
     }
   }
 
+  buildRepairPrompt(prompt, errors) {
+    return `${prompt}
+
+Your previous answer could not be used: ${errors.join('; ')}.
+Reply with only the JSON object in the sample structure above. No other text.
+
+output:`;
+  }
+
+  // Failing to store debug output must never fail the analysis itself
+  async recordInvalidOutput({ provider, contentType, contentId, promptVersion, attempt, prompt, rawOutput, errors }) {
+    try {
+      await pool.query(`
+        INSERT INTO ai_invalid_outputs (provider, content_type, content_id, prompt_version, attempt, prompt, raw_output, errors)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `, [provider, contentType, contentId, promptVersion, attempt, prompt, rawOutput, JSON.stringify(errors)]);
+    } catch (error) {
+      console.error('Failed to store invalid AI output:', error.message);
+    }
+  }
+
+  // Parse and validate raw model output against the template's output schema.
+  // Returns { analysis } on success, or { errors } describing what was wrong.
+  parseAIResponse(text, template, context = {}) {
+    let value;
+    try {
+      value = parseJson(text).value;
+    } catch (error) {
+      return { analysis: null, errors: [error.message] };
+    }
+
+    const errors = validateAnalysis(value, template.schema);
+    if (errors.length > 0) {
+      return { analysis: null, errors };
+    }
+
+    const analysis = {
+      ...value,
+      authenticity: value.authenticity || {
+        english: 'Content analysis completed',
+        bangla: 'বিষয়বস্তু বিশ্লেষণ সম্পন্ন হয়েছে'
+      },
+      confidence: value.confidence !== undefined ? value.confidence : 0.8
+    };
+
+    return {
+      analysis: template.postProcess ? template.postProcess(analysis, context) : analysis,
+      errors: []
+    };
+  }
+
   async updateContentWithAI(contentType, contentId, analysis) {
     let query;
     switch (contentType) {
@@ -313,45 +370,12 @@ output:`;
     }
 
     const params = contentType === 'dua' 
-      ? [analysis.summary, analysis.corrections, contentId]
-      : [analysis.summary, contentId];
+      ? [JSON.stringify(analysis.summary), JSON.stringify(analysis.corrections), contentId]
+      : [JSON.stringify(analysis.summary), contentId];
 
     await pool.query(query, params);
   }
-
-  async processQueue() {
-    if (this.isProcessing) {
-      return;
-    }
-
-    this.isProcessing = true;
-
-    try {
-      // Get next pending item
-      const result = await pool.query(
-        'SELECT * FROM ai_processing_queue WHERE status = $1 ORDER BY created_at ASC LIMIT 1',
-        ['pending']
-      );
-
-      if (result.rows.length > 0) {
-        const item = result.rows[0];
-        await this.processContent(item.content_type, item.content_id);
-      }
-    } catch (error) {
-      console.error('Queue processing error:', error);
-    } finally {
-      this.isProcessing = false;
-    }
-  }
-
-  startQueueProcessor() {
-    // Process queue every 30 seconds
-    setInterval(() => {
-      this.processQueue();
-    }, 30000);
-
-    console.log('AI queue processor started');
-  }
 }
 
 module.exports = new AIService();
+module.exports.AIService = AIService;
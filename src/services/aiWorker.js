@@ -0,0 +1,196 @@
+const os = require('os');
+const pool = require('../database/connection');
+
+const DEFAULT_OPTIONS = {
+  // How long a claimed job stays locked before another worker may reclaim it
+  leaseSeconds: parseInt(process.env.AI_WORKER_LEASE_SECONDS) || 300,
+  pollIntervalMs: parseInt(process.env.AI_WORKER_POLL_MS) || 5000,
+  // Retry delay doubles per attempt: 30s, 1m, 2m, ... capped at maxBackoffMs
+  baseBackoffMs: parseInt(process.env.AI_WORKER_BACKOFF_MS) || 30000,
+  maxBackoffMs: 6 * 60 * 60 * 1000
+};
+
+// Default job handler: analyze the content and store the result on it
+const analyzeQueuedContent = (job) => {
+  const aiService = require('./aiService');
+  return aiService.processContent(job.content_type, job.content_id);
+};
+
+// Delay before the next attempt of a job that has failed `attempts` times
+const getBackoffMs = (attempts, { baseBackoffMs, maxBackoffMs } = DEFAULT_OPTIONS) => {
+  const delay = baseBackoffMs * Math.pow(2, Math.max(attempts - 1, 0));
+  return Math.min(delay, maxBackoffMs);
+};
+
+// Consumes ai_processing_queue. Jobs are claimed with FOR UPDATE SKIP LOCKED,
+// so any number of workers can run against the same database.
+class AIWorker {
+  constructor({ pool: dbPool = pool, processor = analyzeQueuedContent, workerId, ...options } = {}) {
+    this.pool = dbPool;
+    this.processor = processor;
+    this.workerId = workerId || `${os.hostname()}:${process.pid}`;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.running = false;
+    this.wakeUp = null;
+  }
+
+  // Dead-letter jobs whose lease expired on their final attempt (the worker crashed)
+  async reapExpiredJobs() {
+    const result = await this.pool.query(`
+      UPDATE ai_processing_queue
+      SET status = 'dead',
+          error_message = COALESCE(error_message, 'Worker lease expired'),
+          locked_by = NULL,
+          locked_until = NULL,
+          processed_at = CURRENT_TIMESTAMP
+      WHERE status = 'processing' AND locked_until < CURRENT_TIMESTAMP AND attempts >= max_attempts
+      RETURNING id
+    `);
+
+    return result.rows.length;
+  }
+
+  // Claim the next runnable job: pending and due, or processing with an expired lease
+  async claimJob() {
+    const result = await this.pool.query(`
+      UPDATE ai_processing_queue q
+      SET status = 'processing',
+          attempts = q.attempts + 1,
+          locked_by = $1,
+          locked_until = CURRENT_TIMESTAMP + ($2 || ' seconds')::interval,
+          started_at = CURRENT_TIMESTAMP
+      WHERE q.id = (
+        SELECT id FROM ai_processing_queue
+        WHERE (status = 'pending' AND run_after <= CURRENT_TIMESTAMP)
+           OR (status = 'processing' AND locked_until < CURRENT_TIMESTAMP AND attempts < max_attempts)
+        ORDER BY priority, run_after, created_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING q.*
+    `, [this.workerId, this.options.leaseSeconds]);
+
+    return result.rows[0] || null;
+  }
+
+  // Push the lease forward while a long job is still running
+  async extendLease(job) {
+    await this.pool.query(`
+      UPDATE ai_processing_queue
+      SET locked_until = CURRENT_TIMESTAMP + ($3 || ' seconds')::interval
+      WHERE id = $1 AND locked_by = $2 AND status = 'processing'
+    `, [job.id, this.workerId, this.options.leaseSeconds]);
+  }
+
+  async completeJob(job, result) {
+    await this.pool.query(`
+      UPDATE ai_processing_queue
+      SET status = 'completed', result = $3, prompt_version = $4, error_message = NULL,
+          locked_by = NULL, locked_until = NULL, processed_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND locked_by = $2
+    `, [job.id, this.workerId, JSON.stringify(result), (result && result.prompt_version) || null]);
+
+    // Requests for the same content queued before this run started are already satisfied
+    await this.pool.query(`
+      UPDATE ai_processing_queue
+      SET status = 'completed', result = $4, processed_at = CURRENT_TIMESTAMP
+      WHERE content_type = $1 AND content_id = $2 AND status = 'pending' AND created_at <= $3 AND id <> $5
+    `, [job.content_type, job.content_id, job.started_at, JSON.stringify(result), job.id]);
+  }
+
+  // Schedule a retry with exponential backoff, or dead-letter the job on its last attempt
+  async failJob(job, error) {
+    if (job.attempts >= job.max_attempts) {
+      await this.pool.query(`
+        UPDATE ai_processing_queue
+        SET status = 'dead', error_message = $3,
+            locked_by = NULL, locked_until = NULL, processed_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND locked_by = $2
+      `, [job.id, this.workerId, error.message]);
+      return 'dead';
+    }
+
+    const backoffMs = getBackoffMs(job.attempts, this.options);
+    await this.pool.query(`
+      UPDATE ai_processing_queue
+      SET status = 'pending', error_message = $3,
+          run_after = CURRENT_TIMESTAMP + ($4 || ' milliseconds')::interval,
+          locked_by = NULL, locked_until = NULL
+      WHERE id = $1 AND locked_by = $2
+    `, [job.id, this.workerId, error.message, backoffMs]);
+    return 'retry';
+  }
+
+  // Process at most one job; returns the job, or null if nothing was due
+  async runOnce() {
+    await this.reapExpiredJobs();
+
+    const job = await this.claimJob();
+    if (!job) {
+      return null;
+    }
+
+    const label = `${job.content_type}:${job.content_id}`;
+    console.log(`🔄 AI job ${job.id} (${label}) attempt ${job.attempts}/${job.max_attempts}`);
+
+    const leaseTimer = setInterval(() => {
+      this.extendLease(job).catch(error => console.error('Failed to extend AI job lease:', error.message));
+    }, (this.options.leaseSeconds * 1000) / 3);
+
+    try {
+      const result = await this.processor(job);
+      await this.completeJob(job, result);
+      console.log(`✅ AI job ${job.id} (${label}) completed`);
+    } catch (error) {
+      const outcome = await this.failJob(job, error);
+      console.error(outcome === 'dead'
+        ? `💀 AI job ${job.id} (${label}) moved to dead letter: ${error.message}`
+        : `⚠️ AI job ${job.id} (${label}) failed, will retry: ${error.message}`);
+    } finally {
+      clearInterval(leaseTimer);
+    }
+
+    return job;
+  }
+
+  // Keep processing until stop() is called, sleeping when the queue is empty
+  async start() {
+    this.running = true;
+    console.log(`🤖 AI worker ${this.workerId} started`);
+
+    while (this.running) {
+      let job = null;
+      try {
+        job = await this.runOnce();
+      } catch (error) {
+        console.error('AI worker error:', error.message);
+      }
+
+      if (!job && this.running) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, this.options.pollIntervalMs);
+          this.wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wakeUp = null;
+      }
+    }
+
+    console.log(`🛑 AI worker ${this.workerId} stopped`);
+  }
+
+  stop() {
+    this.running = false;
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+module.exports = {
+  AIWorker,
+  getBackoffMs,
+  analyzeQueuedContent
+};
@@ -0,0 +1,85 @@
+// How many independent reviewers must approve content before it is published.
+// Override per content type with APPROVALS_REQUIRED_DUA / APPROVALS_REQUIRED_BLOG.
+const DEFAULT_REQUIRED_APPROVALS = {
+  dua: 2,
+  blog: 2
+};
+
+// Content citing hadith needs at least this many (APPROVALS_REQUIRED_HADITH)
+const DEFAULT_HADITH_REQUIRED_APPROVALS = 3;
+
+// Roles whose vote settles content escalated after conflicting reviews
+const RULING_ROLES = ['manager', 'admin'];
+
+// Hadith collections and terms that mark a claim as coming from the hadith literature
+const HADITH_PATTERN = /\b(a?hadith|hadees|sahih|sunan|musnad|bukhari|tirmidhi|nasa'?i|muwatta|riyad\s*us[- ]saliheen)\b|abu\s+daw[uo]o?d|ibn\s+majah|narrated\s+by|حديث|أحاديث|হাদিস/i;
+
+// Fields checked for hadith claims, per content type
+const CLAIM_FIELDS = {
+  dua: ['source_reference', 'purpose'],
+  blog: ['title', 'content']
+};
+
+const readLimit = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const makesHadithClaim = (contentType, content) =>
+  (CLAIM_FIELDS[contentType] || []).some(field => HADITH_PATTERN.test(content[field] || ''));
+
+// Approvals needed to publish this piece of content
+const getRequiredApprovals = (contentType, content) => {
+  const required = readLimit(`APPROVALS_REQUIRED_${contentType.toUpperCase()}`, DEFAULT_REQUIRED_APPROVALS[contentType] || 1);
+
+  if (makesHadithClaim(contentType, content)) {
+    return Math.max(required, readLimit('APPROVALS_REQUIRED_HADITH', DEFAULT_HADITH_REQUIRED_APPROVALS));
+  }
+
+  return required;
+};
+
+// Outcome of the votes cast in a review round: 'approved', 'rejected',
+// 'escalated' when reviewers disagree, or 'pending' while approvals are missing.
+// A manager's ruling on escalated content overrides everything else.
+const evaluateVotes = (votes, required) => {
+  const ruling = votes.find(vote => vote.is_ruling);
+  if (ruling) {
+    return ruling.vote === 'approve' ? 'approved' : 'rejected';
+  }
+
+  const approvals = votes.filter(vote => vote.vote === 'approve').length;
+  const rejections = votes.length - approvals;
+
+  if (approvals > 0 && rejections > 0) {
+    return 'escalated';
+  }
+  if (rejections > 0) {
+    return 'rejected';
+  }
+  return approvals >= required ? 'approved' : 'pending';
+};
+
+// Vote counts and outcome for a review round, as returned to reviewers
+const summarizeVotes = (contentType, content, votes) => {
+  const required = getRequiredApprovals(contentType, content);
+
+  return {
+    required,
+    hadith_claim: makesHadithClaim(contentType, content),
+    approvals: votes.filter(vote => vote.vote === 'approve').length,
+    rejections: votes.filter(vote => vote.vote === 'reject').length,
+    decision: evaluateVotes(votes, required),
+    votes
+  };
+};
+
+module.exports = {
+  DEFAULT_REQUIRED_APPROVALS,
+  DEFAULT_HADITH_REQUIRED_APPROVALS,
+  RULING_ROLES,
+  makesHadithClaim,
+  getRequiredApprovals,
+  evaluateVotes,
+  summarizeVotes
+};
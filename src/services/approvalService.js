@@ -0,0 +1,184 @@
+const pool = require('../database/connection');
+
+// Tables and columns of the content types that go through approval.
+// reviewedFields are what reviewers vote on.
+const CONTENT_TYPES = {
+  dua: {
+    table: 'duas',
+    authorColumn: 'user_id',
+    publicColumn: 'is_public',
+    label: 'Dua',
+    reviewedFields: ['title', 'purpose', 'arabic_text', 'english_meaning', 'transliteration', 'native_meaning',
+      'source_reference', 'categories']
+  },
+  blog: {
+    table: 'blogs',
+    authorColumn: 'author_id',
+    publicColumn: 'is_published',
+    label: 'Blog',
+    reviewedFields: ['title', 'content', 'excerpt', 'tags']
+  }
+};
+
+// Sending content back to pending undoes its approval or verification; approved
+// content starts a fresh review round so earlier votes don't count again
+const APPROVAL_RESET = `approval_status = 'pending', is_verified = false, verified_by = NULL, verified_at = NULL,
+  verification_count = 0, review_round = review_round + 1, escalated_at = NULL, changes_requested_by = NULL`;
+
+// Whether changing these fields of public content that is in review or approved
+// means reviewing it again. Rejected content and content waiting for the
+// author's changes are resubmitted through their own flows.
+const isReviewedChange = (contentType, content, changedFields) => {
+  const { publicColumn, reviewedFields } = CONTENT_TYPES[contentType];
+  return content[publicColumn] === true &&
+    ['pending', 'approved'].includes(content.approval_status) &&
+    changedFields.some(field => reviewedFields.includes(field));
+};
+
+const getContent = async (contentType, contentId) => {
+  const { table } = CONTENT_TYPES[contentType];
+  const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [contentId]);
+  return result.rows[0] || null;
+};
+
+const getAuthorId = (contentType, content) => content[CONTENT_TYPES[contentType].authorColumn];
+
+// Votes cast in one review round of a piece of content, oldest first
+const listVotes = async (contentType, contentId, reviewRound) => {
+  const result = await pool.query(`
+    SELECT v.*, u.name as reviewer_name
+    FROM approval_votes v
+    LEFT JOIN users u ON v.reviewer_id = u.id
+    WHERE v.content_type = $1 AND v.content_id = $2 AND v.review_round = $3
+    ORDER BY v.created_at
+  `, [contentType, contentId, reviewRound]);
+
+  return result.rows;
+};
+
+// Record a reviewer's vote in the content's current review round. Returns null
+// when they already voted in it, except for a ruling, which replaces their vote.
+const recordVote = async (contentType, content, reviewer, vote, { notes = null, isRuling = false } = {}) => {
+  const result = await pool.query(`
+    INSERT INTO approval_votes (content_type, content_id, review_round, reviewer_id, reviewer_role, vote, notes, is_ruling)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (content_type, content_id, review_round, reviewer_id) DO ${isRuling
+      ? 'UPDATE SET vote = EXCLUDED.vote, notes = EXCLUDED.notes, reviewer_role = EXCLUDED.reviewer_role, is_ruling = true, created_at = CURRENT_TIMESTAMP'
+      : 'NOTHING'}
+    RETURNING *
+  `, [contentType, content.id, content.review_round, reviewer.id, reviewer.role, vote, notes, isRuling]);
+
+  return result.rows[0] || null;
+};
+
+// Move content to the outcome of its votes. Only content still pending in the
+// same review round is changed, so two concurrent votes can't apply an outcome
+// twice; null is returned to the one that lost.
+const applyDecision = async (contentType, content, decision, { reviewerId, approvals, reason }) => {
+  const { table } = CONTENT_TYPES[contentType];
+  let updates;
+  let params;
+
+  switch (decision) {
+    case 'approved':
+      updates = `approval_status = 'approved', is_verified = true, verification_count = $3,
+                 verified_by = $4, verified_at = CURRENT_TIMESTAMP, escalated_at = NULL`;
+      params = [approvals, reviewerId];
+      break;
+    case 'rejected':
+      updates = `approval_status = 'rejected', rejection_reason = $3, escalated_at = NULL`;
+      params = [reason];
+      break;
+    case 'escalated':
+      updates = 'escalated_at = CURRENT_TIMESTAMP';
+      params = [];
+      break;
+    default:
+      return null;
+  }
+
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET ${updates}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND review_round = $2 AND approval_status = 'pending'
+      ${decision === 'escalated' ? 'AND escalated_at IS NULL' : ''}
+    RETURNING *
+  `, [content.id, content.review_round, ...params]);
+
+  return result.rows[0] || null;
+};
+
+// Send pending content back to its author for changes. Returns null if the
+// content was decided or changed round in the meantime.
+const requestChanges = async (contentType, content, reviewerId) => {
+  const { table } = CONTENT_TYPES[contentType];
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET approval_status = 'changes_requested', changes_requested_by = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND review_round = $2 AND approval_status = 'pending'
+    RETURNING *
+  `, [content.id, content.review_round, reviewerId]);
+
+  return result.rows[0] || null;
+};
+
+// Put content whose author has made the requested changes back in the approval
+// queue. When the content changed a new review round starts, so votes cast on
+// the earlier version don't count.
+const returnToReview = async (contentType, contentId, { newRound }) => {
+  const { table } = CONTENT_TYPES[contentType];
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET approval_status = 'pending', review_round = review_round + $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND approval_status = 'changes_requested'
+    RETURNING *
+  `, [contentId, newRound ? 1 : 0]);
+
+  return result.rows[0] || null;
+};
+
+// Managers and admins who settle escalated reviews
+const getEscalationReviewers = async () => {
+  const result = await pool.query(`
+    SELECT id FROM users
+    WHERE role IN ('manager', 'admin') AND is_active = true
+  `);
+
+  return result.rows.map(row => row.id);
+};
+
+// Escalated content waiting for a manager, oldest escalation first
+const listEscalated = async () => {
+  const result = await pool.query(`
+    SELECT 'dua' as content_type, d.id, d.title, d.review_round, d.escalated_at, u.name as author_name
+    FROM duas d
+    LEFT JOIN users u ON d.user_id = u.id
+    WHERE d.approval_status = 'pending' AND d.escalated_at IS NOT NULL
+
+    UNION ALL
+
+    SELECT 'blog' as content_type, b.id, b.title, b.review_round, b.escalated_at, u.name as author_name
+    FROM blogs b
+    LEFT JOIN users u ON b.author_id = u.id
+    WHERE b.approval_status = 'pending' AND b.escalated_at IS NOT NULL
+
+    ORDER BY escalated_at ASC
+  `);
+
+  return result.rows;
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  APPROVAL_RESET,
+  isReviewedChange,
+  getContent,
+  getAuthorId,
+  listVotes,
+  recordVote,
+  applyDecision,
+  requestChanges,
+  returnToReview,
+  getEscalationReviewers,
+  listEscalated
+};
@@ -0,0 +1,197 @@
+const pool = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+
+// How long a claim locks content for its reviewer (REVIEW_CLAIM_MINUTES)
+const DEFAULT_CLAIM_MINUTES = 30;
+
+// Roles that can hold review assignments
+const REVIEWER_ROLES = ['scholar', 'manager', 'admin'];
+
+const getClaimMinutes = () => {
+  const minutes = parseInt(process.env.REVIEW_CLAIM_MINUTES);
+  return Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_CLAIM_MINUTES;
+};
+
+// Release claims whose lock has run out, so the content can be claimed again
+const expireAssignments = async (client = pool) => {
+  const result = await client.query(`
+    UPDATE review_assignments
+    SET status = 'expired', ended_at = expires_at
+    WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+    RETURNING id
+  `);
+
+  if (result.rows.length > 0) {
+    console.log(`⏰ Released ${result.rows.length} expired review assignment(s)`);
+  }
+};
+
+const getActiveAssignment = async (contentType, contentId) => {
+  const result = await pool.query(`
+    SELECT ra.*, u.name as reviewer_name
+    FROM review_assignments ra
+    LEFT JOIN users u ON ra.reviewer_id = u.id
+    WHERE ra.content_type = $1 AND ra.content_id = $2
+      AND ra.status = 'active' AND ra.expires_at > CURRENT_TIMESTAMP
+  `, [contentType, contentId]);
+
+  return result.rows[0] || null;
+};
+
+// Lock content for a reviewer. Claiming content you already hold renews the
+// lock. Returns null when another reviewer holds it.
+const claim = async (contentType, content, reviewerId, { assignedBy = null, source = 'claim', client = pool } = {}) => {
+  await expireAssignments(client);
+
+  const result = await client.query(`
+    INSERT INTO review_assignments (content_type, content_id, review_round, reviewer_id, assigned_by, source, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP + make_interval(mins => $7))
+    ON CONFLICT (content_type, content_id) WHERE status = 'active'
+    DO UPDATE SET expires_at = EXCLUDED.expires_at
+    WHERE review_assignments.reviewer_id = EXCLUDED.reviewer_id
+    RETURNING *
+  `, [contentType, content.id, content.review_round, reviewerId, assignedBy, source, getClaimMinutes()]);
+
+  return result.rows[0] || null;
+};
+
+// End the active assignment on content. With reviewerId, only that reviewer's
+// assignment is ended. Returns the ended assignment, or null if there was none.
+const endAssignment = async (contentType, contentId, status, { reviewerId = null, client = pool } = {}) => {
+  const result = await client.query(`
+    UPDATE review_assignments
+    SET status = $3, ended_at = CURRENT_TIMESTAMP
+    WHERE content_type = $1 AND content_id = $2 AND status = 'active'
+      AND ($4::uuid IS NULL OR reviewer_id = $4)
+    RETURNING *
+  `, [contentType, contentId, status, reviewerId]);
+
+  return result.rows[0] || null;
+};
+
+// Hand content to another reviewer, ending whoever held it. Both happen in one
+// transaction, so nobody can claim the content in between; returns null if
+// someone else holds it anyway.
+const reassign = async (contentType, content, reviewerId, managerId) => {
+  return withTransaction(async (client) => {
+    await endAssignment(contentType, content.id, 'reassigned', { client });
+    return claim(contentType, content, reviewerId, { assignedBy: managerId, source: 'reassign', client });
+  });
+};
+
+// A reviewer's active assignments, the ones expiring soonest first
+const listForReviewer = async (reviewerId) => {
+  await expireAssignments();
+
+  const result = await pool.query(`
+    SELECT ra.*,
+           CASE WHEN ra.content_type = 'dua' THEN d.title ELSE b.title END as title,
+           assigner.name as assigned_by_name
+    FROM review_assignments ra
+    LEFT JOIN duas d ON ra.content_type = 'dua' AND ra.content_id = d.id
+    LEFT JOIN blogs b ON ra.content_type = 'blog' AND ra.content_id = b.id
+    LEFT JOIN users assigner ON ra.assigned_by = assigner.id
+    WHERE ra.reviewer_id = $1 AND ra.status = 'active'
+    ORDER BY ra.expires_at ASC
+  `, [reviewerId]);
+
+  return result.rows;
+};
+
+// The oldest pending content a reviewer can take: not theirs, not claimed, not
+// yet voted on by them and not escalated. Content in their expertise comes first.
+const findNextForReviewer = async (reviewerId) => {
+  const result = await pool.query(`
+    SELECT c.content_type, c.id
+    FROM (
+      SELECT 'dua' as content_type, d.id, d.user_id as author_id, d.review_round, d.created_at,
+             EXISTS (
+               SELECT 1 FROM dua_category_relations dcr
+               JOIN reviewer_expertise re ON re.category_id = dcr.category_id
+               WHERE dcr.dua_id = d.id AND re.user_id = $1
+             ) as matches_expertise
+      FROM duas d
+      WHERE d.approval_status = 'pending' AND d.is_public = true AND d.escalated_at IS NULL
+
+      UNION ALL
+
+      -- Blog tags are matched against the names of the reviewer's categories
+      SELECT 'blog' as content_type, b.id, b.author_id, b.review_round, b.created_at,
+             EXISTS (
+               SELECT 1 FROM reviewer_expertise re
+               JOIN dua_categories dc ON re.category_id = dc.id
+               WHERE re.user_id = $1 AND LOWER(dc.name) IN (SELECT LOWER(tag) FROM unnest(b.tags) tag)
+             ) as matches_expertise
+      FROM blogs b
+      WHERE b.approval_status = 'pending' AND b.escalated_at IS NULL
+    ) c
+    WHERE c.author_id IS DISTINCT FROM $1
+      AND NOT EXISTS (
+        SELECT 1 FROM review_assignments ra
+        WHERE ra.content_type = c.content_type AND ra.content_id = c.id
+          AND ra.status = 'active' AND ra.expires_at > CURRENT_TIMESTAMP
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM approval_votes v
+        WHERE v.content_type = c.content_type AND v.content_id = c.id
+          AND v.review_round = c.review_round AND v.reviewer_id = $1
+      )
+    ORDER BY c.matches_expertise DESC, c.created_at ASC
+    LIMIT 1
+  `, [reviewerId]);
+
+  return result.rows[0] || null;
+};
+
+const getExpertise = async (userId) => {
+  const result = await pool.query(`
+    SELECT dc.id, dc.name
+    FROM reviewer_expertise re
+    JOIN dua_categories dc ON re.category_id = dc.id
+    WHERE re.user_id = $1
+    ORDER BY dc.name
+  `, [userId]);
+
+  return result.rows;
+};
+
+// Replace a reviewer's expertise with the named categories. Returns the names
+// that don't match a category, without changing anything, if there are any.
+const setExpertise = async (userId, categoryNames) => {
+  const result = await pool.query(
+    'SELECT id, name FROM dua_categories WHERE LOWER(name) = ANY($1)',
+    [categoryNames.map(name => name.toLowerCase())]
+  );
+
+  const known = result.rows.map(row => row.name.toLowerCase());
+  const unknown = categoryNames.filter(name => !known.includes(name.toLowerCase()));
+  if (unknown.length > 0) {
+    return { unknown };
+  }
+
+  await pool.query('DELETE FROM reviewer_expertise WHERE user_id = $1', [userId]);
+  for (const category of result.rows) {
+    await pool.query(`
+      INSERT INTO reviewer_expertise (user_id, category_id)
+      VALUES ($1, $2)
+      ON CONFLICT DO NOTHING
+    `, [userId, category.id]);
+  }
+
+  return { expertise: await getExpertise(userId) };
+};
+
+module.exports = {
+  DEFAULT_CLAIM_MINUTES,
+  REVIEWER_ROLES,
+  getClaimMinutes,
+  expireAssignments,
+  getActiveAssignment,
+  claim,
+  endAssignment,
+  reassign,
+  listForReviewer,
+  findNextForReviewer,
+  getExpertise,
+  setExpertise
+};
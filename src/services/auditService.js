@@ -0,0 +1,158 @@
+const pool = require('../database/connection');
+
+// Actions recorded in moderation_audit_log
+const AUDIT_ACTIONS = [
+  'approve',
+  'reject',
+  'request_changes',
+  'verify',
+  'reassign',
+  'role_change',
+  'status_change',
+  'report_resolution',
+  'hide',
+  'delete',
+  'return_to_pending',
+  'auto_hide',
+  'unhide',
+  'suspend',
+  'lift_suspension',
+  'appeal_decision'
+];
+
+// Content fields that moderation actions change
+const CONTENT_STATE_FIELDS = [
+  'approval_status',
+  'is_verified',
+  'verified_by',
+  'verified_at',
+  'verification_count',
+  'rejection_reason',
+  'escalated_at',
+  'changes_requested_by',
+  'review_round'
+];
+
+// The subset of a row worth keeping as before/after state
+const pickState = (row, fields = CONTENT_STATE_FIELDS) => {
+  if (!row) {
+    return null;
+  }
+
+  return fields.reduce((state, field) => {
+    if (row[field] !== undefined) {
+      state[field] = row[field];
+    }
+    return state;
+  }, {});
+};
+
+// Record a moderation action taken in a request; the actor and IP come from req.
+// A failed write is logged loudly but never undoes or fails the action itself.
+const recordAudit = async (req, { action, targetType, targetId, before = null, after = null, reason = null }) => {
+  try {
+    const result = await pool.query(`
+      INSERT INTO moderation_audit_log (actor_id, actor_name, actor_role, action, target_type, target_id,
+                                        before_state, after_state, reason, ip_address)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `, [
+      req.user ? req.user.id : null,
+      req.user ? req.user.name : null,
+      req.user ? req.user.role : null,
+      action,
+      targetType,
+      targetId,
+      before === null ? null : JSON.stringify(before),
+      after === null ? null : JSON.stringify(after),
+      reason || null,
+      req.ip || null
+    ]);
+
+    return result.rows[0];
+  } catch (error) {
+    console.error(`❌ Failed to write ${action} audit entry for ${targetType} ${targetId}:`, error.message);
+    return null;
+  }
+};
+
+// WHERE clause and params for the audit filters
+const buildFilters = ({ actorId, action, targetType, targetId, from, to } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  const add = (condition, value) => {
+    params.push(value);
+    conditions.push(condition.replace('?', `$${params.length}`));
+  };
+
+  if (actorId) add('actor_id = ?', actorId);
+  if (action) add('action = ?', action);
+  if (targetType) add('target_type = ?', targetType);
+  if (targetId) add('target_id = ?', targetId);
+  if (from) add('created_at >= ?', from);
+  if (to) add('created_at < ?', to);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Audit entries matching the filters, newest first
+const listAudit = async (filters = {}, { page = 1, limit = 50 } = {}) => {
+  const { where, params } = buildFilters(filters);
+
+  const [result, countResult] = await Promise.all([
+    pool.query(`
+      SELECT *
+      FROM moderation_audit_log
+      ${where}
+      ORDER BY id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]),
+    pool.query(`SELECT COUNT(*) as total FROM moderation_audit_log ${where}`, params)
+  ]);
+
+  return {
+    entries: result.rows,
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+// Walk every entry matching the filters, newest first, in batches. Keeps memory
+// flat for large exports; onBatch is awaited before the next batch is loaded.
+const forEachAuditBatch = async (filters, onBatch, { batchSize = 1000 } = {}) => {
+  const { where, params } = buildFilters(filters);
+  let cursor = null;
+
+  for (;;) {
+    const cursorParams = cursor === null ? params : [...params, cursor];
+    const cursorCondition = cursor === null ? '' : `${where ? 'AND' : 'WHERE'} id < $${cursorParams.length}`;
+
+    const result = await pool.query(`
+      SELECT *
+      FROM moderation_audit_log
+      ${where} ${cursorCondition}
+      ORDER BY id DESC
+      LIMIT ${batchSize}
+    `, cursorParams);
+
+    if (result.rows.length > 0) {
+      await onBatch(result.rows);
+    }
+    if (result.rows.length < batchSize) {
+      return;
+    }
+    cursor = result.rows[result.rows.length - 1].id;
+  }
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  CONTENT_STATE_FIELDS,
+  pickState,
+  recordAudit,
+  listAudit,
+  forEachAuditBatch
+};
@@ -0,0 +1,105 @@
+const pool = require('../database/connection');
+const { EDITABLE_FIELDS } = require('./duaService');
+
+// Dua fields an AI correction can be written into
+const CORRECTABLE_FIELDS = EDITABLE_FIELDS.filter(field => field !== 'is_public');
+
+// Whether accepting the correction can write its suggestion into the dua
+const isApplicable = (correction) =>
+  CORRECTABLE_FIELDS.includes(correction.field) && Boolean(correction.suggestion_english && correction.suggestion_english.trim());
+
+const withApplicable = (correction) => ({ ...correction, applicable: isApplicable(correction) });
+
+// Store the corrections from a new analysis of a dua. Pending corrections from
+// earlier analyses no longer apply and are marked superseded.
+const replaceCorrections = async (duaId, corrections, content, promptVersion = null) => {
+  await pool.query(`
+    UPDATE dua_ai_corrections
+    SET status = 'superseded', resolved_at = CURRENT_TIMESTAMP
+    WHERE dua_id = $1 AND status = 'pending'
+  `, [duaId]);
+
+  const stored = [];
+  for (const correction of corrections) {
+    const result = await pool.query(`
+      INSERT INTO dua_ai_corrections (dua_id, field, issue_english, issue_bangla, suggestion_english,
+                                      suggestion_bangla, original_value, prompt_version)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      duaId,
+      correction.field,
+      correction.issue_english,
+      correction.issue_bangla,
+      correction.suggestion_english,
+      correction.suggestion_bangla,
+      content[correction.field] === undefined ? null : content[correction.field],
+      promptVersion
+    ]);
+    stored.push(result.rows[0]);
+  }
+
+  return stored;
+};
+
+// Corrections for a dua, newest analysis first. status 'all' includes resolved ones.
+const listCorrections = async (duaId, { status = 'pending' } = {}) => {
+  const params = [duaId];
+  let statusFilter = '';
+  if (status !== 'all') {
+    params.push(status);
+    statusFilter = 'AND c.status = $2';
+  }
+
+  const result = await pool.query(`
+    SELECT c.*, u.name as resolved_by_name
+    FROM dua_ai_corrections c
+    LEFT JOIN users u ON c.resolved_by = u.id
+    WHERE c.dua_id = $1 ${statusFilter}
+    ORDER BY c.created_at DESC, c.field
+  `, params);
+
+  return result.rows.map(withApplicable);
+};
+
+const getCorrection = async (duaId, correctionId) => {
+  const result = await pool.query(
+    'SELECT * FROM dua_ai_corrections WHERE id = $1 AND dua_id = $2',
+    [correctionId, duaId]
+  );
+  return result.rows[0] ? withApplicable(result.rows[0]) : null;
+};
+
+// Move a pending correction to accepted or dismissed. Returns null if it was
+// already resolved (e.g. by another reviewer). Pass client to claim it inside
+// the transaction that applies it.
+const resolveCorrection = async (correctionId, status, userId, { revisionNumber = null, client = pool } = {}) => {
+  const result = await client.query(`
+    UPDATE dua_ai_corrections
+    SET status = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP, revision_number = $4
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [correctionId, status, userId, revisionNumber]);
+
+  return result.rows[0] ? withApplicable(result.rows[0]) : null;
+};
+
+// Link an accepted correction to the revision that applied it
+const setRevisionNumber = async (correctionId, revisionNumber, client = pool) => {
+  const result = await client.query(
+    'UPDATE dua_ai_corrections SET revision_number = $2 WHERE id = $1 RETURNING *',
+    [correctionId, revisionNumber]
+  );
+
+  return withApplicable(result.rows[0]);
+};
+
+module.exports = {
+  CORRECTABLE_FIELDS,
+  isApplicable,
+  replaceCorrections,
+  listCorrections,
+  getCorrection,
+  resolveCorrection,
+  setRevisionNumber
+};
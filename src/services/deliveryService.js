@@ -0,0 +1,349 @@
+const pool = require('../database/connection');
+const mailService = require('./mailService');
+const mailTemplates = require('./mailTemplates');
+const pushService = require('./pushService');
+const { createUnsubscribeToken } = require('./tokenService');
+
+const EMAIL_FREQUENCIES = ['off', 'immediate', 'daily', 'weekly'];
+const DIGEST_SCHEDULES = ['daily', 'weekly'];
+
+// How often each notification type is emailed until the user changes it
+const EMAIL_DEFAULTS = {
+  approval: 'immediate',
+  rejection: 'immediate',
+  changes_requested: 'immediate',
+  role_change: 'immediate',
+  content_hidden: 'immediate',
+  suspension: 'immediate',
+  appeal: 'immediate',
+  new_answer: 'immediate',
+  review_comment: 'daily',
+  escalation: 'daily',
+  system: 'weekly'
+};
+
+const NOTIFICATION_TYPES = Object.keys(EMAIL_DEFAULTS);
+
+// Sending is retried 15 minutes after the first failure, 30 after the second,
+// and so on, until the delivery is marked failed
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_EMAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = 500;
+
+const getEmailPreferences = async (userId) => {
+  const [settings, overrides] = await Promise.all([
+    pool.query(`
+      SELECT COALESCE(up.notifications_enabled, true) as notifications_enabled,
+             COALESCE(up.email_notifications, true) as email_notifications
+      FROM users u
+      LEFT JOIN user_preferences up ON up.user_id = u.id
+      WHERE u.id = $1
+    `, [userId]),
+    pool.query('SELECT type, email FROM notification_preferences WHERE user_id = $1', [userId])
+  ]);
+
+  if (settings.rows.length === 0) {
+    return null;
+  }
+
+  const types = { ...EMAIL_DEFAULTS };
+  overrides.rows.forEach(row => {
+    types[row.type] = row.email;
+  });
+
+  return { ...settings.rows[0], types };
+};
+
+// Emails that were waiting for a digest or a retry are dropped once the user
+// turns them off. type null covers every type.
+const skipPending = async (userId, type = null) => {
+  await pool.query(`
+    UPDATE notification_deliveries d
+    SET status = 'skipped'
+    FROM notifications n
+    WHERE d.notification_id = n.id AND d.user_id = $1 AND d.channel = 'email' AND d.status = 'pending'
+      ${type ? 'AND n.type = $2' : ''}
+  `, type ? [userId, type] : [userId]);
+};
+
+const setTypeFrequency = async (userId, type, frequency) => {
+  await pool.query(`
+    INSERT INTO notification_preferences (user_id, type, email)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (user_id, type) DO UPDATE SET email = EXCLUDED.email, updated_at = CURRENT_TIMESTAMP
+  `, [userId, type, frequency]);
+
+  if (frequency === 'off') {
+    await skipPending(userId, type);
+  }
+};
+
+const setEmailNotifications = async (userId, enabled) => {
+  await pool.query(`
+    INSERT INTO user_preferences (user_id, email_notifications)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id) DO UPDATE SET email_notifications = EXCLUDED.email_notifications, updated_at = CURRENT_TIMESTAMP
+  `, [userId, enabled]);
+
+  if (!enabled) {
+    await skipPending(userId);
+  }
+};
+
+// emailNotifications switches every email on or off; types maps notification
+// types to one of EMAIL_FREQUENCIES
+const updateEmailPreferences = async (userId, { emailNotifications, types = {} }) => {
+  if (emailNotifications !== undefined) {
+    await setEmailNotifications(userId, emailNotifications);
+  }
+
+  for (const [type, frequency] of Object.entries(types)) {
+    await setTypeFrequency(userId, type, frequency);
+  }
+
+  return getEmailPreferences(userId);
+};
+
+// What an unsubscribe link does: stop one type of email, or all of them
+const unsubscribe = async (userId, type = null) => {
+  if (type) {
+    await setTypeFrequency(userId, type, 'off');
+  } else {
+    await setEmailNotifications(userId, false);
+  }
+};
+
+// Record that a notification should be emailed, if its user wants it. Only
+// active users with a verified address receive email.
+const scheduleEmail = async (notification) => {
+  const result = await pool.query(`
+    SELECT u.is_active, u.email_verified,
+           COALESCE(up.notifications_enabled, true) as notifications_enabled,
+           COALESCE(up.email_notifications, true) as email_notifications,
+           np.email as frequency
+    FROM users u
+    LEFT JOIN user_preferences up ON up.user_id = u.id
+    LEFT JOIN notification_preferences np ON np.user_id = u.id AND np.type = $2
+    WHERE u.id = $1
+  `, [notification.user_id, notification.type]);
+
+  const recipient = result.rows[0];
+  if (!recipient || !recipient.is_active || !recipient.email_verified ||
+      !recipient.notifications_enabled || !recipient.email_notifications) {
+    return null;
+  }
+
+  const schedule = recipient.frequency || EMAIL_DEFAULTS[notification.type] || 'daily';
+  if (schedule === 'off') {
+    return null;
+  }
+
+  const delivery = await pool.query(`
+    INSERT INTO notification_deliveries (notification_id, user_id, channel, schedule)
+    VALUES ($1, $2, 'email', $3)
+    ON CONFLICT (notification_id, channel) DO NOTHING
+    RETURNING *
+  `, [notification.id, notification.user_id, schedule]);
+
+  return delivery.rows[0] || null;
+};
+
+// Claim pending deliveries on a channel that are due, with their notification
+// and recipient. Claiming counts an attempt and pushes next_attempt_at back, so
+// a crashed sender's deliveries are retried and concurrent senders skip them.
+const claimDeliveries = async ({ channel = 'email', schedule, limit = BATCH_SIZE }) => {
+  const result = await pool.query(`
+    WITH claimed AS (
+      UPDATE notification_deliveries d
+      SET attempts = d.attempts + 1,
+          next_attempt_at = CURRENT_TIMESTAMP + (d.attempts + 1) * INTERVAL '15 minutes'
+      WHERE d.id IN (
+        SELECT id FROM notification_deliveries
+        WHERE channel = $3 AND schedule = $1 AND status = 'pending'
+          AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY created_at
+        LIMIT $2
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING d.*
+    )
+    SELECT c.id, c.notification_id, c.user_id, c.attempts, n.type, n.title, n.message, n.content_type, n.content_id,
+           n.created_at, u.name, u.email, u.native_language, u.is_active
+    FROM claimed c
+    JOIN notifications n ON c.notification_id = n.id
+    JOIN users u ON c.user_id = u.id
+    ORDER BY n.created_at
+  `, [schedule, limit, channel]);
+
+  return result.rows;
+};
+
+const markSent = async (ids) => {
+  await pool.query(`
+    UPDATE notification_deliveries
+    SET status = 'sent', sent_at = CURRENT_TIMESTAMP, last_error = NULL
+    WHERE id = ANY($1)
+  `, [ids]);
+};
+
+const markSkipped = async (ids) => {
+  await pool.query("UPDATE notification_deliveries SET status = 'skipped' WHERE id = ANY($1)", [ids]);
+};
+
+// Leave failed deliveries pending for a retry, or fail them on their last attempt
+const markFailed = async (ids, error, maxAttempts = MAX_ATTEMPTS) => {
+  await pool.query(`
+    UPDATE notification_deliveries
+    SET status = CASE WHEN attempts >= $3 THEN 'failed' ELSE 'pending' END,
+        last_error = $2
+    WHERE id = ANY($1)
+  `, [ids, error.message, maxAttempts]);
+};
+
+// Send one email per due immediate delivery, new or being retried. Returns
+// counts of sent, failed and skipped.
+const sendImmediate = async ({ limit = BATCH_SIZE } = {}) => {
+  const deliveries = await claimDeliveries({ schedule: 'immediate', limit });
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const delivery of deliveries) {
+    if (!delivery.is_active) {
+      await markSkipped([delivery.id]);
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      const message = mailTemplates.notificationEmail({
+        name: delivery.name,
+        language: delivery.native_language,
+        notification: delivery,
+        typeToken: createUnsubscribeToken(delivery.user_id, delivery.type),
+        allToken: createUnsubscribeToken(delivery.user_id)
+      });
+      await mailService.sendMail({ to: delivery.email, ...message });
+      await markSent([delivery.id]);
+      counts.sent++;
+    } catch (error) {
+      console.error(`Notification email ${delivery.id} failed:`, error.message);
+      await markFailed([delivery.id], error);
+      counts.failed++;
+    }
+  }
+
+  return counts;
+};
+
+// Push each queued notification to its user's devices. A push that fails is
+// not retried: by the next attempt it would be stale, and devices that did get
+// it would see it twice. Returns counts of sent, failed and skipped.
+const sendPushes = async ({ limit = BATCH_SIZE } = {}) => {
+  const deliveries = await claimDeliveries({ channel: 'push', schedule: 'immediate', limit });
+  const counts = { sent: 0, failed: 0, skipped: 0 };
+
+  for (const delivery of deliveries) {
+    const result = delivery.is_active
+      ? await pushService.deliver({ ...delivery, id: delivery.notification_id })
+      : null;
+
+    if (result && result.sent > 0) {
+      await markSent([delivery.id]);
+      counts.sent++;
+    } else if (result && result.failed > 0) {
+      await markFailed([delivery.id], new Error(`${result.failed} subscription(s) failed`), 1);
+      counts.failed++;
+    } else {
+      // Deactivated, or every subscription is gone
+      await markSkipped([delivery.id]);
+      counts.skipped++;
+    }
+  }
+
+  return counts;
+};
+
+// Batch every pending delivery on a digest schedule into one email per user.
+// Returns counts of users emailed, notifications included and users that failed.
+const sendDigests = async (schedule) => {
+  if (!DIGEST_SCHEDULES.includes(schedule)) {
+    throw new Error(`Unknown digest schedule: ${schedule} (expected ${DIGEST_SCHEDULES.join(', ')})`);
+  }
+
+  const counts = { users: 0, notifications: 0, failed: 0 };
+  let deliveries;
+
+  do {
+    deliveries = await claimDeliveries({ schedule });
+
+    const byUser = new Map();
+    deliveries.forEach(delivery => {
+      if (!byUser.has(delivery.user_id)) {
+        byUser.set(delivery.user_id, []);
+      }
+      byUser.get(delivery.user_id).push(delivery);
+    });
+
+    for (const [userId, items] of byUser) {
+      const ids = items.map(item => item.id);
+      const recipient = items[0];
+
+      if (!recipient.is_active) {
+        await markSkipped(ids);
+        continue;
+      }
+
+      try {
+        const message = mailTemplates.notificationDigest({
+          name: recipient.name,
+          language: recipient.native_language,
+          schedule,
+          notifications: items,
+          allToken: createUnsubscribeToken(userId)
+        });
+        await mailService.sendMail({ to: recipient.email, ...message });
+        await markSent(ids);
+        counts.users++;
+        counts.notifications += items.length;
+      } catch (error) {
+        console.error(`${schedule} digest for user ${userId} failed:`, error.message);
+        await markFailed(ids, error);
+        counts.failed++;
+      }
+    }
+  } while (deliveries.length === BATCH_SIZE);
+
+  return counts;
+};
+
+// Called for every new notification: queue its email, for the delivery worker
+// or a digest, and its push. Nothing is sent here, so slow mail or push services
+// never hold up the request that created the notification. One channel failing
+// doesn't stop the other.
+const deliver = async (notification) => {
+  try {
+    await scheduleEmail(notification);
+  } catch (error) {
+    console.error('Error scheduling notification email:', error);
+  }
+
+  try {
+    await pushService.schedule(notification);
+  } catch (error) {
+    console.error('Error scheduling notification push:', error);
+  }
+};
+
+module.exports = {
+  EMAIL_FREQUENCIES,
+  DIGEST_SCHEDULES,
+  EMAIL_DEFAULTS,
+  NOTIFICATION_TYPES,
+  MAX_ATTEMPTS,
+  getEmailPreferences,
+  updateEmailPreferences,
+  unsubscribe,
+  scheduleEmail,
+  sendImmediate,
+  sendPushes,
+  sendDigests,
+  deliver
+};
@@ -0,0 +1,69 @@
+const deliveryService = require('./deliveryService');
+
+const DEFAULT_OPTIONS = {
+  pollIntervalMs: parseInt(process.env.NOTIFICATION_WORKER_POLL_MS) || 5000
+};
+
+// Sends the emails and pushes createNotification queues for immediate
+// delivery, and retries failed emails once they are due. Deliveries are claimed
+// with FOR UPDATE SKIP LOCKED, so any number of workers can run at once.
+class DeliveryWorker {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.running = false;
+    this.wakeUp = null;
+  }
+
+  // Send one batch of due deliveries; returns how many were handled
+  async runOnce() {
+    const [email, push] = await Promise.all([deliveryService.sendImmediate(), deliveryService.sendPushes()]);
+    const emails = email.sent + email.failed + email.skipped;
+    const pushes = push.sent + push.failed + push.skipped;
+
+    if (emails > 0) {
+      console.log(`📧 Sent ${email.sent} email(s), ${email.failed} failed, ${email.skipped} skipped`);
+    }
+    if (pushes > 0) {
+      console.log(`📲 Pushed ${push.sent} notification(s), ${push.failed} failed, ${push.skipped} skipped`);
+    }
+
+    return emails + pushes;
+  }
+
+  // Keep sending until stop() is called, sleeping when nothing is due
+  async start() {
+    this.running = true;
+    console.log('📬 Notification delivery worker started');
+
+    while (this.running) {
+      let handled = 0;
+      try {
+        handled = await this.runOnce();
+      } catch (error) {
+        console.error('Notification delivery worker error:', error.message);
+      }
+
+      if (handled === 0 && this.running) {
+        await new Promise(resolve => {
+          const timer = setTimeout(resolve, this.options.pollIntervalMs);
+          this.wakeUp = () => {
+            clearTimeout(timer);
+            resolve();
+          };
+        });
+        this.wakeUp = null;
+      }
+    }
+
+    console.log('🛑 Notification delivery worker stopped');
+  }
+
+  stop() {
+    this.running = false;
+    if (this.wakeUp) {
+      this.wakeUp();
+    }
+  }
+}
+
+module.exports = { DeliveryWorker };
@@ -0,0 +1,107 @@
+const pool = require('../database/connection');
+const { withTransaction } = require('../database/transaction');
+const revisionService = require('./revisionService');
+const { APPROVAL_RESET, isReviewedChange } = require('./approvalService');
+
+// Columns a dua update may change, in the order they appear in UPDATE statements
+const EDITABLE_FIELDS = [
+  'title',
+  'purpose',
+  'arabic_text',
+  'english_meaning',
+  'transliteration',
+  'native_meaning',
+  'source_reference',
+  'is_public'
+];
+
+// Fields included in the AI analysis prompt; other edits don't need a new analysis
+const ANALYZED_FIELDS = EDITABLE_FIELDS.filter(field => field !== 'is_public');
+
+// Replace a dua's categories, creating any that don't exist yet
+const setCategories = async (duaId, categories, db = pool) => {
+  await db.query('DELETE FROM dua_category_relations WHERE dua_id = $1', [duaId]);
+
+  for (const categoryName of categories) {
+    let categoryResult = await db.query('SELECT id FROM dua_categories WHERE name = $1', [categoryName]);
+    let categoryId;
+
+    if (categoryResult.rows.length === 0) {
+      const newCategory = await db.query('INSERT INTO dua_categories (name) VALUES ($1) RETURNING id', [categoryName]);
+      categoryId = newCategory.rows[0].id;
+    } else {
+      categoryId = categoryResult.rows[0].id;
+    }
+
+    await db.query('INSERT INTO dua_category_relations (dua_id, category_id) VALUES ($1, $2)', [duaId, categoryId]);
+  }
+};
+
+// Apply an edit to a dua, record it as a revision and queue it for AI reprocessing,
+// all in one transaction. Fields left undefined are not touched; categories
+// replaces the full list when given. Pass client to run inside a transaction the
+// caller already holds.
+const updateDua = async (duaId, fields, userId, { action = 'update', restoredFrom = null, client = null } = {}) => {
+  if (!client) {
+    return withTransaction(transaction => updateDua(duaId, fields, userId, { action, restoredFrom, client: transaction }));
+  }
+
+  const updates = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const field of EDITABLE_FIELDS) {
+    if (fields[field] !== undefined) {
+      updates.push(`${field} = $${paramCount}`);
+      values.push(fields[field]);
+      paramCount++;
+    }
+  }
+
+  updates.push(`updated_at = CURRENT_TIMESTAMP`);
+  values.push(duaId);
+
+  const result = await client.query(
+    `UPDATE duas SET ${updates.join(', ')} WHERE id = $${paramCount} RETURNING *`,
+    values
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  if (fields.categories !== undefined) {
+    await setCategories(duaId, fields.categories, client);
+  }
+
+  const revision = await revisionService.recordRevision(duaId, userId, { action, restoredFrom, client });
+  let dua = result.rows[0];
+
+  // Making a dua public submits it for review, and so does changing what
+  // reviewers look at while it is in review or approved
+  const changedFields = revision ? Object.keys(revision.changes) : [];
+  if (fields.is_public === true || isReviewedChange('dua', dua, changedFields)) {
+    const reset = await client.query(
+      `UPDATE duas SET ${APPROVAL_RESET}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+      [duaId]
+    );
+    dua = reset.rows[0];
+  }
+
+  // Queue for AI reprocessing only when a field the model reads has changed
+  if (changedFields.some(field => ANALYZED_FIELDS.includes(field))) {
+    await client.query(`
+      INSERT INTO ai_processing_queue (content_type, content_id, status)
+      VALUES ('dua', $1, 'pending')
+    `, [duaId]);
+  }
+
+  return { dua, revision };
+};
+
+module.exports = {
+  EDITABLE_FIELDS,
+  ANALYZED_FIELDS,
+  setCategories,
+  updateDua
+};
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const TRANSPORT_TYPES = ['smtp', 'json', 'capture'];
+
+class MailService {
+  constructor() {
+    this.transportType = null;
+    this.transport = null;
+    this.captured = [];
+    this.outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    this.from = process.env.EMAIL_FROM || process.env.EMAIL_USER || 'MyDua <no-reply@mydua.com>';
+  }
+
+  // SMTP in production, JSON files in development and in-memory capture in tests
+  getDefaultTransportType() {
+    if (process.env.MAIL_TRANSPORT) {
+      return process.env.MAIL_TRANSPORT;
+    }
+
+    switch (process.env.NODE_ENV) {
+      case 'production':
+        return 'smtp';
+      case 'test':
+        return 'capture';
+      default:
+        return 'json';
+    }
+  }
+
+  createTransport(type) {
+    switch (type) {
+      case 'smtp': {
+        const port = parseInt(process.env.EMAIL_PORT) || 587;
+        return nodemailer.createTransport({
+          host: process.env.EMAIL_HOST,
+          port,
+          secure: port === 465,
+          auth: process.env.EMAIL_USER ? {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+          } : undefined
+        });
+      }
+      case 'json':
+        return nodemailer.createTransport({ jsonTransport: true });
+      case 'capture':
+        return nodemailer.createTransport({
+          name: 'capture',
+          version: '1.0.0',
+          send: (mail, callback) => {
+            const { from, to, subject, text, html, headers } = mail.data;
+            this.captured.push({ from, to, subject, text, html, headers: headers || {}, sentAt: new Date() });
+            callback(null, {
+              envelope: mail.message.getEnvelope(),
+              messageId: mail.message.messageId()
+            });
+          }
+        });
+      default:
+        throw new Error(`Unknown mail transport: ${type} (expected ${TRANSPORT_TYPES.join(', ')})`);
+    }
+  }
+
+  // Switch transports at runtime (used by tests and scripts)
+  setTransport(type) {
+    this.transportType = type;
+    this.transport = this.createTransport(type);
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      this.setTransport(this.getDefaultTransportType());
+    }
+    return this.transport;
+  }
+
+  async sendMail({ to, subject, text, html, headers }) {
+    const transport = this.getTransport();
+    const info = await transport.sendMail({ from: this.from, to, subject, text, html, headers });
+
+    // JSON transport: keep a copy on disk so developers can open the links
+    if (this.transportType === 'json') {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+      const filePath = path.join(this.outputDir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`);
+      fs.writeFileSync(filePath, info.message);
+      console.log(`📧 Mail to ${to} written to ${filePath}`);
+    }
+
+    return info;
+  }
+
+  getCapturedMail() {
+    return [...this.captured];
+  }
+
+  clearCapturedMail() {
+    this.captured = [];
+  }
+}
+
+module.exports = new MailService();
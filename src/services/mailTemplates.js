@@ -0,0 +1,169 @@
+// Base URL used for links in emails
+const getAppUrl = () => {
+  const frontendUrl = process.env.FRONTEND_URL && process.env.FRONTEND_URL !== '*'
+    ? process.env.FRONTEND_URL
+    : null;
+  return (process.env.APP_URL || frontendUrl || 'http://localhost:3000').replace(/\/$/, '');
+};
+
+// Base URL of this API, for links the mail client calls directly (one-click unsubscribe)
+const getApiUrl = () => (process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+
+const buildLink = (pathname, params = {}) => {
+  const url = new URL(`${getAppUrl()}${pathname}`);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; line-height: 1.5; color: #1f2937;">
+    ${body}
+    <p style="color: #6b7280; font-size: 12px;">MyDua</p>
+  </body>
+</html>`;
+
+const passwordReset = ({ name, token, ttlMinutes }) => {
+  const link = buildLink('/reset-password', { token });
+  return {
+    subject: 'Reset your MyDua password',
+    text: `Assalamu alaikum ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in ${ttlMinutes} minutes. If you did not request a reset, you can ignore this email.`,
+    html: layout(`
+    <p>Assalamu alaikum ${escapeHtml(name)},</p>
+    <p>We received a request to reset your password. Click the link below to choose a new one:</p>
+    <p><a href="${escapeHtml(link)}">Reset password</a></p>
+    <p>This link expires in ${ttlMinutes} minutes. If you did not request a reset, you can ignore this email.</p>`)
+  };
+};
+
+const emailVerification = ({ name, token, ttlMinutes }) => {
+  const link = buildLink('/verify-email', { token });
+  return {
+    subject: 'Verify your MyDua email address',
+    text: `Assalamu alaikum ${name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in ${Math.round(ttlMinutes / 60)} hours.`,
+    html: layout(`
+    <p>Assalamu alaikum ${escapeHtml(name)},</p>
+    <p>Please confirm your email address by clicking the link below:</p>
+    <p><a href="${escapeHtml(link)}">Verify email</a></p>
+    <p>This link expires in ${Math.round(ttlMinutes / 60)} hours.</p>`)
+  };
+};
+
+// Wording of notification emails by users.native_language. Notification titles
+// and messages are stored in English and included as they are.
+const NOTIFICATION_STRINGS = {
+  english: {
+    locale: 'en-US',
+    greeting: (name) => `Assalamu alaikum ${name},`,
+    view: 'View your notifications',
+    digestSubject: { daily: 'Your MyDua daily summary', weekly: 'Your MyDua weekly summary' },
+    digestIntro: (count) => `Here ${count === '1' ? 'is 1 notification' : `are ${count} notifications`} from MyDua since our last summary:`,
+    unsubscribeType: (label) => `Stop emails about ${label}`,
+    unsubscribeAll: 'Unsubscribe from all MyDua emails',
+    types: {
+      approval: 'approvals',
+      rejection: 'rejections',
+      role_change: 'role changes',
+      system: 'system messages',
+      escalation: 'escalations',
+      changes_requested: 'change requests',
+      review_comment: 'review comments',
+      content_hidden: 'hidden content',
+      suspension: 'suspensions',
+      appeal: 'appeals',
+      new_answer: 'new answers'
+    }
+  },
+  bangla: {
+    locale: 'bn-BD',
+    greeting: (name) => `আসসালামু আলাইকুম ${name},`,
+    view: 'আপনার বিজ্ঞপ্তিগুলো দেখুন',
+    digestSubject: { daily: 'MyDua-র দৈনিক সারসংক্ষেপ', weekly: 'MyDua-র সাপ্তাহিক সারসংক্ষেপ' },
+    digestIntro: (count) => `আমাদের শেষ সারসংক্ষেপের পর MyDua থেকে আপনার ${count}টি বিজ্ঞপ্তি:`,
+    unsubscribeType: (label) => `${label} সম্পর্কিত ইমেইল বন্ধ করুন`,
+    unsubscribeAll: 'MyDua-র সব ইমেইল বন্ধ করুন',
+    types: {
+      approval: 'অনুমোদন',
+      rejection: 'প্রত্যাখ্যান',
+      role_change: 'ভূমিকা পরিবর্তন',
+      system: 'সিস্টেম বার্তা',
+      escalation: 'এসকেলেশন',
+      changes_requested: 'পরিবর্তনের অনুরোধ',
+      review_comment: 'পর্যালোচনার মন্তব্য',
+      content_hidden: 'লুকানো বিষয়বস্তু',
+      suspension: 'সাসপেনশন',
+      appeal: 'আপিল',
+      new_answer: 'নতুন উত্তর'
+    }
+  }
+};
+
+const getNotificationStrings = (language) =>
+  NOTIFICATION_STRINGS[String(language || '').toLowerCase()] || NOTIFICATION_STRINGS.english;
+
+// Headers that let mail clients offer one-click unsubscribe (RFC 8058)
+const unsubscribeHeaders = (token) => ({
+  'List-Unsubscribe': `<${getApiUrl()}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}>`,
+  'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+// A single notification. typeToken unsubscribes from this type, allToken from every email.
+const notificationEmail = ({ name, language, notification, typeToken, allToken }) => {
+  const strings = getNotificationStrings(language);
+  const label = strings.types[notification.type] || notification.type;
+  const link = buildLink('/notifications');
+  const typeLink = buildLink('/unsubscribe', { token: typeToken });
+  const allLink = buildLink('/unsubscribe', { token: allToken });
+
+  return {
+    subject: notification.title,
+    text: `${strings.greeting(name)}\n\n${notification.title}\n${notification.message}\n\n${strings.view}: ${link}\n\n${strings.unsubscribeType(label)}: ${typeLink}\n${strings.unsubscribeAll}: ${allLink}`,
+    html: layout(`
+    <p>${escapeHtml(strings.greeting(name))}</p>
+    <p><strong>${escapeHtml(notification.title)}</strong></p>
+    <p>${escapeHtml(notification.message)}</p>
+    <p><a href="${escapeHtml(link)}">${escapeHtml(strings.view)}</a></p>
+    <p style="color: #6b7280; font-size: 12px;"><a href="${escapeHtml(typeLink)}">${escapeHtml(strings.unsubscribeType(label))}</a> · <a href="${escapeHtml(allLink)}">${escapeHtml(strings.unsubscribeAll)}</a></p>`),
+    headers: unsubscribeHeaders(typeToken)
+  };
+};
+
+// Several notifications batched into one daily or weekly email, oldest first
+const notificationDigest = ({ name, language, schedule, notifications, allToken }) => {
+  const strings = getNotificationStrings(language);
+  const count = notifications.length.toLocaleString(strings.locale);
+  const link = buildLink('/notifications');
+  const allLink = buildLink('/unsubscribe', { token: allToken });
+
+  return {
+    subject: strings.digestSubject[schedule],
+    text: `${strings.greeting(name)}\n\n${strings.digestIntro(count)}\n\n${notifications.map(n => `- ${n.title}: ${n.message}`).join('\n')}\n\n${strings.view}: ${link}\n\n${strings.unsubscribeAll}: ${allLink}`,
+    html: layout(`
+    <p>${escapeHtml(strings.greeting(name))}</p>
+    <p>${escapeHtml(strings.digestIntro(count))}</p>
+    <ul>
+      ${notifications.map(n => `<li><strong>${escapeHtml(n.title)}</strong>: ${escapeHtml(n.message)}</li>`).join('\n      ')}
+    </ul>
+    <p><a href="${escapeHtml(link)}">${escapeHtml(strings.view)}</a></p>
+    <p style="color: #6b7280; font-size: 12px;"><a href="${escapeHtml(allLink)}">${escapeHtml(strings.unsubscribeAll)}</a></p>`),
+    headers: unsubscribeHeaders(allToken)
+  };
+};
+
+module.exports = {
+  getAppUrl,
+  getApiUrl,
+  buildLink,
+  escapeHtml,
+  layout,
+  passwordReset,
+  emailVerification,
+  notificationEmail,
+  notificationDigest
+};
@@ -0,0 +1,165 @@
+const pool = require('../database/connection');
+
+const CHANNEL = 'notifications';
+const RECONNECT_DELAY_MS = 5000;
+
+// Fans Postgres NOTIFY events out to the SSE connections on this instance.
+// One dedicated connection LISTENs while at least one client is subscribed.
+class NotificationHub {
+  constructor({ pool: dbPool = pool, channel = CHANNEL } = {}) {
+    this.pool = dbPool;
+    this.channel = channel;
+    this.subscribers = new Map(); // userId -> Set of handlers
+    this.client = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+  }
+
+  // Register a handler for a user's notification events; returns an unsubscribe function
+  async subscribe(userId, handler) {
+    if (!this.subscribers.has(userId)) {
+      this.subscribers.set(userId, new Set());
+    }
+    this.subscribers.get(userId).add(handler);
+
+    await this.ensureListening();
+
+    return () => this.unsubscribe(userId, handler);
+  }
+
+  unsubscribe(userId, handler) {
+    const handlers = this.subscribers.get(userId);
+    if (handlers) {
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.subscribers.delete(userId);
+      }
+    }
+
+    if (this.subscribers.size === 0) {
+      this.stopListening();
+    }
+  }
+
+  async ensureListening() {
+    if (this.client) {
+      return;
+    }
+    if (!this.connecting) {
+      this.connecting = this.listen().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async listen() {
+    const client = await this.pool.connect();
+
+    client.hubListeners = {
+      notification: (message) => this.dispatch(message),
+      error: (error) => {
+        console.error('Notification listener error:', error.message);
+        this.dropClient(client, error);
+        this.scheduleReconnect();
+      }
+    };
+    client.on('notification', client.hubListeners.notification);
+    client.on('error', client.hubListeners.error);
+
+    try {
+      await client.query(`LISTEN ${this.channel}`);
+    } catch (error) {
+      this.dropClient(client, error);
+      throw error;
+    }
+
+    this.client = client;
+    console.log('📡 Listening for notification events');
+
+    // Everyone may have disconnected while we were connecting
+    if (this.subscribers.size === 0) {
+      this.stopListening();
+    }
+  }
+
+  detachClient(client) {
+    client.removeListener('notification', client.hubListeners.notification);
+    client.removeListener('error', client.hubListeners.error);
+  }
+
+  dispatch(message) {
+    if (message.channel !== this.channel) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(message.payload);
+    } catch (error) {
+      console.error('Invalid notification payload:', message.payload);
+      return;
+    }
+
+    const handlers = this.subscribers.get(event.user_id);
+    if (!handlers) {
+      return;
+    }
+
+    for (const handler of handlers) {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error('Notification handler error:', error);
+      }
+    }
+  }
+
+  dropClient(client, error) {
+    if (this.client === client) {
+      this.client = null;
+    }
+    this.detachClient(client);
+    client.release(error);
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.subscribers.size === 0) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.subscribers.size > 0) {
+        this.ensureListening().catch((error) => {
+          console.error('Notification listener reconnect failed:', error.message);
+          this.scheduleReconnect();
+        });
+      }
+    }, RECONNECT_DELAY_MS);
+    this.reconnectTimer.unref();
+  }
+
+  stopListening() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    const client = this.client;
+    if (!client) {
+      return;
+    }
+
+    this.client = null;
+    client.query(`UNLISTEN ${this.channel}`)
+      .catch(() => {})
+      .finally(() => {
+        this.detachClient(client);
+        client.release();
+      });
+  }
+}
+
+module.exports = new NotificationHub();
+module.exports.NotificationHub = NotificationHub;
@@ -0,0 +1,65 @@
+const pool = require('../database/connection');
+const deliveryService = require('./deliveryService');
+
+// Create a notification for a user. Connected clients receive it through the
+// notifications_created trigger and the notification hub; deliveryService
+// emails and pushes it according to the user's preferences. The insert runs on
+// its own, never inside a longer transaction: event_seq is assigned under a lock
+// that is held until the insert commits, which keeps event_seq in commit order.
+const createNotification = async (userId, type, title, message, contentType = null, contentId = null) => {
+  let notification;
+  try {
+    const result = await pool.query(`
+      INSERT INTO notifications (user_id, type, title, message, content_type, content_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `, [userId, type, title, message, contentType, contentId]);
+
+    notification = result.rows[0];
+  } catch (error) {
+    console.error('Error creating notification:', error);
+    console.error('Notification data:', { userId, type, title, message, contentType, contentId });
+    return null;
+  }
+
+  // The notification exists either way; failed deliveries are only logged
+  await deliveryService.deliver(notification);
+
+  return notification;
+};
+
+// Notifications for a user created after the given event sequence, oldest first
+const getNotificationsSince = async (userId, lastEventSeq, limit = 100) => {
+  const result = await pool.query(`
+    SELECT n.*,
+           CASE
+             WHEN n.content_type = 'dua' THEN d.title
+             WHEN n.content_type = 'blog' THEN b.title
+             ELSE NULL
+           END as content_title
+    FROM notifications n
+    LEFT JOIN duas d ON n.content_type = 'dua' AND n.content_id = d.id
+    LEFT JOIN blogs b ON n.content_type = 'blog' AND n.content_id = b.id
+    WHERE n.user_id = $1 AND n.event_seq > $2
+    ORDER BY n.event_seq
+    LIMIT $3
+  `, [userId, lastEventSeq, limit]);
+
+  return result.rows;
+};
+
+// Latest event sequence for a user, used as the starting point for a fresh stream
+const getLatestEventSeq = async (userId) => {
+  const result = await pool.query(
+    'SELECT COALESCE(MAX(event_seq), 0) as event_seq FROM notifications WHERE user_id = $1',
+    [userId]
+  );
+
+  return result.rows[0].event_seq;
+};
+
+module.exports = {
+  createNotification,
+  getNotificationsSince,
+  getLatestEventSeq
+};
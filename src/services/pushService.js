@@ -0,0 +1,190 @@
+const pool = require('../database/connection');
+const webPush = require('../utils/webPush');
+const { buildLink } = require('./mailTemplates');
+
+// Notification types pushed to subscribed devices: review outcomes and answers
+const PUSH_TYPES = ['approval', 'rejection', 'changes_requested', 'new_answer'];
+
+// Push services answer 404 or 410 for subscriptions that expired or were revoked
+const GONE_STATUSES = [404, 410];
+
+const MAX_MESSAGE_LENGTH = 500;
+
+// Push services normally answer within a second; don't let one slow endpoint
+// hold up the rest of the batch
+const SEND_TIMEOUT_MS = 5000;
+
+let cachedKeys = null;
+
+// VAPID keys from VAPID_PUBLIC_KEY/VAPID_PRIVATE_KEY, or else a pair generated
+// once and kept in vapid_keys. Changing the keys invalidates every subscription.
+const getVapidKeys = async () => {
+  if (cachedKeys) {
+    return cachedKeys;
+  }
+
+  const subject = process.env.VAPID_SUBJECT || 'mailto:no-reply@mydua.com';
+
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    cachedKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY, subject };
+    return cachedKeys;
+  }
+
+  let result = await pool.query('SELECT public_key, private_key FROM vapid_keys WHERE id = 1');
+  if (result.rows.length === 0) {
+    // Instances starting together may both generate; the first insert wins
+    const generated = webPush.generateVapidKeys();
+    await pool.query(`
+      INSERT INTO vapid_keys (id, public_key, private_key)
+      VALUES (1, $1, $2)
+      ON CONFLICT (id) DO NOTHING
+    `, [generated.publicKey, generated.privateKey]);
+    result = await pool.query('SELECT public_key, private_key FROM vapid_keys WHERE id = 1');
+    console.log('🔑 Generated VAPID keys for Web Push');
+  }
+
+  cachedKeys = { publicKey: result.rows[0].public_key, privateKey: result.rows[0].private_key, subject };
+  return cachedKeys;
+};
+
+// Forget loaded keys (used by tests)
+const resetVapidKeys = () => {
+  cachedKeys = null;
+};
+
+// Save a browser's subscription. An endpoint belongs to one browser, so
+// subscribing again, even as another user, replaces it.
+const subscribe = async (userId, { endpoint, keys }, userAgent = null) => {
+  const result = await pool.query(`
+    INSERT INTO push_subscriptions (user_id, endpoint, p256dh, auth, user_agent)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (endpoint) DO UPDATE
+    SET user_id = EXCLUDED.user_id, p256dh = EXCLUDED.p256dh, auth = EXCLUDED.auth,
+        user_agent = EXCLUDED.user_agent, created_at = CURRENT_TIMESTAMP
+    RETURNING id, endpoint, user_agent, created_at, last_success_at
+  `, [userId, endpoint, keys.p256dh, keys.auth, userAgent]);
+
+  return result.rows[0];
+};
+
+// Returns whether the user had a subscription with this endpoint
+const unsubscribe = async (userId, endpoint) => {
+  const result = await pool.query(
+    'DELETE FROM push_subscriptions WHERE user_id = $1 AND endpoint = $2 RETURNING id',
+    [userId, endpoint]
+  );
+
+  return result.rows.length > 0;
+};
+
+const listSubscriptions = async (userId) => {
+  const result = await pool.query(`
+    SELECT id, endpoint, user_agent, created_at, last_success_at
+    FROM push_subscriptions
+    WHERE user_id = $1
+    ORDER BY created_at DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+// What the service worker receives, as JSON
+const buildPayload = (notification) => JSON.stringify({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  body: notification.message.length > MAX_MESSAGE_LENGTH
+    ? `${notification.message.slice(0, MAX_MESSAGE_LENGTH - 1)}…`
+    : notification.message,
+  content_type: notification.content_type,
+  content_id: notification.content_id,
+  url: buildLink('/notifications')
+});
+
+// Push one payload to one subscription. Gone subscriptions are deleted.
+// Returns 'sent', 'pruned' or 'failed'.
+const sendToSubscription = async (subscription, payload, vapidKeys) => {
+  try {
+    const { status } = await webPush.sendNotification(subscription, payload, { vapidKeys, timeout: SEND_TIMEOUT_MS });
+
+    if (status >= 200 && status < 300) {
+      await pool.query('UPDATE push_subscriptions SET last_success_at = CURRENT_TIMESTAMP WHERE id = $1', [subscription.id]);
+      return 'sent';
+    }
+
+    if (GONE_STATUSES.includes(status)) {
+      await pool.query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+      console.log(`🧹 Removed expired push subscription ${subscription.id}`);
+      return 'pruned';
+    }
+
+    console.error(`Push to subscription ${subscription.id} failed with status ${status}`);
+    return 'failed';
+  } catch (error) {
+    console.error(`Push to subscription ${subscription.id} failed:`, error.message);
+    return 'failed';
+  }
+};
+
+// Called for every new notification: queue a push for the delivery worker when
+// its type is pushed and the user has a subscription and hasn't turned
+// notifications off. Returns the queued delivery, or null.
+const schedule = async (notification) => {
+  if (!PUSH_TYPES.includes(notification.type)) {
+    return null;
+  }
+
+  const result = await pool.query(`
+    INSERT INTO notification_deliveries (notification_id, user_id, channel, schedule)
+    SELECT $1, $2, 'push', 'immediate'
+    WHERE EXISTS (
+      SELECT 1
+      FROM push_subscriptions s
+      JOIN users u ON s.user_id = u.id
+      LEFT JOIN user_preferences up ON up.user_id = u.id
+      WHERE s.user_id = $2 AND u.is_active = true AND COALESCE(up.notifications_enabled, true) = true
+    )
+    ON CONFLICT (notification_id, channel) DO NOTHING
+    RETURNING *
+  `, [notification.id, notification.user_id]);
+
+  return result.rows[0] || null;
+};
+
+// Push a notification to all of its user's devices at once. Returns counts of
+// sent, pruned and failed subscriptions, or null if the user has none left.
+const deliver = async (notification) => {
+  const result = await pool.query(`
+    SELECT s.id, s.endpoint, s.p256dh, s.auth
+    FROM push_subscriptions s
+    JOIN users u ON s.user_id = u.id
+    LEFT JOIN user_preferences up ON up.user_id = u.id
+    WHERE s.user_id = $1 AND u.is_active = true AND COALESCE(up.notifications_enabled, true) = true
+  `, [notification.user_id]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const vapidKeys = await getVapidKeys();
+  const payload = buildPayload(notification);
+  const outcomes = await Promise.all(result.rows.map(subscription => sendToSubscription(subscription, payload, vapidKeys)));
+
+  const counts = { sent: 0, pruned: 0, failed: 0 };
+  outcomes.forEach(outcome => {
+    counts[outcome]++;
+  });
+
+  return counts;
+};
+
+module.exports = {
+  PUSH_TYPES,
+  getVapidKeys,
+  resetVapidKeys,
+  subscribe,
+  unsubscribe,
+  listSubscriptions,
+  schedule,
+  deliver
+};
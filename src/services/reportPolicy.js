@@ -0,0 +1,43 @@
+// Total report weight at which content is hidden until a moderator reviews it.
+// Override for every type with REPORT_HIDE_THRESHOLD, or per content type with
+// REPORT_HIDE_THRESHOLD_DUA, REPORT_HIDE_THRESHOLD_ANSWER and so on.
+const DEFAULT_HIDE_THRESHOLD = 5;
+
+// How much one report counts, by the reporter's role. Override with
+// REPORT_WEIGHT_USER, REPORT_WEIGHT_SCHOLAR and so on.
+const DEFAULT_ROLE_WEIGHTS = {
+  user: 1,
+  scholar: 3,
+  manager: 3,
+  admin: 3
+};
+
+const readNumber = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getHideThreshold = (contentType) =>
+  readNumber(`REPORT_HIDE_THRESHOLD_${contentType.toUpperCase()}`, readNumber('REPORT_HIDE_THRESHOLD', DEFAULT_HIDE_THRESHOLD));
+
+const getRoleWeight = (role) =>
+  readNumber(`REPORT_WEIGHT_${String(role).toUpperCase()}`, DEFAULT_ROLE_WEIGHTS[role] || DEFAULT_ROLE_WEIGHTS.user);
+
+// Between 0.5 and 1.5: reporters whose past reports were mostly upheld count up
+// to half again as much, those mostly dismissed half as much. A reporter
+// without a decided report yet counts as 1.
+const getReputationFactor = ({ upheld = 0, dismissed = 0 } = {}) =>
+  0.5 + (upheld + 1) / (upheld + dismissed + 2);
+
+// Weight of a new report from this reporter, rounded to the stored precision
+const getReportWeight = (role, history) =>
+  Math.round(getRoleWeight(role) * getReputationFactor(history) * 100) / 100;
+
+module.exports = {
+  DEFAULT_HIDE_THRESHOLD,
+  DEFAULT_ROLE_WEIGHTS,
+  getHideThreshold,
+  getRoleWeight,
+  getReputationFactor,
+  getReportWeight
+};
@@ -0,0 +1,445 @@
+const pool = require('../database/connection');
+const { pickState } = require('./auditService');
+const { APPROVAL_RESET } = require('./approvalService');
+const reportPolicy = require('./reportPolicy');
+
+// Everything that can be reported: its table, the column holding its owner, the
+// column shown as its title, the fields a moderator needs to judge it and what
+// a report resolution may do to it. Types that can be hidden are also hidden
+// automatically once their reports outweigh the threshold.
+const REPORT_TARGETS = {
+  dua: {
+    table: 'duas',
+    label: 'Dua',
+    ownerColumn: 'user_id',
+    titleColumn: 'title',
+    fields: ['title', 'purpose', 'arabic_text', 'english_meaning', 'transliteration', 'native_meaning',
+      'source_reference', 'is_public', 'approval_status', 'is_hidden', 'hidden_reason'],
+    actions: ['hide', 'delete', 'pending']
+  },
+  blog: {
+    table: 'blogs',
+    label: 'Blog',
+    ownerColumn: 'author_id',
+    titleColumn: 'title',
+    fields: ['title', 'excerpt', 'content', 'tags', 'is_published', 'approval_status', 'is_hidden', 'hidden_reason'],
+    actions: ['hide', 'delete', 'pending']
+  },
+  question: {
+    table: 'questions',
+    label: 'Question',
+    ownerColumn: 'user_id',
+    titleColumn: 'title',
+    fields: ['title', 'content', 'tags', 'is_public', 'is_answered', 'is_hidden', 'hidden_reason'],
+    actions: ['hide', 'delete']
+  },
+  answer: {
+    table: 'answers',
+    label: 'Answer',
+    ownerColumn: 'scholar_id',
+    titleColumn: 'content',
+    fields: ['question_id', 'content', 'is_verified', 'verified_by', 'is_hidden', 'hidden_reason'],
+    actions: ['hide', 'delete', 'pending']
+  },
+  collection: {
+    table: 'user_collections',
+    label: 'Collection',
+    ownerColumn: 'user_id',
+    titleColumn: 'name',
+    fields: ['name', 'description', 'is_public', 'is_hidden', 'hidden_reason'],
+    actions: ['hide', 'delete']
+  },
+  user: {
+    table: 'users',
+    label: 'User',
+    ownerColumn: 'id',
+    titleColumn: 'name',
+    fields: ['name', 'email', 'role', 'is_active', 'created_at'],
+    // Accounts aren't content; they are dealt with through the user routes
+    actions: []
+  }
+};
+
+const REPORT_TYPES = Object.keys(REPORT_TARGETS);
+const REPORT_ACTIONS = ['hide', 'delete', 'pending'];
+
+// How each action is recorded in the moderation audit log
+const AUDIT_ACTION_FOR = {
+  hide: 'hide',
+  delete: 'delete',
+  pending: 'return_to_pending'
+};
+
+const PENDING_UPDATES = {
+  dua: APPROVAL_RESET,
+  blog: APPROVAL_RESET,
+  answer: 'is_verified = false, verified_by = NULL, verified_at = NULL'
+};
+
+const getTarget = async (contentType, contentId) => {
+  const { table } = REPORT_TARGETS[contentType];
+  const result = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [contentId]);
+  return result.rows[0] || null;
+};
+
+const getOwnerId = (contentType, content) => content[REPORT_TARGETS[contentType].ownerColumn];
+
+// Short name for an item in notifications
+const getTitle = (contentType, content) => {
+  const title = String(content[REPORT_TARGETS[contentType].titleColumn] || '');
+  return title.length > 80 ? `${title.slice(0, 77)}...` : title;
+};
+
+const canHide = (contentType) => REPORT_TARGETS[contentType].actions.includes('hide');
+
+// How the reporter's earlier reports were decided: upheld or dismissed
+const getReporterHistory = async (reporterId) => {
+  const result = await pool.query(`
+    SELECT COUNT(*) FILTER (WHERE status = 'resolved') as upheld,
+           COUNT(*) FILTER (WHERE status = 'dismissed') as dismissed
+    FROM content_reports
+    WHERE reporter_id = $1
+  `, [reporterId]);
+
+  return {
+    upheld: parseInt(result.rows[0].upheld),
+    dismissed: parseInt(result.rows[0].dismissed)
+  };
+};
+
+// File a report, weighted by the reporter's role and track record. Returns null
+// when the reporter has already reported the item.
+const createReport = async ({ contentType, contentId, reporter, reason, description }) => {
+  const weight = reportPolicy.getReportWeight(reporter.role, await getReporterHistory(reporter.id));
+
+  const result = await pool.query(`
+    INSERT INTO content_reports (content_type, content_id, reporter_id, reason, description, weight)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (content_type, content_id, reporter_id) DO NOTHING
+    RETURNING *
+  `, [contentType, contentId, reporter.id, reason, description, weight]);
+
+  return result.rows[0] || null;
+};
+
+// Combined weight of the reports about an item that no moderator has decided yet
+const getPendingWeight = async (contentType, contentId) => {
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(weight), 0) as weight
+    FROM content_reports
+    WHERE content_type = $1 AND content_id = $2 AND status = 'pending'
+  `, [contentType, contentId]);
+
+  return parseFloat(result.rows[0].weight);
+};
+
+// Hide an item pending review once its open reports reach the threshold.
+// content is the newly hidden row, or null when nothing changed (below the
+// threshold, already hidden, or a type that can't be hidden).
+const hideIfOverThreshold = async (contentType, contentId) => {
+  const threshold = reportPolicy.getHideThreshold(contentType);
+  const weight = await getPendingWeight(contentType, contentId);
+
+  if (!canHide(contentType) || weight < threshold) {
+    return { content: null, weight, threshold };
+  }
+
+  const { table } = REPORT_TARGETS[contentType];
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET is_hidden = true, hidden_reason = 'reports', hidden_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND is_hidden = false
+    RETURNING *
+  `, [contentId]);
+
+  return { content: result.rows[0] || null, weight, threshold };
+};
+
+// Show an item hidden by its reports again once dismissals leave them below the
+// threshold. Items a moderator hid stay hidden. Returns the restored row or null.
+const restoreIfCleared = async (contentType, contentId) => {
+  if (!canHide(contentType)) {
+    return null;
+  }
+
+  const weight = await getPendingWeight(contentType, contentId);
+  if (weight >= reportPolicy.getHideThreshold(contentType)) {
+    return null;
+  }
+
+  const { table } = REPORT_TARGETS[contentType];
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET is_hidden = false, hidden_reason = NULL, hidden_at = NULL
+    WHERE id = $1 AND hidden_reason = 'reports'
+    RETURNING *
+  `, [contentId]);
+
+  return result.rows[0] || null;
+};
+
+// Admins, who handle reports
+const getModeratorIds = async () => {
+  const result = await pool.query("SELECT id FROM users WHERE role = 'admin' AND is_active = true");
+  return result.rows.map(row => row.id);
+};
+
+// LEFT JOINs from content_reports (aliased cr) to every target table, and the
+// expressions picking the reported item's title and owner out of them
+const targetJoins = () => {
+  const joins = [];
+  const titles = [];
+  const owners = [];
+
+  for (const [type, { table, ownerColumn, titleColumn }] of Object.entries(REPORT_TARGETS)) {
+    const alias = `t_${type}`;
+    joins.push(`LEFT JOIN ${table} ${alias} ON cr.content_type = '${type}' AND cr.content_id = ${alias}.id`);
+    titles.push(`${alias}.${titleColumn}`);
+    owners.push(`${alias}.${ownerColumn}`);
+  }
+
+  return {
+    joins: joins.join('\n'),
+    title: `LEFT(COALESCE(${titles.join(', ')}), 200)`,
+    owner: `COALESCE(${owners.join(', ')})`
+  };
+};
+
+// Reports matching the filters, newest first, with the reporter and the
+// reported item's title and owner
+const listReports = async ({ status, contentType }, { page = 1, limit = 20 } = {}) => {
+  const { joins, title, owner } = targetJoins();
+  const params = [status];
+  let where = 'WHERE cr.status = $1';
+
+  if (contentType) {
+    params.push(contentType);
+    where += ` AND cr.content_type = $${params.length}`;
+  }
+
+  const [result, countResult] = await Promise.all([
+    pool.query(`
+      SELECT cr.*,
+             u.name as reporter_name,
+             u.email as reporter_email,
+             ${title} as content_title,
+             ${owner} as content_author_id,
+             author.name as content_author_name
+      FROM content_reports cr
+      JOIN users u ON cr.reporter_id = u.id
+      ${joins}
+      LEFT JOIN users author ON author.id = ${owner}
+      ${where}
+      ORDER BY cr.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, (page - 1) * limit]),
+    pool.query(`SELECT COUNT(*) FROM content_reports cr ${where}`, params)
+  ]);
+
+  return {
+    reports: result.rows,
+    total: parseInt(countResult.rows[0].count)
+  };
+};
+
+const getReport = async (reportId) => {
+  const result = await pool.query(`
+    SELECT cr.*, u.name as reporter_name, u.email as reporter_email, resolver.name as resolved_by_name
+    FROM content_reports cr
+    JOIN users u ON cr.reporter_id = u.id
+    LEFT JOIN users resolver ON cr.resolved_by = resolver.id
+    WHERE cr.id = $1
+  `, [reportId]);
+
+  return result.rows[0] || null;
+};
+
+const getUserSummary = async (userId) => {
+  if (!userId) {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT id, name, email, role, is_active, created_at FROM users WHERE id = $1',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+// What a moderator needs next to the reported item to judge it: the thread an
+// answer belongs to, the answers under a question, the duas in a collection or
+// what a reported user has published
+const getTypeContext = async (contentType, content) => {
+  switch (contentType) {
+    case 'question': {
+      const answers = await pool.query(`
+        SELECT a.id, a.content, a.is_verified, a.is_hidden, a.created_at, u.name as scholar_name
+        FROM answers a
+        LEFT JOIN users u ON a.scholar_id = u.id
+        WHERE a.question_id = $1
+        ORDER BY a.created_at ASC
+      `, [content.id]);
+      return { answers: answers.rows };
+    }
+    case 'answer': {
+      const question = await pool.query(`
+        SELECT q.id, q.title, q.content, q.is_public, q.is_hidden, q.created_at, u.name as author_name
+        FROM questions q
+        LEFT JOIN users u ON q.user_id = u.id
+        WHERE q.id = $1
+      `, [content.question_id]);
+      return { question: question.rows[0] || null };
+    }
+    case 'collection': {
+      const items = await pool.query(`
+        SELECT d.id, d.title, d.is_public, d.approval_status, d.is_hidden, ci.order_index
+        FROM collection_items ci
+        JOIN duas d ON ci.dua_id = d.id
+        WHERE ci.collection_id = $1
+        ORDER BY ci.order_index, ci.created_at
+      `, [content.id]);
+      return { items: items.rows };
+    }
+    case 'user': {
+      const { joins, owner } = targetJoins();
+      const [counts, accountReports] = await Promise.all([
+        pool.query(`
+          SELECT
+            (SELECT COUNT(*) FROM duas WHERE user_id = $1) as duas,
+            (SELECT COUNT(*) FROM blogs WHERE author_id = $1) as blogs,
+            (SELECT COUNT(*) FROM questions WHERE user_id = $1) as questions,
+            (SELECT COUNT(*) FROM answers WHERE scholar_id = $1) as answers,
+            (SELECT COUNT(*) FROM user_collections WHERE user_id = $1) as collections
+        `, [content.id]),
+        // Reports against anything the user owns, so repeat offenders stand out
+        pool.query(`
+          SELECT cr.content_type, cr.status, COUNT(*) as count
+          FROM content_reports cr
+          ${joins}
+          WHERE ${owner} = $1
+          GROUP BY cr.content_type, cr.status
+        `, [content.id])
+      ]);
+      return { contentCounts: counts.rows[0], reportsAgainstUser: accountReports.rows };
+    }
+    default:
+      return {};
+  }
+};
+
+// The reported item, its owner, its surrounding context and every other report
+// filed against it. content is null once the item has been deleted.
+const getReportContext = async (report) => {
+  const { content_type: contentType, content_id: contentId } = report;
+  const target = REPORT_TARGETS[contentType];
+
+  const [content, otherReports, pendingWeight] = await Promise.all([
+    getTarget(contentType, contentId),
+    pool.query(`
+      SELECT cr.id, cr.reason, cr.description, cr.status, cr.action_taken, cr.created_at, u.name as reporter_name
+      FROM content_reports cr
+      JOIN users u ON cr.reporter_id = u.id
+      WHERE cr.content_type = $1 AND cr.content_id = $2 AND cr.id != $3
+      ORDER BY cr.created_at DESC
+    `, [contentType, contentId, report.id]),
+    getPendingWeight(contentType, contentId)
+  ]);
+
+  const weights = { pendingWeight, hideThreshold: reportPolicy.getHideThreshold(contentType) };
+
+  if (!content) {
+    return { content: null, owner: null, context: {}, otherReports: otherReports.rows, ...weights, actions: [] };
+  }
+
+  const [owner, context] = await Promise.all([
+    contentType === 'user' ? null : getUserSummary(getOwnerId(contentType, content)),
+    getTypeContext(contentType, content)
+  ]);
+
+  return {
+    content: { id: content.id, ...pickState(content, target.fields), created_at: content.created_at },
+    owner,
+    context,
+    otherReports: otherReports.rows,
+    ...weights,
+    actions: target.actions
+  };
+};
+
+// Hide, delete or send back to pending a reported item. Returns its state before
+// and after for the audit log; after is null when it was deleted.
+const applyAction = async (contentType, content, action) => {
+  const { table, fields } = REPORT_TARGETS[contentType];
+
+  switch (action) {
+    case 'hide':
+      await pool.query(
+        `UPDATE ${table} SET is_hidden = true, hidden_reason = 'moderator', hidden_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [content.id]
+      );
+      return {
+        before: { is_hidden: content.is_hidden, hidden_reason: content.hidden_reason },
+        after: { is_hidden: true, hidden_reason: 'moderator' }
+      };
+    case 'delete':
+      await pool.query(`DELETE FROM ${table} WHERE id = $1`, [content.id]);
+      return { before: pickState(content, fields), after: null };
+    case 'pending': {
+      const result = await pool.query(
+        `UPDATE ${table} SET ${PENDING_UPDATES[contentType]}, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *`,
+        [content.id]
+      );
+      return { before: pickState(content), after: pickState(result.rows[0]) };
+    }
+    default:
+      throw new Error(`Unknown report action: ${action}`);
+  }
+};
+
+// Mark a report with its outcome and who decided it
+const resolveReport = async (reportId, { status, adminNotes, action = null, resolvedBy }) => {
+  const result = await pool.query(`
+    UPDATE content_reports
+    SET status = $1, admin_notes = $2, action_taken = $3, resolved_by = $4,
+        resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $5
+    RETURNING *
+  `, [status, adminNotes, action, resolvedBy, reportId]);
+
+  return result.rows[0] || null;
+};
+
+// Once an action has been taken on an item, the other open reports about it are
+// settled by it too. Returns the ids of the reports closed this way.
+const resolveOpenReports = async (contentType, contentId, { action, resolvedBy, exceptId }) => {
+  const result = await pool.query(`
+    UPDATE content_reports
+    SET status = 'resolved', action_taken = $1, resolved_by = $2,
+        resolved_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE content_type = $3 AND content_id = $4 AND status = 'pending' AND id != $5
+    RETURNING id
+  `, [action, resolvedBy, contentType, contentId, exceptId]);
+
+  return result.rows.map(row => row.id);
+};
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_TYPES,
+  REPORT_ACTIONS,
+  AUDIT_ACTION_FOR,
+  getTarget,
+  getOwnerId,
+  getTitle,
+  createReport,
+  getPendingWeight,
+  hideIfOverThreshold,
+  restoreIfCleared,
+  getModeratorIds,
+  listReports,
+  getReport,
+  getReportContext,
+  applyAction,
+  resolveReport,
+  resolveOpenReports
+};
@@ -0,0 +1,173 @@
+const pool = require('../database/connection');
+
+// Dua fields tracked in revision snapshots
+const REVISION_FIELDS = [
+  'title',
+  'purpose',
+  'arabic_text',
+  'english_meaning',
+  'transliteration',
+  'native_meaning',
+  'source_reference',
+  'is_public',
+  'categories'
+];
+
+const normalizeValue = (field, value) => {
+  if (field === 'categories') {
+    return [...(value || [])].filter(Boolean).sort();
+  }
+  return value === undefined ? null : value;
+};
+
+// Field-level diff between two snapshots: { field: { from, to } } for changed fields only
+const diffSnapshots = (before, after) => {
+  const changes = {};
+
+  for (const field of REVISION_FIELDS) {
+    const from = normalizeValue(field, before ? before[field] : null);
+    const to = normalizeValue(field, after ? after[field] : null);
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+// Current content of a dua in snapshot form, or null if it doesn't exist
+const getSnapshot = async (duaId, db = pool) => {
+  const result = await db.query(`
+    SELECT d.title, d.purpose, d.arabic_text, d.english_meaning, d.transliteration,
+           d.native_meaning, d.source_reference, d.is_public,
+           COALESCE(array_agg(dc.name) FILTER (WHERE dc.name IS NOT NULL), '{}') as categories
+    FROM duas d
+    LEFT JOIN dua_category_relations dcr ON d.id = dcr.dua_id
+    LEFT JOIN dua_categories dc ON dcr.category_id = dc.id
+    WHERE d.id = $1
+    GROUP BY d.id
+  `, [duaId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const snapshot = {};
+  for (const field of REVISION_FIELDS) {
+    snapshot[field] = normalizeValue(field, result.rows[0][field]);
+  }
+  return snapshot;
+};
+
+const getLatestRevision = async (duaId, db = pool) => {
+  const result = await db.query(
+    'SELECT * FROM dua_revisions WHERE dua_id = $1 ORDER BY revision_number DESC LIMIT 1',
+    [duaId]
+  );
+  return result.rows[0] || null;
+};
+
+// Record the dua's current content as a new revision. Edits that didn't change
+// any tracked field are not recorded (returns null). Pass the client of the
+// transaction that made the edit: the dua row stays locked until it commits, so
+// concurrent edits are numbered one after the other.
+const recordRevision = async (duaId, userId, { action = 'update', restoredFrom = null, client = pool } = {}) => {
+  const locked = await client.query('SELECT id FROM duas WHERE id = $1 FOR UPDATE', [duaId]);
+  if (locked.rows.length === 0) {
+    return null;
+  }
+
+  const snapshot = await getSnapshot(duaId, client);
+  const latest = await getLatestRevision(duaId, client);
+  const changes = diffSnapshots(latest ? latest.snapshot : null, snapshot);
+
+  if (latest && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const result = await client.query(`
+    INSERT INTO dua_revisions (dua_id, revision_number, action, edited_by, snapshot, changes, restored_from)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [
+    duaId,
+    latest ? latest.revision_number + 1 : 1,
+    latest ? action : 'create',
+    userId,
+    JSON.stringify(snapshot),
+    JSON.stringify(changes),
+    restoredFrom
+  ]);
+
+  return result.rows[0];
+};
+
+const listRevisions = async (duaId) => {
+  const result = await pool.query(`
+    SELECT r.id, r.revision_number, r.action, r.changes, r.restored_from,
+           r.approved_at, r.created_at,
+           r.edited_by, u.name as edited_by_name,
+           r.approved_by, a.name as approved_by_name
+    FROM dua_revisions r
+    LEFT JOIN users u ON r.edited_by = u.id
+    LEFT JOIN users a ON r.approved_by = a.id
+    WHERE r.dua_id = $1
+    ORDER BY r.revision_number DESC
+  `, [duaId]);
+
+  return result.rows;
+};
+
+const getRevision = async (duaId, revisionNumber) => {
+  const result = await pool.query(`
+    SELECT r.*, u.name as edited_by_name
+    FROM dua_revisions r
+    LEFT JOIN users u ON r.edited_by = u.id
+    WHERE r.dua_id = $1 AND r.revision_number = $2
+  `, [duaId, revisionNumber]);
+
+  return result.rows[0] || null;
+};
+
+// Mark the dua's latest revision as the approved version
+const markApproved = async (duaId, approverId) => {
+  await pool.query(`
+    UPDATE dua_revisions
+    SET approved_by = $2, approved_at = CURRENT_TIMESTAMP
+    WHERE id = (SELECT id FROM dua_revisions WHERE dua_id = $1 ORDER BY revision_number DESC LIMIT 1)
+  `, [duaId, approverId]);
+};
+
+// What changed between the last approved revision and the dua's current content.
+// approved_revision is null when no version of the dua has been approved yet.
+const getChangesSinceApproved = async (duaId) => {
+  const result = await pool.query(`
+    SELECT revision_number, snapshot, approved_at
+    FROM dua_revisions
+    WHERE dua_id = $1 AND approved_at IS NOT NULL
+    ORDER BY revision_number DESC
+    LIMIT 1
+  `, [duaId]);
+
+  const approved = result.rows[0] || null;
+  const current = await getSnapshot(duaId);
+
+  return {
+    approved_revision: approved ? approved.revision_number : null,
+    approved_at: approved ? approved.approved_at : null,
+    changes: approved ? diffSnapshots(approved.snapshot, current) : null
+  };
+};
+
+module.exports = {
+  REVISION_FIELDS,
+  diffSnapshots,
+  getSnapshot,
+  getLatestRevision,
+  recordRevision,
+  listRevisions,
+  getRevision,
+  markApproved,
+  getChangesSinceApproved
+};
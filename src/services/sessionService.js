@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/connection');
+const { hashToken } = require('./tokenService');
+
+// Access tokens are short-lived; refresh tokens keep a device signed in
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Stream tokens end up in URLs and access logs, so they only open the
+// notification stream and only for long enough to connect
+const STREAM_TOKEN_PURPOSE = 'notification_stream';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+const SESSION_COLUMNS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user.id, email: user.email, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+const signStreamToken = (userId, sessionId) => jwt.sign(
+  { userId, sid: sessionId, purpose: STREAM_TOKEN_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+);
+
+// Returns the token's claims, or null unless it is a valid, unexpired stream token
+const verifyStreamToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === STREAM_TOKEN_PURPOSE && decoded.sid ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh tokens are "<session id>.<secret>"; only a hash of the secret is stored
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+// Start a session for a device and return its token pair
+const createSession = async (user, req) => {
+  const secret = generateSecret();
+
+  const result = await pool.query(`
+    INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + ($5 || ' days')::interval)
+    RETURNING id
+  `, [
+    user.id,
+    hashToken(secret),
+    req.get('user-agent') || null,
+    req.ip || null,
+    REFRESH_TOKEN_TTL_DAYS
+  ]);
+
+  const sessionId = result.rows[0].id;
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refresh_token: `${sessionId}.${secret}`
+  };
+};
+
+// Exchange a refresh token for a new pair. A refresh token that was already
+// rotated out means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const secret = generateSecret();
+
+  const result = await pool.query(`
+    UPDATE user_sessions s
+    SET refresh_token_hash = $3, last_used_at = CURRENT_TIMESTAMP,
+        user_agent = COALESCE($4, s.user_agent), ip_address = COALESCE($5, s.ip_address)
+    FROM users u
+    WHERE s.id = $1 AND s.refresh_token_hash = $2 AND u.id = s.user_id
+      AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP AND u.is_active = true
+    RETURNING u.id, u.email
+  `, [
+    parsed.sessionId,
+    hashToken(parsed.secret),
+    hashToken(secret),
+    req.get('user-agent') || null,
+    req.ip || null
+  ]);
+
+  if (result.rows.length === 0) {
+    await pool.query(
+      'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+      [parsed.sessionId]
+    );
+    return null;
+  }
+
+  return {
+    token: signAccessToken(result.rows[0], parsed.sessionId),
+    refresh_token: `${parsed.sessionId}.${secret}`
+  };
+};
+
+const listSessions = async (userId) => {
+  const result = await pool.query(`
+    SELECT ${SESSION_COLUMNS}
+    FROM user_sessions
+    WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    ORDER BY last_used_at DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+// Revoke one of the user's sessions; returns false if it isn't theirs or is already gone
+const revokeSession = async (userId, sessionId) => {
+  const result = await pool.query(
+    'UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL RETURNING id',
+    [sessionId, userId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Revoke every session of a user, optionally keeping the one making the request
+const revokeAllSessions = async (userId, { exceptSessionId = null } = {}) => {
+  const result = await pool.query(`
+    UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND revoked_at IS NULL AND ($2::uuid IS NULL OR id <> $2::uuid)
+  `, [userId, exceptSessionId]);
+
+  return result.rowCount;
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  STREAM_TOKEN_TTL_SECONDS,
+  signStreamToken,
+  verifyStreamToken,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,179 @@
+const pool = require('../database/connection');
+const duaService = require('./duaService');
+
+// Fields a reviewer can suggest a new value for, per content type
+const SUGGESTABLE_FIELDS = {
+  dua: duaService.ANALYZED_FIELDS,
+  blog: ['title', 'content', 'excerpt']
+};
+
+// Store a reviewer's suggested edits, remembering each field's current value
+const createSuggestions = async (contentType, content, reviewerId, suggestions) => {
+  const stored = [];
+  for (const suggestion of suggestions) {
+    const result = await pool.query(`
+      INSERT INTO review_suggestions (content_type, content_id, review_round, reviewer_id, field,
+                                      original_value, suggested_value, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `, [
+      contentType,
+      content.id,
+      content.review_round,
+      reviewerId,
+      suggestion.field,
+      content[suggestion.field] === undefined ? null : content[suggestion.field],
+      suggestion.value,
+      suggestion.note || null
+    ]);
+    stored.push(result.rows[0]);
+  }
+
+  return stored;
+};
+
+// Suggestions on a piece of content, newest first. status 'all' includes resolved ones.
+const listSuggestions = async (contentType, contentId, { status = 'all' } = {}) => {
+  const params = [contentType, contentId];
+  let statusFilter = '';
+  if (status !== 'all') {
+    params.push(status);
+    statusFilter = 'AND s.status = $3';
+  }
+
+  const result = await pool.query(`
+    SELECT s.*, reviewer.name as reviewer_name, resolver.name as resolved_by_name
+    FROM review_suggestions s
+    LEFT JOIN users reviewer ON s.reviewer_id = reviewer.id
+    LEFT JOIN users resolver ON s.resolved_by = resolver.id
+    WHERE s.content_type = $1 AND s.content_id = $2 ${statusFilter}
+    ORDER BY s.created_at DESC, s.field
+  `, params);
+
+  return result.rows;
+};
+
+const getSuggestion = async (contentType, contentId, suggestionId) => {
+  const result = await pool.query(`
+    SELECT * FROM review_suggestions
+    WHERE id = $1 AND content_type = $2 AND content_id = $3
+  `, [suggestionId, contentType, contentId]);
+
+  return result.rows[0] || null;
+};
+
+// Mark a pending suggestion accepted or rejected. Returns null if it was already resolved.
+const resolveSuggestion = async (suggestionId, status, userId, { response = null } = {}) => {
+  const result = await pool.query(`
+    UPDATE review_suggestions
+    SET status = $2, resolved_by = $3, resolved_at = CURRENT_TIMESTAMP, response = $4
+    WHERE id = $1 AND status = 'pending'
+    RETURNING *
+  `, [suggestionId, status, userId, response]);
+
+  return result.rows[0] || null;
+};
+
+// Write an accepted suggestion into the content. Dua edits go through
+// duaService so they are recorded as a revision and re-analyzed.
+const applySuggestion = async (contentType, contentId, suggestion, userId) => {
+  if (contentType === 'dua') {
+    const { dua, revision } = await duaService.updateDua(contentId, {
+      [suggestion.field]: suggestion.suggested_value
+    }, userId, { action: 'review_suggestion' });
+
+    return { content: dua, revision };
+  }
+
+  // The field name is one of SUGGESTABLE_FIELDS, so it is safe to interpolate
+  const result = await pool.query(
+    `UPDATE blogs SET ${suggestion.field} = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *`,
+    [suggestion.suggested_value, contentId]
+  );
+
+  return { content: result.rows[0], revision: null };
+};
+
+// Suggestion counts by status for one review round
+const countByStatus = async (contentType, contentId, reviewRound) => {
+  const result = await pool.query(`
+    SELECT status, COUNT(*) as count
+    FROM review_suggestions
+    WHERE content_type = $1 AND content_id = $2 AND review_round = $3
+    GROUP BY status
+  `, [contentType, contentId, reviewRound]);
+
+  return result.rows.reduce((counts, row) => ({ ...counts, [row.status]: parseInt(row.count) }), {
+    pending: 0,
+    accepted: 0,
+    rejected: 0,
+    superseded: 0
+  });
+};
+
+// Pending suggestions no longer apply once the author resubmits
+const supersedePending = async (contentType, contentId) => {
+  await pool.query(`
+    UPDATE review_suggestions
+    SET status = 'superseded', resolved_at = CURRENT_TIMESTAMP
+    WHERE content_type = $1 AND content_id = $2 AND status = 'pending'
+  `, [contentType, contentId]);
+};
+
+const getComment = async (contentType, contentId, commentId) => {
+  const result = await pool.query(`
+    SELECT * FROM review_comments
+    WHERE id = $1 AND content_type = $2 AND content_id = $3
+  `, [commentId, contentType, contentId]);
+
+  return result.rows[0] || null;
+};
+
+const addComment = async (contentType, contentId, authorId, body, parentId = null) => {
+  const result = await pool.query(`
+    INSERT INTO review_comments (content_type, content_id, parent_id, author_id, body)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [contentType, contentId, parentId, authorId, body]);
+
+  return result.rows[0];
+};
+
+// Review discussion as threads: top-level comments oldest first, each with its
+// replies nested under `replies`
+const listComments = async (contentType, contentId) => {
+  const result = await pool.query(`
+    SELECT c.*, u.name as author_name, u.role as author_role
+    FROM review_comments c
+    LEFT JOIN users u ON c.author_id = u.id
+    WHERE c.content_type = $1 AND c.content_id = $2
+    ORDER BY c.created_at, c.id
+  `, [contentType, contentId]);
+
+  const byId = new Map(result.rows.map(comment => [comment.id, { ...comment, replies: [] }]));
+  const threads = [];
+  for (const comment of byId.values()) {
+    const parent = comment.parent_id && byId.get(comment.parent_id);
+    if (parent) {
+      parent.replies.push(comment);
+    } else {
+      threads.push(comment);
+    }
+  }
+
+  return threads;
+};
+
+module.exports = {
+  SUGGESTABLE_FIELDS,
+  createSuggestions,
+  listSuggestions,
+  getSuggestion,
+  resolveSuggestion,
+  applySuggestion,
+  countByStatus,
+  supersedePending,
+  getComment,
+  addComment,
+  listComments
+};
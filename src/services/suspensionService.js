@@ -0,0 +1,178 @@
+const pool = require('../database/connection');
+
+// What each kind of suspension blocks
+const SUSPENSION_SCOPES = ['full', 'posting', 'qa'];
+
+// Activities restricted by a suspension, and the scopes that block each one.
+// A posting ban also covers Q&A, which is posting too.
+const BLOCKING_SCOPES = {
+  posting: ['posting'],
+  qa: ['posting', 'qa']
+};
+
+// A suspension applies until it is lifted or expires. alias prefixes the
+// columns, e.g. 's.'
+const activeCondition = (alias = '') =>
+  `${alias}lifted_at IS NULL AND ${alias}expires_at > CURRENT_TIMESTAMP`;
+
+// The active suspension that blocks an activity ('posting' or 'qa'), if any,
+// out of those authenticateToken loads onto req.user
+const findBlocking = (suspensions, activity) =>
+  (suspensions || []).find(suspension => BLOCKING_SCOPES[activity].includes(suspension.scope)) || null;
+
+// What a suspended user is told about their suspension
+const describe = (suspension) => ({
+  id: suspension.id,
+  scope: suspension.scope,
+  reason: suspension.reason,
+  expires_at: suspension.expires_at
+});
+
+const suspend = async ({ userId, scope, reason, expiresAt, createdBy }) => {
+  const result = await pool.query(`
+    INSERT INTO user_suspensions (user_id, scope, reason, expires_at, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [userId, scope, reason, expiresAt, createdBy]);
+
+  return result.rows[0];
+};
+
+const getSuspension = async (suspensionId) => {
+  const result = await pool.query('SELECT * FROM user_suspensions WHERE id = $1', [suspensionId]);
+  return result.rows[0] || null;
+};
+
+const isActive = (suspension) =>
+  !suspension.lifted_at && new Date(suspension.expires_at) > new Date();
+
+// A user's suspensions, newest first, with whether each still applies
+const listForUser = async (userId, { activeOnly = false } = {}) => {
+  const result = await pool.query(`
+    SELECT s.*, (${activeCondition('s.')}) as is_active,
+           creator.name as created_by_name, a.id as appeal_id, a.status as appeal_status
+    FROM user_suspensions s
+    LEFT JOIN users creator ON s.created_by = creator.id
+    LEFT JOIN suspension_appeals a ON a.suspension_id = s.id
+    WHERE s.user_id = $1 ${activeOnly ? `AND ${activeCondition('s.')}` : ''}
+    ORDER BY s.created_at DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+// End a suspension early. Returns null when it had already ended.
+const lift = async (suspensionId, { liftedBy, reason = null }) => {
+  const result = await pool.query(`
+    UPDATE user_suspensions
+    SET lifted_at = CURRENT_TIMESTAMP, lifted_by = $2, lift_reason = $3
+    WHERE id = $1 AND ${activeCondition()}
+    RETURNING *
+  `, [suspensionId, liftedBy, reason]);
+
+  return result.rows[0] || null;
+};
+
+// Returns null when the suspension has already been appealed
+const createAppeal = async ({ suspension, message }) => {
+  const result = await pool.query(`
+    INSERT INTO suspension_appeals (suspension_id, user_id, message)
+    VALUES ($1, $2, $3)
+    ON CONFLICT (suspension_id) DO NOTHING
+    RETURNING *
+  `, [suspension.id, suspension.user_id, message]);
+
+  return result.rows[0] || null;
+};
+
+const APPEAL_COLUMNS = `
+  a.*, u.name as user_name, u.email as user_email,
+  s.scope, s.reason as suspension_reason, s.expires_at, s.lifted_at, s.created_by as suspended_by,
+  creator.name as suspended_by_name, decider.name as decided_by_name
+`;
+
+const APPEAL_JOINS = `
+  JOIN user_suspensions s ON a.suspension_id = s.id
+  JOIN users u ON a.user_id = u.id
+  LEFT JOIN users creator ON s.created_by = creator.id
+  LEFT JOIN users decider ON a.decided_by = decider.id
+`;
+
+const getAppeal = async (appealId) => {
+  const result = await pool.query(`SELECT ${APPEAL_COLUMNS} FROM suspension_appeals a ${APPEAL_JOINS} WHERE a.id = $1`, [appealId]);
+  return result.rows[0] || null;
+};
+
+// Appeals in a status, oldest first so the longest-waiting are handled first
+const listAppeals = async ({ status = 'open' } = {}, { page = 1, limit = 20 } = {}) => {
+  const [result, countResult] = await Promise.all([
+    pool.query(`
+      SELECT ${APPEAL_COLUMNS}
+      FROM suspension_appeals a
+      ${APPEAL_JOINS}
+      WHERE a.status = $1
+      ORDER BY a.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, (page - 1) * limit]),
+    pool.query('SELECT COUNT(*) as total FROM suspension_appeals WHERE status = $1', [status])
+  ]);
+
+  return {
+    appeals: result.rows,
+    total: parseInt(countResult.rows[0].total)
+  };
+};
+
+const listAppealsForUser = async (userId) => {
+  const result = await pool.query(`
+    SELECT ${APPEAL_COLUMNS}
+    FROM suspension_appeals a
+    ${APPEAL_JOINS}
+    WHERE a.user_id = $1
+    ORDER BY a.created_at DESC
+  `, [userId]);
+
+  return result.rows;
+};
+
+// Record a manager's decision on an open appeal. Returns null when it was
+// already decided.
+const decideAppeal = async (appealId, { decision, notes, decidedBy }) => {
+  const result = await pool.query(`
+    UPDATE suspension_appeals
+    SET status = $2, decision_notes = $3, decided_by = $4, decided_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'open'
+    RETURNING *
+  `, [appealId, decision, notes, decidedBy]);
+
+  return result.rows[0] || null;
+};
+
+// Active managers and admins, who handle appeals
+const getAppealReviewers = async () => {
+  const result = await pool.query(`
+    SELECT id FROM users
+    WHERE role IN ('manager', 'admin') AND is_active = true
+  `);
+
+  return result.rows.map(row => row.id);
+};
+
+module.exports = {
+  SUSPENSION_SCOPES,
+  BLOCKING_SCOPES,
+  activeCondition,
+  findBlocking,
+  describe,
+  suspend,
+  getSuspension,
+  isActive,
+  listForUser,
+  lift,
+  createAppeal,
+  getAppeal,
+  listAppeals,
+  listAppealsForUser,
+  decideAppeal,
+  getAppealReviewers
+};
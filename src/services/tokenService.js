@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const pool = require('../database/connection');
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+// Lifetime of each token type in minutes
+const TOKEN_TTL_MINUTES = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: parseInt(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || 60,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: parseInt(process.env.EMAIL_VERIFICATION_TOKEN_TTL_MINUTES) || 24 * 60
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new one-time token, invalidating any unused token for the same purpose
+const createToken = async (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await pool.query(
+    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+
+  await pool.query(`
+    INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 || ' minutes')::interval)
+  `, [userId, purpose, hashToken(token), TOKEN_TTL_MINUTES[purpose]]);
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if it is unknown, used or expired
+const consumeToken = async (token, purpose) => {
+  const result = await pool.query(`
+    UPDATE user_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(token), purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+};
+
+// Unsubscribe links have to work for as long as the email is kept, so they are
+// signed instead of stored: <user id>.<notification type or "all">.<signature>
+const signUnsubscribe = (payload) => crypto
+  .createHmac('sha256', process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET)
+  .update(`unsubscribe:${payload}`)
+  .digest('base64url');
+
+const createUnsubscribeToken = (userId, type = null) => {
+  const payload = `${userId}.${type || 'all'}`;
+  return `${payload}.${signUnsubscribe(payload)}`;
+};
+
+// Returns { userId, type } with type null for every email, or null if the token
+// is malformed or its signature doesn't match
+const verifyUnsubscribeToken = (token) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [userId, type, signature] = parts;
+  const expected = Buffer.from(signUnsubscribe(`${userId}.${type}`));
+  const actual = Buffer.from(signature);
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  return { userId, type: type === 'all' ? null : type };
+};
+
+module.exports = {
+  TOKEN_PURPOSES,
+  TOKEN_TTL_MINUTES,
+  hashToken,
+  createToken,
+  consumeToken,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken
+};
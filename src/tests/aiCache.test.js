@@ -0,0 +1,79 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const pool = require('../database/connection');
+const { AIService } = require('../services/aiService');
+const analysisCache = require('../services/ai/analysisCache');
+const { createProvider } = require('../services/ai/providers');
+
+const dua = {
+  title: 'Dua for forgiveness',
+  arabic_text: 'رَبِّ اغْفِرْ لِي',
+  english_meaning: 'My Lord, forgive me',
+  source_reference: 'Sahih Muslim 2697'
+};
+
+const cacheCalls = (verb) => pool.query.mock.calls.filter(([sql]) => sql.includes(verb) && sql.includes('ai_analysis_cache'));
+
+describe('AI analysis cache', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+    delete process.env.AI_CACHE_ENABLED;
+  });
+
+  it('should key on the prompt, prompt version and model', () => {
+    const base = { contentType: 'dua', promptVersion: 1, model: 'mock', prompt: 'Title: A' };
+
+    expect(analysisCache.getCacheKey(base)).toBe(analysisCache.getCacheKey({ ...base }));
+    expect(analysisCache.getCacheKey(base)).toHaveLength(64);
+    expect(analysisCache.getCacheKey({ ...base, promptVersion: 2 })).not.toBe(analysisCache.getCacheKey(base));
+    expect(analysisCache.getCacheKey({ ...base, model: 'other' })).not.toBe(analysisCache.getCacheKey(base));
+    expect(analysisCache.getCacheKey({ ...base, prompt: 'Title: B' })).not.toBe(analysisCache.getCacheKey(base));
+  });
+
+  it('should ignore fields the prompt does not use', async () => {
+    const service = new AIService({ providers: [createProvider('mock')] });
+
+    await service.generateAnalysis('dua', { ...dua, is_public: false, categories: ['Forgiveness'] });
+    await service.generateAnalysis('dua', { ...dua, is_public: true, categories: [] });
+
+    const [first, second] = cacheCalls('hit_count = hit_count + 1');
+    expect(first[1]).toEqual(second[1]);
+  });
+
+  it('should reuse a cached analysis without calling a provider', async () => {
+    const provider = { name: 'hf-router', modelId: 'gemma', generate: jest.fn() };
+    const service = new AIService({ providers: [provider] });
+    pool.query.mockImplementation(async (sql, params) => (
+      sql.includes('UPDATE ai_analysis_cache')
+        ? { rows: [{ cache_key: params[0][0], provider: 'hf-router', result: { summary: { english: 'Cached' }, corrections: [] } }] }
+        : { rows: [] }
+    ));
+
+    const analysis = await service.generateAnalysis('dua', dua);
+
+    expect(provider.generate).not.toHaveBeenCalled();
+    expect(analysis.cached).toBe(true);
+    expect(analysis.summary.english).toBe('Cached');
+  });
+
+  it('should store new analyses but not local fallback results', async () => {
+    const failing = { name: 'hf-router', modelId: 'gemma', generate: jest.fn().mockRejectedValue(new Error('503')) };
+
+    await new AIService({ providers: [createProvider('mock')] }).generateAnalysis('dua', dua);
+    expect(cacheCalls('INSERT')).toHaveLength(1);
+
+    pool.query.mockClear();
+    const analysis = await new AIService({ providers: [failing, createProvider('local')] }).generateAnalysis('dua', dua, { source: 'draft' });
+    expect(analysis.provider).toBe('local');
+    expect(cacheCalls('INSERT')).toHaveLength(0);
+  });
+
+  it('should skip the cache when disabled', async () => {
+    process.env.AI_CACHE_ENABLED = 'false';
+
+    await new AIService({ providers: [createProvider('mock')] }).generateAnalysis('dua', dua);
+
+    expect(cacheCalls('ai_analysis_cache')).toHaveLength(0);
+  });
+});
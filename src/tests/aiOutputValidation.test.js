@@ -0,0 +1,92 @@
+jest.mock('../database/connection', () => ({ query: jest.fn().mockResolvedValue({ rows: [] }) }));
+
+const pool = require('../database/connection');
+const { AIService } = require('../services/aiService');
+const { parseJson } = require('../services/ai/jsonRepair');
+const { validateAnalysis } = require('../services/ai/analysisSchema');
+const { createProvider } = require('../services/ai/providers');
+const { getPromptTemplate } = require('../services/ai/prompts');
+
+const duaSchema = getPromptTemplate('dua').schema;
+
+const validOutput = {
+  analysis: { title: 'Dua for parents' },
+  corrections: [{
+    field: 'source_reference',
+    issue_english: 'Source is missing.',
+    issue_bangla: 'উৎস অনুপস্থিত।',
+    suggestion_english: 'Add Quran 17:24.',
+    suggestion_bangla: 'কুরআন ১৭:২৪ যোগ করুন।'
+  }],
+  summary: { english: 'Mostly correct.', bangla: 'প্রায় সঠিক।' }
+};
+
+const scriptedProvider = (...outputs) => ({
+  name: 'scripted',
+  generate: jest.fn().mockImplementation(async () => outputs.shift())
+});
+
+const invalidOutputInserts = () => pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ai_invalid_outputs'));
+
+describe('AI output validation', () => {
+  beforeEach(() => {
+    pool.query.mockClear();
+  });
+
+  it('should extract JSON surrounded by prose and code fences', () => {
+    const text = `Here is the analysis:\n\`\`\`json\n${JSON.stringify(validOutput)}\n\`\`\`\nLet me know if {anything} else is needed.`;
+
+    expect(parseJson(text).value).toEqual(validOutput);
+  });
+
+  it('should repair truncated JSON by dropping the incomplete tail', () => {
+    const text = '{"analysis": {}, "summary": {"english": "Fine", "bangla": "ঠিক আছে"}, "corrections": [{"field": "title", "issue_eng';
+
+    const { value, repaired } = parseJson(text);
+
+    expect(repaired).toBe(true);
+    expect(value.summary.english).toBe('Fine');
+    expect(value.corrections).toEqual([{ field: 'title' }]);
+  });
+
+  it('should remove trailing commas', () => {
+    expect(parseJson('{"a": [1, 2,], "b": {"c": 3,},}').value).toEqual({ a: [1, 2], b: { c: 3 } });
+  });
+
+  it('should reject analyses that do not match the schema', () => {
+    expect(validateAnalysis(validOutput, duaSchema)).toEqual([]);
+    expect(validateAnalysis({ ...validOutput, summary: 'Looks fine' }, duaSchema)).toEqual(['/summary must be object']);
+    expect(validateAnalysis({ analysis: {}, corrections: [{ field: 'title' }], summary: validOutput.summary }, duaSchema))
+      .toContain('/corrections/0 must have required property \'issue_english\'');
+  });
+
+  it('should re-prompt once and store the invalid output', async () => {
+    const provider = scriptedProvider('I think the dua is fine.', JSON.stringify(validOutput));
+    const service = new AIService({ providers: [provider] });
+
+    const analysis = await service.generateAnalysis('dua', { title: 'Dua for parents' });
+
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+    expect(provider.generate.mock.calls[1][0]).toContain('Your previous answer could not be used: No JSON object found in output');
+    expect(analysis.corrections).toEqual(validOutput.corrections);
+    expect(analysis.confidence).toBe(0.8);
+
+    const inserts = invalidOutputInserts();
+    expect(inserts).toHaveLength(1);
+    expect(inserts[0][1].slice(0, 5)).toEqual(['scripted', 'dua', null, 1, 1]);
+    expect(inserts[0][1][6]).toBe('I think the dua is fine.');
+  });
+
+  it('should move to the next provider after a second invalid output', async () => {
+    const provider = scriptedProvider('{"summary": "ok"}', '{"summary": "still ok"}');
+    const service = new AIService({ providers: [provider, createProvider('local')] });
+
+    const analysis = await service.generateAnalysis('dua', { title: 'Dua', arabic_text: '' }, { contentId: 'abc', source: 'draft' });
+
+    expect(provider.generate).toHaveBeenCalledTimes(2);
+    expect(invalidOutputInserts()).toHaveLength(2);
+    expect(analysis.provider).toBe('local');
+    expect(analysis.confidence).toBe(0.6);
+    expect(analysis.corrections.map(correction => correction.field)).toEqual(['title', 'arabic_text', 'english_meaning']);
+  });
+});
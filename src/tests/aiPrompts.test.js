@@ -0,0 +1,104 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const pool = require('../database/connection');
+const { AIService } = require('../services/aiService');
+const { TEMPLATES, getPromptTemplate, renderPrompt } = require('../services/ai/prompts');
+const { validateAnalysis } = require('../services/ai/analysisSchema');
+const { createProvider } = require('../services/ai/providers');
+
+const summary = { english: 'Reviewed.', bangla: 'পর্যালোচনা করা হয়েছে।' };
+
+const scriptedProvider = (output) => ({
+  name: 'scripted',
+  generate: jest.fn().mockResolvedValue(JSON.stringify(output))
+});
+
+describe('AI prompt templates', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  it('should give every content type a versioned template', () => {
+    for (const [contentType, template] of Object.entries(TEMPLATES)) {
+      expect(template.contentType).toBe(contentType);
+      expect(Number.isInteger(template.version)).toBe(true);
+      expect(validateAnalysis({ ...template.defaults, corrections: [], summary }, template.schema)).toEqual([]);
+    }
+  });
+
+  it('should not use dua fields in the blog prompt', () => {
+    const prompt = renderPrompt(getPromptTemplate('blog'), {
+      title: 'Patience in hardship',
+      content: 'Allah is with those who are patient.',
+      tags: ['sabr', 'quran']
+    });
+
+    expect(prompt).toContain('Tags: sabr, quran');
+    expect(prompt).toContain('citations');
+    expect(prompt).not.toContain('Arabic Text');
+    expect(prompt).not.toContain('Source Reference');
+  });
+
+  it('should require the review sections of the content type', () => {
+    const schema = getPromptTemplate('answer').schema;
+
+    expect(validateAnalysis({ corrections: [], summary }, schema)).toEqual(['/ must have required property \'evidence\'']);
+    expect(validateAnalysis({ corrections: [], summary, evidence: [{ claim: 'x', source: '', status: 'maybe', note_english: '', note_bangla: '' }] }, schema))
+      .toEqual(['/evidence/0/status must be equal to one of the allowed values']);
+  });
+
+  it('should offer similar questions and drop duplicates that were not offered', async () => {
+    pool.query.mockImplementation(async (sql) => (
+      sql.includes('FROM questions') ? { rows: [{ id: 'q-1', title: 'Can witr be prayed after sleeping?' }] } : { rows: [] }
+    ));
+    const provider = scriptedProvider({
+      clarity: { score: 0.9, english: 'Clear.', bangla: 'স্পষ্ট।' },
+      duplicates: [
+        { question_id: 'q-1', reason_english: 'Same question.', reason_bangla: 'একই প্রশ্ন।' },
+        { question_id: 'made-up', reason_english: 'Same question.', reason_bangla: 'একই প্রশ্ন।' }
+      ],
+      corrections: [],
+      summary
+    });
+    const service = new AIService({ providers: [provider] });
+
+    const analysis = await service.generateAnalysis('question', { title: 'Praying witr after sleep', content: 'Is it allowed?' });
+
+    expect(provider.generate.mock.calls[0][0]).toContain('- q-1: Can witr be prayed after sleeping?');
+    expect(analysis.duplicates.map(duplicate => duplicate.question_id)).toEqual(['q-1']);
+    expect(analysis.prompt_version).toBe(getPromptTemplate('question').version);
+  });
+
+  it('should include the question when analyzing an answer', async () => {
+    pool.query.mockImplementation(async (sql) => (
+      sql.includes('FROM questions WHERE id') ? { rows: [{ title: 'Is witr obligatory?', content: 'Please explain.' }] } : { rows: [] }
+    ));
+    const provider = scriptedProvider({ evidence: [], corrections: [], summary });
+    const service = new AIService({ providers: [provider] });
+
+    await service.generateAnalysis('answer', { content: 'Witr is strongly recommended.', question_id: 'q-1' });
+
+    expect(provider.generate.mock.calls[0][0]).toContain('Question: Is witr obligatory?');
+  });
+
+  it('should store each template version once per process', async () => {
+    pool.query.mockImplementation(async (sql, params) => (
+      sql.includes('INSERT INTO ai_prompt_templates')
+        ? { rows: [{ template: params[2], output_schema: JSON.parse(params[3]) }] }
+        : { rows: [] }
+    ));
+    // Fresh modules, so templates stored by earlier tests don't count
+    let IsolatedAIService;
+    jest.isolateModules(() => {
+      IsolatedAIService = require('../services/aiService').AIService;
+    });
+    const service = new IsolatedAIService({ providers: [createProvider('mock')] });
+
+    await service.generateAnalysis('blog', { title: 'Patience', content: 'Be patient.' });
+    await service.generateAnalysis('blog', { title: 'Patience', content: 'Be patient.' });
+
+    const inserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO ai_prompt_templates'));
+    expect(inserts).toHaveLength(Object.keys(TEMPLATES).length);
+  });
+});
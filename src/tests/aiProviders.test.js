@@ -0,0 +1,74 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const { AIService } = require('../services/aiService');
+const { createProvider, parseProviderNames } = require('../services/ai/providers');
+
+const completeDua = {
+  title: 'Dua before sleeping',
+  arabic_text: 'بِاسْمِكَ اللَّهُمَّ أَمُوتُ وَأَحْيَا',
+  english_meaning: 'In Your name, O Allah, I die and I live',
+  source_reference: 'Sahih al-Bukhari 6324'
+};
+
+const failingProvider = (name) => ({
+  name,
+  generate: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'))
+});
+
+describe('AI providers', () => {
+  it('should parse the configured provider order', () => {
+    expect(parseProviderNames(' openai-compatible, mock ,,local')).toEqual(['openai-compatible', 'mock', 'local']);
+  });
+
+  it('should reject unknown provider names', () => {
+    expect(() => createProvider('gpt-9')).toThrow('Unknown AI provider: gpt-9');
+  });
+
+  it('should return the same mock analysis for the same content', async () => {
+    const service = new AIService({ providers: [createProvider('mock')] });
+
+    const first = await service.generateAnalysis('dua', completeDua);
+    const second = await service.generateAnalysis('dua', completeDua);
+
+    expect(first).toEqual(second);
+    expect(first.provider).toBe('mock');
+    expect(first.corrections).toEqual([]);
+    expect(first.summary.english).toContain('looks complete');
+  });
+
+  it('should report missing fields from the mock provider', async () => {
+    const service = new AIService({ providers: [createProvider('mock')] });
+
+    const analysis = await service.generateAnalysis('dua', { title: 'Untitled', arabic_text: 'سُبْحَانَ اللَّهِ' });
+
+    expect(analysis.corrections.map(correction => correction.field)).toEqual(['english_meaning', 'source_reference']);
+  });
+
+  it('should fall back to the next provider in order', async () => {
+    const first = failingProvider('openai-compatible');
+    const service = new AIService({ providers: [first, createProvider('mock'), createProvider('local')] });
+
+    const analysis = await service.generateAnalysis('dua', completeDua);
+
+    expect(first.generate).toHaveBeenCalledTimes(1);
+    expect(analysis.provider).toBe('mock');
+  });
+
+  it('should not let queued jobs fall back to rule-based checks', async () => {
+    const local = createProvider('local');
+    jest.spyOn(local, 'generate');
+    const service = new AIService({ providers: [failingProvider('hf-router'), local] });
+
+    await expect(service.generateAnalysis('dua', completeDua, { source: 'queue' })).rejects.toThrow('AI service temporarily unavailable');
+    expect(local.generate).not.toHaveBeenCalled();
+
+    const draft = await service.generateAnalysis('dua', completeDua, { source: 'draft' });
+    expect(draft.provider).toBe('local');
+  });
+
+  it('should fail when every provider fails', async () => {
+    const service = new AIService({ providers: [failingProvider('hf-router'), failingProvider('hf-inference')] });
+
+    await expect(service.generateAnalysis('dua', completeDua)).rejects.toThrow('AI service temporarily unavailable');
+  });
+});
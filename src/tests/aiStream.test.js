@@ -0,0 +1,205 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../middleware/auth', () => {
+  const allow = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { id: 'user-1', role: 'user' };
+      next();
+    },
+    requireScholar: allow,
+    requireAdmin: allow
+  };
+});
+jest.mock('../middleware/aiQuota', () => ({
+  enforceAIQuota: (req, res, next) => next()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const pool = require('../database/connection');
+const aiService = require('../services/aiService');
+const { AIService } = aiService;
+const { createProvider } = require('../services/ai/providers');
+const CorrectionStreamParser = require('../services/ai/streamParser');
+const aiRoutes = require('../routes/ai');
+
+const draftDua = {
+  title: 'Dua for protection',
+  arabic_text: 'اللَّهُمَّ إِنِّي أَعُوذُ بِكَ مِنْ عَذَابِ جَهَنَّمَ'
+};
+
+const collectEvents = () => {
+  const events = [];
+  const onEvent = (event, data) => events.push({ event, data });
+  return { events, onEvent, names: () => events.map(({ event }) => event) };
+};
+
+// Parse a raw SSE body into { event, data } pairs
+const parseEvents = (body) => body
+  .split('\n\n')
+  .map(block => block.split('\n'))
+  .filter(lines => lines.some(line => line.startsWith('event: ')))
+  .map(lines => ({
+    event: lines.find(line => line.startsWith('event: ')).slice(7),
+    data: JSON.parse(lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n'))
+  }));
+
+describe('Streaming draft analysis', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('CorrectionStreamParser', () => {
+    const output = JSON.stringify({
+      corrections: [
+        { field: 'title', issue_english: 'Use "quotes" and {braces}', suggestion_english: '[x]' },
+        { field: 'source_reference', issue_english: 'Missing' }
+      ],
+      summary: { english: 'Done', bangla: 'সম্পন্ন' }
+    });
+
+    it('should return each correction once it is complete, whatever the chunking', () => {
+      for (const size of [1, 7, output.length]) {
+        const parser = new CorrectionStreamParser();
+        const found = [];
+        for (let i = 0; i < output.length; i += size) {
+          found.push(...parser.push(output.slice(i, i + size)));
+        }
+        expect(found.map(correction => correction.field)).toEqual(['title', 'source_reference']);
+        expect(found[0].issue_english).toBe('Use "quotes" and {braces}');
+      }
+    });
+
+    it('should not report a correction before its closing brace arrives', () => {
+      const parser = new CorrectionStreamParser();
+      expect(parser.push('Sure! {"corrections": [{"field": "title", "issue_english": "Sh')).toEqual([]);
+      expect(parser.push('ort"}')).toEqual([{ field: 'title', issue_english: 'Short' }]);
+      expect(parser.push('], "summary": {"english": "x"}}')).toEqual([]);
+    });
+  });
+
+  describe('AIService', () => {
+    it('should emit tokens and corrections from a streaming provider', async () => {
+      const service = new AIService({ providers: [createProvider('mock')] });
+      const { events, onEvent, names } = collectEvents();
+
+      const analysis = await service.generateAnalysis('dua', draftDua, { onEvent });
+
+      expect(names()[0]).toBe('provider');
+      expect(events[0].data).toEqual({ provider: 'mock', streaming: true });
+
+      const text = events.filter(({ event }) => event === 'token').map(({ data }) => data.text).join('');
+      expect(text).toBe(await createProvider('mock').generate('', { contentType: 'dua', content: draftDua }));
+
+      const streamed = events.filter(({ event }) => event === 'correction').map(({ data }) => data.correction);
+      expect(streamed.length).toBeGreaterThan(0);
+      expect(streamed).toEqual(analysis.corrections);
+    });
+
+    it('should fall back to a single call for providers that cannot stream', async () => {
+      const service = new AIService({ providers: [createProvider('local')] });
+      const { events, onEvent, names } = collectEvents();
+
+      const analysis = await service.generateAnalysis('dua', draftDua, { onEvent, source: 'draft' });
+
+      expect(analysis.provider).toBe('local');
+      expect(names()).toEqual(['provider']);
+      expect(events[0].data).toEqual({ provider: 'local', streaming: false });
+    });
+
+    it('should report re-prompts after invalid streamed output', async () => {
+      const valid = await createProvider('mock').generate('', { contentType: 'dua', content: draftDua });
+      const stream = jest.fn()
+        .mockImplementationOnce(async (prompt, context, onToken) => {
+          onToken('not json');
+          return 'not json';
+        })
+        .mockImplementationOnce(async (prompt, context, onToken) => {
+          onToken(valid);
+          return valid;
+        });
+      const service = new AIService({ providers: [{ name: 'flaky', cacheable: false, stream }] });
+      const { events, onEvent, names } = collectEvents();
+
+      await service.generateAnalysis('dua', draftDua, { onEvent });
+
+      expect(stream).toHaveBeenCalledTimes(2);
+      expect(names()).toContain('retry');
+      expect(events.find(({ event }) => event === 'retry').data).toMatchObject({ provider: 'flaky', attempt: 2 });
+    });
+
+    it('should not try further providers once cancelled', async () => {
+      const controller = new AbortController();
+      const first = {
+        name: 'first',
+        cacheable: false,
+        generate: jest.fn(async () => {
+          controller.abort();
+          throw new Error('aborted');
+        })
+      };
+      const second = { name: 'second', cacheable: false, generate: jest.fn() };
+      const service = new AIService({ providers: [first, second] });
+
+      await expect(service.generateAnalysis('dua', draftDua, { signal: controller.signal }))
+        .rejects.toThrow('Analysis cancelled');
+      expect(second.generate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/ai/analyze-draft/stream', () => {
+    const createApp = () => {
+      const app = express();
+      app.use(express.json());
+      app.use('/api/ai', aiRoutes);
+      return app;
+    };
+
+    let providers;
+    beforeEach(() => {
+      providers = aiService.providers;
+    });
+    afterEach(() => {
+      aiService.providers = providers;
+    });
+
+    it('should stream events and end with the validated result', async () => {
+      aiService.providers = [createProvider('mock')];
+
+      const response = await request(createApp())
+        .post('/api/ai/analyze-draft/stream')
+        .send({ contentType: 'dua', content: draftDua });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/event-stream/);
+
+      const events = parseEvents(response.text);
+      const result = events[events.length - 1];
+      expect(result.event).toBe('result');
+      expect(result.data.status).toBe('completed');
+      expect(result.data.analysis.provider).toBe('mock');
+      expect(events.map(({ event }) => event)).toEqual(expect.arrayContaining(['provider', 'token', 'correction']));
+    });
+
+    it('should end with an error event when every provider fails', async () => {
+      aiService.providers = [{ name: 'down', cacheable: false, generate: jest.fn().mockRejectedValue(new Error('down')) }];
+
+      const response = await request(createApp())
+        .post('/api/ai/analyze-draft/stream')
+        .send({ contentType: 'dua', content: draftDua });
+
+      const events = parseEvents(response.text);
+      expect(events[events.length - 1]).toEqual({ event: 'error', data: { error: 'AI service temporarily unavailable' } });
+    });
+
+    it('should reject invalid drafts before opening the stream', async () => {
+      const response = await request(createApp())
+        .post('/api/ai/analyze-draft/stream')
+        .send({ contentType: 'poem', content: draftDua });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid content type');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const pool = require('../database/connection');
+const aiUsage = require('../services/ai/usage');
+const { enforceAIQuota } = require('../middleware/aiQuota');
+const { AIService } = require('../services/aiService');
+const { createProvider } = require('../services/ai/providers');
+
+const usageInserts = () => pool.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO ai_usage'))
+  .map(([, params]) => params);
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  res.set = jest.fn().mockReturnValue(res);
+  res.on = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+// Answer the quota count with the given usage; transactions run on the same mock
+const usedSoFar = (daily, monthly) => {
+  pool.query.mockImplementation(async (sql) => (
+    sql.includes('COUNT(DISTINCT request_id)') ? { rows: [{ daily: String(daily), monthly: String(monthly) }] } : { rows: [] }
+  ));
+};
+
+const queries = () => pool.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+
+describe('AI usage and quotas', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+    pool.connect.mockResolvedValue({ query: pool.query, release: jest.fn() });
+    delete process.env.AI_QUOTA_USER_DAILY;
+  });
+
+  it('should use role defaults unless overridden by the environment', () => {
+    expect(aiUsage.getQuota('user')).toEqual(aiUsage.DEFAULT_QUOTAS.user);
+    expect(aiUsage.getQuota('admin')).toEqual({ daily: 0, monthly: 0 });
+
+    process.env.AI_QUOTA_USER_DAILY = '5';
+    expect(aiUsage.getQuota('user').daily).toBe(5);
+  });
+
+  it('should reset quotas at UTC midnight and the first of the month', () => {
+    const bounds = aiUsage.getPeriodBounds(new Date('2025-03-31T22:15:00Z'));
+
+    expect(bounds.daily.resetsAt.toISOString()).toBe('2025-04-01T00:00:00.000Z');
+    expect(bounds.monthly.start.toISOString()).toBe('2025-03-01T00:00:00.000Z');
+    expect(bounds.monthly.resetsAt.toISOString()).toBe('2025-04-01T00:00:00.000Z');
+  });
+
+  it('should answer 429 with the reset time when the daily quota is used up', async () => {
+    usedSoFar(20, 45);
+    const req = { user: { id: 'user-1', role: 'user' }, body: { contentType: 'dua' } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await enforceAIQuota(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(429);
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ error: 'AI daily quota exceeded', quota: 'daily', limit: 20 });
+    expect(body.resets_at).toBe(aiUsage.getPeriodBounds().daily.resetsAt.toISOString());
+    expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+    expect(usageInserts()).toHaveLength(0);
+  });
+
+  it('should let admins through without a limit', async () => {
+    usedSoFar(500, 9000);
+    const req = { user: { id: 'admin-1', role: 'admin' }, body: { contentType: 'dua' } };
+    const next = jest.fn();
+
+    await enforceAIQuota(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.aiQuota.daily).toMatchObject({ limit: null, remaining: null, used: 500 });
+  });
+
+  it('should reserve the request under a per-user lock before letting it run', async () => {
+    usedSoFar(3, 40);
+    const req = { user: { id: 'user-1', role: 'user' }, body: { contentType: 'dua' } };
+    const res = mockResponse();
+    const next = jest.fn();
+
+    await enforceAIQuota(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(queries()).toEqual(['BEGIN', 'SELECT pg_advisory_xact_lock($1, hashtext($2))', 'SELECT COUNT(DISTINCT request_id)', 'INSERT INTO ai_usage', 'COMMIT']);
+    expect(pool.query.mock.calls[1][1][1]).toBe('user-1');
+    expect(usageInserts()[0]).toEqual([req.aiRequestId, 'user-1', 'draft', 'dua']);
+
+    // The reservation goes once the response has been sent
+    pool.query.mockClear();
+    const [event, release] = res.on.mock.calls[0];
+    expect(event).toBe('close');
+    release();
+    expect(pool.query).toHaveBeenCalledWith(expect.stringContaining("status = 'reserved'"), [req.aiRequestId]);
+  });
+
+  it('should record an analysis under the request id its quota reserved', async () => {
+    const service = new AIService({ providers: [createProvider('mock')] });
+
+    await service.generateAnalysis('dua', { title: 'Dua' }, { userId: 'user-1', source: 'draft', requestId: 'reserved-request' });
+
+    expect(usageInserts()[0][0]).toBe('reserved-request');
+  });
+
+  it('should record every provider call of an analysis under one request', async () => {
+    const failing = { name: 'hf-router', modelId: 'gemma', generate: jest.fn().mockRejectedValue(new Error('503')) };
+    const reporting = {
+      name: 'openai-compatible',
+      modelId: 'local gemma3',
+      generate: jest.fn().mockResolvedValue({
+        text: JSON.stringify({ analysis: {}, corrections: [], summary: { english: 'Fine', bangla: 'ঠিক আছে' } }),
+        usage: { prompt_tokens: 900, completion_tokens: 120 }
+      })
+    };
+    const service = new AIService({ providers: [failing, reporting] });
+
+    await service.generateAnalysis('dua', { title: 'Dua' }, { userId: 'user-1', source: 'draft' });
+
+    const [errorCall, successCall] = usageInserts();
+    expect(errorCall[0]).toBe(successCall[0]);
+    expect(errorCall.slice(1, 8)).toEqual(['user-1', 'draft', 'dua', null, 'hf-router', 'gemma', 'error']);
+    expect(successCall.slice(5, 12)).toEqual(['openai-compatible', 'local gemma3', 'success', 900, 120, 1020, false]);
+  });
+
+  it('should estimate tokens for providers that do not report usage', async () => {
+    const service = new AIService({ providers: [createProvider('mock')] });
+
+    await service.generateAnalysis('dua', { title: 'Dua' });
+
+    const [call] = usageInserts();
+    expect(call[7]).toBe('success');
+    expect(call[8]).toBeGreaterThan(0);
+    expect(call[11]).toBe(true);
+  });
+});
@@ -0,0 +1,101 @@
+const { AIWorker, getBackoffMs } = require('../services/aiWorker');
+
+// Fake pool that answers the worker's claim query with the given job
+const createFakePool = (job) => ({
+  query: jest.fn(async (sql) => {
+    if (sql.includes('FOR UPDATE SKIP LOCKED')) {
+      return { rows: job ? [job] : [] };
+    }
+    return { rows: [] };
+  })
+});
+
+const findCall = (pool, text) => pool.query.mock.calls.find(([sql]) => sql.includes(text));
+
+const baseJob = {
+  id: 'job-1',
+  content_type: 'dua',
+  content_id: 'dua-1',
+  attempts: 1,
+  max_attempts: 5,
+  started_at: new Date()
+};
+
+describe('AI Worker', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should double the backoff per attempt up to the cap', () => {
+    const options = { baseBackoffMs: 1000, maxBackoffMs: 5000 };
+
+    expect(getBackoffMs(1, options)).toBe(1000);
+    expect(getBackoffMs(2, options)).toBe(2000);
+    expect(getBackoffMs(3, options)).toBe(4000);
+    expect(getBackoffMs(4, options)).toBe(5000);
+  });
+
+  it('should return null when no job is due', async () => {
+    const pool = createFakePool(null);
+    const processor = jest.fn();
+    const worker = new AIWorker({ pool, processor, workerId: 'test' });
+
+    expect(await worker.runOnce()).toBeNull();
+    expect(processor).not.toHaveBeenCalled();
+  });
+
+  it('should complete a job and its older duplicates', async () => {
+    const pool = createFakePool(baseJob);
+    const worker = new AIWorker({ pool, processor: async () => ({ summary: 'ok' }), workerId: 'test' });
+
+    await worker.runOnce();
+
+    const complete = findCall(pool, "SET status = 'completed', result = $3");
+    expect(complete[1]).toEqual(['job-1', 'test', JSON.stringify({ summary: 'ok' }), null]);
+    expect(findCall(pool, "status = 'pending' AND created_at <= $3")).toBeDefined();
+  });
+
+  it('should schedule a retry with backoff when a job fails', async () => {
+    const pool = createFakePool({ ...baseJob, attempts: 2 });
+    const worker = new AIWorker({
+      pool,
+      processor: async () => { throw new Error('Model unavailable'); },
+      workerId: 'test',
+      baseBackoffMs: 1000
+    });
+
+    await worker.runOnce();
+
+    const retry = findCall(pool, "SET status = 'pending'");
+    expect(retry[1]).toEqual(['job-1', 'test', 'Model unavailable', 2000]);
+  });
+
+  it('should dead-letter a job that fails its last attempt', async () => {
+    const pool = createFakePool({ ...baseJob, attempts: 5 });
+    const worker = new AIWorker({
+      pool,
+      processor: async () => { throw new Error('Model unavailable'); },
+      workerId: 'test'
+    });
+
+    await worker.runOnce();
+
+    expect(findCall(pool, "SET status = 'dead', error_message = $3")).toBeDefined();
+    expect(findCall(pool, "SET status = 'pending'")).toBeUndefined();
+  });
+
+  it('should stop the polling loop promptly', async () => {
+    const worker = new AIWorker({ pool: createFakePool(null), processor: jest.fn(), workerId: 'test', pollIntervalMs: 60000 });
+
+    const running = worker.start();
+    await new Promise(resolve => setImmediate(resolve));
+    worker.stop();
+
+    await expect(running).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,72 @@
+const request = require('supertest');
+
+const { createApp } = require('../app');
+const DatabaseInitializer = require('../database/initialize');
+
+describe('App factory', () => {
+  it('should serve the health check without touching the database', async () => {
+    const app = createApp({ initializeDatabase: false });
+
+    const response = await request(app)
+      .get('/health')
+      .expect(200);
+
+    expect(response.body.status).toBe('OK');
+    expect(response.headers['x-response-time']).toBeDefined();
+  });
+
+  it('should return JSON 404s for unknown routes', async () => {
+    const app = createApp({ initializeDatabase: false });
+
+    const response = await request(app)
+      .get('/api/does-not-exist')
+      .expect(404);
+
+    expect(response.body.error).toBe('Not Found');
+    expect(response.body.path).toBe('/api/does-not-exist');
+  });
+
+  it('should let callers customize the middleware stack', async () => {
+    const app = createApp({
+      initializeDatabase: false,
+      middleware: (stack) => [
+        ...stack.filter(({ name }) => name !== 'rateLimit'),
+        {
+          name: 'marker',
+          handler: (req, res, next) => {
+            res.set('X-Test-Marker', 'yes');
+            next();
+          }
+        }
+      ]
+    });
+
+    const response = await request(app)
+      .get('/health')
+      .expect(200);
+
+    expect(response.headers['x-test-marker']).toBe('yes');
+    expect(response.headers['ratelimit-limit']).toBeUndefined();
+  });
+
+  it('should answer 503 until the database initializes, retrying on each request', async () => {
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ensureInitialized = jest.spyOn(DatabaseInitializer, 'ensureInitialized')
+      .mockRejectedValueOnce(new Error('connection refused'))
+      .mockResolvedValue(true);
+    const app = createApp();
+
+    try {
+      const failed = await request(app).get('/api/does-not-exist').expect(503);
+      expect(failed.body).toEqual({ error: 'Database initialization failed' });
+
+      await request(app).get('/api/does-not-exist').expect(404);
+      expect(ensureInitialized).toHaveBeenCalledTimes(2);
+    } finally {
+      process.env.NODE_ENV = env;
+      jest.restoreAllMocks();
+    }
+  });
+});
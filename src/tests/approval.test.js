@@ -0,0 +1,395 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: req.get('X-Test-User'), role: req.get('X-Test-Role') || 'scholar' };
+    next();
+  },
+  requireRole: () => (req, res, next) => next(),
+  restrictSuspended: () => (req, res, next) => next()
+}));
+jest.mock('../services/approvalService', () => ({
+  ...jest.requireActual('../services/approvalService'),
+  getContent: jest.fn(),
+  listVotes: jest.fn(),
+  recordVote: jest.fn(),
+  applyDecision: jest.fn(),
+  requestChanges: jest.fn(),
+  returnToReview: jest.fn(),
+  getEscalationReviewers: jest.fn()
+}));
+jest.mock('../services/assignmentService', () => ({
+  ...jest.requireActual('../services/assignmentService'),
+  expireAssignments: jest.fn(),
+  getActiveAssignment: jest.fn(),
+  claim: jest.fn(),
+  endAssignment: jest.fn(),
+  reassign: jest.fn(),
+  findNextForReviewer: jest.fn()
+}));
+jest.mock('../services/auditService', () => ({
+  ...jest.requireActual('../services/auditService'),
+  recordAudit: jest.fn()
+}));
+jest.mock('../services/suggestionService', () => ({
+  ...jest.requireActual('../services/suggestionService'),
+  createSuggestions: jest.fn(),
+  getSuggestion: jest.fn(),
+  resolveSuggestion: jest.fn(),
+  applySuggestion: jest.fn(),
+  countByStatus: jest.fn(),
+  supersedePending: jest.fn(),
+  addComment: jest.fn()
+}));
+jest.mock('../services/notificationService', () => ({ createNotification: jest.fn() }));
+jest.mock('../services/revisionService', () => ({ markApproved: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const approvalPolicy = require('../services/approvalPolicy');
+const approvalService = require('../services/approvalService');
+const assignmentService = require('../services/assignmentService');
+const auditService = require('../services/auditService');
+const suggestionService = require('../services/suggestionService');
+const pool = require('../database/connection');
+const { createNotification } = require('../services/notificationService');
+const approvalRoutes = require('../routes/approval');
+
+const vote = (value, extra = {}) => ({ vote: value, is_ruling: false, ...extra });
+
+describe('Approval workflow', () => {
+  describe('approval policy', () => {
+    afterEach(() => {
+      delete process.env.APPROVALS_REQUIRED_DUA;
+      delete process.env.APPROVALS_REQUIRED_HADITH;
+    });
+
+    it('should require more approvals for content citing hadith', () => {
+      expect(approvalPolicy.getRequiredApprovals('dua', { source_reference: 'Quran 2:201' })).toBe(2);
+      expect(approvalPolicy.getRequiredApprovals('dua', { source_reference: 'Sahih al-Bukhari 6306' })).toBe(3);
+      expect(approvalPolicy.getRequiredApprovals('blog', { title: 'Morning adhkar', content: 'As narrated by Abu Dawud...' })).toBe(3);
+      expect(approvalPolicy.makesHadithClaim('dua', { source_reference: 'Quran 2:201', purpose: 'A dua every Muslim should know' })).toBe(false);
+    });
+
+    it('should read requirements from the environment', () => {
+      process.env.APPROVALS_REQUIRED_DUA = '1';
+      process.env.APPROVALS_REQUIRED_HADITH = '2';
+
+      expect(approvalPolicy.getRequiredApprovals('dua', { source_reference: 'Quran 2:201' })).toBe(1);
+      expect(approvalPolicy.getRequiredApprovals('dua', { source_reference: 'Jami at-Tirmidhi 3479' })).toBe(2);
+    });
+
+    it('should decide from the votes cast', () => {
+      expect(approvalPolicy.evaluateVotes([vote('approve')], 2)).toBe('pending');
+      expect(approvalPolicy.evaluateVotes([vote('approve'), vote('approve')], 2)).toBe('approved');
+      expect(approvalPolicy.evaluateVotes([vote('reject')], 2)).toBe('rejected');
+      expect(approvalPolicy.evaluateVotes([vote('approve'), vote('reject')], 2)).toBe('escalated');
+      expect(approvalPolicy.evaluateVotes([vote('approve'), vote('reject'), vote('approve', { is_ruling: true })], 3))
+        .toBe('approved');
+    });
+  });
+
+  describe('review rounds', () => {
+    const published = { is_public: true, approval_status: 'approved' };
+
+    it('should start a new round when reviewed fields of public content change', () => {
+      expect(approvalService.isReviewedChange('dua', published, ['arabic_text'])).toBe(true);
+      expect(approvalService.isReviewedChange('dua', { ...published, approval_status: 'pending' }, ['categories'])).toBe(true);
+      expect(approvalService.isReviewedChange('blog', { is_published: true, approval_status: 'approved' }, ['content'])).toBe(true);
+    });
+
+    it('should leave private, rejected and unreviewed edits alone', () => {
+      expect(approvalService.isReviewedChange('dua', published, ['is_public'])).toBe(false);
+      expect(approvalService.isReviewedChange('dua', { ...published, is_public: false }, ['title'])).toBe(false);
+      expect(approvalService.isReviewedChange('dua', { ...published, approval_status: 'rejected' }, ['title'])).toBe(false);
+      expect(approvalService.isReviewedChange('dua', { ...published, approval_status: 'changes_requested' }, ['title'])).toBe(false);
+    });
+
+    it('should undo verification when resetting approval', () => {
+      expect(approvalService.APPROVAL_RESET).toMatch(/is_verified = false/);
+      expect(approvalService.APPROVAL_RESET).toMatch(/verification_count = 0/);
+      expect(approvalService.APPROVAL_RESET).toMatch(/review_round = review_round \+ 1/);
+    });
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/approval', approvalRoutes);
+
+  const dua = {
+    id: '7d6c4a64-7a43-4a53-9d1b-3c3c6d7cb0a1',
+    title: 'Dua for protection',
+    user_id: 'author',
+    source_reference: 'Quran 2:201',
+    approval_status: 'pending',
+    review_round: 1,
+    escalated_at: null
+  };
+
+  const post = (path, userId, role = 'scholar') => request(app)
+    .post(`/api/approval/dua/${dua.id}/${path}`)
+    .set('X-Test-User', userId)
+    .set('X-Test-Role', role);
+
+  const approve = (userId, role) => post('approve', userId, role).send({});
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    approvalService.getContent.mockResolvedValue(dua);
+    approvalService.listVotes.mockResolvedValue([]);
+    approvalService.recordVote.mockImplementation(async (type, content, reviewer, value) => vote(value));
+    approvalService.applyDecision.mockImplementation(async (type, content, decision) =>
+      (decision === 'pending' ? null : { ...content, approval_status: decision }));
+    assignmentService.getActiveAssignment.mockResolvedValue(null);
+  });
+
+  describe('voting routes', () => {
+
+    it('should not let authors review their own content', async () => {
+      const response = await approve('author');
+
+      expect(response.status).toBe(403);
+      expect(approvalService.recordVote).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a second vote from the same reviewer', async () => {
+      approvalService.recordVote.mockResolvedValue(null);
+
+      const response = await approve('scholar-1');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should keep content pending until enough reviewers approve', async () => {
+      approvalService.listVotes.mockResolvedValue([vote('approve')]);
+
+      const response = await approve('scholar-1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Approval recorded; 1 more needed');
+      expect(response.body.review).toMatchObject({ required: 2, approvals: 1, decision: 'pending' });
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should publish and notify the author once the policy is met', async () => {
+      approvalService.listVotes.mockResolvedValue([vote('approve'), vote('approve')]);
+
+      const response = await approve('scholar-2');
+
+      expect(response.body.review.decision).toBe('approved');
+      expect(approvalService.applyDecision).toHaveBeenCalledWith('dua', dua, 'approved', expect.objectContaining({ approvals: 2 }));
+      expect(createNotification).toHaveBeenCalledWith('author', 'approval', 'Dua Approved', expect.any(String), 'dua', dua.id);
+      expect(auditService.recordAudit).toHaveBeenCalledWith(expect.anything(), {
+        action: 'approve',
+        targetType: 'dua',
+        targetId: dua.id,
+        before: expect.objectContaining({ approval_status: 'pending' }),
+        after: expect.objectContaining({ approval_status: 'approved' }),
+        reason: null
+      });
+    });
+
+    it('should escalate conflicting votes to managers', async () => {
+      approvalService.listVotes.mockResolvedValue([vote('approve'), vote('reject')]);
+      approvalService.getEscalationReviewers.mockResolvedValue(['manager-1', 'admin-1']);
+
+      const response = await post('reject', 'scholar-2')
+        .send({ reason: 'The source reference does not match the text' });
+
+      expect(response.body.review.decision).toBe('escalated');
+      expect(createNotification).toHaveBeenCalledTimes(2);
+      expect(createNotification).toHaveBeenCalledWith('manager-1', 'escalation', 'Dua Review Escalated', expect.any(String), 'dua', dua.id);
+    });
+
+    it('should only let managers rule on escalated content', async () => {
+      approvalService.getContent.mockResolvedValue({ ...dua, escalated_at: new Date().toISOString() });
+      approvalService.listVotes.mockResolvedValue([vote('approve'), vote('reject'), vote('approve', { is_ruling: true })]);
+
+      expect((await approve('scholar-3')).status).toBe(403);
+
+      const response = await approve('manager-1', 'manager');
+      expect(approvalService.recordVote).toHaveBeenCalledWith('dua', expect.anything(), expect.anything(), 'approve', expect.objectContaining({ isRuling: true }));
+      expect(response.body.review.decision).toBe('approved');
+    });
+  });
+
+  describe('review assignments', () => {
+    const claimedBy = (reviewerId) => ({ reviewer_id: reviewerId, reviewer_name: 'Other Scholar', expires_at: '2026-10-18T12:30:00.000Z' });
+
+    it('should lock content for the reviewer who claims it', async () => {
+      assignmentService.claim.mockResolvedValue(claimedBy('scholar-1'));
+
+      const response = await post('claim', 'scholar-1');
+
+      expect(response.status).toBe(200);
+      expect(assignmentService.claim).toHaveBeenCalledWith('dua', dua, 'scholar-1');
+    });
+
+    it('should refuse claims and votes while another reviewer holds the lock', async () => {
+      assignmentService.claim.mockResolvedValue(null);
+      assignmentService.getActiveAssignment.mockResolvedValue(claimedBy('scholar-2'));
+
+      const claim = await post('claim', 'scholar-1');
+      expect(claim.status).toBe(409);
+      expect(claim.body.claimed_by_name).toBe('Other Scholar');
+
+      const vote = await approve('scholar-1');
+      expect(vote.status).toBe(409);
+      expect(approvalService.recordVote).not.toHaveBeenCalled();
+    });
+
+    it('should complete the claim when its holder votes', async () => {
+      assignmentService.getActiveAssignment.mockResolvedValue(claimedBy('scholar-1'));
+      approvalService.listVotes.mockResolvedValue([vote('approve')]);
+
+      await approve('scholar-1');
+
+      expect(assignmentService.endAssignment).toHaveBeenCalledWith('dua', dua.id, 'completed', { reviewerId: 'scholar-1' });
+    });
+
+    it('should only let the holder or a manager release a claim', async () => {
+      assignmentService.getActiveAssignment.mockResolvedValue(claimedBy('scholar-2'));
+
+      expect((await post('release', 'scholar-1')).status).toBe(403);
+      expect((await post('release', 'manager-1', 'manager')).status).toBe(200);
+      expect(assignmentService.endAssignment).toHaveBeenCalledWith('dua', dua.id, 'released');
+    });
+
+    it('should let managers reassign content and notify the new reviewer', async () => {
+      const reviewerId = '0f1c2d3e-4b5a-4c6d-8e7f-901234567890';
+      pool.query.mockResolvedValue({ rows: [{ id: reviewerId, name: 'Scholar Two', role: 'scholar', is_active: true }] });
+      assignmentService.reassign.mockResolvedValue(claimedBy(reviewerId));
+
+      const response = await post('reassign', 'manager-1', 'manager').send({ reviewer_id: reviewerId });
+
+      expect(response.status).toBe(200);
+      expect(assignmentService.reassign).toHaveBeenCalledWith('dua', dua, reviewerId, 'manager-1');
+      expect(createNotification).toHaveBeenCalledWith(reviewerId, 'system', 'Review Assigned', expect.any(String), 'dua', dua.id);
+    });
+
+    it('should not audit or notify a reassignment another reviewer beat', async () => {
+      const reviewerId = '0f1c2d3e-4b5a-4c6d-8e7f-901234567890';
+      pool.query.mockResolvedValue({ rows: [{ id: reviewerId, name: 'Scholar Two', role: 'scholar', is_active: true }] });
+      assignmentService.reassign.mockResolvedValue(null);
+
+      const response = await post('reassign', 'manager-1', 'manager').send({ reviewer_id: reviewerId });
+
+      expect(response.status).toBe(409);
+      expect(auditService.recordAudit).not.toHaveBeenCalled();
+      expect(createNotification).not.toHaveBeenCalled();
+    });
+
+    it('should claim the next available content on auto-assignment', async () => {
+      assignmentService.findNextForReviewer.mockResolvedValue({ content_type: 'dua', id: dua.id });
+      assignmentService.claim.mockResolvedValue(claimedBy('scholar-1'));
+
+      const response = await request(app)
+        .post('/api/approval/assignments/next')
+        .set('X-Test-User', 'scholar-1');
+
+      expect(response.status).toBe(201);
+      expect(assignmentService.claim).toHaveBeenCalledWith('dua', dua, 'scholar-1', { source: 'auto' });
+    });
+  });
+
+  describe('requested changes', () => {
+    const suggestionId = '5b0c9a7e-1f2d-4e3c-8a9b-0c1d2e3f4a5b';
+    const awaitingAuthor = { ...dua, approval_status: 'changes_requested', changes_requested_by: 'scholar-1' };
+    const suggestion = {
+      id: suggestionId,
+      field: 'source_reference',
+      original_value: 'Quran 2:201',
+      suggested_value: 'Surah Al-Baqarah 2:201',
+      status: 'pending'
+    };
+
+    it('should send the content back to its author with suggested edits', async () => {
+      approvalService.requestChanges.mockResolvedValue(awaitingAuthor);
+      suggestionService.createSuggestions.mockImplementation(async (type, content, reviewerId, suggestions) => suggestions);
+
+      const response = await post('request-changes', 'scholar-1').send({
+        suggestions: [{ field: 'source_reference', value: 'Surah Al-Baqarah 2:201', note: 'Name the surah' }],
+        comment: 'Please cite the surah by name.'
+      });
+
+      expect(response.status).toBe(200);
+      expect(approvalService.requestChanges).toHaveBeenCalledWith('dua', dua, 'scholar-1');
+      expect(suggestionService.addComment).toHaveBeenCalledWith('dua', dua.id, 'scholar-1', 'Please cite the surah by name.');
+      expect(createNotification).toHaveBeenCalledWith('author', 'changes_requested', 'Changes Requested', expect.stringContaining('1 change(s)'), 'dua', dua.id);
+      expect(auditService.recordAudit).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'request_changes' }));
+    });
+
+    it('should only accept suggestions for editable fields', async () => {
+      const response = await post('request-changes', 'scholar-1').send({
+        suggestions: [{ field: 'user_id', value: 'someone-else' }]
+      });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Cannot suggest changes to user_id');
+      expect(approvalService.requestChanges).not.toHaveBeenCalled();
+    });
+
+    it('should only let the author respond to suggestions', async () => {
+      approvalService.getContent.mockResolvedValue(awaitingAuthor);
+
+      const response = await post(`suggestions/${suggestionId}/accept`, 'scholar-2');
+
+      expect(response.status).toBe(403);
+      expect(suggestionService.applySuggestion).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a suggestion whose field changed since it was made', async () => {
+      approvalService.getContent.mockResolvedValue({ ...awaitingAuthor, source_reference: 'Al-Baqarah 201' });
+      suggestionService.getSuggestion.mockResolvedValue(suggestion);
+
+      const response = await post(`suggestions/${suggestionId}/accept`, 'author', 'user');
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should return the content to the reviewer once every suggestion is answered', async () => {
+      const edited = { ...awaitingAuthor, source_reference: 'Surah Al-Baqarah 2:201' };
+      approvalService.getContent.mockResolvedValue(awaitingAuthor);
+      suggestionService.getSuggestion.mockResolvedValue(suggestion);
+      suggestionService.applySuggestion.mockResolvedValue({ content: edited, revision: { revision_number: 3 } });
+      suggestionService.resolveSuggestion.mockResolvedValue({ ...suggestion, status: 'accepted' });
+      suggestionService.countByStatus.mockResolvedValue({ pending: 0, accepted: 1, rejected: 0, superseded: 0 });
+      approvalService.returnToReview.mockResolvedValue({ ...edited, approval_status: 'pending', review_round: 2 });
+
+      const response = await post(`suggestions/${suggestionId}/accept`, 'author', 'user');
+
+      expect(response.status).toBe(200);
+      expect(response.body.returned_to_review).toBe(true);
+      // The content changed, so earlier votes no longer count
+      expect(approvalService.returnToReview).toHaveBeenCalledWith('dua', dua.id, { newRound: true });
+      expect(assignmentService.claim).toHaveBeenCalledWith('dua', expect.objectContaining({ review_round: 2 }), 'scholar-1', { source: 'returned' });
+    });
+
+    it('should keep waiting while suggestions are still open', async () => {
+      approvalService.getContent.mockResolvedValue(awaitingAuthor);
+      suggestionService.getSuggestion.mockResolvedValue(suggestion);
+      suggestionService.resolveSuggestion.mockResolvedValue({ ...suggestion, status: 'rejected' });
+      suggestionService.countByStatus.mockResolvedValue({ pending: 1, accepted: 0, rejected: 1, superseded: 0 });
+
+      const response = await post(`suggestions/${suggestionId}/reject`, 'author', 'user').send({ response: 'The reference is correct as written' });
+
+      expect(response.body.returned_to_review).toBe(false);
+      expect(approvalService.returnToReview).not.toHaveBeenCalled();
+    });
+
+    it('should nest replies under their comment', async () => {
+      const { listComments } = jest.requireActual('../services/suggestionService');
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { id: 'c1', parent_id: null, body: 'Please cite the surah by name.' },
+          { id: 'c2', parent_id: 'c1', body: 'Done, thank you.' },
+          { id: 'c3', parent_id: null, body: 'Approving now.' }
+        ]
+      });
+
+      const threads = await listComments('dua', dua.id);
+
+      expect(threads.map(comment => comment.id)).toEqual(['c1', 'c3']);
+      expect(threads[0].replies.map(comment => comment.id)).toEqual(['c2']);
+    });
+  });
+});
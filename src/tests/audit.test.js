@@ -0,0 +1,171 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = { id: 'admin-1', name: 'Admin', role: 'admin' };
+    next();
+  },
+  requireAdmin: (req, res, next) => next()
+}));
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const pool = require('../database/connection');
+const auditService = require('../services/auditService');
+const { formatCell, formatRow } = require('../utils/csv');
+const adminRoutes = require('../routes/admin');
+
+const entry = (id, extra = {}) => ({
+  id,
+  created_at: new Date('2026-10-01T09:00:00Z'),
+  actor_id: 'a1b2c3d4-0000-4000-8000-000000000001',
+  actor_name: 'Scholar One',
+  actor_role: 'scholar',
+  action: 'approve',
+  target_type: 'dua',
+  target_id: 'a1b2c3d4-0000-4000-8000-000000000002',
+  reason: null,
+  before_state: { approval_status: 'pending' },
+  after_state: { approval_status: 'approved' },
+  ip_address: '203.0.113.7',
+  ...extra
+});
+
+describe('Moderation audit log', () => {
+  beforeEach(() => {
+    pool.query.mockReset();
+    pool.query.mockResolvedValue({ rows: [] });
+  });
+
+  describe('CSV formatting', () => {
+    it('should quote cells with commas, quotes and line breaks', () => {
+      expect(formatCell('plain')).toBe('plain');
+      expect(formatCell('a, b')).toBe('"a, b"');
+      expect(formatCell('say "salam"\nnow')).toBe('"say ""salam""\nnow"');
+      expect(formatRow([1, null, { a: 1 }])).toBe('1,,"{""a"":1}"\r\n');
+    });
+
+    it('should defuse text that spreadsheets would run as a formula', () => {
+      expect(formatCell('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+      expect(formatCell('-1')).toBe("'-1");
+      expect(formatCell(-1)).toBe('-1');
+    });
+  });
+
+  describe('recordAudit', () => {
+    const req = { user: { id: 'manager-1', name: 'Manager', role: 'manager' }, ip: '198.51.100.4' };
+
+    it('should record the actor, state change, reason and IP', async () => {
+      await auditService.recordAudit(req, {
+        action: 'role_change',
+        targetType: 'user',
+        targetId: 'user-1',
+        before: { role: 'user' },
+        after: { role: 'scholar' },
+        reason: 'Completed the review training'
+      });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('INSERT INTO moderation_audit_log');
+      expect(params).toEqual([
+        'manager-1', 'Manager', 'manager', 'role_change', 'user', 'user-1',
+        '{"role":"user"}', '{"role":"scholar"}', 'Completed the review training', '198.51.100.4'
+      ]);
+    });
+
+    it('should never fail the moderation action when the write fails', async () => {
+      pool.query.mockRejectedValueOnce(new Error('connection lost'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(auditService.recordAudit(req, { action: 'verify', targetType: 'dua', targetId: 'dua-1' }))
+        .resolves.toBeNull();
+
+      console.error.mockRestore();
+    });
+
+    it('should keep only the moderation fields of a row', () => {
+      expect(auditService.pickState({ title: 'Dua', approval_status: 'approved', verification_count: 2 }))
+        .toEqual({ approval_status: 'approved', verification_count: 2 });
+    });
+  });
+
+  describe('GET /api/admin/audit', () => {
+    const app = express();
+    app.use('/api/admin', adminRoutes);
+
+    it('should filter entries and paginate', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [entry(7)] })
+        .mockResolvedValueOnce({ rows: [{ total: '1' }] });
+
+      const response = await request(app)
+        .get('/api/admin/audit?action=approve&target_type=dua&from=2026-10-01&limit=10');
+
+      expect(response.status).toBe(200);
+      expect(response.body.pagination).toEqual({ page: 1, limit: 10, total: 1, pages: 1 });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('WHERE action = $1 AND target_type = $2 AND created_at >= $3');
+      expect(params).toEqual(['approve', 'dua', '2026-10-01', 10, 0]);
+    });
+
+    it('should reject unknown actions', async () => {
+      const response = await request(app).get('/api/admin/audit?action=delete_everything');
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should export every matching entry as CSV in batches', async () => {
+      const firstBatch = Array.from({ length: 1000 }, (value, index) => entry(2000 - index));
+      pool.query
+        .mockResolvedValueOnce({ rows: firstBatch })
+        .mockResolvedValueOnce({ rows: [entry(5, { reason: 'Matches Sahih Muslim 2722' })] });
+
+      const response = await request(app).get('/api/admin/audit/export?actor_id=a1b2c3d4-0000-4000-8000-000000000001');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="moderation-audit-/);
+
+      const lines = response.text.replace(/^\uFEFF/, '').trim().split('\r\n');
+      expect(lines[0]).toBe('id,created_at,actor_id,actor_name,actor_role,action,target_type,target_id,reason,before_state,after_state,ip_address');
+      expect(lines).toHaveLength(1002);
+      expect(lines[1001]).toContain('Matches Sahih Muslim 2722');
+
+      // The second batch continues below the last id of the first
+      const [sql, params] = pool.query.mock.calls[1];
+      expect(sql).toContain('id < $2');
+      expect(params).toEqual(['a1b2c3d4-0000-4000-8000-000000000001', 1001]);
+    });
+
+    it('should wait for a slow client before loading more batches', async () => {
+      const batches = 40;
+      pool.query.mockImplementation(async (sql, params) => {
+        const start = params.length > 0 ? params[params.length - 1] : batches * 1000 + 1;
+        const count = start > 1 ? 1000 : 0;
+        return { rows: Array.from({ length: count }, (value, index) => entry(start - 1 - index)) };
+      });
+      const server = http.createServer(app);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+      try {
+        const response = await new Promise((resolve) => {
+          http.get(`http://127.0.0.1:${server.address().port}/api/admin/audit/export`, resolve);
+        });
+        response.pause();
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        // Only what fits in the socket buffers has been loaded
+        expect(pool.query.mock.calls.length).toBeLessThan(batches);
+
+        let lines = 0;
+        response.on('data', chunk => { lines += chunk.toString().split('\r\n').length - 1; });
+        await new Promise(resolve => response.on('end', resolve).resume());
+        expect(lines).toBe(batches * 1000 + 1);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -199,4 +199,89 @@ describe('Authentication Routes', () => {
       expect(response.body.error).toBe('Invalid or expired token');
     });
   });
+
+  describe('Sessions and refresh tokens', () => {
+    let token;
+    let refreshToken;
+
+    beforeEach(async () => {
+      const registerResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Test User',
+          email: 'test@example.com',
+          password: 'password123'
+        });
+
+      token = registerResponse.body.token;
+      refreshToken = registerResponse.body.refresh_token;
+    });
+
+    it('should rotate the refresh token and reject the old one', async () => {
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: refreshToken })
+        .expect(200);
+
+      expect(response.body.token).toBeDefined();
+      expect(response.body.refresh_token).not.toBe(refreshToken);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: refreshToken })
+        .expect(401);
+
+      // Reusing a rotated token revokes the whole session
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refresh_token: response.body.refresh_token })
+        .expect(401);
+    });
+
+    it('should list sessions and mark the current one', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.body.sessions).toHaveLength(1);
+      expect(response.body.sessions[0].current).toBe(true);
+    });
+
+    it('should reject the access token after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.error).toBe('Session has been revoked');
+    });
+
+    it('should revoke other sessions when the password changes', async () => {
+      const loginResponse = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'test@example.com', password: 'password123' });
+
+      await request(app)
+        .put('/api/auth/change-password')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(401);
+
+      await request(app)
+        .get('/api/auth/profile')
+        .set('Authorization', `Bearer ${loginResponse.body.token}`)
+        .expect(200);
+    });
+  });
 });
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const app = require('../server');
+const pool = require('../database/connection');
+
+describe('Collection Routes', () => {
+  let authToken;
+  let userId;
+  let collectionId;
+  let duaIds;
+
+  const registerUser = async (email) => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Test User', email, password: 'password123' });
+
+    return response.body;
+  };
+
+  beforeEach(async () => {
+    // Clean up test data (collections and duas cascade from users)
+    await pool.query('DELETE FROM users WHERE email LIKE $1', ['test%']);
+
+    const registered = await registerUser('test@example.com');
+    authToken = registered.token;
+    userId = registered.user.id;
+
+    duaIds = [];
+    for (const title of ['Test Dua A', 'Test Dua B', 'Test Dua C']) {
+      const result = await pool.query(
+        `INSERT INTO duas (title, source_reference, is_public, approval_status, user_id)
+         VALUES ($1, 'Test Source', true, 'approved', $2) RETURNING id`,
+        [title, userId]
+      );
+      duaIds.push(result.rows[0].id);
+    }
+
+    const collectionResponse = await request(app)
+      .post('/api/users/collections')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ name: 'Test Collection', is_public: true });
+
+    collectionId = collectionResponse.body.collection.id;
+
+    for (const duaId of duaIds) {
+      await request(app)
+        .post(`/api/users/collections/${collectionId}/duas/${duaId}`)
+        .set('Authorization', `Bearer ${authToken}`);
+    }
+  });
+
+  afterAll(async () => {
+    await pool.end();
+  });
+
+  it('should list items in the order they were added', async () => {
+    const response = await request(app)
+      .get(`/api/users/collections/${collectionId}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    expect(response.body.collection.items.map(item => item.title)).toEqual(['Test Dua A', 'Test Dua B', 'Test Dua C']);
+  });
+
+  it('should reorder items', async () => {
+    const newOrder = [duaIds[2], duaIds[0], duaIds[1]];
+
+    const response = await request(app)
+      .put(`/api/users/collections/${collectionId}/order`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ dua_ids: newOrder })
+      .expect(200);
+
+    expect(response.body.items.map(item => item.dua_id)).toEqual(newOrder);
+  });
+
+  it('should reject an order that leaves out items', async () => {
+    await request(app)
+      .put(`/api/users/collections/${collectionId}/order`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ dua_ids: [duaIds[0]] })
+      .expect(400);
+  });
+
+  it('should remove a dua from the collection', async () => {
+    await request(app)
+      .delete(`/api/users/collections/${collectionId}/duas/${duaIds[1]}`)
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    const response = await request(app)
+      .get(`/api/users/collections/${collectionId}`)
+      .set('Authorization', `Bearer ${authToken}`);
+
+    expect(response.body.collection.items).toHaveLength(2);
+  });
+
+  it('should show public collections without authentication', async () => {
+    const response = await request(app)
+      .get(`/api/users/collections/public/${collectionId}`)
+      .expect(200);
+
+    expect(response.body.collection.name).toBe('Test Collection');
+    expect(response.body.collection.items).toHaveLength(3);
+  });
+
+  it('should copy another user\'s public collection', async () => {
+    const other = await registerUser('test-other@example.com');
+
+    const response = await request(app)
+      .post(`/api/users/collections/${collectionId}/copy`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .expect(201);
+
+    expect(response.body.collection.copied_from_id).toBe(collectionId);
+    expect(response.body.collection.is_public).toBe(false);
+    expect(response.body.collection.items).toHaveLength(3);
+  });
+
+  it('should not let other users edit the collection', async () => {
+    const other = await registerUser('test-other@example.com');
+
+    await request(app)
+      .put(`/api/users/collections/${collectionId}`)
+      .set('Authorization', `Bearer ${other.token}`)
+      .send({ name: 'Renamed' })
+      .expect(404);
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const pool = require('../database/connection');
+const correctionService = require('../services/correctionService');
+
+describe('Correction Service', () => {
+  const correction = {
+    field: 'title',
+    issue_english: 'Too short',
+    issue_bangla: 'খুব ছোট',
+    suggestion_english: 'Dua for Protection from Hellfire',
+    suggestion_bangla: 'জাহান্নাম থেকে সুরক্ষার জন্য দোয়া'
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  it('should only apply suggestions for editable text fields', () => {
+    expect(correctionService.isApplicable(correction)).toBe(true);
+    expect(correctionService.isApplicable({ ...correction, field: 'is_public' })).toBe(false);
+    expect(correctionService.isApplicable({ ...correction, field: 'content' })).toBe(false);
+    expect(correctionService.isApplicable({ ...correction, suggestion_english: '  ' })).toBe(false);
+  });
+
+  it('should supersede pending corrections and keep the analyzed value', async () => {
+    pool.query
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: 'c-1', ...correction }] });
+
+    const stored = await correctionService.replaceCorrections('dua-1', [correction], { title: 'Hell' }, 2);
+
+    expect(pool.query.mock.calls[0][0]).toContain("SET status = 'superseded'");
+    expect(pool.query.mock.calls[1][1]).toEqual([
+      'dua-1', 'title', 'Too short', 'খুব ছোট', 'Dua for Protection from Hellfire', correction.suggestion_bangla, 'Hell', 2
+    ]);
+    expect(stored).toHaveLength(1);
+  });
+
+  it('should not resolve a correction twice', async () => {
+    pool.query.mockResolvedValueOnce({ rows: [] });
+
+    const resolved = await correctionService.resolveCorrection('c-1', 'dismissed', 'user-1');
+
+    expect(resolved).toBeNull();
+    expect(pool.query.mock.calls[0][0]).toContain("WHERE id = $1 AND status = 'pending'");
+  });
+
+  it('should claim a correction on the transaction it is applied in', async () => {
+    const client = { query: jest.fn().mockResolvedValueOnce({ rows: [{ id: 'c-1', ...correction, status: 'accepted' }] }) };
+
+    const claimed = await correctionService.resolveCorrection('c-1', 'accepted', 'user-1', { client });
+
+    expect(claimed.status).toBe('accepted');
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(pool.query).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,372 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/connection');
+const mailService = require('../services/mailService');
+const deliveryService = require('../services/deliveryService');
+const { DeliveryWorker } = require('../services/deliveryWorker');
+const { createNotification } = require('../services/notificationService');
+const { createUnsubscribeToken, verifyUnsubscribeToken } = require('../services/tokenService');
+const notificationRoutes = require('../routes/notifications');
+const { respond, signedIn, noRows, queriesMatching } = require('./helpers/sqlMock');
+
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+const recipient = (extra = {}) => ({
+  is_active: true,
+  email_verified: true,
+  notifications_enabled: true,
+  email_notifications: true,
+  frequency: null,
+  ...extra
+});
+
+const claimed = (id, extra = {}) => ({
+  id,
+  user_id: USER_ID,
+  attempts: 1,
+  type: 'approval',
+  title: 'Dua Approved',
+  message: 'Your dua "Morning remembrance" was approved.',
+  name: 'Amina',
+  email: 'amina@example.com',
+  native_language: 'english',
+  is_active: true,
+  ...extra
+});
+
+const notify = (type = 'approval') =>
+  createNotification(USER_ID, type, 'Dua Approved', 'Your dua "Morning remembrance" was approved.', 'dua', 'dua-1');
+
+// Status updates after sending, and the push delivery createNotification queues
+// when the user has a subscribed browser (these tests' users have none)
+const statusUpdated = ['UPDATE notification_deliveries', noRows];
+const noPushQueued = ["'push', 'immediate'", noRows];
+
+const notificationRow = (params) => [{
+  id: 'notification-1',
+  user_id: params[0],
+  type: params[1],
+  title: params[2],
+  message: params[3]
+}];
+
+describe('Notification delivery', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+    mailService.setTransport('capture');
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    mailService.clearCapturedMail();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('unsubscribe tokens', () => {
+    it('should round-trip the user and notification type', () => {
+      expect(verifyUnsubscribeToken(createUnsubscribeToken(USER_ID, 'new_answer'))).toEqual({ userId: USER_ID, type: 'new_answer' });
+      expect(verifyUnsubscribeToken(createUnsubscribeToken(USER_ID))).toEqual({ userId: USER_ID, type: null });
+    });
+
+    it('should reject tokens that were altered', () => {
+      const [, , signature] = createUnsubscribeToken(USER_ID, 'approval').split('.');
+
+      expect(verifyUnsubscribeToken(`${USER_ID}.all.${signature}`)).toBeNull();
+      expect(verifyUnsubscribeToken(`${USER_ID}.approval.${signature.slice(1)}`)).toBeNull();
+      expect(verifyUnsubscribeToken('garbage')).toBeNull();
+      expect(verifyUnsubscribeToken(undefined)).toBeNull();
+    });
+  });
+
+  describe('createNotification', () => {
+    it('should queue immediate emails for the delivery worker without sending them', async () => {
+      const sendMail = jest.spyOn(mailService, 'sendMail');
+      respond([
+        ['INSERT INTO notifications', notificationRow],
+        ['LEFT JOIN notification_preferences np', () => [recipient()]],
+        ["VALUES ($1, $2, 'email', $3)", () => [{ id: 'delivery-1', schedule: 'immediate' }]],
+        noPushQueued
+      ]);
+
+      const notification = await notify();
+
+      expect(notification.id).toBe('notification-1');
+      expect(queriesMatching("VALUES ($1, $2, 'email', $3)")[0][1]).toEqual(['notification-1', USER_ID, 'immediate']);
+      expect(queriesMatching('WITH claimed')).toHaveLength(0);
+      expect(sendMail).not.toHaveBeenCalled();
+    });
+
+    it('should hold digest notifications for the digest run', async () => {
+      respond([
+        ['INSERT INTO notifications', notificationRow],
+        ['LEFT JOIN notification_preferences np', () => [recipient()]],
+        ["VALUES ($1, $2, 'email', $3)", (params) => [{ id: 'delivery-1', schedule: params[2] }]],
+        noPushQueued
+      ]);
+
+      await notify('review_comment');
+
+      expect(queriesMatching("VALUES ($1, $2, 'email', $3)")[0][1][2]).toBe('daily');
+      expect(queriesMatching('WITH claimed')).toHaveLength(0);
+      expect(mailService.getCapturedMail()).toHaveLength(0);
+    });
+
+    it('should use the user\'s frequency for the type over the default', async () => {
+      respond([
+        ['INSERT INTO notifications', notificationRow],
+        ['LEFT JOIN notification_preferences np', () => [recipient({ frequency: 'weekly' })]],
+        ["VALUES ($1, $2, 'email', $3)", (params) => [{ id: 'delivery-1', schedule: params[2] }]],
+        noPushQueued
+      ]);
+
+      await notify('approval');
+
+      expect(queriesMatching("VALUES ($1, $2, 'email', $3)")[0][1][2]).toBe('weekly');
+    });
+
+    it.each([
+      ['the type is turned off', { frequency: 'off' }],
+      ['emails are turned off', { email_notifications: false }],
+      ['notifications are turned off', { notifications_enabled: false }],
+      ['the email address is unverified', { email_verified: false }]
+    ])('should not email when %s', async (description, settings) => {
+      respond([
+        ['INSERT INTO notifications', notificationRow],
+        ['LEFT JOIN notification_preferences np', () => [recipient(settings)]],
+        noPushQueued
+      ]);
+
+      const notification = await notify();
+
+      expect(notification).not.toBeNull();
+      expect(queriesMatching("VALUES ($1, $2, 'email', $3)")).toHaveLength(0);
+      expect(mailService.getCapturedMail()).toHaveLength(0);
+    });
+
+    it('should keep the notification when its email cannot be scheduled', async () => {
+      respond([
+        ['INSERT INTO notifications', notificationRow],
+        ['LEFT JOIN notification_preferences np', () => { throw new Error('connection reset'); }],
+        noPushQueued
+      ]);
+
+      const notification = await notify();
+
+      expect(notification.id).toBe('notification-1');
+    });
+  });
+
+  describe('sendImmediate', () => {
+    it('should email due immediate deliveries', async () => {
+      respond([['WITH claimed', () => [claimed('delivery-1')]], statusUpdated]);
+
+      const counts = await deliveryService.sendImmediate();
+
+      expect(counts).toEqual({ sent: 1, failed: 0, skipped: 0 });
+      expect(queriesMatching('WITH claimed')[0][1]).toEqual(['immediate', 500, 'email']);
+
+      const mail = mailService.getCapturedMail();
+      expect(mail).toHaveLength(1);
+      expect(mail[0].to).toBe('amina@example.com');
+      expect(mail[0].subject).toBe('Dua Approved');
+      expect(mail[0].headers['List-Unsubscribe']).toContain(encodeURIComponent(createUnsubscribeToken(USER_ID, 'approval')));
+      expect(queriesMatching("SET status = 'sent'")[0][1]).toEqual([['delivery-1']]);
+    });
+
+    it('should leave the email for a retry when sending fails', async () => {
+      jest.spyOn(mailService, 'sendMail').mockRejectedValue(new Error('SMTP unavailable'));
+      respond([['WITH claimed', () => [claimed('delivery-1')]], statusUpdated]);
+
+      const counts = await deliveryService.sendImmediate();
+
+      expect(counts).toEqual({ sent: 0, failed: 1, skipped: 0 });
+      expect(queriesMatching("CASE WHEN attempts >= $3 THEN 'failed' ELSE 'pending' END")[0][1]).toEqual([
+        ['delivery-1'], 'SMTP unavailable', deliveryService.MAX_ATTEMPTS
+      ]);
+    });
+  });
+
+  describe('DeliveryWorker', () => {
+    it('should send what is due and report how many deliveries it handled', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      respond([['WITH claimed', (params) => (params[2] === 'email'
+        ? [claimed('delivery-1'), claimed('delivery-2', { is_active: false })]
+        : [])], statusUpdated]);
+
+      const handled = await new DeliveryWorker().runOnce();
+
+      expect(handled).toBe(2);
+      expect(mailService.getCapturedMail()).toHaveLength(1);
+    });
+
+    it('should stop while waiting for deliveries', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      respond([['WITH claimed', noRows]]);
+      const worker = new DeliveryWorker({ pollIntervalMs: 60000 });
+
+      const running = worker.start();
+      await new Promise(resolve => setImmediate(resolve));
+      worker.stop();
+      await running;
+
+      expect(queriesMatching('WITH claimed').map(([, params]) => params[2])).toEqual(['email', 'push']);
+    });
+  });
+
+  describe('sendDigests', () => {
+    it('should send one email per user with all their notifications', async () => {
+      respond([
+        ['WITH claimed', () => [
+          claimed('delivery-1', { native_language: 'bangla' }),
+          claimed('delivery-2', { user_id: 'user-2', email: 'bilal@example.com', name: 'Bilal' }),
+          claimed('delivery-3', { native_language: 'bangla', title: 'New Comment' })
+        ]],
+        statusUpdated
+      ]);
+
+      const counts = await deliveryService.sendDigests('daily');
+
+      expect(counts).toEqual({ users: 2, notifications: 3, failed: 0 });
+      expect(queriesMatching('WITH claimed')[0][1]).toEqual(['daily', 500, 'email']);
+
+      const mail = mailService.getCapturedMail();
+      expect(mail.map(message => message.to)).toEqual(['amina@example.com', 'bilal@example.com']);
+      expect(mail[0].subject).toBe('MyDua-র দৈনিক সারসংক্ষেপ');
+      expect(mail[0].text).toContain('New Comment');
+      expect(mail[1].subject).toBe('Your MyDua daily summary');
+      expect(queriesMatching("SET status = 'sent'").map(([, params]) => params[0])).toEqual([
+        ['delivery-1', 'delivery-3'],
+        ['delivery-2']
+      ]);
+    });
+
+    it('should skip users who were deactivated since', async () => {
+      respond([['WITH claimed', () => [claimed('delivery-1', { is_active: false })]], statusUpdated]);
+
+      const counts = await deliveryService.sendDigests('weekly');
+
+      expect(counts.users).toBe(0);
+      expect(queriesMatching("SET status = 'skipped'")[0][1]).toEqual([['delivery-1']]);
+      expect(mailService.getCapturedMail()).toHaveLength(0);
+    });
+
+    it('should reject unknown schedules', async () => {
+      await expect(deliveryService.sendDigests('hourly')).rejects.toThrow('Unknown digest schedule');
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+    const token = () => `Bearer ${jwt.sign({ userId: USER_ID, sid: 'session-1' }, process.env.JWT_SECRET)}`;
+    const signedInAsAmina = signedIn({ name: 'Amina', role: 'user' });
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use(express.urlencoded({ extended: true }));
+      app.use('/api/notifications', notificationRoutes);
+    });
+
+    it('should unsubscribe from one type with a one-click POST', async () => {
+      respond([['INSERT INTO notification_preferences', noRows], statusUpdated]);
+
+      const response = await request(app)
+        .post('/api/notifications/unsubscribe')
+        .query({ token: createUnsubscribeToken(USER_ID, 'review_comment') })
+        .type('form')
+        .send('List-Unsubscribe=One-Click');
+
+      expect(response.status).toBe(200);
+      expect(response.body.type).toBe('review_comment');
+      expect(queriesMatching('INSERT INTO notification_preferences')[0][1]).toEqual([USER_ID, 'review_comment', 'off']);
+      expect(queriesMatching("SET status = 'skipped'")[0][1]).toEqual([USER_ID, 'review_comment']);
+    });
+
+    it('should turn off every email with an unsubscribe-all token', async () => {
+      respond([['INSERT INTO user_preferences', noRows], statusUpdated]);
+
+      const response = await request(app)
+        .post('/api/notifications/unsubscribe')
+        .send({ token: createUnsubscribeToken(USER_ID) });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching('INSERT INTO user_preferences')[0][1]).toEqual([USER_ID, false]);
+      expect(queriesMatching("SET status = 'skipped'")[0][1]).toEqual([USER_ID]);
+    });
+
+    it('should refuse forged unsubscribe tokens', async () => {
+      respond();
+
+      const response = await request(app)
+        .post('/api/notifications/unsubscribe')
+        .query({ token: `${USER_ID}.all.forged` });
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should show each type\'s frequency, defaults included', async () => {
+      respond([
+        signedInAsAmina,
+        ['COALESCE(up.email_notifications, true)', () => [{ notifications_enabled: true, email_notifications: true }]],
+        ['FROM notification_preferences WHERE user_id', () => [{ type: 'approval', email: 'weekly' }]]
+      ]);
+
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', token());
+
+      expect(response.status).toBe(200);
+      expect(response.body.preferences.types.approval).toBe('weekly');
+      expect(response.body.preferences.types.new_answer).toBe('immediate');
+      expect(response.body.preferences.types.review_comment).toBe('daily');
+    });
+
+    it('should validate notification types and frequencies', async () => {
+      respond([signedInAsAmina]);
+
+      const badFrequency = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', token())
+        .send({ types: { approval: 'hourly' } });
+      const badType = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', token())
+        .send({ types: { newsletter: 'daily' } });
+
+      expect(badFrequency.status).toBe(400);
+      expect(badType.status).toBe(400);
+      expect(queriesMatching('INSERT INTO notification_preferences')).toHaveLength(0);
+    });
+
+    it('should save per-type frequencies', async () => {
+      respond([
+        signedInAsAmina,
+        ['INSERT INTO notification_preferences', noRows],
+        statusUpdated,
+        ['COALESCE(up.email_notifications, true)', () => [{ notifications_enabled: true, email_notifications: true }]],
+        ['FROM notification_preferences WHERE user_id', noRows]
+      ]);
+
+      const response = await request(app)
+        .put('/api/notifications/preferences')
+        .set('Authorization', token())
+        .send({ types: { new_answer: 'daily', system: 'off' } });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching('INSERT INTO notification_preferences').map(([, params]) => params)).toEqual([
+        [USER_ID, 'new_answer', 'daily'],
+        [USER_ID, 'system', 'off']
+      ]);
+      // Only turning a type off drops its pending emails
+      expect(queriesMatching("SET status = 'skipped'")).toHaveLength(1);
+    });
+  });
+});
@@ -205,6 +205,44 @@ describe('Duas Routes', () => {
       expect(response.body.duas.every(dua => dua.user_id === userId)).toBe(true);
     });
 
+    it('should match Arabic text typed without harakat', async () => {
+      await pool.query(
+        'INSERT INTO duas (title, purpose, arabic_text, source_reference, user_id) VALUES ($1, $2, $3, $4, $5)',
+        ['Test Dua Bismillah', 'Test purpose', 'بِسْمِ اللَّهِ الرَّحْمَٰنِ الرَّحِيمِ', 'Quran 1:1', userId]
+      );
+
+      const response = await request(app)
+        .get(`/api/duas/my-duas?search=${encodeURIComponent('الرحمن')}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.duas).toHaveLength(1);
+      expect(response.body.duas[0].title).toBe('Test Dua Bismillah');
+      expect(response.body.duas[0].arabic_snippet).toContain('<mark>الرحمن</mark>');
+    });
+
+    it('should rank title matches and stem English terms', async () => {
+      const response = await request(app)
+        .get('/api/duas/my-duas?search=purposes')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.duas).toHaveLength(2);
+      expect(response.body.duas[0]).toHaveProperty('search_rank');
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    it('should rank and highlight each page of search results', async () => {
+      const response = await request(app)
+        .get('/api/duas/my-duas?search=purposes&limit=1&page=2')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.duas).toHaveLength(1);
+      expect(response.body.duas[0].search_snippet).toContain('<mark>');
+      expect(response.body.pagination.total).toBe(2);
+    });
+
     it('should fail without authentication', async () => {
       const response = await request(app)
         .get('/api/duas/my-duas')
@@ -316,4 +354,116 @@ describe('Duas Routes', () => {
       expect(response.body.error).toBe('Dua not found or access denied');
     });
   });
+
+  describe('AI corrections', () => {
+    let duaId;
+    let correctionIds;
+
+    beforeEach(async () => {
+      const result = await pool.query(
+        'INSERT INTO duas (title, purpose, english_meaning, source_reference, is_public, user_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+        ['Test Dua for Corrections', 'Test purpose', 'O Allah forgive me', 'Test Source', false, userId]
+      );
+      duaId = result.rows[0].id;
+
+      const corrections = await pool.query(`
+        INSERT INTO dua_ai_corrections (dua_id, field, issue_english, issue_bangla, suggestion_english, suggestion_bangla, original_value)
+        VALUES ($1, 'english_meaning', 'Incomplete meaning', 'অসম্পূর্ণ অর্থ', 'O Allah, forgive me and have mercy on me', 'হে আল্লাহ, আমাকে ক্ষমা করুন', 'O Allah forgive me'),
+               ($1, 'source_reference', 'Vague source', 'অস্পষ্ট উৎস', 'Sahih Muslim 2697', 'সহীহ মুসলিম ২৬৯৭', 'Test Source')
+        RETURNING id
+      `, [duaId]);
+      correctionIds = corrections.rows.map(row => row.id);
+    });
+
+    it('should list pending corrections with their ids', async () => {
+      const response = await request(app)
+        .get(`/api/duas/${duaId}/ai-corrections`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.corrections.map(correction => correction.id).sort()).toEqual([...correctionIds].sort());
+      expect(response.body.corrections.every(correction => correction.applicable)).toBe(true);
+    });
+
+    it('should apply an accepted correction as a new revision and queue analysis', async () => {
+      const response = await request(app)
+        .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[0]}/accept`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.dua.english_meaning).toBe('O Allah, forgive me and have mercy on me');
+      expect(response.body.revision.action).toBe('ai_correction');
+      expect(response.body.correction.status).toBe('accepted');
+      expect(response.body.correction.revision_number).toBe(response.body.revision.revision_number);
+
+      const queued = await pool.query(
+        "SELECT id FROM ai_processing_queue WHERE content_type = 'dua' AND content_id = $1 AND status = 'pending'",
+        [duaId]
+      );
+      expect(queued.rows.length).toBeGreaterThan(0);
+
+      await request(app)
+        .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[0]}/accept`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+    });
+
+    it('should refuse corrections for a field that changed since the analysis', async () => {
+      await pool.query('UPDATE duas SET source_reference = $1 WHERE id = $2', ['Sunan Abi Dawud 1522', duaId]);
+
+      const response = await request(app)
+        .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[1]}/accept`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+
+      expect(response.body.error).toBe('The source_reference has changed since this correction was made');
+    });
+
+    it('should dismiss a correction without changing the dua', async () => {
+      const response = await request(app)
+        .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[1]}/dismiss`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.correction.status).toBe('dismissed');
+
+      const dua = await pool.query('SELECT source_reference FROM duas WHERE id = $1', [duaId]);
+      expect(dua.rows[0].source_reference).toBe('Test Source');
+    });
+
+    it('should let only one of a concurrent accept and dismiss resolve a correction', async () => {
+      const responses = await Promise.all([
+        request(app)
+          .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[0]}/accept`)
+          .set('Authorization', `Bearer ${authToken}`),
+        request(app)
+          .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[0]}/dismiss`)
+          .set('Authorization', `Bearer ${authToken}`)
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+      const correction = await pool.query('SELECT status FROM dua_ai_corrections WHERE id = $1', [correctionIds[0]]);
+      const dua = await pool.query('SELECT english_meaning FROM duas WHERE id = $1', [duaId]);
+      expect(dua.rows[0].english_meaning).toBe(correction.rows[0].status === 'accepted'
+        ? 'O Allah, forgive me and have mercy on me'
+        : 'O Allah forgive me');
+    });
+
+    it('should not let other users resolve corrections', async () => {
+      const anotherUserResponse = await request(app)
+        .post('/api/auth/register')
+        .send({
+          name: 'Another User',
+          email: 'test-another@example.com',
+          password: 'password123',
+          native_language: 'english'
+        });
+
+      await request(app)
+        .post(`/api/duas/${duaId}/ai-corrections/${correctionIds[0]}/accept`)
+        .set('Authorization', `Bearer ${anotherUserResponse.body.token}`)
+        .expect(404);
+    });
+  });
 });
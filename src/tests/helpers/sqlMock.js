@@ -0,0 +1,62 @@
+// Shared pool.query mock for route and service tests. Test files still call
+// jest.mock('../database/connection', () => ({ query: jest.fn() })) themselves;
+// this module requires the same mocked pool.
+const pool = require('../../database/connection');
+
+// Queries no handler matched since the last check
+let unmatched = [];
+
+const describeQuery = (sql) => sql.replace(/\s+/g, ' ').trim();
+
+// Answer queries by matching on their SQL: handlers are [pattern, (params) => rows]
+// pairs and the first whose pattern the SQL contains wins. Any other query throws,
+// and fails the test even when the code under test catches the error, so a test
+// can't pass on an empty result it never meant to return.
+const respond = (handlers = []) => {
+  pool.query.mockImplementation(async (sql, params) => {
+    const handler = handlers.find(([pattern]) => sql.includes(pattern));
+    if (!handler) {
+      unmatched.push(describeQuery(sql));
+      throw new Error(`Unexpected query: ${describeQuery(sql)}`);
+    }
+    return { rows: handler[1](params) };
+  });
+};
+
+// A handler for the session lookup authenticateToken runs, signing in as user
+const signedIn = (user = {}) => ['LEFT JOIN user_sessions s', (params) => [{
+  id: params[0],
+  is_active: true,
+  email_verified: true,
+  session_active: true,
+  suspensions: [],
+  ...user
+}]];
+
+// Handler for queries whose result the code ignores
+const noRows = () => [];
+
+// Handlers for moderation audit entries, and for notifications created for
+// recipients with no email settings to schedule
+const audited = ['INSERT INTO moderation_audit_log', noRows];
+const notificationsCreated = [
+  ['INSERT INTO notifications', (params) => [{ id: `notification-${params[0]}`, user_id: params[0], type: params[1] }]],
+  ['LEFT JOIN notification_preferences np', noRows]
+];
+
+const queriesMatching = (pattern) => pool.query.mock.calls.filter(([sql]) => sql.includes(pattern));
+
+afterEach(() => {
+  const queries = unmatched;
+  unmatched = [];
+  expect(queries).toEqual([]);
+});
+
+module.exports = {
+  respond,
+  signedIn,
+  noRows,
+  audited,
+  notificationsCreated,
+  queriesMatching
+};
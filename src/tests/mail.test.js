@@ -0,0 +1,106 @@
+const mailService = require('../services/mailService');
+const mailTemplates = require('../services/mailTemplates');
+
+describe('Mail Service', () => {
+  beforeAll(() => {
+    mailService.setTransport('capture');
+  });
+
+  beforeEach(() => {
+    mailService.clearCapturedMail();
+  });
+
+  it('should capture sent mail for assertions', async () => {
+    await mailService.sendMail({
+      to: 'test@example.com',
+      subject: 'Hello',
+      text: 'Plain body',
+      html: '<p>Plain body</p>'
+    });
+
+    const captured = mailService.getCapturedMail();
+    expect(captured).toHaveLength(1);
+    expect(captured[0].to).toBe('test@example.com');
+    expect(captured[0].subject).toBe('Hello');
+    expect(captured[0].text).toBe('Plain body');
+  });
+
+  it('should reject unknown transports', () => {
+    expect(() => mailService.createTransport('carrier-pigeon')).toThrow('Unknown mail transport');
+  });
+
+  describe('templates', () => {
+    const originalAppUrl = process.env.APP_URL;
+
+    beforeAll(() => {
+      process.env.APP_URL = 'https://app.example.com/';
+    });
+
+    afterAll(() => {
+      process.env.APP_URL = originalAppUrl;
+    });
+
+    it('should build a password reset link with the raw token', () => {
+      const message = mailTemplates.passwordReset({ name: 'Test User', token: 'abc123', ttlMinutes: 60 });
+
+      expect(message.subject).toContain('Reset');
+      expect(message.text).toContain('https://app.example.com/reset-password?token=abc123');
+      expect(message.text).toContain('60 minutes');
+    });
+
+    it('should escape user-provided names in HTML', () => {
+      const message = mailTemplates.emailVerification({ name: '<script>', token: 'xyz', ttlMinutes: 1440 });
+
+      expect(message.html).toContain('&lt;script&gt;');
+      expect(message.html).not.toContain('<script>');
+      expect(message.text).toContain('https://app.example.com/verify-email?token=xyz');
+    });
+
+    const notification = { type: 'new_answer', title: 'Your Question Was Answered', message: 'Sheikh Ali answered your question.' };
+
+    it('should render notification emails in the user\'s language with unsubscribe links', () => {
+      const message = mailTemplates.notificationEmail({
+        name: 'Rahim',
+        language: 'bangla',
+        notification,
+        typeToken: 'type-token',
+        allToken: 'all-token'
+      });
+
+      expect(message.subject).toBe('Your Question Was Answered');
+      expect(message.text).toContain('আসসালামু আলাইকুম Rahim,');
+      expect(message.text).toContain('নতুন উত্তর সম্পর্কিত ইমেইল বন্ধ করুন: https://app.example.com/unsubscribe?token=type-token');
+      expect(message.text).toContain('https://app.example.com/unsubscribe?token=all-token');
+      expect(message.headers['List-Unsubscribe']).toMatch(/\/api\/notifications\/unsubscribe\?token=type-token>$/);
+      expect(message.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+    });
+
+    it('should fall back to English for languages without templates', () => {
+      const message = mailTemplates.notificationEmail({
+        name: 'Amina',
+        language: 'urdu',
+        notification,
+        typeToken: 'type-token',
+        allToken: 'all-token'
+      });
+
+      expect(message.text).toContain('Assalamu alaikum Amina,');
+      expect(message.text).toContain('Stop emails about new answers');
+    });
+
+    it('should list every notification in a digest, counted in the user\'s language', () => {
+      const message = mailTemplates.notificationDigest({
+        name: 'Rahim',
+        language: 'Bangla',
+        schedule: 'weekly',
+        notifications: [notification, { type: 'system', title: 'Welcome', message: '<b>Hello</b>' }],
+        allToken: 'all-token'
+      });
+
+      expect(message.subject).toBe('MyDua-র সাপ্তাহিক সারসংক্ষেপ');
+      expect(message.text).toContain('২টি বিজ্ঞপ্তি');
+      expect(message.text).toContain('- Welcome: <b>Hello</b>');
+      expect(message.html).toContain('&lt;b&gt;Hello&lt;/b&gt;');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Migrator = require('../database/migrator');
+
+// Minimal stand-in for pg.Pool that records every query
+const createFakePool = (appliedRows = []) => {
+  const queries = [];
+  const client = {
+    query: jest.fn(async (sql, params) => {
+      queries.push({ sql: sql.trim(), params });
+      if (sql.includes('FROM schema_migrations')) {
+        return { rows: appliedRows };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+
+  return {
+    queries,
+    client,
+    connect: jest.fn(async () => client)
+  };
+};
+
+describe('Database Migrator', () => {
+  describe('bundled migrations', () => {
+    it('should have a down script for every up script', () => {
+      const migrations = new Migrator().loadMigrations();
+
+      expect(migrations.length).toBeGreaterThan(0);
+      migrations.forEach(migration => {
+        expect(migration.downPath).toBeTruthy();
+      });
+    });
+
+    it('should be ordered by unique version numbers', () => {
+      const versions = new Migrator().loadMigrations().map(migration => migration.version);
+
+      expect(versions).toEqual([...new Set(versions)].sort((a, b) => a - b));
+    });
+  });
+
+  describe('migrate', () => {
+    let migrationsDir;
+
+    beforeEach(() => {
+      migrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+      fs.writeFileSync(path.join(migrationsDir, '001_first.up.sql'), 'CREATE TABLE first (id INT);');
+      fs.writeFileSync(path.join(migrationsDir, '001_first.down.sql'), 'DROP TABLE first;');
+      fs.writeFileSync(path.join(migrationsDir, '002_second.up.sql'), 'CREATE TABLE second (id INT);');
+      fs.writeFileSync(path.join(migrationsDir, '002_second.down.sql'), 'DROP TABLE second;');
+    });
+
+    afterEach(() => {
+      fs.rmSync(migrationsDir, { recursive: true, force: true });
+    });
+
+    it('should apply only pending migrations while holding the advisory lock', async () => {
+      const [first] = new Migrator({ migrationsDir }).loadMigrations();
+      const pool = createFakePool([{ version: 1, name: 'first', checksum: first.checksum }]);
+      const migrator = new Migrator({ pool, migrationsDir });
+
+      const applied = await migrator.migrate();
+      const statements = pool.queries.map(query => query.sql);
+
+      expect(applied.map(migration => migration.name)).toEqual(['second']);
+      expect(statements[0]).toContain('pg_advisory_lock');
+      expect(statements).toContain('CREATE TABLE second (id INT);');
+      expect(statements).not.toContain('CREATE TABLE first (id INT);');
+      expect(statements[statements.length - 1]).toContain('pg_advisory_unlock');
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    it('should refuse to run when an applied migration was edited', async () => {
+      const pool = createFakePool([{ version: 1, name: 'first', checksum: 'stale' }]);
+      const migrator = new Migrator({ pool, migrationsDir });
+
+      await expect(migrator.migrate()).rejects.toThrow('was modified after it was applied');
+    });
+
+    it('should roll back and surface the error when a migration fails', async () => {
+      const pool = createFakePool();
+      pool.client.query.mockImplementation(async (sql) => {
+        if (sql.includes('CREATE TABLE first')) {
+          throw new Error('syntax error');
+        }
+        return { rows: [] };
+      });
+      const migrator = new Migrator({ pool, migrationsDir });
+
+      await expect(migrator.migrate()).rejects.toThrow('Migration 1_first failed: syntax error');
+      expect(pool.client.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+  });
+});
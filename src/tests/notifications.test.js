@@ -0,0 +1,192 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+process.env.NOTIFICATION_STREAM_CHECK_MS = '20';
+
+const { EventEmitter } = require('events');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/connection');
+const { formatEvent } = require('../utils/sse');
+const { NotificationHub } = require('../services/notificationHub');
+const notificationHub = require('../services/notificationHub');
+const sessionService = require('../services/sessionService');
+const notificationRoutes = require('../routes/notifications');
+const { respond, noRows } = require('./helpers/sqlMock');
+
+// Minimal stand-in for a pooled pg client that can LISTEN
+const createFakePool = () => {
+  const client = new EventEmitter();
+  client.query = jest.fn().mockResolvedValue({ rows: [] });
+  client.release = jest.fn();
+
+  return {
+    client,
+    connect: jest.fn().mockResolvedValue(client)
+  };
+};
+
+const notify = (client, payload) => {
+  client.emit('notification', { channel: 'notifications', payload: JSON.stringify(payload) });
+};
+
+describe('Notification streaming', () => {
+  describe('formatEvent', () => {
+    it('should format id, event and JSON data', () => {
+      expect(formatEvent({ id: 7, event: 'notification', data: { title: 'Hi' } }))
+        .toBe('id: 7\nevent: notification\ndata: {"title":"Hi"}\n\n');
+    });
+
+    it('should split multi-line data across data lines', () => {
+      expect(formatEvent({ data: 'one\ntwo' })).toBe('data: one\ndata: two\n\n');
+    });
+  });
+
+  describe('NotificationHub', () => {
+    it('should LISTEN once and deliver events only to the matching user', async () => {
+      const fakePool = createFakePool();
+      const hub = new NotificationHub({ pool: fakePool });
+      const alice = jest.fn();
+      const bob = jest.fn();
+
+      await hub.subscribe('alice', alice);
+      await hub.subscribe('bob', bob);
+
+      expect(fakePool.connect).toHaveBeenCalledTimes(1);
+      expect(fakePool.client.query).toHaveBeenCalledWith('LISTEN notifications');
+
+      notify(fakePool.client, { user_id: 'alice', event_seq: '12' });
+
+      expect(alice).toHaveBeenCalledWith({ user_id: 'alice', event_seq: '12' });
+      expect(bob).not.toHaveBeenCalled();
+    });
+
+    it('should release the listener when the last subscriber leaves', async () => {
+      const fakePool = createFakePool();
+      const hub = new NotificationHub({ pool: fakePool });
+
+      const unsubscribe = await hub.subscribe('alice', jest.fn());
+      unsubscribe();
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(fakePool.client.query).toHaveBeenCalledWith('UNLISTEN notifications');
+      expect(fakePool.client.release).toHaveBeenCalled();
+      expect(fakePool.client.listenerCount('notification')).toBe(0);
+    });
+
+    it('should ignore malformed payloads', async () => {
+      const fakePool = createFakePool();
+      const hub = new NotificationHub({ pool: fakePool });
+      const handler = jest.fn();
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await hub.subscribe('alice', handler);
+      fakePool.client.emit('notification', { channel: 'notifications', payload: 'not json' });
+
+      expect(handler).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('GET /stream', () => {
+    const user = { id: 'user-1', name: 'Member', email: 'member@example.com', role: 'user' };
+    let app;
+    let session;
+
+    beforeAll(() => {
+      process.env.JWT_SECRET = 'test-secret';
+
+      app = express();
+      app.use(express.json());
+      app.use('/api/notifications', notificationRoutes);
+    });
+
+    beforeEach(() => {
+      session = { is_active: true, session_active: true, suspensions: [] };
+      pool.query.mockReset();
+      respond([
+        ['LEFT JOIN user_sessions s', () => [{ ...user, email_verified: true, ...session }]],
+        ['MAX(event_seq)', () => [{ event_seq: '5' }]],
+        ['n.event_seq > $2', noRows]
+      ]);
+      jest.spyOn(notificationHub, 'subscribe').mockResolvedValue(jest.fn());
+    });
+
+    afterEach(() => {
+      notificationHub.subscribe.mockRestore();
+    });
+
+    const accessToken = () => jwt.sign({ userId: user.id, sid: 'session-1' }, process.env.JWT_SECRET);
+
+    it('should issue a short-lived stream token for the session', async () => {
+      const response = await request(app)
+        .post('/api/notifications/stream-token')
+        .set('Authorization', `Bearer ${accessToken()}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.expires_in).toBe(60);
+      expect(sessionService.verifyStreamToken(response.body.stream_token)).toMatchObject({
+        userId: user.id,
+        sid: 'session-1',
+        purpose: 'notification_stream'
+      });
+    });
+
+    it('should not accept access tokens in the query string', async () => {
+      const response = await request(app).get(`/api/notifications/stream?stream_token=${accessToken()}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Invalid or expired stream token');
+    });
+
+    it('should not accept stream tokens as access tokens', async () => {
+      const response = await request(app)
+        .get('/api/notifications/preferences')
+        .set('Authorization', `Bearer ${sessionService.signStreamToken(user.id, 'session-1')}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should close the stream once the session is revoked', async () => {
+      const token = sessionService.signStreamToken(user.id, 'session-1');
+
+      const response = await request(app)
+        .get(`/api/notifications/stream?stream_token=${token}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', (chunk) => {
+            text += chunk;
+            if (text.includes('event: ready')) {
+              session.session_active = false;
+            }
+          });
+          res.on('end', () => callback(null, text));
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toContain('event: ready');
+      expect(response.body).toContain('event: error\ndata: {"error":"Session has been revoked"}');
+    });
+
+    it('should close the stream once the account is fully suspended', async () => {
+      const token = sessionService.signStreamToken(user.id, 'session-1');
+
+      const response = await request(app)
+        .get(`/api/notifications/stream?stream_token=${token}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', (chunk) => {
+            text += chunk;
+            if (text.includes('event: ready')) {
+              session.suspensions = [{ id: 'suspension-1', scope: 'full', reason: 'Spam', expires_at: '2099-01-01T00:00:00.000Z' }];
+            }
+          });
+          res.on('end', () => callback(null, text));
+        });
+
+      expect(response.body).toContain('"error":"Account is suspended"');
+    });
+  });
+});
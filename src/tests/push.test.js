@@ -0,0 +1,398 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/connection');
+const webPush = require('../utils/webPush');
+const pushService = require('../services/pushService');
+const deliveryService = require('../services/deliveryService');
+const { createNotification } = require('../services/notificationService');
+const notificationRoutes = require('../routes/notifications');
+const { respond, signedIn, noRows, queriesMatching } = require('./helpers/sqlMock');
+
+const USER_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+
+// A browser's side of a subscription: its key pair and auth secret
+const createBrowserKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  const publicKey = ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+
+  return {
+    ecdh,
+    keys: { p256dh: publicKey.toString('base64url'), auth: auth.toString('base64url') }
+  };
+};
+
+// Decrypt an aes128gcm body the way the browser does (RFC 8291)
+const decrypt = (body, { ecdh, keys }) => {
+  const salt = body.subarray(0, 16);
+  const keyLength = body[20];
+  const senderKey = body.subarray(21, 21 + keyLength);
+  const ciphertext = body.subarray(21 + keyLength);
+
+  const hkdf = (ikm, hkdfSalt, info, length) => Buffer.from(crypto.hkdfSync('sha256', ikm, hkdfSalt, info, length));
+  const ikm = hkdf(ecdh.computeSecret(senderKey), Buffer.from(keys.auth, 'base64url'),
+    Buffer.concat([Buffer.from('WebPush: info\0'), ecdh.getPublicKey(), senderKey]), 32);
+  const decipher = crypto.createDecipheriv('aes-128-gcm',
+    hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16),
+    hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  decipher.setAuthTag(ciphertext.subarray(-16));
+  const plaintext = Buffer.concat([decipher.update(ciphertext.subarray(0, -16)), decipher.final()]);
+
+  expect(plaintext[plaintext.length - 1]).toBe(2);
+  return plaintext.subarray(0, -1).toString();
+};
+
+const verifyVapid = (authorization, endpoint) => {
+  const [, token, publicKey] = authorization.match(/^vapid t=([^,]+), k=(.+)$/);
+  const [header, claims, signature] = token.split('.');
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33).toString('base64url')
+    },
+    format: 'jwk'
+  });
+
+  expect(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signature, 'base64url'))).toBe(true);
+  expect(JSON.parse(Buffer.from(claims, 'base64url').toString())).toMatchObject({ aud: new URL(endpoint).origin });
+  return publicKey;
+};
+
+describe('Web Push', () => {
+  let stub;
+  let stubUrl;
+  let received;
+  let stubStatus;
+  let holdUntil;
+  let held;
+  let vapidKeys;
+
+  beforeAll(async () => {
+    vapidKeys = webPush.generateVapidKeys();
+    process.env.VAPID_PUBLIC_KEY = vapidKeys.publicKey;
+    process.env.VAPID_PRIVATE_KEY = vapidKeys.privateKey;
+    process.env.VAPID_SUBJECT = 'mailto:push@example.com';
+    process.env.JWT_SECRET = 'test-secret';
+
+    // Local push service: records each request and answers with stubStatus,
+    // once holdUntil requests have arrived
+    stub = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        received.push({ method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+        held.push(() => {
+          res.writeHead(stubStatus(req.url));
+          res.end();
+        });
+        if (received.length >= holdUntil) {
+          held.splice(0).forEach(answer => answer());
+        }
+      });
+    });
+    await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+    stubUrl = `http://127.0.0.1:${stub.address().port}`;
+  });
+
+  afterAll(async () => {
+    delete process.env.VAPID_PUBLIC_KEY;
+    delete process.env.VAPID_PRIVATE_KEY;
+    delete process.env.VAPID_SUBJECT;
+    await new Promise(resolve => stub.close(resolve));
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    pushService.resetVapidKeys();
+    received = [];
+    held = [];
+    holdUntil = 0;
+    stubStatus = () => 201;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('protocol', () => {
+    it('should encrypt payloads only the subscribed browser can read', () => {
+      const browser = createBrowserKeys();
+      const body = webPush.encryptPayload(browser.keys, '{"title":"Salam"}');
+
+      expect(body.readUInt32BE(16)).toBe(4096);
+      expect(decrypt(body, browser)).toBe('{"title":"Salam"}');
+      expect(() => decrypt(body, createBrowserKeys())).toThrow();
+    });
+
+    it('should refuse payloads larger than one record', () => {
+      const { keys } = createBrowserKeys();
+
+      expect(() => webPush.encryptPayload(keys, 'x'.repeat(webPush.MAX_PAYLOAD_BYTES + 1))).toThrow('Push payload');
+    });
+
+    it('should sign a VAPID token for the push service\'s origin', () => {
+      const authorization = webPush.createVapidAuthorization('https://push.example.com/send/abc', { ...vapidKeys, subject: 'mailto:push@example.com' });
+
+      expect(verifyVapid(authorization, 'https://push.example.com/send/abc')).toBe(vapidKeys.publicKey);
+    });
+
+    it('should validate subscription keys', () => {
+      expect(webPush.isValidSubscriptionKeys(createBrowserKeys().keys)).toBe(true);
+      expect(webPush.isValidSubscriptionKeys({ p256dh: 'short', auth: 'short' })).toBe(false);
+      expect(webPush.isValidSubscriptionKeys(undefined)).toBe(false);
+    });
+  });
+
+  describe('delivery', () => {
+    const notificationRow = (params) => [{
+      id: 'notification-1',
+      user_id: params[0],
+      type: params[1],
+      title: params[2],
+      message: params[3],
+      content_type: params[4],
+      content_id: params[5]
+    }];
+
+    // The user has no email settings to schedule, and updates after sending
+    const noEmailRecipient = ['LEFT JOIN notification_preferences np', noRows];
+    const sendUpdates = [
+      ['UPDATE notification_deliveries', noRows],
+      ['SET last_success_at', noRows],
+      ['DELETE FROM push_subscriptions WHERE id', noRows]
+    ];
+
+    const claimedPush = (extra = {}) => ({
+      id: 'delivery-1',
+      notification_id: 'notification-1',
+      user_id: USER_ID,
+      attempts: 1,
+      type: 'new_answer',
+      title: 'Your Question Was Answered',
+      message: 'Sheikh Ali answered your question.',
+      content_type: 'question',
+      content_id: 'question-1',
+      is_active: true,
+      ...extra
+    });
+
+    it('should queue pushes for the delivery worker without sending them', async () => {
+      respond([
+        ['INSERT INTO notifications', notificationRow],
+        noEmailRecipient,
+        ["SELECT $1, $2, 'push', 'immediate'", () => [{ id: 'delivery-1' }]]
+      ]);
+
+      const notification = await createNotification(USER_ID, 'new_answer', 'Your Question Was Answered', 'Sheikh Ali answered your question.', 'question', 'question-1');
+
+      expect(notification.id).toBe('notification-1');
+      expect(queriesMatching("SELECT $1, $2, 'push', 'immediate'")[0][1]).toEqual(['notification-1', USER_ID]);
+      expect(received).toHaveLength(0);
+    });
+
+    it('should only queue review outcomes and answers', async () => {
+      respond([['INSERT INTO notifications', notificationRow], noEmailRecipient]);
+
+      await createNotification(USER_ID, 'review_comment', 'New Comment', 'A reviewer commented on your dua.', 'dua', 'dua-1');
+
+      expect(queriesMatching('push_subscriptions')).toHaveLength(0);
+    });
+
+    it('should push queued notifications to every subscribed device at once', async () => {
+      const phone = createBrowserKeys();
+      const laptop = createBrowserKeys();
+      // Answer only once both pushes have arrived, which sequential sends never would
+      holdUntil = 2;
+      respond([
+        ['WITH claimed', () => [claimedPush()]],
+        ['FROM push_subscriptions s', () => [
+          { id: 'sub-1', endpoint: `${stubUrl}/push/phone`, ...phone.keys },
+          { id: 'sub-2', endpoint: `${stubUrl}/push/laptop`, ...laptop.keys }
+        ]],
+        ...sendUpdates
+      ]);
+
+      const counts = await deliveryService.sendPushes();
+
+      expect(counts).toEqual({ sent: 1, failed: 0, skipped: 0 });
+      expect(queriesMatching('WITH claimed')[0][1]).toEqual(['immediate', 500, 'push']);
+      expect(received.map(push => push.url).sort()).toEqual(['/push/laptop', '/push/phone']);
+      const push = received.find(({ url }) => url === '/push/phone');
+      expect(push.method).toBe('POST');
+      expect(push.headers['content-encoding']).toBe('aes128gcm');
+      expect(push.headers.ttl).toBe('86400');
+      expect(verifyVapid(push.headers.authorization, `${stubUrl}/push/phone`)).toBe(vapidKeys.publicKey);
+      expect(JSON.parse(decrypt(push.body, phone))).toMatchObject({
+        id: 'notification-1',
+        type: 'new_answer',
+        title: 'Your Question Was Answered',
+        body: 'Sheikh Ali answered your question.',
+        content_type: 'question',
+        content_id: 'question-1'
+      });
+      expect(JSON.parse(decrypt(received.find(({ url }) => url === '/push/laptop').body, laptop)).title)
+        .toBe('Your Question Was Answered');
+
+      expect(queriesMatching('SET last_success_at').map(([, params]) => params).sort()).toEqual([['sub-1'], ['sub-2']]);
+      expect(queriesMatching("SET status = 'sent'")[0][1]).toEqual([['delivery-1']]);
+    });
+
+    it('should prune subscriptions the push service reports gone', async () => {
+      stubStatus = (url) => (url === '/push/expired' ? 410 : url === '/push/unknown' ? 404 : 201);
+      respond([
+        ['WITH claimed', () => [claimedPush({ type: 'approval' })]],
+        ['FROM push_subscriptions s', () => [
+          { id: 'sub-1', endpoint: `${stubUrl}/push/expired`, ...createBrowserKeys().keys },
+          { id: 'sub-2', endpoint: `${stubUrl}/push/unknown`, ...createBrowserKeys().keys },
+          { id: 'sub-3', endpoint: `${stubUrl}/push/active`, ...createBrowserKeys().keys }
+        ]],
+        ...sendUpdates
+      ]);
+
+      const counts = await deliveryService.sendPushes();
+
+      expect(received).toHaveLength(3);
+      expect(queriesMatching('DELETE FROM push_subscriptions WHERE id').map(([, params]) => params).sort()).toEqual([['sub-1'], ['sub-2']]);
+      expect(counts.sent).toBe(1);
+    });
+
+    it('should fail the delivery without retrying or dropping the subscription', async () => {
+      stubStatus = () => 500;
+      respond([
+        ['WITH claimed', () => [claimedPush({ type: 'rejection' })]],
+        ['FROM push_subscriptions s', () => [{ id: 'sub-1', endpoint: `${stubUrl}/push/phone`, ...createBrowserKeys().keys }]],
+        ...sendUpdates
+      ]);
+
+      const counts = await deliveryService.sendPushes();
+
+      expect(counts).toEqual({ sent: 0, failed: 1, skipped: 0 });
+      expect(queriesMatching('DELETE FROM push_subscriptions')).toHaveLength(0);
+      expect(queriesMatching("CASE WHEN attempts >= $3 THEN 'failed' ELSE 'pending' END")[0][1]).toEqual([
+        ['delivery-1'], '1 subscription(s) failed', 1
+      ]);
+    });
+
+    it('should skip deliveries whose user has no subscriptions left', async () => {
+      respond([['WITH claimed', () => [claimedPush()]], ['FROM push_subscriptions s', noRows], ...sendUpdates]);
+
+      const counts = await deliveryService.sendPushes();
+
+      expect(counts).toEqual({ sent: 0, failed: 0, skipped: 1 });
+      expect(queriesMatching("SET status = 'skipped'")[0][1]).toEqual([['delivery-1']]);
+      expect(received).toHaveLength(0);
+    });
+  });
+
+  describe('VAPID keys', () => {
+    let envKeys;
+
+    beforeEach(() => {
+      envKeys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+      delete process.env.VAPID_PUBLIC_KEY;
+      delete process.env.VAPID_PRIVATE_KEY;
+    });
+
+    afterEach(() => {
+      process.env.VAPID_PUBLIC_KEY = envKeys.publicKey;
+      process.env.VAPID_PRIVATE_KEY = envKeys.privateKey;
+    });
+
+    it('should generate and store a key pair when none is configured', async () => {
+      let stored = null;
+      respond([
+        ['INSERT INTO vapid_keys', (params) => {
+          stored = { public_key: params[0], private_key: params[1] };
+          return [];
+        }],
+        ['FROM vapid_keys', () => (stored ? [stored] : [])]
+      ]);
+
+      const keys = await pushService.getVapidKeys();
+
+      expect(keys.publicKey).toBe(stored.public_key);
+      expect(keys.privateKey).toBe(stored.private_key);
+      expect(webPush.isValidSubscriptionKeys({ p256dh: keys.publicKey, auth: crypto.randomBytes(16).toString('base64url') })).toBe(true);
+    });
+
+    it('should reuse the stored key pair', async () => {
+      respond([['FROM vapid_keys', () => [{ public_key: 'stored-public', private_key: 'stored-private' }]]]);
+
+      const keys = await pushService.getVapidKeys();
+      await pushService.getVapidKeys();
+
+      expect(keys).toMatchObject({ publicKey: 'stored-public', privateKey: 'stored-private', subject: 'mailto:push@example.com' });
+      expect(queriesMatching('INSERT INTO vapid_keys')).toHaveLength(0);
+      expect(queriesMatching('FROM vapid_keys')).toHaveLength(1);
+    });
+  });
+
+  describe('routes', () => {
+    let app;
+    const token = () => `Bearer ${jwt.sign({ userId: USER_ID, sid: 'session-1' }, process.env.JWT_SECRET)}`;
+
+    beforeAll(() => {
+      app = express();
+      app.use(express.json());
+      app.use('/api/notifications', notificationRoutes);
+    });
+
+    it('should publish the VAPID public key', async () => {
+      const response = await request(app).get('/api/notifications/push/public-key');
+
+      expect(response.status).toBe(200);
+      expect(response.body.publicKey).toBe(vapidKeys.publicKey);
+    });
+
+    it('should save a browser subscription', async () => {
+      const { keys } = createBrowserKeys();
+      respond([signedIn(), ['INSERT INTO push_subscriptions', () => [{ id: 'sub-1', endpoint: `${stubUrl}/push/phone` }]]]);
+
+      const response = await request(app)
+        .post('/api/notifications/push/subscriptions')
+        .set('Authorization', token())
+        .set('User-Agent', 'Mobile Safari')
+        .send({ endpoint: `${stubUrl}/push/phone`, expirationTime: null, keys });
+
+      expect(response.status).toBe(201);
+      expect(queriesMatching('INSERT INTO push_subscriptions')[0][1]).toEqual([
+        USER_ID, `${stubUrl}/push/phone`, keys.p256dh, keys.auth, 'Mobile Safari'
+      ]);
+    });
+
+    it('should reject subscriptions without valid keys', async () => {
+      respond([signedIn()]);
+
+      const response = await request(app)
+        .post('/api/notifications/push/subscriptions')
+        .set('Authorization', token())
+        .send({ endpoint: `${stubUrl}/push/phone`, keys: { p256dh: 'abc', auth: 'def' } });
+
+      expect(response.status).toBe(400);
+      expect(queriesMatching('INSERT INTO push_subscriptions')).toHaveLength(0);
+    });
+
+    it('should remove a subscription by endpoint', async () => {
+      respond([signedIn(), ['DELETE FROM push_subscriptions WHERE user_id', () => [{ id: 'sub-1' }]]]);
+
+      const response = await request(app)
+        .delete('/api/notifications/push/subscriptions')
+        .set('Authorization', token())
+        .send({ endpoint: `${stubUrl}/push/phone` });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching('DELETE FROM push_subscriptions WHERE user_id')[0][1]).toEqual([USER_ID, `${stubUrl}/push/phone`]);
+    });
+  });
+});
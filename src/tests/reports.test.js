@@ -0,0 +1,377 @@
+let mockUser;
+
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  authenticateToken: (req, res, next) => {
+    req.user = mockUser;
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const pool = require('../database/connection');
+const reportPolicy = require('../services/reportPolicy');
+const reportRoutes = require('../routes/reports');
+const { respond, noRows, audited, notificationsCreated, queriesMatching } = require('./helpers/sqlMock');
+
+const REPORT_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const ANSWER_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const QUESTION_ID = 'a1b2c3d4-0000-4000-8000-000000000003';
+
+const admin = { id: 'admin-1', name: 'Admin', role: 'admin' };
+const reporter = { id: 'user-1', name: 'Reporter', role: 'user' };
+
+const answer = {
+  id: ANSWER_ID,
+  question_id: QUESTION_ID,
+  scholar_id: 'scholar-1',
+  content: 'A careless answer',
+  is_verified: true,
+  verified_by: 'scholar-2',
+  is_hidden: false,
+  hidden_reason: null,
+  created_at: new Date('2026-10-01T09:00:00Z')
+};
+
+const report = (extra = {}) => ({
+  id: REPORT_ID,
+  content_type: 'answer',
+  content_id: ANSWER_ID,
+  reporter_id: reporter.id,
+  reason: 'inaccurate',
+  status: 'pending',
+  admin_notes: null,
+  action_taken: null,
+  ...extra
+});
+
+// A reporter's decided reports and an item's open report weight
+const history = (upheld = 0, dismissed = 0) => ['FILTER (WHERE status', () => [{ upheld: String(upheld), dismissed: String(dismissed) }]];
+const pendingWeight = (weight) => ['SUM(weight)', () => [{ weight: String(weight) }]];
+
+describe('Content reports', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/reports', reportRoutes);
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    mockUser = reporter;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('report weights', () => {
+    const env = process.env;
+
+    afterEach(() => {
+      process.env = env;
+    });
+
+    it('should count scholar reports more than user reports', () => {
+      expect(reportPolicy.getReportWeight('user', {})).toBe(1);
+      expect(reportPolicy.getReportWeight('scholar', {})).toBe(3);
+    });
+
+    it('should weigh reporters by how their earlier reports were decided', () => {
+      expect(reportPolicy.getReportWeight('user', { upheld: 8, dismissed: 0 })).toBe(1.4);
+      expect(reportPolicy.getReportWeight('user', { upheld: 0, dismissed: 8 })).toBe(0.6);
+    });
+
+    it('should read thresholds and weights from the environment', () => {
+      process.env = { ...env, REPORT_HIDE_THRESHOLD: '8', REPORT_HIDE_THRESHOLD_ANSWER: '3', REPORT_WEIGHT_SCHOLAR: '4' };
+
+      expect(reportPolicy.getHideThreshold('dua')).toBe(8);
+      expect(reportPolicy.getHideThreshold('answer')).toBe(3);
+      expect(reportPolicy.getRoleWeight('scholar')).toBe(4);
+    });
+  });
+
+  describe('POST /report', () => {
+    it('should accept reports against answers', async () => {
+      respond([
+        ['FROM answers WHERE id', () => [answer]],
+        history(),
+        ['INSERT INTO content_reports', () => [{ id: REPORT_ID }]],
+        pendingWeight(1)
+      ]);
+
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'answer', contentId: ANSWER_ID, reason: 'inaccurate' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.reportId).toBe(REPORT_ID);
+      expect(queriesMatching('INSERT INTO content_reports')[0][1]).toEqual(['answer', ANSWER_ID, reporter.id, 'inaccurate', undefined, 1]);
+      expect(queriesMatching("hidden_reason = 'reports'")).toHaveLength(0);
+    });
+
+    it('should hide content pending review once its reports reach the threshold', async () => {
+      mockUser = { id: 'scholar-9', name: 'Scholar', role: 'scholar' };
+      respond([
+        ['FROM answers WHERE id', () => [answer]],
+        history(),
+        ['INSERT INTO content_reports', () => [{ id: REPORT_ID }]],
+        pendingWeight(5),
+        ["hidden_reason = 'reports'", () => [{ ...answer, is_hidden: true, hidden_reason: 'reports' }]],
+        ["role = 'admin'", () => [{ id: 'admin-1' }, { id: 'admin-2' }]],
+        audited,
+        ...notificationsCreated
+      ]);
+
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'answer', contentId: ANSWER_ID, reason: 'inaccurate' });
+
+      expect(response.status).toBe(201);
+      expect(queriesMatching('INSERT INTO content_reports')[0][1][5]).toBe(3);
+      expect(queriesMatching("SET is_hidden = true, hidden_reason = 'reports'")[0][1]).toEqual([ANSWER_ID]);
+
+      const notified = queriesMatching('INSERT INTO notifications').map(([, params]) => [params[0], params[1]]);
+      expect(notified).toEqual([
+        ['scholar-1', 'content_hidden'],
+        ['admin-1', 'content_hidden'],
+        ['admin-2', 'content_hidden']
+      ]);
+
+      const [audit] = queriesMatching('INSERT INTO moderation_audit_log');
+      expect(audit[1].slice(0, 6)).toEqual([null, null, null, 'auto_hide', 'answer', ANSWER_ID]);
+    });
+
+    it('should never hide user accounts automatically', async () => {
+      respond([
+        ['FROM users WHERE id', () => [{ id: QUESTION_ID, name: 'Someone' }]],
+        history(),
+        ['INSERT INTO content_reports', () => [{ id: REPORT_ID }]],
+        pendingWeight(50)
+      ]);
+
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'user', contentId: QUESTION_ID, reason: 'spam' });
+
+      expect(response.status).toBe(201);
+      expect(queriesMatching('is_hidden = true')).toHaveLength(0);
+    });
+
+    it('should return 404 for a user that does not exist', async () => {
+      respond([['FROM users WHERE id', noRows]]);
+
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'user', contentId: QUESTION_ID, reason: 'spam' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('User not found');
+    });
+
+    it('should refuse a second report of the same content', async () => {
+      respond([
+        ['FROM answers WHERE id', () => [answer]],
+        history(),
+        ['INSERT INTO content_reports', noRows]
+      ]);
+
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'answer', contentId: ANSWER_ID, reason: 'spam' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('You have already reported this content');
+      expect(queriesMatching('INSERT INTO content_reports')[0][0]).toContain('ON CONFLICT (content_type, content_id, reporter_id) DO NOTHING');
+      expect(queriesMatching('SUM(weight)')).toHaveLength(0);
+    });
+
+    it('should not let users report their own content', async () => {
+      respond([['FROM user_collections WHERE id', () => [{ id: QUESTION_ID, user_id: reporter.id }]]]);
+
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'collection', contentId: QUESTION_ID, reason: 'spam' });
+
+      expect(response.status).toBe(400);
+      expect(queriesMatching('INSERT INTO content_reports')).toHaveLength(0);
+    });
+
+    it('should reject unknown content types', async () => {
+      const response = await request(app)
+        .post('/api/reports/report')
+        .send({ contentType: 'comment', contentId: ANSWER_ID, reason: 'spam' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('GET /admin', () => {
+    it('should look up titles and authors through each type\'s own owner column', async () => {
+      mockUser = admin;
+      respond([['SELECT COUNT(*)', () => [{ count: '0' }]], ['SELECT cr.*', noRows]]);
+
+      const response = await request(app).get('/api/reports/admin?contentType=answer');
+
+      expect(response.status).toBe(200);
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('t_blog.author_id');
+      expect(sql).toContain('t_answer.scholar_id');
+      expect(sql).not.toContain('b.user_id');
+      expect(params).toEqual(['pending', 'answer', 20, 0]);
+    });
+  });
+
+  describe('GET /admin/:reportId', () => {
+    it('should show a reported answer next to the question it answers', async () => {
+      mockUser = admin;
+      respond([
+        ['WHERE cr.id = $1', () => [report()]],
+        ['FROM answers WHERE id', () => [answer]],
+        ['cr.id != $3', () => [{ id: 'report-2', reason: 'spam' }]],
+        pendingWeight(2.5),
+        ['FROM users WHERE id', () => [{ id: 'scholar-1', name: 'Scholar' }]],
+        ['FROM questions q', () => [{ id: QUESTION_ID, title: 'When to make dua?' }]]
+      ]);
+
+      const response = await request(app).get(`/api/reports/admin/${REPORT_ID}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.content).toMatchObject({ id: ANSWER_ID, content: 'A careless answer' });
+      expect(response.body.owner.name).toBe('Scholar');
+      expect(response.body.context.question.title).toBe('When to make dua?');
+      expect(response.body.otherReports).toHaveLength(1);
+      expect(response.body).toMatchObject({ pendingWeight: 2.5, hideThreshold: 5 });
+      expect(response.body.actions).toEqual(['hide', 'delete', 'pending']);
+    });
+
+    it('should be admin only', async () => {
+      const response = await request(app).get(`/api/reports/admin/${REPORT_ID}`);
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PUT /admin/:reportId', () => {
+    beforeEach(() => {
+      mockUser = admin;
+    });
+
+    it('should hide the reported content and settle the other open reports about it', async () => {
+      respond([
+        ['WHERE cr.id = $1', () => [report()]],
+        ['FROM answers WHERE id', () => [answer]],
+        ["status = 'pending' AND id != $5", () => [{ id: 'report-2' }]],
+        ['WHERE id = $5', () => [report({ status: 'resolved', action_taken: 'hide' })]],
+        ['UPDATE answers SET is_hidden = true', noRows],
+        audited
+      ]);
+
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'resolved', action: 'hide', adminNotes: 'Misquotes the hadith' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.closedReports).toEqual(['report-2']);
+      expect(queriesMatching("UPDATE answers SET is_hidden = true, hidden_reason = 'moderator'")).toHaveLength(1);
+
+      const audits = queriesMatching('INSERT INTO moderation_audit_log').map(([, params]) => params.slice(3, 8));
+      expect(audits).toEqual([
+        ['hide', 'answer', ANSWER_ID, '{"is_hidden":false,"hidden_reason":null}', '{"is_hidden":true,"hidden_reason":"moderator"}'],
+        ['report_resolution', 'report', REPORT_ID,
+          '{"status":"pending","admin_notes":null,"action_taken":null}',
+          '{"status":"resolved","admin_notes":null,"action_taken":"hide"}']
+      ]);
+    });
+
+    it('should send an answer back to unverified', async () => {
+      respond([
+        ['WHERE cr.id = $1', () => [report()]],
+        ['FROM answers WHERE id', () => [answer]],
+        ['UPDATE answers SET', () => [{ ...answer, is_verified: false, verified_by: null }]],
+        ["status = 'pending' AND id != $5", noRows],
+        ['WHERE id = $5', () => [report({ status: 'resolved', action_taken: 'pending' })]],
+        audited
+      ]);
+
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'resolved', action: 'pending' });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching('UPDATE answers SET')[0][0]).toContain('is_verified = false');
+      expect(queriesMatching('INSERT INTO moderation_audit_log')[0][1][3]).toBe('return_to_pending');
+    });
+
+    it('should show automatically hidden content again once its reports are dismissed', async () => {
+      respond([
+        ['WHERE cr.id = $1', () => [report()]],
+        ['WHERE id = $5', () => [report({ status: 'dismissed' })]],
+        pendingWeight(1),
+        ["WHERE id = $1 AND hidden_reason = 'reports'", () => [{ ...answer, hidden_reason: null }]],
+        audited,
+        ...notificationsCreated
+      ]);
+
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'dismissed' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.restored).toBe(true);
+      expect(queriesMatching('INSERT INTO moderation_audit_log')[0][1][3]).toBe('unhide');
+      expect(queriesMatching('INSERT INTO notifications')[0][1].slice(0, 2)).toEqual(['scholar-1', 'system']);
+    });
+
+    it('should keep content hidden while the remaining reports outweigh the threshold', async () => {
+      respond([
+        ['WHERE cr.id = $1', () => [report()]],
+        ['WHERE id = $5', () => [report({ status: 'dismissed' })]],
+        pendingWeight(6),
+        audited
+      ]);
+
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'dismissed' });
+
+      expect(response.body.restored).toBe(false);
+      expect(queriesMatching('is_hidden = false')).toHaveLength(0);
+    });
+
+    it('should refuse actions the content type does not support', async () => {
+      respond([['WHERE cr.id = $1', () => [report({ content_type: 'question', content_id: QUESTION_ID })]]]);
+
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'resolved', action: 'pending' });
+
+      expect(response.status).toBe(400);
+      expect(queriesMatching('UPDATE questions')).toHaveLength(0);
+    });
+
+    it('should only act on content when resolving', async () => {
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'dismissed', action: 'delete' });
+
+      expect(response.status).toBe(400);
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the reported content is already gone', async () => {
+      respond([['WHERE cr.id = $1', () => [report()]], ['FROM answers WHERE id', noRows]]);
+
+      const response = await request(app)
+        .put(`/api/reports/admin/${REPORT_ID}`)
+        .send({ status: 'resolved', action: 'delete' });
+
+      expect(response.status).toBe(404);
+      expect(queriesMatching('DELETE FROM')).toHaveLength(0);
+    });
+  });
+});
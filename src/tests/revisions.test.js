@@ -0,0 +1,183 @@
+jest.mock('../database/connection', () => ({ query: jest.fn(), connect: jest.fn() }));
+
+const pool = require('../database/connection');
+const revisionService = require('../services/revisionService');
+const duaService = require('../services/duaService');
+
+describe('Revision Service', () => {
+  const snapshot = {
+    title: 'Dua for Success',
+    purpose: 'Seeking success',
+    arabic_text: 'رَبِّ زِدْنِي عِلْمًا',
+    english_meaning: 'My Lord, increase me in knowledge',
+    transliteration: 'Rabbi zidni ilma',
+    native_meaning: null,
+    source_reference: 'Quran 20:114',
+    is_public: true,
+    categories: ['Knowledge', 'Daily']
+  };
+
+  beforeEach(() => {
+    pool.query.mockReset();
+  });
+
+  describe('diffSnapshots', () => {
+    it('should report only changed fields', () => {
+      const changes = revisionService.diffSnapshots(snapshot, {
+        ...snapshot,
+        title: 'Dua for Knowledge',
+        is_public: false
+      });
+
+      expect(changes).toEqual({
+        title: { from: 'Dua for Success', to: 'Dua for Knowledge' },
+        is_public: { from: true, to: false }
+      });
+    });
+
+    it('should ignore category order', () => {
+      const changes = revisionService.diffSnapshots(snapshot, {
+        ...snapshot,
+        categories: ['Daily', 'Knowledge']
+      });
+
+      expect(changes).toEqual({});
+    });
+
+    it('should treat every set field as changed when there is no previous snapshot', () => {
+      const changes = revisionService.diffSnapshots(null, snapshot);
+
+      expect(changes.title).toEqual({ from: null, to: 'Dua for Success' });
+      expect(changes).not.toHaveProperty('native_meaning');
+    });
+  });
+
+  describe('recordRevision', () => {
+    it('should lock the dua before reading the latest revision', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockResolvedValueOnce({ rows: [snapshot] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3, snapshot }] });
+
+      await revisionService.recordRevision('dua-1', 'user-1');
+
+      expect(pool.query.mock.calls[0][0]).toMatch(/FROM duas WHERE id = \$1 FOR UPDATE/);
+      expect(pool.query.mock.calls[2][0]).toMatch(/FROM dua_revisions/);
+    });
+
+    it('should skip duas that no longer exist', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      const revision = await revisionService.recordRevision('dua-1', 'user-1');
+
+      expect(revision).toBeNull();
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip edits that change nothing', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockResolvedValueOnce({ rows: [snapshot] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3, snapshot }] });
+
+      const revision = await revisionService.recordRevision('dua-1', 'user-1');
+
+      expect(revision).toBeNull();
+      expect(pool.query).toHaveBeenCalledTimes(3);
+    });
+
+    it('should store the next revision number with its diff', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockResolvedValueOnce({ rows: [{ ...snapshot, purpose: 'Seeking knowledge' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3, snapshot }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 4 }] });
+
+      await revisionService.recordRevision('dua-1', 'user-1', { action: 'restore', restoredFrom: 1 });
+
+      const params = pool.query.mock.calls[3][1];
+      expect(params[1]).toBe(4);
+      expect(params[2]).toBe('restore');
+      expect(JSON.parse(params[5])).toEqual({
+        purpose: { from: 'Seeking success', to: 'Seeking knowledge' }
+      });
+      expect(params[6]).toBe(1);
+    });
+  });
+
+  describe('duaService.updateDua', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+    });
+
+    it('should update the dua and record its revision in one transaction', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1', title: 'Dua for Knowledge' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockResolvedValueOnce({ rows: [{ ...snapshot, title: 'Dua for Knowledge' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3, snapshot }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 4, changes: { title: {} } }] })
+        .mockResolvedValue({});
+
+      const { revision } = await duaService.updateDua('dua-1', { title: 'Dua for Knowledge' }, 'user-1');
+
+      const statements = client.query.mock.calls.map(([sql]) => sql.trim());
+      expect(revision.revision_number).toBe(4);
+      expect(statements[0]).toBe('BEGIN');
+      expect(statements[1]).toMatch(/^UPDATE duas SET/);
+      expect(statements[2]).toMatch(/FOR UPDATE/);
+      expect(statements[statements.length - 1]).toBe('COMMIT');
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    it('should send an approved public dua back for review when its content changes', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1', is_public: true, approval_status: 'approved' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockResolvedValueOnce({ rows: [{ ...snapshot, arabic_text: 'رَبِّ اغْفِرْ لِي' }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3, snapshot }] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 4, changes: { arabic_text: {} } }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1', is_public: true, approval_status: 'pending', review_round: 2 }] })
+        .mockResolvedValue({});
+
+      const { dua } = await duaService.updateDua('dua-1', { arabic_text: 'رَبِّ اغْفِرْ لِي' }, 'user-1');
+
+      const reset = client.query.mock.calls.find(([sql]) => sql.includes('review_round = review_round + 1'));
+      expect(reset[0]).toMatch(/verification_count = 0/);
+      expect(dua.approval_status).toBe('pending');
+    });
+
+    it('should keep the review round when nothing reviewed changed', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1', is_public: true, approval_status: 'approved' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockResolvedValueOnce({ rows: [snapshot] })
+        .mockResolvedValueOnce({ rows: [{ revision_number: 3, snapshot }] })
+        .mockResolvedValue({});
+
+      await duaService.updateDua('dua-1', { title: snapshot.title }, 'user-1');
+
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('review_round'))).toBe(false);
+    });
+
+    it('should roll back the edit when its revision cannot be recorded', async () => {
+      client.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 'dua-1' }] })
+        .mockRejectedValueOnce(new Error('lock timeout'))
+        .mockResolvedValue({});
+
+      await expect(duaService.updateDua('dua-1', { title: 'Dua for Knowledge' }, 'user-1')).rejects.toThrow('lock timeout');
+
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+});
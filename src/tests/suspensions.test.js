@@ -0,0 +1,299 @@
+jest.mock('../database/connection', () => ({ query: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const pool = require('../database/connection');
+const { authenticateToken, allowSuspended, restrictSuspended } = require('../middleware/auth');
+const appealRoutes = require('../routes/appeals');
+const userRoutes = require('../routes/users');
+const { respond: respondWith, noRows, audited, notificationsCreated, queriesMatching } = require('./helpers/sqlMock');
+
+const SUSPENSION_ID = 'a1b2c3d4-0000-4000-8000-000000000001';
+const APPEAL_ID = 'a1b2c3d4-0000-4000-8000-000000000002';
+const FUTURE = '2099-01-01T00:00:00.000Z';
+
+const users = {
+  member: { id: 'user-1', name: 'Member', email: 'member@example.com', role: 'user' },
+  manager: { id: 'manager-1', name: 'Manager', email: 'manager@example.com', role: 'manager' },
+  otherManager: { id: 'manager-2', name: 'Other Manager', email: 'other@example.com', role: 'manager' }
+};
+
+const suspension = (scope, extra = {}) => ({
+  id: SUSPENSION_ID,
+  user_id: users.member.id,
+  scope,
+  reason: 'Repeated spam',
+  expires_at: FUTURE,
+  lifted_at: null,
+  ...extra
+});
+
+// Accounts the auth middleware loads; tests override them to suspend or deactivate
+let accounts;
+
+const tokenFor = (user) => `Bearer ${jwt.sign({ userId: user.id, sid: 'session-1' }, process.env.JWT_SECRET)}`;
+
+// Load the signed-in user from accounts
+const sessionLookup = ['LEFT JOIN user_sessions s', (params) => {
+  const account = Object.values(accounts).find(candidate => candidate.id === params[0]);
+  return account ? [{ is_active: true, email_verified: true, session_active: true, suspensions: [], ...account }] : [];
+}];
+
+// Answer queries by matching on their SQL, signing requests in from accounts
+const respond = (handlers = []) => respondWith([sessionLookup, ...handlers]);
+
+describe('Suspensions and appeals', () => {
+  let app;
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+
+    app = express();
+    app.use(express.json());
+    app.get('/anything', authenticateToken, (req, res) => res.json({ ok: true }));
+    app.get('/profile', allowSuspended, authenticateToken, (req, res) => res.json({ suspensions: req.user.suspensions }));
+    app.post('/post', authenticateToken, restrictSuspended('posting'), (req, res) => res.json({ ok: true }));
+    app.post('/ask', authenticateToken, restrictSuspended('qa'), (req, res) => res.json({ ok: true }));
+    app.use('/api/appeals', appealRoutes);
+    app.use('/api/users', userRoutes);
+  });
+
+  beforeEach(() => {
+    pool.query.mockReset();
+    accounts = { ...users };
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('authenticateToken', () => {
+    it('should refuse fully suspended users and tell them why', async () => {
+      accounts.member = { ...users.member, suspensions: [suspension('full')] };
+      respond();
+
+      const response = await request(app).get('/anything').set('Authorization', tokenFor(users.member));
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({
+        error: 'Account is suspended',
+        suspension: { id: SUSPENSION_ID, scope: 'full', reason: 'Repeated spam', expires_at: FUTURE },
+        appeal: '/api/appeals'
+      });
+    });
+
+    it('should only consider suspensions that have not expired or been lifted', async () => {
+      respond();
+
+      await request(app).get('/anything').set('Authorization', tokenFor(users.member));
+
+      expect(pool.query.mock.calls[0][0]).toContain('us.lifted_at IS NULL AND us.expires_at > CURRENT_TIMESTAMP');
+    });
+
+    it('should let fully suspended users reach routes that allow them', async () => {
+      accounts.member = { ...users.member, suspensions: [suspension('full')] };
+      respond();
+
+      const response = await request(app).get('/profile').set('Authorization', tokenFor(users.member));
+
+      expect(response.status).toBe(200);
+      expect(response.body.suspensions).toHaveLength(1);
+    });
+
+    it('should tell deactivated users the reason', async () => {
+      accounts.member = { ...users.member, is_active: false, deactivation_reason: 'Impersonating a scholar' };
+      respond();
+
+      const response = await request(app).get('/anything').set('Authorization', tokenFor(users.member));
+
+      expect(response.status).toBe(401);
+      expect(response.body).toMatchObject({ error: 'Account is deactivated', reason: 'Impersonating a scholar' });
+    });
+  });
+
+  describe('restrictSuspended', () => {
+    it('should block Q&A for posting bans as well as Q&A bans', async () => {
+      accounts.member = { ...users.member, suspensions: [suspension('posting')] };
+      respond();
+
+      const response = await request(app).post('/ask').set('Authorization', tokenFor(users.member));
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Your account is suspended from Q&A');
+    });
+
+    it('should let Q&A-banned users keep posting other content', async () => {
+      accounts.member = { ...users.member, suspensions: [suspension('qa')] };
+      respond();
+
+      const posting = await request(app).post('/post').set('Authorization', tokenFor(users.member));
+      const asking = await request(app).post('/ask').set('Authorization', tokenFor(users.member));
+
+      expect(posting.status).toBe(200);
+      expect(asking.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/users/:id/suspensions', () => {
+    it('should suspend a user, audit it and notify them', async () => {
+      respond([
+        ['SELECT id, role FROM users', () => [{ id: users.member.id, role: 'user' }]],
+        ['INSERT INTO user_suspensions', () => [suspension('qa')]],
+        audited,
+        ...notificationsCreated
+      ]);
+
+      const response = await request(app)
+        .post(`/api/users/${users.member.id}/suspensions`)
+        .set('Authorization', tokenFor(users.manager))
+        .send({ scope: 'qa', reason: 'Repeated spam', expires_at: FUTURE });
+
+      expect(response.status).toBe(201);
+      expect(queriesMatching('INSERT INTO user_suspensions')[0][1]).toEqual([
+        users.member.id, 'qa', 'Repeated spam', new Date(FUTURE), users.manager.id
+      ]);
+      expect(queriesMatching('INSERT INTO moderation_audit_log')[0][1][3]).toBe('suspend');
+      expect(queriesMatching('INSERT INTO notifications')[0][1].slice(0, 2)).toEqual([users.member.id, 'suspension']);
+    });
+
+    it('should not let managers suspend other managers', async () => {
+      respond([['SELECT id, role FROM users', () => [{ id: users.otherManager.id, role: 'manager' }]]]);
+
+      const response = await request(app)
+        .post(`/api/users/${users.otherManager.id}/suspensions`)
+        .set('Authorization', tokenFor(users.manager))
+        .send({ scope: 'full', reason: 'Abuse', expires_at: FUTURE });
+
+      expect(response.status).toBe(403);
+      expect(queriesMatching('INSERT INTO user_suspensions')).toHaveLength(0);
+    });
+
+    it('should require an expiry in the future', async () => {
+      respond();
+
+      const response = await request(app)
+        .post(`/api/users/${users.member.id}/suspensions`)
+        .set('Authorization', tokenFor(users.manager))
+        .send({ scope: 'full', reason: 'Abuse', expires_at: '2001-01-01T00:00:00Z' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/appeals', () => {
+    beforeEach(() => {
+      accounts.member = { ...users.member, suspensions: [suspension('full')] };
+    });
+
+    it('should let fully suspended users appeal and notify the managers', async () => {
+      respond([
+        ['FROM user_suspensions WHERE id', () => [suspension('full')]],
+        ['INSERT INTO suspension_appeals', () => [{ id: APPEAL_ID, status: 'open' }]],
+        ["role IN ('manager', 'admin')", () => [{ id: users.manager.id }, { id: users.otherManager.id }]],
+        ...notificationsCreated
+      ]);
+
+      const response = await request(app)
+        .post('/api/appeals')
+        .set('Authorization', tokenFor(users.member))
+        .send({ suspension_id: SUSPENSION_ID, message: 'Those links were to my own lecture notes' });
+
+      expect(response.status).toBe(201);
+      expect(queriesMatching('INSERT INTO notifications').map(([, params]) => [params[0], params[1]])).toEqual([
+        [users.manager.id, 'appeal'],
+        [users.otherManager.id, 'appeal']
+      ]);
+    });
+
+    it('should not accept appeals against someone else\'s suspension', async () => {
+      respond([['FROM user_suspensions WHERE id', () => [suspension('full', { user_id: 'user-2' })]]]);
+
+      const response = await request(app)
+        .post('/api/appeals')
+        .set('Authorization', tokenFor(users.member))
+        .send({ suspension_id: SUSPENSION_ID, message: 'Please' });
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should accept one appeal per suspension', async () => {
+      respond([
+        ['FROM user_suspensions WHERE id', () => [suspension('full')]],
+        ['INSERT INTO suspension_appeals', noRows]
+      ]);
+
+      const response = await request(app)
+        .post('/api/appeals')
+        .set('Authorization', tokenFor(users.member))
+        .send({ suspension_id: SUSPENSION_ID, message: 'Please reconsider' });
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('PUT /api/appeals/:id', () => {
+    const appeal = { id: APPEAL_ID, user_id: users.member.id, suspension_id: SUSPENSION_ID, status: 'open' };
+
+    it('should lift the suspension when the appeal is overturned', async () => {
+      respond([
+        ['WHERE a.id = $1', () => [appeal]],
+        ['UPDATE suspension_appeals', () => [{ ...appeal, status: 'overturned' }]],
+        ['UPDATE user_suspensions', () => [suspension('full', { lifted_at: new Date() })]],
+        audited,
+        ...notificationsCreated
+      ]);
+
+      const response = await request(app)
+        .put(`/api/appeals/${APPEAL_ID}`)
+        .set('Authorization', tokenFor(users.manager))
+        .send({ decision: 'overturned', notes: 'Links were legitimate' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.suspension_lifted).toBe(true);
+      expect(queriesMatching('UPDATE user_suspensions')[0][1]).toEqual([SUSPENSION_ID, users.manager.id, 'Links were legitimate']);
+      expect(queriesMatching('INSERT INTO moderation_audit_log')[0][1][3]).toBe('appeal_decision');
+      expect(queriesMatching('INSERT INTO notifications')[0][1].slice(0, 3)).toEqual([users.member.id, 'appeal', 'Appeal Accepted']);
+    });
+
+    it('should leave the suspension in place when the appeal is upheld', async () => {
+      respond([
+        ['WHERE a.id = $1', () => [appeal]],
+        ['UPDATE suspension_appeals', () => [{ ...appeal, status: 'upheld' }]],
+        audited,
+        ...notificationsCreated
+      ]);
+
+      const response = await request(app)
+        .put(`/api/appeals/${APPEAL_ID}`)
+        .set('Authorization', tokenFor(users.manager))
+        .send({ decision: 'upheld' });
+
+      expect(response.status).toBe(200);
+      expect(queriesMatching('UPDATE user_suspensions')).toHaveLength(0);
+    });
+
+    it('should refuse appeals that were already decided', async () => {
+      respond([['WHERE a.id = $1', () => [{ ...appeal, status: 'upheld' }]], ['UPDATE suspension_appeals', noRows]]);
+
+      const response = await request(app)
+        .put(`/api/appeals/${APPEAL_ID}`)
+        .set('Authorization', tokenFor(users.manager))
+        .send({ decision: 'overturned' });
+
+      expect(response.status).toBe(409);
+    });
+
+    it('should be managers only', async () => {
+      respond();
+
+      const response = await request(app)
+        .put(`/api/appeals/${APPEAL_ID}`)
+        .set('Authorization', tokenFor(users.member))
+        .send({ decision: 'overturned' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
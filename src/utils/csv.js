@@ -0,0 +1,35 @@
+// CSV helpers for exports
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one value as a CSV cell. Objects are written as JSON, and text that a
+// spreadsheet would treat as a formula is prefixed with a quote.
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format one CSV line, including the line break
+const formatRow = (values) => `${values.map(formatCell).join(',')}\r\n`;
+
+module.exports = {
+  formatCell,
+  formatRow
+};
@@ -0,0 +1,67 @@
+// Server-Sent Events helpers
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// Format one SSE message. Multi-line data is split across data: lines.
+const formatEvent = ({ id, event, data, retry }) => {
+  let message = '';
+  if (id !== undefined && id !== null) message += `id: ${id}\n`;
+  if (event) message += `event: ${event}\n`;
+  if (retry) message += `retry: ${retry}\n`;
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  for (const line of String(payload).split('\n')) {
+    message += `data: ${line}\n`;
+  }
+
+  return `${message}\n`;
+};
+
+// Turn a response into an event stream. Returns send/close helpers; onHeartbeat
+// runs after each heartbeat, and onClose once when the client disconnects or the
+// stream is closed.
+const openEventStream = (req, res, { heartbeatMs = HEARTBEAT_INTERVAL_MS, retryMs = 5000, onHeartbeat, onClose } = {}) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${retryMs}\n\n`);
+
+  let closed = false;
+
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+    if (onHeartbeat) onHeartbeat();
+  }, heartbeatMs);
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    if (onClose) onClose();
+    res.end();
+  };
+
+  // The response closes when the client goes away. (The request's own 'close'
+  // fires as soon as a POST body has been read, so it can't be used here.)
+  res.on('close', close);
+
+  return {
+    send: (message) => {
+      if (!closed) {
+        res.write(formatEvent(message));
+      }
+    },
+    close,
+    isClosed: () => closed
+  };
+};
+
+module.exports = {
+  formatEvent,
+  openEventStream
+};
@@ -0,0 +1,125 @@
+// Web Push protocol helpers: VAPID authentication (RFC 8292) and aes128gcm
+// payload encryption (RFC 8291), on top of Node's crypto
+const crypto = require('crypto');
+const axios = require('axios');
+
+const CURVE = 'prime256v1';
+const RECORD_SIZE = 4096;
+// The encrypted record holds the payload, a delimiter byte and a 16-byte tag
+const MAX_PAYLOAD_BYTES = RECORD_SIZE - 17;
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(String(value), 'base64url');
+
+// A P-256 key pair for VAPID: the public key is the uncompressed point and the
+// private key the raw scalar, both base64url like browsers' applicationServerKey
+const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH(CURVE);
+  ecdh.generateKeys();
+
+  return {
+    publicKey: toBase64Url(ecdh.getPublicKey()),
+    privateKey: toBase64Url(ecdh.getPrivateKey())
+  };
+};
+
+// Subscription keys from the browser: p256dh is an uncompressed P-256 point and
+// auth a 16-byte secret
+const isValidSubscriptionKeys = ({ p256dh, auth } = {}) => {
+  const publicKey = fromBase64Url(p256dh || '');
+  return publicKey.length === 65 && publicKey[0] === 0x04 && fromBase64Url(auth || '').length === 16;
+};
+
+const vapidSigningKey = ({ publicKey, privateKey }) => {
+  const point = fromBase64Url(publicKey);
+  return crypto.createPrivateKey({
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: toBase64Url(point.subarray(1, 33)),
+      y: toBase64Url(point.subarray(33, 65)),
+      d: privateKey
+    },
+    format: 'jwk'
+  });
+};
+
+// Authorization header value for a push service: a JWT for the endpoint's
+// origin signed with the VAPID private key, plus the public key
+const createVapidAuthorization = (endpoint, { publicKey, privateKey, subject }, now = Date.now()) => {
+  const header = toBase64Url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = toBase64Url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(now / 1000) + VAPID_TOKEN_TTL_SECONDS,
+    sub: subject
+  }));
+
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidSigningKey({ publicKey, privateKey }),
+    dsaEncoding: 'ieee-p1363'
+  });
+
+  return `vapid t=${header}.${claims}.${toBase64Url(signature)}, k=${publicKey}`;
+};
+
+const hkdf = (ikm, salt, info, length) =>
+  Buffer.from(crypto.hkdfSync('sha256', ikm, salt, info, length));
+
+// Encrypt a payload for one subscription as a single aes128gcm record. The
+// result is the request body: salt, record size and sender key, then ciphertext.
+const encryptPayload = ({ p256dh, auth }, payload) => {
+  const plaintext = Buffer.from(payload);
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`Push payload is ${plaintext.length} bytes (max ${MAX_PAYLOAD_BYTES})`);
+  }
+
+  const userAgentKey = fromBase64Url(p256dh);
+  const sender = crypto.createECDH(CURVE);
+  const senderKey = sender.generateKeys();
+  const sharedSecret = sender.computeSecret(userAgentKey);
+
+  const ikm = hkdf(sharedSecret, fromBase64Url(auth),
+    Buffer.concat([Buffer.from('WebPush: info\0'), userAgentKey, senderKey]), 32);
+  const salt = crypto.randomBytes(16);
+  const contentKey = hkdf(ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16);
+  const nonce = hkdf(ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12);
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  // 0x02 marks the last (and only) record
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([plaintext, Buffer.from([2])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+
+  return Buffer.concat([header, senderKey, ciphertext]);
+};
+
+// Deliver an encrypted payload to a subscription's push service. Resolves with
+// the response status whatever it is, so callers can prune gone subscriptions.
+const sendNotification = async (subscription, payload, { vapidKeys, ttlSeconds = 24 * 60 * 60, urgency = 'normal', timeout = 10000 }) => {
+  const response = await axios.post(subscription.endpoint, encryptPayload(subscription, payload), {
+    headers: {
+      'Authorization': createVapidAuthorization(subscription.endpoint, vapidKeys),
+      'Content-Encoding': 'aes128gcm',
+      'Content-Type': 'application/octet-stream',
+      'TTL': String(ttlSeconds),
+      'Urgency': urgency
+    },
+    timeout,
+    validateStatus: () => true
+  });
+
+  return { status: response.status, body: response.data };
+};
+
+module.exports = {
+  MAX_PAYLOAD_BYTES,
+  generateVapidKeys,
+  isValidSubscriptionKeys,
+  createVapidAuthorization,
+  encryptPayload,
+  sendNotification
+};